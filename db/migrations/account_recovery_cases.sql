@@ -0,0 +1,59 @@
+/*
+  # Create account recovery cases table
+
+  1. New Tables
+    - `account_recovery_cases`
+      - `id` (bigint, primary key, auto increment)
+      - `case_id` (char(36), public case identifier)
+      - `user_id` (bigint, foreign key to users)
+      - `access_token_hash` (char(64), SHA-256 of the requester's case token)
+      - `new_phone` (varchar, encrypted phone number to bind)
+      - `new_phone_hash` (char(64), HMAC blind index of the new phone number)
+      - `new_country_code` (varchar)
+      - `evidence` (json, outcome of each evidence check; no submitted secrets)
+      - `evidence_score` (tinyint, number of evidence checks that passed)
+      - `status` (enum, pending_review / approved / rejected / completed / cancelled / expired)
+      - `reviewed_by` (bigint, admin user ID)
+      - `review_note` (text)
+      - `reviewed_at` (timestamp)
+      - `cooling_off_until` (timestamp, earliest time the new phone can be bound)
+      - `completion_deadline` (timestamp, approval lapses after this)
+      - `completed_at`, `cancelled_at` (timestamps)
+      - `cancelled_by` (enum, requester / owner)
+      - `ip_address`, `user_agent` (submission context)
+      - `created_at`, `updated_at` (timestamps)
+  2. Security
+    - Foreign key constraint to users table with CASCADE delete
+    - Case tokens are stored hashed
+*/
+
+CREATE TABLE IF NOT EXISTS account_recovery_cases (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    case_id CHAR(36) NOT NULL UNIQUE,
+    user_id BIGINT NOT NULL,
+    access_token_hash CHAR(64) NOT NULL,
+    new_phone VARCHAR(512) NOT NULL,
+    new_phone_hash CHAR(64) NOT NULL,
+    new_country_code VARCHAR(5) NOT NULL,
+    evidence JSON NOT NULL,
+    evidence_score TINYINT NOT NULL DEFAULT 0,
+    status ENUM('pending_review', 'approved', 'rejected', 'completed', 'cancelled', 'expired') NOT NULL DEFAULT 'pending_review',
+    reviewed_by BIGINT NULL,
+    review_note TEXT NULL,
+    reviewed_at TIMESTAMP NULL,
+    cooling_off_until TIMESTAMP NULL,
+    completion_deadline TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    cancelled_at TIMESTAMP NULL,
+    cancelled_by ENUM('requester', 'owner') NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent TEXT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes
+    INDEX idx_user_status (user_id, status),
+    INDEX idx_status_created_at (status, created_at)
+);
@@ -0,0 +1,39 @@
+/*
+  # Create device keys table
+
+  1. New Tables
+    - `device_keys`
+      - `id` (bigint, primary key, auto increment)
+      - `user_id` (bigint, foreign key to users)
+      - `device_id` (varchar, device the key was generated on)
+      - `key_id` (char, public UUID the app sends when signing in)
+      - `public_key` (text, device public key as SPKI PEM)
+      - `algorithm` (varchar, ES256 or RS256)
+      - `device_name` (varchar, user-facing device label)
+      - `last_used_at` (timestamp, last successful biometric sign-in)
+      - `revoked_at` (timestamp, set when the key can no longer be used)
+      - `created_at`, `updated_at` (timestamps)
+  2. Security
+    - Foreign key constraint to users table with CASCADE delete
+    - Unique key ID; the private key never leaves the device
+*/
+
+CREATE TABLE IF NOT EXISTS device_keys (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT NOT NULL,
+    device_id VARCHAR(255) NOT NULL,
+    key_id CHAR(36) NOT NULL,
+    public_key TEXT NOT NULL,
+    algorithm VARCHAR(10) NOT NULL,
+    device_name VARCHAR(100) NULL,
+    last_used_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes
+    UNIQUE INDEX idx_key_id (key_id),
+    INDEX idx_user_device (user_id, device_id)
+);
@@ -0,0 +1,36 @@
+/*
+  # Create encryption key rotations table
+
+  1. New Tables
+    - `encryption_key_rotations`
+      - `id` (bigint, primary key, auto increment)
+      - `key_version` (varchar, not null, keyring version data is re-encrypted to)
+      - `status` (enum: pending, running, completed, failed)
+      - `progress` (json, per-table cursor and counters)
+      - `started_at` (timestamp, nullable)
+      - `completed_at` (timestamp, nullable)
+      - `last_error` (text, nullable)
+      - `triggered_by` (bigint, nullable, admin user id; null for the scheduled job)
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+  2. Notes
+    - `progress` stores the last processed id per table so runs resume after a restart
+*/
+
+CREATE TABLE IF NOT EXISTS encryption_key_rotations (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    key_version VARCHAR(64) NOT NULL,
+    status ENUM('pending', 'running', 'completed', 'failed') DEFAULT 'pending',
+    progress JSON NULL,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    last_error TEXT NULL,
+    triggered_by BIGINT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    -- Indexes
+    INDEX idx_key_version (key_version),
+    INDEX idx_status (status),
+    INDEX idx_created_at (created_at)
+);
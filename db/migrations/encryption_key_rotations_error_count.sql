@@ -0,0 +1,15 @@
+/*
+  # Count failed re-encryption runs
+
+  1. Modified Tables
+    - `encryption_key_rotations`
+      - `error_count` (int, consecutive runs that stopped on an error)
+  2. Notes
+    - A run that stops on an error leaves the rotation running with its cursor,
+      so the next scheduled run resumes it
+    - The rotation is only marked failed once `error_count` reaches
+      ENCRYPTION_REENCRYPTION_MAX_FAILED_RUNS
+*/
+
+ALTER TABLE encryption_key_rotations
+    ADD COLUMN error_count INT NOT NULL DEFAULT 0 AFTER last_error;
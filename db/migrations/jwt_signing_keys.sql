@@ -0,0 +1,33 @@
+/*
+  # Create JWT signing keys table
+
+  1. New Tables
+    - `jwt_signing_keys`
+      - `id` (bigint, primary key, auto increment)
+      - `kid` (varchar, unique, not null, RFC 7638 JWK thumbprint)
+      - `algorithm` (varchar, not null, RS256 or ES256)
+      - `public_key` (text, not null, PEM)
+      - `private_key` (text, not null, encrypted PEM)
+      - `activated_at` (timestamp, not null, signing starts at this time)
+      - `expires_at` (timestamp, nullable, removed from JWKS after this time)
+      - `created_at` (timestamp)
+  2. Notes
+    - New keys are published in JWKS before `activated_at` so verifiers can cache them
+    - Superseded keys stay verifiable until `expires_at`
+*/
+
+CREATE TABLE IF NOT EXISTS jwt_signing_keys (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    kid VARCHAR(64) UNIQUE NOT NULL,
+    algorithm VARCHAR(10) NOT NULL,
+    public_key TEXT NOT NULL,
+    private_key TEXT NOT NULL,
+    activated_at TIMESTAMP NOT NULL,
+    expires_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Indexes
+    INDEX idx_kid (kid),
+    INDEX idx_activated_at (activated_at),
+    INDEX idx_expires_at (expires_at)
+);
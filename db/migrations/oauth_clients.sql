@@ -0,0 +1,43 @@
+/*
+  # Create OAuth clients table
+
+  1. New Tables
+    - `oauth_clients`
+      - `id` (bigint, primary key, auto increment)
+      - `client_id` (varchar, unique, public client identifier)
+      - `client_secret_hash` (char, SHA-256 of the client secret, null for public clients)
+      - `client_type` (enum: public, confidential)
+      - `name` (varchar, shown on the consent screen)
+      - `logo_url` (varchar, nullable)
+      - `redirect_uris` (json, registered redirect URIs, matched exactly)
+      - `allowed_scopes` (json, scopes the client may request)
+      - `status` (enum: active, suspended)
+      - `created_by` (bigint, nullable, admin user who registered the client)
+      - `created_at`, `updated_at` (timestamps)
+  2. Notes
+    - Client secrets are shown once at registration; only their hash is stored
+    - Every client must use PKCE; confidential clients also authenticate with their secret
+  3. Security
+    - Foreign key to users with SET NULL on delete
+*/
+
+CREATE TABLE IF NOT EXISTS oauth_clients (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    client_id VARCHAR(64) UNIQUE NOT NULL,
+    client_secret_hash CHAR(64) NULL,
+    client_type ENUM('public', 'confidential') NOT NULL DEFAULT 'confidential',
+    name VARCHAR(100) NOT NULL,
+    logo_url VARCHAR(500) NULL,
+    redirect_uris JSON NOT NULL,
+    allowed_scopes JSON NOT NULL,
+    status ENUM('active', 'suspended') NOT NULL DEFAULT 'active',
+    created_by BIGINT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Indexes
+    INDEX idx_client_id (client_id),
+    INDEX idx_status (status)
+);
@@ -0,0 +1,32 @@
+/*
+  # Create OAuth consents table
+
+  1. New Tables
+    - `oauth_consents`
+      - `id` (bigint, primary key, auto increment)
+      - `user_id` (bigint, foreign key to users)
+      - `client_id` (bigint, foreign key to oauth_clients)
+      - `scopes` (json, scopes the user has granted to the client)
+      - `created_at`, `updated_at` (timestamps)
+  2. Notes
+    - One row per user and client; later grants add scopes to the same row
+    - Revoking a consent deletes the row and revokes the client's tokens for that user
+  3. Security
+    - Foreign key constraints with CASCADE delete
+*/
+
+CREATE TABLE IF NOT EXISTS oauth_consents (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT NOT NULL,
+    client_id BIGINT NOT NULL,
+    scopes JSON NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (client_id) REFERENCES oauth_clients(id) ON DELETE CASCADE,
+
+    -- Indexes
+    UNIQUE INDEX idx_user_client (user_id, client_id),
+    INDEX idx_client_id (client_id)
+);
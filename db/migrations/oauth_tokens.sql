@@ -0,0 +1,44 @@
+/*
+  # Create OAuth tokens table
+
+  1. New Tables
+    - `oauth_tokens`
+      - `id` (bigint, primary key, auto increment)
+      - `token_hash` (char, unique, SHA-256 of the opaque token)
+      - `token_type` (enum: access, refresh)
+      - `grant_id` (char, UUID shared by every token issued from one authorization code)
+      - `user_id` (bigint, foreign key to users)
+      - `client_id` (bigint, foreign key to oauth_clients)
+      - `scopes` (json, granted scopes)
+      - `expires_at` (timestamp, not null)
+      - `revoked_at` (timestamp, nullable)
+      - `created_at` (timestamp)
+  2. Notes
+    - Tokens issued to partner clients are opaque; only their hash is stored
+    - Refresh tokens rotate on use; revoking one revokes every token in its grant
+  3. Security
+    - Foreign key constraints with CASCADE delete
+    - Indexes for token lookup and grant / consent revocation
+*/
+
+CREATE TABLE IF NOT EXISTS oauth_tokens (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    token_type ENUM('access', 'refresh') NOT NULL,
+    grant_id CHAR(36) NOT NULL,
+    user_id BIGINT NOT NULL,
+    client_id BIGINT NOT NULL,
+    scopes JSON NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (client_id) REFERENCES oauth_clients(id) ON DELETE CASCADE,
+
+    -- Indexes
+    INDEX idx_token_hash (token_hash),
+    INDEX idx_grant_id (grant_id),
+    INDEX idx_user_client (user_id, client_id),
+    INDEX idx_expires_at (expires_at)
+);
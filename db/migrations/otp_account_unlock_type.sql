@@ -0,0 +1,10 @@
+/*
+  # Add account unlock OTP type
+
+  1. Modified Tables
+    - `otp_verifications`
+      - `otp_type` gains `account_unlock`, used by the self-service unlock flow
+*/
+
+ALTER TABLE otp_verifications
+    MODIFY otp_type ENUM('registration', 'login', 'password_reset', 'phone_number_change', 'account_unlock') NOT NULL;
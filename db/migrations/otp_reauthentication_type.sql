@@ -0,0 +1,10 @@
+/*
+  # Add re-authentication OTP type
+
+  1. Modified Tables
+    - `otp_verifications`
+      - `otp_type` gains `reauthentication`, used to confirm a signed-in user before sensitive operations
+*/
+
+ALTER TABLE otp_verifications
+    MODIFY otp_type ENUM('registration', 'login', 'password_reset', 'phone_number_change', 'account_unlock', 'reauthentication') NOT NULL;
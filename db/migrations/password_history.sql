@@ -0,0 +1,25 @@
+/*
+  # Create password history table
+
+  1. New Tables
+    - `password_history`
+      - `id` (bigint, primary key, auto increment)
+      - `user_id` (bigint, foreign key to users)
+      - `password_hash` (varchar, bcrypt hash of a previously set password)
+      - `created_at` (timestamp, when the password was set)
+  2. Security
+    - Foreign key constraint to users table with CASCADE delete
+    - Only the most recent `PASSWORD_HISTORY_COUNT` hashes are kept per user
+*/
+
+CREATE TABLE IF NOT EXISTS password_history (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes
+    INDEX idx_user_id_created_at (user_id, created_at)
+);
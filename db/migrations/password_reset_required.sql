@@ -0,0 +1,13 @@
+/*
+  # Add forced password reset flag
+
+  1. Modified Tables
+    - `users`
+      - `password_reset_required` (boolean, not null, default false)
+  2. Notes
+    - Set when the owner reports a new-device login alert as "this wasn't me"
+    - Password logins are refused until the password is reset over SMS
+*/
+
+ALTER TABLE users
+    ADD COLUMN password_reset_required BOOLEAN NOT NULL DEFAULT FALSE AFTER password_changed_at;
@@ -0,0 +1,24 @@
+/*
+  # Add phone number blind indexes
+
+  1. Modified Tables
+    - `users`
+      - `phone` widened to hold the encrypted value; uniqueness moves to `phone_hash`
+      - `phone_hash` (char(64), unique, nullable, HMAC-SHA256 of the formatted phone number)
+    - `otp_verifications`
+      - `phone_hash` (char(64), nullable, HMAC-SHA256 of the formatted phone number)
+  2. Notes
+    - Encrypted phones use a random IV and cannot be compared; lookups use `phone_hash`
+    - Existing rows are filled in by the phone hash backfill job
+*/
+
+ALTER TABLE users
+    MODIFY phone VARCHAR(512) NOT NULL,
+    ADD COLUMN phone_hash CHAR(64) NULL AFTER phone,
+    DROP INDEX phone,
+    DROP INDEX idx_phone,
+    ADD UNIQUE INDEX idx_phone_hash (phone_hash);
+
+ALTER TABLE otp_verifications
+    ADD COLUMN phone_hash CHAR(64) NULL AFTER phone,
+    ADD INDEX idx_phone_hash_otp_type (phone_hash, otp_type);
@@ -0,0 +1,46 @@
+/*
+  # Create refresh tokens table
+
+  1. New Tables
+    - `refresh_tokens`
+      - `id` (bigint, primary key, auto increment)
+      - `user_id` (bigint, foreign key to users)
+      - `session_id` (varchar, foreign key to user_sessions, token family)
+      - `jti` (varchar, unique, not null, JWT ID of the refresh token)
+      - `parent_jti` (varchar, nullable, token this one was rotated from)
+      - `status` (enum: active, rotated, revoked)
+      - `expires_at` (timestamp, not null)
+      - `rotated_at` (timestamp, nullable)
+      - `revoked_at` (timestamp, nullable)
+      - `revoke_reason` (varchar, nullable)
+      - `created_at` (timestamp)
+  2. Notes
+    - Every session is one refresh token family; each rotation records its predecessor
+    - Presenting a `rotated` token is treated as reuse and revokes the whole family
+  3. Security
+    - Foreign key constraints with CASCADE delete
+    - Indexes for JTI lookup and family revocation
+*/
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT NOT NULL,
+    session_id VARCHAR(255) NOT NULL,
+    jti VARCHAR(64) UNIQUE NOT NULL,
+    parent_jti VARCHAR(64) NULL,
+    status ENUM('active', 'rotated', 'revoked') NOT NULL DEFAULT 'active',
+    expires_at TIMESTAMP NOT NULL,
+    rotated_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    revoke_reason VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES user_sessions(session_id) ON DELETE CASCADE,
+
+    -- Indexes
+    INDEX idx_jti (jti),
+    INDEX idx_session_id_status (session_id, status),
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+);
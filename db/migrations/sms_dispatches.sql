@@ -0,0 +1,62 @@
+/*
+  # Create SMS dispatches table
+
+  1. New Tables
+    - `sms_dispatches`
+      - `id` (bigint, primary key, auto increment)
+      - `verification_id` (varchar, nullable, otp_verifications.verification_id)
+      - `provider` (varchar, not null)
+      - `message_id` (varchar, nullable, provider message id / BizId)
+      - `request_id` (varchar, nullable, provider request id)
+      - `phone_hash` (varchar, not null, SHA-256 of formatted phone)
+      - `country_code` (varchar, default '+86')
+      - `carrier` (varchar, nullable)
+      - `template_key` (varchar, not null)
+      - `template_code` (varchar, nullable)
+      - `status` (enum: sent, delivered, failed)
+      - `provider_status` (varchar, nullable, raw provider status code)
+      - `error_code` (varchar, nullable)
+      - `error_message` (varchar, nullable)
+      - `segments` (tinyint, nullable, billed message segments)
+      - `cost` (decimal, nullable)
+      - `sent_at` (timestamp, not null)
+      - `delivered_at` (timestamp, nullable)
+      - `reported_at` (timestamp, nullable)
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+  2. Notes
+    - No foreign key to otp_verifications: OTP rows are purged by the
+      cleanup job while dispatch records are kept for delivery statistics
+    - Indexes for delivery report lookup and carrier statistics
+*/
+
+CREATE TABLE IF NOT EXISTS sms_dispatches (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    verification_id VARCHAR(36) NULL,
+    provider VARCHAR(20) NOT NULL,
+    message_id VARCHAR(64) NULL,
+    request_id VARCHAR(64) NULL,
+    phone_hash VARCHAR(64) NOT NULL,
+    country_code VARCHAR(5) NOT NULL DEFAULT '+86',
+    carrier VARCHAR(50) NULL,
+    template_key VARCHAR(50) NOT NULL,
+    template_code VARCHAR(50) NULL,
+    status ENUM('sent', 'delivered', 'failed') NOT NULL DEFAULT 'sent',
+    provider_status VARCHAR(50) NULL,
+    error_code VARCHAR(100) NULL,
+    error_message VARCHAR(255) NULL,
+    segments TINYINT UNSIGNED NULL,
+    cost DECIMAL(10, 4) NULL,
+    sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP NULL,
+    reported_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    -- Indexes
+    INDEX idx_verification_id (verification_id),
+    INDEX idx_provider_message_id (provider, message_id),
+    INDEX idx_status_sent_at (status, sent_at),
+    INDEX idx_carrier_sent_at (carrier, sent_at),
+    INDEX idx_phone_hash (phone_hash)
+);
@@ -0,0 +1,39 @@
+/*
+  # Create social identities table
+
+  1. New Tables
+    - `social_identities`
+      - `id` (bigint, primary key, auto increment)
+      - `user_id` (bigint, foreign key to users)
+      - `provider` (enum, wechat / qq / weibo)
+      - `provider_subject` (varchar, stable provider user ID: unionid when available, otherwise openid/uid)
+      - `open_id` (varchar, app-scoped provider user ID)
+      - `union_id` (varchar, provider user ID shared across apps, when issued)
+      - `nickname` (varchar, provider display name at last sign-in)
+      - `avatar_url` (varchar, provider avatar at last sign-in)
+      - `last_login_at` (timestamp, last sign-in through this provider)
+      - `created_at`, `updated_at` (timestamps)
+  2. Security
+    - Foreign key constraint to users table with CASCADE delete
+    - A provider account links to at most one user, and a user links at most one account per provider
+*/
+
+CREATE TABLE IF NOT EXISTS social_identities (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT NOT NULL,
+    provider ENUM('wechat', 'qq', 'weibo') NOT NULL,
+    provider_subject VARCHAR(128) NOT NULL,
+    open_id VARCHAR(128) NOT NULL,
+    union_id VARCHAR(128) NULL,
+    nickname VARCHAR(100) NULL,
+    avatar_url VARCHAR(500) NULL,
+    last_login_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes
+    UNIQUE INDEX idx_provider_subject (provider, provider_subject),
+    UNIQUE INDEX idx_user_provider (user_id, provider)
+);
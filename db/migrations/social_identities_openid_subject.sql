@@ -0,0 +1,18 @@
+/*
+  # Key WeChat and QQ identities on openid
+
+  1. Modified Tables
+    - `social_identities`
+      - `provider_subject` is now the app-scoped `open_id` for wechat and qq
+  2. Notes
+    - `unionid` is only returned once an app is bound to an Open Platform
+      account, so keying on it gave one provider account two subjects
+    - `union_id` stays stored for reference
+    - Where the old keys produced two rows for one openid, the second row is
+      left unchanged; list them for review with
+      SELECT * FROM social_identities WHERE provider IN ('wechat', 'qq') AND provider_subject <> open_id;
+*/
+
+UPDATE IGNORE social_identities
+SET provider_subject = open_id
+WHERE provider IN ('wechat', 'qq') AND provider_subject <> open_id;
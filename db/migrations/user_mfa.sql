@@ -0,0 +1,39 @@
+/*
+  # Create user MFA table
+
+  1. New Tables
+    - `user_mfa`
+      - `id` (bigint, primary key, auto increment)
+      - `user_id` (bigint, unique, foreign key to users)
+      - `totp_secret` (text, encrypted base32 TOTP secret)
+      - `is_enabled` (boolean, default false until enrollment is confirmed)
+      - `last_used_step` (bigint, nullable, last accepted TOTP time step)
+      - `backup_codes` (json, hashed unused recovery codes)
+      - `backup_codes_generated_at` (timestamp, nullable)
+      - `enabled_at` (timestamp, nullable)
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+  2. Security
+    - Foreign key constraint to users table with CASCADE delete
+    - Unique constraint on user_id to ensure one MFA record per user
+    - TOTP secret encrypted at rest, backup codes stored as SHA-256 hashes
+*/
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT NOT NULL,
+    totp_secret TEXT NOT NULL,
+    is_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    last_used_step BIGINT NULL,
+    backup_codes JSON NULL,
+    backup_codes_generated_at TIMESTAMP NULL,
+    enabled_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_mfa (user_id),
+
+    -- Indexes
+    INDEX idx_user_id_enabled (user_id, is_enabled)
+);
@@ -0,0 +1,18 @@
+/*
+  # Track session activity and revocation reasons
+
+  1. Modified Tables
+    - `user_sessions`
+      - `last_activity_at` (timestamp, nullable, last authenticated request)
+      - `revoke_reason` (varchar, nullable, e.g. evicted)
+  2. Notes
+    - `last_activity_at` orders sessions for least-recently-used eviction
+    - Sessions revoked with `evicted` answer their next request with SESSION_EVICTED
+    - Existing sessions start with their creation time as last activity
+*/
+
+ALTER TABLE user_sessions
+    ADD COLUMN last_activity_at TIMESTAMP NULL AFTER expires_at,
+    ADD COLUMN revoke_reason VARCHAR(50) NULL AFTER revoked_at;
+
+UPDATE user_sessions SET last_activity_at = created_at WHERE last_activity_at IS NULL;
@@ -0,0 +1,18 @@
+/*
+  # Add verified secondary email
+
+  1. Modified Tables
+    - `users`
+      - `email` (varchar, nullable) - encrypted email address
+      - `email_hash` (char 64, nullable, unique) - HMAC blind index of the lowercased address
+      - `email_verified_at` (timestamp, nullable)
+  2. Notes
+    - Addresses are only stored once the owner has opened the verification link
+    - Used as a contact and as a password reset channel when the phone is unavailable
+*/
+
+ALTER TABLE users
+    ADD COLUMN email VARCHAR(512) NULL AFTER phone_verified_at,
+    ADD COLUMN email_hash CHAR(64) NULL AFTER email,
+    ADD COLUMN email_verified_at TIMESTAMP NULL AFTER email_hash,
+    ADD UNIQUE INDEX idx_email_hash (email_hash);
@@ -0,0 +1,45 @@
+/*
+  # Create WebAuthn credentials table
+
+  1. New Tables
+    - `webauthn_credentials`
+      - `id` (bigint, primary key, auto increment)
+      - `user_id` (bigint, foreign key to users)
+      - `credential_id` (varchar, base64url credential ID issued by the authenticator)
+      - `public_key` (text, credential public key as SPKI PEM)
+      - `algorithm` (int, COSE algorithm identifier, e.g. -7 ES256, -257 RS256)
+      - `sign_count` (bigint, last signature counter reported by the authenticator)
+      - `transports` (json, transport hints such as internal, hybrid, usb)
+      - `aaguid` (char, authenticator model identifier)
+      - `attestation_format` (varchar, none or packed)
+      - `backed_up` (boolean, credential is synced across devices)
+      - `name` (varchar, user-facing label)
+      - `last_used_at` (timestamp, last successful sign-in)
+      - `created_at`, `updated_at` (timestamps)
+  2. Security
+    - Foreign key constraint to users table with CASCADE delete
+    - Unique credential ID so a credential cannot be registered twice
+*/
+
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT NOT NULL,
+    credential_id VARCHAR(512) NOT NULL,
+    public_key TEXT NOT NULL,
+    algorithm INT NOT NULL,
+    sign_count BIGINT NOT NULL DEFAULT 0,
+    transports JSON NULL,
+    aaguid CHAR(36) NULL,
+    attestation_format VARCHAR(32) NOT NULL DEFAULT 'none',
+    backed_up BOOLEAN NOT NULL DEFAULT FALSE,
+    name VARCHAR(100) NOT NULL,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes
+    UNIQUE INDEX idx_credential_id (credential_id),
+    INDEX idx_user_id (user_id)
+);
@@ -0,0 +1,15 @@
+/*
+  # Record the device a passkey was registered from
+
+  1. Modified Tables
+    - `webauthn_credentials`
+      - `device_id` (varchar, nullable, device of the session that registered the passkey)
+  2. Notes
+    - Reporting a session from a new-device alert deletes the passkeys
+      registered from that device
+    - Passkeys registered before this migration have no device and are kept
+*/
+
+ALTER TABLE webauthn_credentials
+    ADD COLUMN device_id VARCHAR(255) NULL AFTER user_id,
+    ADD INDEX idx_user_device (user_id, device_id);
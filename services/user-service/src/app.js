@@ -26,6 +26,13 @@ const settingsController = require('./controllers/settings.controller');
 const sessionController = require('./controllers/session.controller');
 const adminController = require('./controllers/admin/admin.controller');
 const complianceController = require('./controllers/admin/compliance.controller');
+const encryptionController = require('./controllers/admin/encryption.controller');
+const webhookController = require('./controllers/webhook.controller');
+const jwksController = require('./controllers/jwks.controller');
+const oauthController = require('./controllers/oauth.controller');
+const oauthClientController = require('./controllers/admin/oauth-client.controller');
+const accountRecoveryController = require('./controllers/admin/account-recovery.controller');
+const signingKeyService = require('./services/signing-key.service');
 
 // Shared imports
 const apiResponse = require('../../shared/utils/api.response');
@@ -114,12 +121,21 @@ class UserServiceApp {
       }, 'Service is healthy'));
     });
 
+    // Public JWT verification keys and OpenID Connect discovery
+    this.app.use('/.well-known', jwksController);
+
     // API version prefix
     const apiV1 = express.Router();
 
     // Authentication routes
     apiV1.use('/auth', authController);
 
+    // OAuth2 / OpenID Connect provider for partner apps
+    apiV1.use('/oauth', oauthController);
+
+    // Provider webhooks (token verified)
+    apiV1.use('/webhooks', webhookController);
+
     // User profile routes (protected)
     apiV1.use('/user', authMiddleware.authenticate, profileController);
 
@@ -127,9 +143,15 @@ class UserServiceApp {
     apiV1.use('/user', authMiddleware.authenticate, settingsController);
     apiV1.use('/user', authMiddleware.authenticate, sessionController);
 
-    // Admin routes (admin only)
-    apiV1.use('/admin', authMiddleware.authenticate, authMiddleware.requireAdmin, adminController);
-    apiV1.use('/admin', authMiddleware.authenticate, authMiddleware.requireAdmin, complianceController);
+    // Admin routes (admin only); authenticated once for all admin controllers
+    const admin = express.Router();
+    admin.use(authMiddleware.authenticate, authMiddleware.requireAdmin);
+    admin.use(adminController);
+    admin.use(complianceController);
+    admin.use(encryptionController);
+    admin.use(oauthClientController);
+    admin.use(accountRecoveryController);
+    apiV1.use('/admin', admin);
 
     // Mount API routes
     this.app.use('/api/v1', apiV1);
@@ -235,9 +257,16 @@ class UserServiceApp {
       await redisClient.connect();
       logger.info('Redis connection established');
 
+      // Load JWT signing keys (RS256/ES256)
+      await signingKeyService.initialize();
+
       // Start background jobs
       require('./jobs/otp-cleanup.job');
       require('./jobs/account-deletion.job');
+      require('./jobs/sms-delivery-poll.job');
+      require('./jobs/jwt-key-rotation.job');
+      require('./jobs/key-rotation.job');
+      require('./jobs/phone-hash-backfill.job');
 
       // Start server
       this.app.listen(this.port, () => {
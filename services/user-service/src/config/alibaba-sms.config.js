@@ -6,6 +6,10 @@ dotenv.config();
 module.exports = {
   // Alibaba Cloud SMS Configuration
   sms: {
+    // Provider selection (alibaba | mock)
+    provider: process.env.SMS_PROVIDER ||
+      (process.env.SMS_ENABLE_MOCK === 'true' ? 'mock' : 'alibaba'),
+
     // Access credentials
     accessKeyId: process.env.ALIBABA_SMS_ACCESS_KEY_ID,
     accessKeySecret: process.env.ALIBABA_SMS_ACCESS_KEY_SECRET,
@@ -26,7 +30,8 @@ module.exports = {
       phoneChange: process.env.ALIBABA_SMS_TEMPLATE_PHONE_CHANGE || 'SMS_004',
       securityAlert: process.env.ALIBABA_SMS_TEMPLATE_SECURITY_ALERT || 'SMS_005',
       accountDeactivation: process.env.ALIBABA_SMS_TEMPLATE_ACCOUNT_DEACTIVATION || 'SMS_006',
-      verification: process.env.ALIBABA_SMS_TEMPLATE_VERIFICATION || 'SMS_007'
+      verification: process.env.ALIBABA_SMS_TEMPLATE_VERIFICATION || 'SMS_007',
+      accountRecovery: process.env.ALIBABA_SMS_TEMPLATE_ACCOUNT_RECOVERY || 'SMS_008'
     },
     
     // Rate limiting
@@ -51,6 +56,22 @@ module.exports = {
       request: parseInt(process.env.ALIBABA_SMS_REQUEST_TIMEOUT) || 10000
     },
     
+    // Delivery receipts
+    deliveryReports: {
+      enabled: process.env.ALIBABA_SMS_DELIVERY_REPORTS_ENABLED !== 'false',
+      webhookToken: process.env.ALIBABA_SMS_DELIVERY_WEBHOOK_TOKEN,
+      pollSchedule: process.env.ALIBABA_SMS_DELIVERY_POLL_SCHEDULE || '*/2 * * * *',
+      pollAfterSeconds: parseInt(process.env.ALIBABA_SMS_DELIVERY_POLL_AFTER) || 60,
+      pollMaxAgeMinutes: parseInt(process.env.ALIBABA_SMS_DELIVERY_POLL_MAX_AGE) || 30,
+      pollBatchSize: parseInt(process.env.ALIBABA_SMS_DELIVERY_POLL_BATCH_SIZE) || 50
+    },
+
+    // Pricing (per billed message segment)
+    pricing: {
+      unitCost: parseFloat(process.env.ALIBABA_SMS_UNIT_COST) || 0.045,
+      currency: process.env.ALIBABA_SMS_COST_CURRENCY || 'CNY'
+    },
+
     // Logging
     logging: {
       enabled: process.env.ALIBABA_SMS_LOGGING_ENABLED !== 'false',
@@ -186,8 +207,9 @@ module.exports = {
   development: {
     // Enable mock SMS for development
     enableMockSMS: process.env.SMS_ENABLE_MOCK === 'true',
-    mockResponseDelay: parseInt(process.env.SMS_MOCK_RESPONSE_DELAY) || 1000,
-    mockSuccessRate: parseFloat(process.env.SMS_MOCK_SUCCESS_RATE) || 0.95, // 95%
+    mockResponseDelay: parseInt(process.env.SMS_MOCK_RESPONSE_DELAY) || 0,
+    mockSuccessRate: process.env.SMS_MOCK_SUCCESS_RATE !== undefined ?
+      parseFloat(process.env.SMS_MOCK_SUCCESS_RATE) : 1, // Every send succeeds unless set
     
     // Test phone numbers
     testPhoneNumbers: process.env.SMS_TEST_PHONE_NUMBERS ? 
@@ -0,0 +1,36 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+module.exports = {
+  // Outgoing mail (smtp | maildir)
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'maildir'),
+    from: process.env.MAIL_FROM || 'Lianxin <no-reply@lianxin.com>',
+
+    // SMTP relay; `secure` connects with TLS, otherwise STARTTLS is used when offered
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      requireTls: process.env.SMTP_REQUIRE_TLS !== 'false',
+      username: process.env.SMTP_USERNAME,
+      password: process.env.SMTP_PASSWORD,
+      clientName: process.env.SMTP_CLIENT_NAME || 'lianxin-user-service',
+      timeout: parseInt(process.env.SMTP_TIMEOUT) || 10000 // milliseconds
+    },
+
+    // Local stand-in that writes each message to a Maildir for inspection
+    maildir: {
+      path: process.env.MAILDIR_PATH || '.maildir'
+    }
+  },
+
+  // Secondary email contact
+  email: {
+    // Pages that post the token from the link back to the API
+    verificationUrl: process.env.EMAIL_VERIFICATION_URL || 'https://lianxin.com/settings/email/verify',
+    passwordResetUrl: process.env.EMAIL_PASSWORD_RESET_URL || 'https://lianxin.com/reset-password/email'
+  }
+};
@@ -4,6 +4,55 @@ const crypto = require('crypto');
 // Load environment variables
 dotenv.config();
 
+const primaryEncryptionKey = process.env.ENCRYPTION_PRIMARY_KEY || crypto.randomBytes(32).toString('hex');
+const secondaryEncryptionKey = process.env.ENCRYPTION_SECONDARY_KEY || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Parse an encryption keyring from "version:hexkey,version:hexkey"
+ * Falls back to the primary/secondary keys when no keyring is configured
+ */
+const parseKeyring = (value) => {
+  if (!value) {
+    return {
+      primary: primaryEncryptionKey,
+      secondary: secondaryEncryptionKey
+    };
+  }
+
+  return value.split(',').reduce((keyring, entry) => {
+    const [version, key] = entry.trim().split(':');
+    if (version && key) {
+      keyring[version] = key;
+    }
+    return keyring;
+  }, {});
+};
+
+const encryptionKeyring = parseKeyring(process.env.ENCRYPTION_KEYRING);
+
+/**
+ * Resolve the blind index key. Hashes cannot be recomputed after the key is
+ * lost, so production refuses to start on the (possibly random) primary key
+ */
+const resolveBlindIndexKey = (value) => {
+  if (value) {
+    return value;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_BLIND_INDEX_KEY must be set in production');
+  }
+  return primaryEncryptionKey;
+};
+
+/**
+ * Parse an integer variable, keeping an explicit 0
+ * Unset, empty or non-numeric values use the fallback
+ */
+const parseIntegerEnv = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 module.exports = {
   // JWT Configuration
   jwt: {
@@ -24,6 +73,13 @@ module.exports = {
     enableRotation: process.env.JWT_ENABLE_ROTATION !== 'false',
     rotationInterval: parseInt(process.env.JWT_ROTATION_INTERVAL) || 86400000, // 24 hours
     
+    // Asymmetric signing keys (RS256 / ES256), identified by `kid`
+    rsaModulusLength: parseInt(process.env.JWT_RSA_MODULUS_LENGTH) || 2048,
+    keyPublishDelay: parseInt(process.env.JWT_KEY_PUBLISH_DELAY) || 600000, // 10 minutes in JWKS before signing
+    keyRetentionPeriod: parseInt(process.env.JWT_KEY_RETENTION_PERIOD) || 86400000, // 24 hours after being superseded
+    keyRefreshSchedule: process.env.JWT_KEY_REFRESH_SCHEDULE || '*/5 * * * *', // Reload and rotate check every 5 minutes
+    jwksCacheMaxAge: parseInt(process.env.JWT_JWKS_CACHE_MAX_AGE) || 300, // seconds
+    
     // Token blacklisting
     enableBlacklist: process.env.JWT_ENABLE_BLACKLIST !== 'false',
     blacklistCleanupInterval: parseInt(process.env.JWT_BLACKLIST_CLEANUP_INTERVAL) || 3600000, // 1 hour
@@ -56,9 +112,14 @@ module.exports = {
     // Password strength
     entropyMinimum: parseInt(process.env.PASSWORD_ENTROPY_MINIMUM) || 40,
     
-    // Account lockout
+    // Account lockout, per account and IP address and only for unrecognized devices:
+    // after maxFailedAttempts, each further failure doubles the lockout up to the maximum
     maxFailedAttempts: parseInt(process.env.PASSWORD_MAX_FAILED_ATTEMPTS) || 5,
-    lockoutDuration: parseInt(process.env.PASSWORD_LOCKOUT_DURATION) || 1800000, // 30 minutes
+    lockoutBaseDuration: parseInt(process.env.PASSWORD_LOCKOUT_BASE_DURATION) || 60000, // 1 minute
+    lockoutMaxDuration: parseInt(process.env.PASSWORD_LOCKOUT_MAX_DURATION) || 86400000, // 24 hours
+    lockoutFailureWindow: parseInt(process.env.PASSWORD_LOCKOUT_FAILURE_WINDOW) || 86400000, // 24 hours
+    // Lifetime of the device token that lets a recognized device past a lockout
+    deviceTrustTokenExpiry: process.env.PASSWORD_LOCKOUT_DEVICE_TOKEN_EXPIRY || '30d', // matches the trusted-device window
     
     // Password reset
     resetTokenExpiry: parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY) || 300000, // 5 minutes
@@ -73,25 +134,57 @@ module.exports = {
     ivLength: parseInt(process.env.ENCRYPTION_IV_LENGTH) || 16,
     tagLength: parseInt(process.env.ENCRYPTION_TAG_LENGTH) || 16,
     
-    // Encryption keys
-    primaryKey: process.env.ENCRYPTION_PRIMARY_KEY || crypto.randomBytes(32).toString('hex'),
-    secondaryKey: process.env.ENCRYPTION_SECONDARY_KEY || crypto.randomBytes(32).toString('hex'),
+    // Encryption keys (legacy ciphertexts without a key version use these)
+    primaryKey: primaryEncryptionKey,
+    secondaryKey: secondaryEncryptionKey,
+    
+    // Versioned keyring; new data is encrypted with the active version
+    keyring: encryptionKeyring,
+    activeKeyVersion: process.env.ENCRYPTION_ACTIVE_KEY_VERSION ||
+      (process.env.ENCRYPTION_KEYRING ? Object.keys(encryptionKeyring).pop() : 'primary'),
     
     // Key rotation
     enableKeyRotation: process.env.ENCRYPTION_ENABLE_KEY_ROTATION === 'true',
     keyRotationInterval: parseInt(process.env.ENCRYPTION_KEY_ROTATION_INTERVAL) || 2592000000, // 30 days
     
-    // HSM Integration
+    // Background re-encryption to the active key version
+    reencryption: {
+      schedule: process.env.ENCRYPTION_REENCRYPTION_SCHEDULE || '*/10 * * * *', // Every 10 minutes
+      batchSize: parseInt(process.env.ENCRYPTION_REENCRYPTION_BATCH_SIZE) || 200,
+      autoStart: process.env.ENCRYPTION_REENCRYPTION_AUTO_START !== 'false',
+      maxRecordedFailures: parseInt(process.env.ENCRYPTION_REENCRYPTION_MAX_RECORDED_FAILURES) || 50,
+      maxBatchAttempts: parseInt(process.env.ENCRYPTION_REENCRYPTION_MAX_BATCH_ATTEMPTS) || 5,
+      retryDelay: parseInt(process.env.ENCRYPTION_REENCRYPTION_RETRY_DELAY) || 1000, // ms, doubled per attempt
+      maxFailedRuns: parseInt(process.env.ENCRYPTION_REENCRYPTION_MAX_FAILED_RUNS) || 6
+    },
+    
+    // Blind index (HMAC) for equality search on encrypted columns; not rotated with the keyring
+    blindIndexKey: resolveBlindIndexKey(process.env.ENCRYPTION_BLIND_INDEX_KEY),
+    blindIndexBackfill: {
+      schedule: process.env.ENCRYPTION_BLIND_INDEX_BACKFILL_SCHEDULE || '*/15 * * * *', // Every 15 minutes
+      batchSize: parseInt(process.env.ENCRYPTION_BLIND_INDEX_BACKFILL_BATCH_SIZE) || 500
+    },
+    
+    // HSM Integration (envelope encryption: per-record data keys wrapped by a KMS key)
     enableHSM: process.env.ENCRYPTION_ENABLE_HSM === 'true',
     hsmConfig: {
-      endpoint: process.env.HSM_ENDPOINT,
+      provider: process.env.HSM_PROVIDER || 'alibaba', // alibaba | local
+      endpoint: process.env.HSM_ENDPOINT || `https://kms.${process.env.HSM_REGION || 'cn-hangzhou'}.aliyuncs.com`,
       keyId: process.env.HSM_KEY_ID,
-      region: process.env.HSM_REGION || 'cn-hangzhou'
+      region: process.env.HSM_REGION || 'cn-hangzhou',
+      accessKeyId: process.env.HSM_ACCESS_KEY_ID,
+      accessKeySecret: process.env.HSM_ACCESS_KEY_SECRET,
+      apiVersion: process.env.HSM_API_VERSION || '2016-01-20',
+      timeout: parseInt(process.env.HSM_TIMEOUT) || 5000,
+      localKeyFile: process.env.HSM_LOCAL_KEY_FILE || '.kms/local-kms.json',
+      dataKeyCacheTtl: parseInt(process.env.HSM_DATA_KEY_CACHE_TTL) || 300000, // 5 minutes
+      dataKeyCacheMaxEntries: parseInt(process.env.HSM_DATA_KEY_CACHE_MAX_ENTRIES) || 10000
     },
     
     // Encryption scope
     encryptedFields: process.env.ENCRYPTION_FIELDS ? process.env.ENCRYPTION_FIELDS.split(',') : [
       'phone',
+      'email',
       'first_name',
       'last_name',
       'birth_date',
@@ -103,12 +196,32 @@ module.exports = {
   // Session Security
   session: {
     // Session configuration
-    sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 1800000, // 30 minutes
+    // Idle timeouts in ms; 0 turns the idle timeout off
+    sessionTimeout: parseIntegerEnv(process.env.SESSION_TIMEOUT, 1800000), // 30 minutes without activity
     maxActiveSessions: parseInt(process.env.SESSION_MAX_ACTIVE) || 5,
+
+    // Idle timeout overrides per device type; unset (null) uses sessionTimeout
+    deviceTypeTimeouts: {
+      mobile: parseIntegerEnv(process.env.SESSION_TIMEOUT_MOBILE, 604800000), // 7 days
+      tablet: parseIntegerEnv(process.env.SESSION_TIMEOUT_TABLET, 604800000), // 7 days
+      desktop: parseIntegerEnv(process.env.SESSION_TIMEOUT_DESKTOP, null)
+    },
+
+    // Session lifetime, extended on every token refresh when sliding up to the absolute lifetime;
+    // 0 lets sessions last the whole absolute lifetime
+    lifetime: parseIntegerEnv(process.env.SESSION_LIFETIME, 604800000), // 7 days
+    slidingExpiration: process.env.SESSION_SLIDING_EXPIRATION !== 'false',
+    absoluteLifetime: parseInt(process.env.SESSION_ABSOLUTE_LIFETIME) || 2592000000, // 30 days after login
     
     // Session validation
     validateIP: process.env.SESSION_VALIDATE_IP === 'true',
     validateUserAgent: process.env.SESSION_VALIDATE_USER_AGENT === 'true',
+    // Reaction to a mismatch: reject | step_up (re-authenticate) | log
+    ipMismatchAction: process.env.SESSION_IP_MISMATCH_ACTION || 'step_up',
+    userAgentMismatchAction: process.env.SESSION_USER_AGENT_MISMATCH_ACTION || 'step_up',
+    // Optional ip2asn TSV file; without it only the same /24 (/48 for IPv6) matches
+    ipAsnDatabase: process.env.SESSION_IP_ASN_DATABASE || null,
+    mismatchAuditInterval: parseInt(process.env.SESSION_MISMATCH_AUDIT_INTERVAL) || 3600, // seconds
     
     // Session storage
     storageType: process.env.SESSION_STORAGE_TYPE || 'redis',
@@ -127,7 +240,10 @@ module.exports = {
     
     // Concurrent session handling
     allowConcurrentSessions: process.env.SESSION_ALLOW_CONCURRENT !== 'false',
-    sessionConflictResolution: process.env.SESSION_CONFLICT_RESOLUTION || 'lru' // lru, newest, oldest
+    // Which session to evict past the limit: lru (least recently active), newest or oldest (by login time)
+    sessionConflictResolution: process.env.SESSION_CONFLICT_RESOLUTION || 'lru', // lru, newest, oldest
+    // One session per device type (mobile, tablet, desktop): a login replaces the session of its type
+    oneSessionPerDeviceType: process.env.SESSION_ONE_PER_DEVICE_TYPE === 'true'
   },
   
   // OTP Security
@@ -158,7 +274,145 @@ module.exports = {
     smsThrottleWindow: parseInt(process.env.OTP_SMS_THROTTLE_WINDOW) || 60000, // 1 minute
     smsThrottleMaxRequests: parseInt(process.env.OTP_SMS_THROTTLE_MAX_REQUESTS) || 3
   },
-  
+
+  // Multi-Factor Authentication (TOTP)
+  mfa: {
+    // TOTP parameters (authenticator apps widely support SHA1 / 6 digits / 30s only)
+    issuer: process.env.MFA_ISSUER || 'Lianxin',
+    algorithm: process.env.MFA_TOTP_ALGORITHM || 'SHA1',
+    digits: parseInt(process.env.MFA_TOTP_DIGITS) || 6,
+    period: parseInt(process.env.MFA_TOTP_PERIOD) || 30,
+    window: parseInt(process.env.MFA_TOTP_WINDOW) || parseInt(process.env.OTP_WINDOW) || 1,
+    secretLength: parseInt(process.env.MFA_SECRET_LENGTH) || 20,
+
+    // Backup recovery codes
+    backupCodeCount: parseInt(process.env.MFA_BACKUP_CODE_COUNT) || 10,
+    backupCodeLength: parseInt(process.env.MFA_BACKUP_CODE_LENGTH) || 10,
+
+    // Login challenge
+    challengeTokenExpiry: process.env.MFA_CHALLENGE_TOKEN_EXPIRY || '5m'
+  },
+
+  // Re-authentication before sensitive operations
+  reauthentication: {
+    // Lifetime of the recent auth token; routes may require a shorter age
+    tokenExpiry: parseInt(process.env.REAUTH_TOKEN_EXPIRY) || 600 // seconds
+  },
+
+  // Passkeys (WebAuthn)
+  webauthn: {
+    // Relying party: rpId must be the origin's registrable domain
+    rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Lianxin',
+    origins: process.env.WEBAUTHN_ORIGINS ? process.env.WEBAUTHN_ORIGINS.split(',').map(origin => origin.trim()) : ['http://localhost:3000'],
+
+    // Ceremony parameters
+    challengeTtl: parseInt(process.env.WEBAUTHN_CHALLENGE_TTL) || 300, // seconds
+    timeout: parseInt(process.env.WEBAUTHN_TIMEOUT) || 60000, // milliseconds, passed to the browser
+    attestation: process.env.WEBAUTHN_ATTESTATION || 'none', // none | direct (packed statements are verified)
+    userVerification: process.env.WEBAUTHN_USER_VERIFICATION || 'required',
+    maxCredentialsPerUser: parseInt(process.env.WEBAUTHN_MAX_CREDENTIALS) || 10
+  },
+
+  // Device-key biometric login (enabled by FEATURE_BIOMETRIC_AUTH)
+  biometric: {
+    challengeTtl: parseInt(process.env.BIOMETRIC_CHALLENGE_TTL) || 120, // seconds
+    minRsaKeyBits: 2048
+  },
+
+  // Risk-based adaptive authentication
+  riskAuth: {
+    enabled: process.env.RISK_AUTH_ENABLED !== 'false',
+    // Scores at or above this require an SMS OTP step-up before tokens are issued
+    stepUpThreshold: parseInt(process.env.RISK_STEP_UP_THRESHOLD) || 50,
+    mediumThreshold: parseInt(process.env.RISK_MEDIUM_THRESHOLD) || 25,
+    stepUpTokenExpiry: process.env.RISK_STEP_UP_TOKEN_EXPIRY || '5m',
+    // Factor weights (points added to the 0-100 score)
+    weights: {
+      unknownDevice: parseInt(process.env.RISK_WEIGHT_UNKNOWN_DEVICE) || 30,
+      newIpRange: parseInt(process.env.RISK_WEIGHT_NEW_IP_RANGE) || 25,
+      unusualHour: parseInt(process.env.RISK_WEIGHT_UNUSUAL_HOUR) || 15,
+      recentFailure: parseInt(process.env.RISK_WEIGHT_RECENT_FAILURE) || 10, // per failed attempt
+      recentFailureMax: parseInt(process.env.RISK_WEIGHT_RECENT_FAILURE_MAX) || 30,
+      userVelocity: parseInt(process.env.RISK_WEIGHT_USER_VELOCITY) || 20,
+      ipVelocity: parseInt(process.env.RISK_WEIGHT_IP_VELOCITY) || 25
+    },
+    // Login history used for IP range and hour-of-day baselines
+    historyDays: parseInt(process.env.RISK_HISTORY_DAYS) || 90,
+    historyMinLogins: parseInt(process.env.RISK_HISTORY_MIN_LOGINS) || 5,
+    timezone: process.env.RISK_TIMEZONE || 'Asia/Shanghai',
+    nightHours: [1, 2, 3, 4, 5], // local hours treated as unusual without a baseline
+    // Login attempts per account / per IP within the velocity window
+    velocityWindow: parseInt(process.env.RISK_VELOCITY_WINDOW) || 600, // seconds
+    userVelocityLimit: parseInt(process.env.RISK_USER_VELOCITY_LIMIT) || 5,
+    ipVelocityLimit: parseInt(process.env.RISK_IP_VELOCITY_LIMIT) || 20
+  },
+
+  // QR-code cross-device login
+  qrLogin: {
+    ticketTtl: parseInt(process.env.QR_LOGIN_TICKET_TTL) || 120, // seconds
+    qrContentPrefix: process.env.QR_LOGIN_CONTENT_PREFIX || 'lianxin://qr-login?ticket=',
+    pollTimeout: parseInt(process.env.QR_LOGIN_POLL_TIMEOUT) || 25000, // long-poll wait, milliseconds
+    pollInterval: parseInt(process.env.QR_LOGIN_POLL_INTERVAL) || 1000 // milliseconds between Redis checks
+  },
+
+  // OAuth2 / OpenID Connect provider ("Sign in with Lianxin")
+  oauthProvider: {
+    issuer: process.env.OAUTH_ISSUER || 'http://localhost:3001',
+    // Consent page partners send users to; it calls the /oauth/authorize API
+    authorizationEndpoint: process.env.OAUTH_AUTHORIZATION_ENDPOINT || 'https://lianxin.com/oauth/authorize',
+    authorizationCodeTtl: parseInt(process.env.OAUTH_AUTHORIZATION_CODE_TTL) || 60, // seconds
+    accessTokenTtl: parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL) || 3600, // seconds
+    refreshTokenTtl: parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL) || 2592000, // 30 days in seconds
+    idTokenTtl: parseInt(process.env.OAUTH_ID_TOKEN_TTL) || 3600 // seconds
+  },
+
+  // New-device login alerts (honors user_settings.security_settings.login_alerts)
+  loginAlerts: {
+    enabled: process.env.LOGIN_ALERTS_ENABLED !== 'false',
+    revokeUrl: process.env.LOGIN_ALERT_REVOKE_URL || 'https://lianxin.com/security/not-me',
+    revokeTokenExpiry: process.env.LOGIN_ALERT_REVOKE_TOKEN_EXPIRY || '7d', // matches the session lifetime
+    timezone: process.env.LOGIN_ALERT_TIMEZONE || 'Asia/Shanghai',
+    notificationTimeout: parseInt(process.env.LOGIN_ALERT_NOTIFICATION_TIMEOUT) || 5000 // milliseconds
+  },
+
+  // Recovery cases for users who lost their phone number (reviewed by admins)
+  accountRecovery: {
+    enabled: process.env.ACCOUNT_RECOVERY_ENABLED !== 'false',
+    coolingOffPeriod: parseInt(process.env.ACCOUNT_RECOVERY_COOLING_OFF_PERIOD) || 259200000, // 72 hours after approval
+    completionWindow: parseInt(process.env.ACCOUNT_RECOVERY_COMPLETION_WINDOW) || 604800000, // 7 days after cooling-off
+    manageUrl: process.env.ACCOUNT_RECOVERY_MANAGE_URL || 'https://lianxin.com/security/recovery',
+    timezone: process.env.ACCOUNT_RECOVERY_TIMEZONE || 'Asia/Shanghai'
+  },
+
+  // Abuse challenge (proof-of-work or CAPTCHA) on OTP and login endpoints
+  abuseChallenge: {
+    enabled: process.env.ABUSE_CHALLENGE_ENABLED !== 'false',
+    type: process.env.ABUSE_CHALLENGE_TYPE || 'pow', // pow | captcha
+
+    // Requests allowed per endpoint before a challenge is required
+    window: parseInt(process.env.ABUSE_CHALLENGE_WINDOW) || 3600, // seconds
+    ipThreshold: parseInt(process.env.ABUSE_CHALLENGE_IP_THRESHOLD) || 3,
+    phoneThreshold: parseInt(process.env.ABUSE_CHALLENGE_PHONE_THRESHOLD) || 2,
+
+    challengeTtl: parseInt(process.env.ABUSE_CHALLENGE_TTL) || 300, // seconds
+
+    // Proof-of-work: SHA-256(prefix + solution) must start with this many zero bits
+    pow: {
+      difficulty: parseInt(process.env.ABUSE_CHALLENGE_POW_DIFFICULTY) || 20
+    },
+
+    // Third-party CAPTCHA (stub | siteverify)
+    captcha: {
+      provider: process.env.CAPTCHA_PROVIDER || 'stub',
+      siteKey: process.env.CAPTCHA_SITE_KEY || null,
+      secretKey: process.env.CAPTCHA_SECRET_KEY || null,
+      verifyUrl: process.env.CAPTCHA_VERIFY_URL || 'https://hcaptcha.com/siteverify',
+      timeout: parseInt(process.env.CAPTCHA_TIMEOUT) || 5000, // milliseconds
+      stubPassToken: process.env.CAPTCHA_STUB_PASS_TOKEN || null // Development only; no default
+    }
+  },
+
   // Rate Limiting
   rateLimit: {
     // Global rate limiting
@@ -190,6 +444,22 @@ module.exports = {
       passwordReset: {
         windowMs: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_WINDOW_MS) || 3600000, // 1 hour
         max: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_MAX) || 3
+      },
+      mfa: {
+        windowMs: parseInt(process.env.RATE_LIMIT_MFA_WINDOW_MS) || 900000, // 15 minutes
+        max: parseInt(process.env.RATE_LIMIT_MFA_MAX) || 10
+      },
+      qrLogin: {
+        windowMs: parseInt(process.env.RATE_LIMIT_QR_LOGIN_WINDOW_MS) || 300000, // 5 minutes
+        max: parseInt(process.env.RATE_LIMIT_QR_LOGIN_MAX) || 20
+      },
+      qrLoginPoll: {
+        windowMs: parseInt(process.env.RATE_LIMIT_QR_LOGIN_POLL_WINDOW_MS) || 300000, // 5 minutes
+        max: parseInt(process.env.RATE_LIMIT_QR_LOGIN_POLL_MAX) || 300
+      },
+      oauth: {
+        windowMs: parseInt(process.env.RATE_LIMIT_OAUTH_WINDOW_MS) || 900000, // 15 minutes
+        max: parseInt(process.env.RATE_LIMIT_OAUTH_MAX) || 100
       }
     }
   },
@@ -204,7 +474,8 @@ module.exports = {
       'Authorization',
       'X-API-Key',
       'X-Device-ID',
-      'X-App-Version'
+      'X-App-Version',
+      'X-Recent-Auth'
     ],
     credentials: process.env.CORS_CREDENTIALS === 'true',
     maxAge: parseInt(process.env.CORS_MAX_AGE) || 86400
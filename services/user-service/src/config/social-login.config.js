@@ -0,0 +1,51 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+module.exports = {
+  // Third-party OAuth2 sign-in (enabled by FEATURE_SOCIAL_LOGIN)
+  social: {
+    // Authorization state and phone-binding handoff lifetimes (seconds)
+    stateTtl: parseInt(process.env.SOCIAL_LOGIN_STATE_TTL) || 600,
+    bindingTtl: parseInt(process.env.SOCIAL_LOGIN_BINDING_TTL) || 900,
+
+    // Provider HTTP timeout (milliseconds)
+    timeout: parseInt(process.env.SOCIAL_LOGIN_TIMEOUT) || 5000,
+
+    providers: {
+      // WeChat Open Platform website application
+      wechat: {
+        enabled: process.env.WECHAT_LOGIN_ENABLED !== 'false' && !!process.env.WECHAT_APP_ID,
+        clientId: process.env.WECHAT_APP_ID,
+        clientSecret: process.env.WECHAT_APP_SECRET,
+        redirectUri: process.env.WECHAT_REDIRECT_URI,
+        scope: process.env.WECHAT_SCOPE || 'snsapi_login',
+        authorizeUrl: process.env.WECHAT_AUTHORIZE_URL || 'https://open.weixin.qq.com/connect/qrconnect',
+        apiBaseUrl: process.env.WECHAT_API_BASE_URL || 'https://api.weixin.qq.com'
+      },
+
+      // QQ Connect
+      qq: {
+        enabled: process.env.QQ_LOGIN_ENABLED !== 'false' && !!process.env.QQ_APP_ID,
+        clientId: process.env.QQ_APP_ID,
+        clientSecret: process.env.QQ_APP_KEY,
+        redirectUri: process.env.QQ_REDIRECT_URI,
+        scope: process.env.QQ_SCOPE || 'get_user_info',
+        authorizeUrl: process.env.QQ_AUTHORIZE_URL || 'https://graph.qq.com/oauth2.0/authorize',
+        apiBaseUrl: process.env.QQ_API_BASE_URL || 'https://graph.qq.com'
+      },
+
+      // Sina Weibo
+      weibo: {
+        enabled: process.env.WEIBO_LOGIN_ENABLED !== 'false' && !!process.env.WEIBO_APP_KEY,
+        clientId: process.env.WEIBO_APP_KEY,
+        clientSecret: process.env.WEIBO_APP_SECRET,
+        redirectUri: process.env.WEIBO_REDIRECT_URI,
+        scope: process.env.WEIBO_SCOPE || '',
+        authorizeUrl: process.env.WEIBO_AUTHORIZE_URL || 'https://api.weibo.com/oauth2/authorize',
+        apiBaseUrl: process.env.WEIBO_API_BASE_URL || 'https://api.weibo.com'
+      }
+    }
+  }
+};
@@ -0,0 +1,174 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const accountRecoveryService = require('../../services/account-recovery.service');
+const logger = require('../../utils/logger.util');
+const apiResponse = require('../../../../shared/utils/api.response');
+const { ValidationError } = require('../../errors/validationError');
+const rateLimitMiddleware = require('../../middleware/rate-limit.middleware');
+const auditMiddleware = require('../../middleware/audit.middleware');
+
+const router = express.Router();
+
+/**
+ * List Account Recovery Cases (Admin)
+ * GET /api/v1/admin/recovery-cases
+ */
+router.get('/recovery-cases',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(['pending_review', 'approved', 'rejected', 'completed', 'cancelled', 'expired']).withMessage('Invalid status')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Recovery case list validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const filters = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        status: req.query.status || 'pending_review'
+      };
+
+      const result = await accountRecoveryService.listCases(filters);
+
+      res.status(200).json(apiResponse.success(result, 'Account recovery cases retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get Account Recovery Case (Admin)
+ * GET /api/v1/admin/recovery-cases/:caseId
+ */
+router.get('/recovery-cases/:caseId',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    param('caseId').isUUID().withMessage('Valid case ID is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const recoveryCase = await accountRecoveryService.getCaseForReview(req.params.caseId);
+
+      res.status(200).json(apiResponse.success({ case: recoveryCase }, 'Account recovery case retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Approve Account Recovery Case (Admin)
+ * POST /api/v1/admin/recovery-cases/:caseId/approve
+ */
+router.post('/recovery-cases/:caseId/approve',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    param('caseId').isUUID().withMessage('Valid case ID is required'),
+    body('note').optional().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const adminUserId = req.user.userId;
+
+      const recoveryCase = await accountRecoveryService.approveCase(req.params.caseId, adminUserId, req.body.note || null, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.warn('Account recovery case approved by admin', {
+        adminUserId,
+        caseId: recoveryCase.case_id,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success({ case: recoveryCase }, 'Account recovery case approved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Reject Account Recovery Case (Admin)
+ * POST /api/v1/admin/recovery-cases/:caseId/reject
+ */
+router.post('/recovery-cases/:caseId/reject',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    param('caseId').isUUID().withMessage('Valid case ID is required'),
+    body('note').isLength({ min: 1, max: 1000 }).withMessage('Rejection note must be 1-1000 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const adminUserId = req.user.userId;
+
+      const recoveryCase = await accountRecoveryService.rejectCase(req.params.caseId, adminUserId, req.body.note, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Account recovery case rejected by admin', {
+        adminUserId,
+        caseId: recoveryCase.case_id,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success({ case: recoveryCase }, 'Account recovery case rejected successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
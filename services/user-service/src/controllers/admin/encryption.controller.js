@@ -0,0 +1,167 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const keyRotationService = require('../../services/key-rotation.service');
+const keyRotationJob = require('../../jobs/key-rotation.job');
+const logger = require('../../utils/logger.util');
+const apiResponse = require('../../../../shared/utils/api.response');
+const { ValidationError } = require('../../errors/validationError');
+const rateLimitMiddleware = require('../../middleware/rate-limit.middleware');
+const auditMiddleware = require('../../middleware/audit.middleware');
+
+const router = express.Router();
+
+/**
+ * Get Key Rotation Status (Admin)
+ * GET /api/v1/admin/encryption/key-rotation
+ */
+router.get('/encryption/key-rotation',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  async (req, res, next) => {
+    try {
+      const adminUserId = req.user.userId;
+
+      const status = await keyRotationService.getStatus();
+
+      logger.info('Encryption key rotation status retrieved', {
+        adminUserId,
+        activeKeyVersion: status.keyring.active_key_version,
+        rotationId: status.rotation ? status.rotation.id : null,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(status, 'Key rotation status retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Key Rotation (Admin)
+ * POST /api/v1/admin/encryption/key-rotation
+ */
+router.post('/encryption/key-rotation',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  async (req, res, next) => {
+    try {
+      const adminUserId = req.user.userId;
+
+      const rotation = await keyRotationService.startRotation(adminUserId);
+
+      // Re-encryption runs in the background; progress is polled via GET
+      keyRotationJob.runManualRotation().catch(error => {
+        logger.error('Background key rotation failed', {
+          rotationId: rotation.id,
+          error: error.message
+        });
+      });
+
+      logger.info('Encryption key rotation started by admin', {
+        adminUserId,
+        rotationId: rotation.id,
+        keyVersion: rotation.key_version,
+        requestId: req.requestId
+      });
+
+      res.status(202).json(apiResponse.success({ rotation }, 'Key rotation started', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get Key Rotation Progress (Admin)
+ * GET /api/v1/admin/encryption/key-rotation/:rotationId
+ */
+router.get('/encryption/key-rotation/:rotationId',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    param('rotationId').isInt({ min: 1 }).withMessage('Rotation ID must be a positive integer')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Key rotation lookup validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const adminUserId = req.user.userId;
+      const { rotationId } = req.params;
+
+      const rotation = await keyRotationService.getRotation(rotationId);
+
+      logger.info('Encryption key rotation progress retrieved', {
+        adminUserId,
+        rotationId,
+        status: rotation.status,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success({ rotation }, 'Key rotation progress retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Resume Failed Key Rotation (Admin)
+ * POST /api/v1/admin/encryption/key-rotation/:rotationId/resume
+ */
+router.post('/encryption/key-rotation/:rotationId/resume',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    param('rotationId').isInt({ min: 1 }).withMessage('Rotation ID must be a positive integer')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Key rotation resume validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const adminUserId = req.user.userId;
+      const { rotationId } = req.params;
+
+      const rotation = await keyRotationService.resumeRotation(rotationId, adminUserId);
+
+      // Continues from the saved per-table cursors in the background
+      keyRotationJob.runManualRotation().catch(error => {
+        logger.error('Background key rotation failed', {
+          rotationId: rotation.id,
+          error: error.message
+        });
+      });
+
+      logger.info('Encryption key rotation resumed by admin', {
+        adminUserId,
+        rotationId: rotation.id,
+        keyVersion: rotation.key_version,
+        requestId: req.requestId
+      });
+
+      res.status(202).json(apiResponse.success({ rotation }, 'Key rotation resumed', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
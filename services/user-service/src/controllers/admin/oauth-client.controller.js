@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const oauthService = require('../../services/oauth.service');
+const logger = require('../../utils/logger.util');
+const apiResponse = require('../../../../shared/utils/api.response');
+const { ValidationError } = require('../../errors/validationError');
+const rateLimitMiddleware = require('../../middleware/rate-limit.middleware');
+const auditMiddleware = require('../../middleware/audit.middleware');
+
+const router = express.Router();
+
+/**
+ * List OAuth Clients (Admin)
+ * GET /api/v1/admin/oauth/clients
+ */
+router.get('/oauth/clients',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  async (req, res, next) => {
+    try {
+      const clients = await oauthService.listClients();
+
+      res.status(200).json(apiResponse.success({ clients }, 'OAuth clients retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Register OAuth Client (Admin)
+ * POST /api/v1/admin/oauth/clients
+ */
+router.post('/oauth/clients',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    body('name').isString().isLength({ min: 1, max: 100 }).withMessage('Client name must be 1-100 characters'),
+    body('logo_url').optional().isURL().withMessage('Invalid logo URL'),
+    body('client_type').optional().isIn(['public', 'confidential']).withMessage('Invalid client type'),
+    body('redirect_uris').isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 redirect URIs are required'),
+    body('redirect_uris.*').isString().notEmpty().withMessage('Invalid redirect URI'),
+    body('allowed_scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('allowed_scopes.*').isString().notEmpty().withMessage('Invalid scope')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('OAuth client validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const adminUserId = req.user.userId;
+      const { name, logo_url, client_type, redirect_uris, allowed_scopes } = req.body;
+
+      const client = await oauthService.registerClient({
+        name,
+        logo_url,
+        client_type,
+        redirect_uris,
+        allowed_scopes
+      }, adminUserId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('OAuth client registered by admin', {
+        adminUserId,
+        clientId: client.client_id,
+        requestId: req.requestId
+      });
+
+      res.status(201).json(apiResponse.success({ client }, 'OAuth client registered successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Update OAuth Client (Admin)
+ * PUT /api/v1/admin/oauth/clients/:clientId
+ */
+router.put('/oauth/clients/:clientId',
+  rateLimitMiddleware.adminRateLimit,
+  auditMiddleware.logAdminAction,
+  [
+    param('clientId').isLength({ min: 1, max: 64 }).withMessage('Invalid client ID'),
+    body('name').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Client name must be 1-100 characters'),
+    body('logo_url').optional({ nullable: true }).isURL().withMessage('Invalid logo URL'),
+    body('redirect_uris').optional().isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 redirect URIs are required'),
+    body('redirect_uris.*').isString().notEmpty().withMessage('Invalid redirect URI'),
+    body('allowed_scopes').optional().isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('allowed_scopes.*').isString().notEmpty().withMessage('Invalid scope'),
+    body('status').optional().isIn(['active', 'suspended']).withMessage('Invalid status')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('OAuth client validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const adminUserId = req.user.userId;
+      const updates = {};
+      for (const field of ['name', 'logo_url', 'redirect_uris', 'allowed_scopes', 'status']) {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      }
+
+      const client = await oauthService.updateClient(req.params.clientId, updates, adminUserId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('OAuth client updated by admin', {
+        adminUserId,
+        clientId: client.client_id,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success({ client }, 'OAuth client updated successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
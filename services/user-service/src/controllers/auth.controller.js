@@ -1,13 +1,22 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authService = require('../services/auth.service');
 const otpService = require('../services/otp.service');
+const passkeyService = require('../services/passkey.service');
+const deviceKeyService = require('../services/device-key.service');
+const qrLoginService = require('../services/qr-login.service');
+const loginAlertService = require('../services/login-alert.service');
+const accountRecoveryService = require('../services/account-recovery.service');
+const reauthenticationService = require('../services/reauthentication.service');
+const { getSupportedProviders } = require('../providers/social');
 const validationUtil = require('../utils/validation.util');
 const logger = require('../utils/logger.util');
 const apiResponse = require('../../../shared/utils/api.response');
 const { AuthError } = require('../errors/authError');
 const { ValidationError } = require('../errors/validationError');
+const authMiddleware = require('../middleware/auth.middleware');
 const rateLimitMiddleware = require('../middleware/rate-limit.middleware');
+const auditMiddleware = require('../middleware/audit.middleware');
 
 const router = express.Router();
 
@@ -17,6 +26,7 @@ const router = express.Router();
  */
 router.post('/register/otp', 
   rateLimitMiddleware.otpRateLimit,
+  rateLimitMiddleware.requireChallenge('register_otp'),
   [
     body('phone').notEmpty().withMessage('Phone number is required')
   ],
@@ -111,6 +121,7 @@ router.post('/register',
  */
 router.post('/login/otp',
   rateLimitMiddleware.otpRateLimit,
+  rateLimitMiddleware.requireChallenge('login_otp'),
   [
     body('phone').notEmpty().withMessage('Phone number is required')
   ],
@@ -152,6 +163,7 @@ router.post('/login/otp',
  */
 router.post('/login',
   rateLimitMiddleware.loginRateLimit,
+  rateLimitMiddleware.requireChallenge('login'),
   [
     body('phone').notEmpty().withMessage('Phone number is required'),
     body('device_id').notEmpty().withMessage('Device ID is required'),
@@ -181,6 +193,25 @@ router.post('/login',
         userAgent
       });
 
+      if (result.mfa_required) {
+        logger.info('Login requires MFA verification', {
+          ipAddress,
+          requestId: req.requestId
+        });
+
+        return res.status(200).json(apiResponse.success(result, 'Two-factor authentication required', req.requestId));
+      }
+
+      if (result.step_up_required) {
+        logger.info('Login requires step-up verification', {
+          riskLevel: result.risk_level,
+          ipAddress,
+          requestId: req.requestId
+        });
+
+        return res.status(200).json(apiResponse.success(result, 'Additional verification required', req.requestId));
+      }
+
       logger.info('User logged in successfully', {
         userId: result.user.id,
         phone: result.user.phone,
@@ -189,7 +220,1058 @@ router.post('/login',
         requestId: req.requestId
       });
 
-      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Login with MFA Code
+ * POST /api/v1/auth/login/mfa
+ */
+router.post('/login/mfa',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    body('mfa_token').notEmpty().withMessage('MFA token is required'),
+    body('code').notEmpty().withMessage('Authentication code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('MFA login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { mfa_token, code } = req.body;
+      const ipAddress = req.ip;
+      const userAgent = req.get('User-Agent');
+
+      const result = await authService.completeMfaLogin({
+        mfa_token,
+        code,
+        ipAddress,
+        userAgent
+      });
+
+      logger.info('User logged in successfully with MFA', {
+        userId: result.user.id,
+        sessionId: result.session.id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Risky Login with SMS OTP
+ * POST /api/v1/auth/login/step-up
+ */
+router.post('/login/step-up',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    body('step_up_token').notEmpty().withMessage('Step-up token is required'),
+    body('otp_code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('OTP code must be 6 digits')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Step-up login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { step_up_token, otp_code } = req.body;
+      const ipAddress = req.ip;
+      const userAgent = req.get('User-Agent');
+
+      const result = await authService.completeStepUpLogin({
+        step_up_token,
+        otp_code,
+        ipAddress,
+        userAgent
+      });
+
+      logger.info('User logged in successfully after step-up', {
+        userId: result.user.id,
+        sessionId: result.session.id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Report a Login from a New-Device Alert ("this wasn't me")
+ * POST /api/v1/auth/login-alert/revoke
+ */
+router.post('/login-alert/revoke',
+  rateLimitMiddleware.authRateLimit,
+  [
+    body('token').notEmpty().withMessage('Alert token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await loginAlertService.revokeFromAlert(req.body.token, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('Login reported from alert', {
+        ipAddress: req.ip,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Session signed out, please reset your password', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Passkey Registration
+ * POST /api/v1/auth/passkey/register/options
+ */
+router.post('/passkey/register/options',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.mfaRateLimit,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const options = await passkeyService.generateRegistrationOptions(userId);
+
+      res.status(200).json(apiResponse.success({ options }, 'Passkey registration options generated', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Passkey Registration
+ * POST /api/v1/auth/passkey/register/verify
+ */
+router.post('/passkey/register/verify',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.mfaRateLimit,
+  [
+    body('credential.id').isString().notEmpty().withMessage('Credential ID is required'),
+    body('credential.response.clientDataJSON').isString().notEmpty().withMessage('Client data is required'),
+    body('credential.response.attestationObject').isString().notEmpty().withMessage('Attestation object is required'),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Passkey name must be 1-100 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Passkey registration validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      const passkey = await passkeyService.verifyRegistration(userId, {
+        credential: req.body.credential,
+        name: req.body.name
+      }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId,
+        deviceId: req.user.deviceId
+      });
+
+      logger.info('Passkey registered', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(201).json(apiResponse.success({ passkey }, 'Passkey registered successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Passkey Login
+ * POST /api/v1/auth/passkey/login/options
+ */
+router.post('/passkey/login/options',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    body('phone').optional().notEmpty().withMessage('Phone number cannot be empty')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Passkey login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await passkeyService.generateAuthenticationOptions({
+        phone: req.body.phone
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Passkey login options generated', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Passkey Login
+ * POST /api/v1/auth/passkey/login/verify
+ */
+router.post('/passkey/login/verify',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    body('challenge_id').isUUID().withMessage('Valid challenge ID is required'),
+    body('credential.id').isString().notEmpty().withMessage('Credential ID is required'),
+    body('credential.response.clientDataJSON').isString().notEmpty().withMessage('Client data is required'),
+    body('credential.response.authenticatorData').isString().notEmpty().withMessage('Authenticator data is required'),
+    body('credential.response.signature').isString().notEmpty().withMessage('Signature is required'),
+    body('device_id').notEmpty().withMessage('Device ID is required'),
+    body('device_type').isIn(['mobile', 'desktop', 'tablet']).withMessage('Invalid device type'),
+    body('device_name').notEmpty().withMessage('Device name is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Passkey login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { challenge_id, credential, device_id, device_type, device_name } = req.body;
+      const ipAddress = req.ip;
+      const userAgent = req.get('User-Agent');
+
+      const result = await passkeyService.verifyAuthentication({
+        challenge_id,
+        credential,
+        device_id,
+        device_type,
+        device_name,
+        ipAddress,
+        userAgent
+      });
+
+      logger.info('User logged in successfully with passkey', {
+        userId: result.user.id,
+        sessionId: result.session.id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Biometric Key Registration
+ * POST /api/v1/auth/biometric/register/options
+ */
+router.post('/biometric/register/options',
+  authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(),
+  rateLimitMiddleware.mfaRateLimit,
+  async (req, res, next) => {
+    try {
+      const { userId, deviceId } = req.user;
+
+      const result = await deviceKeyService.generateRegistrationChallenge(userId, deviceId);
+
+      res.status(200).json(apiResponse.success(result, 'Biometric registration challenge generated', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Biometric Key Registration
+ * POST /api/v1/auth/biometric/register/verify
+ */
+router.post('/biometric/register/verify',
+  authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(),
+  rateLimitMiddleware.mfaRateLimit,
+  [
+    body('public_key').isString().notEmpty().withMessage('Public key is required'),
+    body('algorithm').isIn(['ES256', 'RS256']).withMessage('Algorithm must be ES256 or RS256'),
+    body('signature').isString().notEmpty().withMessage('Signature is required'),
+    body('device_name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Device name must be 1-100 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Biometric registration validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { userId, deviceId } = req.user;
+
+      const deviceKey = await deviceKeyService.registerKey(userId, deviceId, {
+        public_key: req.body.public_key,
+        algorithm: req.body.algorithm,
+        signature: req.body.signature,
+        device_name: req.body.device_name
+      }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Biometric device key registered', {
+        userId,
+        deviceId,
+        requestId: req.requestId
+      });
+
+      res.status(201).json(apiResponse.success({ device_key: deviceKey }, 'Biometric login enabled for this device', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Biometric Login
+ * POST /api/v1/auth/biometric/login/options
+ */
+router.post('/biometric/login/options',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    body('key_id').isUUID().withMessage('Valid key ID is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Biometric login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await deviceKeyService.generateLoginChallenge({
+        key_id: req.body.key_id
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Biometric login challenge generated', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Biometric Login
+ * POST /api/v1/auth/biometric/login/verify
+ */
+router.post('/biometric/login/verify',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    body('challenge_id').isUUID().withMessage('Valid challenge ID is required'),
+    body('key_id').isUUID().withMessage('Valid key ID is required'),
+    body('signature').isString().notEmpty().withMessage('Signature is required'),
+    body('device_id').notEmpty().withMessage('Device ID is required'),
+    body('device_type').isIn(['mobile', 'desktop', 'tablet']).withMessage('Invalid device type'),
+    body('device_name').notEmpty().withMessage('Device name is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Biometric login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { challenge_id, key_id, signature, device_id, device_type, device_name } = req.body;
+      const ipAddress = req.ip;
+      const userAgent = req.get('User-Agent');
+
+      const result = await deviceKeyService.verifyLogin({
+        challenge_id,
+        key_id,
+        signature,
+        device_id,
+        device_type,
+        device_name,
+        ipAddress,
+        userAgent
+      });
+
+      logger.info('User logged in successfully with biometric device key', {
+        userId: result.user.id,
+        sessionId: result.session.id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Create QR Login Ticket (web client)
+ * POST /api/v1/auth/qr-login/tickets
+ */
+router.post('/qr-login/tickets',
+  rateLimitMiddleware.qrLoginRateLimit,
+  [
+    body('device_id').notEmpty().withMessage('Device ID is required'),
+    body('device_type').isIn(['mobile', 'desktop', 'tablet']).withMessage('Invalid device type'),
+    body('device_name').notEmpty().withMessage('Device name is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('QR login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { device_id, device_type, device_name } = req.body;
+
+      const result = await qrLoginService.createTicket({
+        device_id,
+        device_type,
+        device_name,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(201).json(apiResponse.success(result, 'QR login ticket created', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get QR Login Ticket Status (web client, supports long polling)
+ * POST /api/v1/auth/qr-login/tickets/:ticketId/status
+ */
+router.post('/qr-login/tickets/:ticketId/status',
+  rateLimitMiddleware.qrLoginPollRateLimit,
+  [
+    param('ticketId').isUUID().withMessage('Invalid ticket ID'),
+    body('poll_token').notEmpty().withMessage('Poll token is required'),
+    body('wait').optional().isBoolean().withMessage('Wait must be a boolean'),
+    body('last_status').optional().isIn(['pending', 'scanned']).withMessage('Invalid last status')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('QR login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await qrLoginService.pollTicket(req.params.ticketId, req.body.poll_token, {
+        wait: req.body.wait === true || req.body.wait === 'true',
+        lastStatus: req.body.last_status
+      });
+
+      if (result.status === 'confirmed') {
+        logger.info('User logged in successfully with QR code', {
+          userId: result.user.id,
+          sessionId: result.session.id,
+          ipAddress: req.ip,
+          requestId: req.requestId
+        });
+
+        return res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+      }
+
+      res.status(200).json(apiResponse.success(result, 'QR login ticket status retrieved', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Scan QR Login Ticket (signed-in mobile app)
+ * POST /api/v1/auth/qr-login/tickets/:ticketId/scan
+ */
+router.post('/qr-login/tickets/:ticketId/scan',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.qrLoginRateLimit,
+  [
+    param('ticketId').isUUID().withMessage('Invalid ticket ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('QR login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await qrLoginService.scanTicket(req.params.ticketId, req.user, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json(apiResponse.success(result, 'QR login ticket scanned', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Confirm QR Login Ticket (signed-in mobile app)
+ * POST /api/v1/auth/qr-login/tickets/:ticketId/confirm
+ */
+router.post('/qr-login/tickets/:ticketId/confirm',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.qrLoginRateLimit,
+  [
+    param('ticketId').isUUID().withMessage('Invalid ticket ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('QR login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await qrLoginService.confirmTicket(req.params.ticketId, req.user, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('QR login confirmed', {
+        userId: req.user.userId,
+        sessionId: result.session.id,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'QR login confirmed', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Social Login
+ * GET /api/v1/auth/social/:provider/authorize
+ */
+router.get('/social/:provider/authorize',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    param('provider').isIn(getSupportedProviders()).withMessage('Unsupported social login provider')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Social login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await authService.getSocialAuthorizationUrl(req.params.provider);
+
+      res.status(200).json(apiResponse.success(result, 'Social login authorization URL generated', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Social Login with Authorization Code
+ * POST /api/v1/auth/social/:provider/callback
+ */
+router.post('/social/:provider/callback',
+  rateLimitMiddleware.loginRateLimit,
+  [
+    param('provider').isIn(getSupportedProviders()).withMessage('Unsupported social login provider'),
+    body('code').isString().notEmpty().withMessage('Authorization code is required'),
+    body('state').isString().notEmpty().withMessage('State is required'),
+    body('device_id').notEmpty().withMessage('Device ID is required'),
+    body('device_type').isIn(['mobile', 'desktop', 'tablet']).withMessage('Invalid device type'),
+    body('device_name').notEmpty().withMessage('Device name is required'),
+    body('device_token').optional().isString().isLength({ max: 2048 }).withMessage('Invalid device token')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Social login validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { code, state, device_id, device_type, device_name, device_token } = req.body;
+      const ipAddress = req.ip;
+      const userAgent = req.get('User-Agent');
+
+      const result = await authService.socialLogin({
+        provider: req.params.provider,
+        code,
+        state,
+        device_id,
+        device_type,
+        device_name,
+        device_token,
+        ipAddress,
+        userAgent
+      });
+
+      if (result.binding_required) {
+        return res.status(200).json(apiResponse.success(result, 'Phone number binding required', req.requestId));
+      }
+
+      if (result.mfa_required) {
+        logger.info('Social login requires MFA verification', {
+          provider: req.params.provider,
+          ipAddress,
+          requestId: req.requestId
+        });
+
+        return res.status(200).json(apiResponse.success(result, 'Two-factor authentication required', req.requestId));
+      }
+
+      if (result.step_up_required) {
+        logger.info('Social login requires step-up verification', {
+          provider: req.params.provider,
+          riskLevel: result.risk_level,
+          ipAddress,
+          requestId: req.requestId
+        });
+
+        return res.status(200).json(apiResponse.success(result, 'Additional verification required', req.requestId));
+      }
+
+      logger.info('User logged in successfully with social account', {
+        userId: result.user.id,
+        provider: req.params.provider,
+        sessionId: result.session.id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Bind Phone Number to Social Login
+ * POST /api/v1/auth/social/bind-phone
+ */
+router.post('/social/bind-phone',
+  rateLimitMiddleware.registerRateLimit,
+  [
+    body('binding_token').isString().notEmpty().withMessage('Binding token is required'),
+    body('phone').notEmpty().withMessage('Phone number is required'),
+    body('verification_id').isUUID().withMessage('Valid verification ID is required'),
+    body('otp_code').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+    body('password').optional().isString().withMessage('Password must be a string'),
+    body('device_id').notEmpty().withMessage('Device ID is required'),
+    body('device_type').isIn(['mobile', 'desktop', 'tablet']).withMessage('Invalid device type'),
+    body('device_name').notEmpty().withMessage('Device name is required'),
+    body('device_token').optional().isString().isLength({ max: 2048 }).withMessage('Invalid device token')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Phone binding validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const {
+        binding_token,
+        phone,
+        verification_id,
+        otp_code,
+        password,
+        device_id,
+        device_type,
+        device_name,
+        device_token
+      } = req.body;
+      const ipAddress = req.ip;
+      const userAgent = req.get('User-Agent');
+
+      const result = await authService.completeSocialBinding({
+        binding_token,
+        phone,
+        verification_id,
+        otp_code,
+        password,
+        device_id,
+        device_type,
+        device_name,
+        device_token,
+        ipAddress,
+        userAgent
+      });
+
+      if (result.mfa_required) {
+        return res.status(200).json(apiResponse.success(result, 'Two-factor authentication required', req.requestId));
+      }
+
+      logger.info('Social account bound to phone number', {
+        userId: result.user.id,
+        sessionId: result.session.id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Login successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Token Refresh
+ * POST /api/v1/auth/refresh
+ */
+router.post('/refresh',
+  auditMiddleware.logSecurityEvent('refresh_token_reuse',
+    (req, data) => data?.error?.code === 'REFRESH_TOKEN_REUSED'
+  ),
+  [
+    body('refresh_token').notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { refresh_token } = req.body;
+
+      const result = await authService.refreshTokens(refresh_token);
+
+      logger.info('Tokens refreshed successfully', {
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Tokens refreshed successfully', req.requestId));
+    } catch (error) {
+      // Expose the revoked family to the security audit log
+      if (error.errorCode === 'REFRESH_TOKEN_REUSED') {
+        req.securityEvent = error.attemptDetails;
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * User Logout
+ * POST /api/v1/auth/logout
+ */
+router.post('/logout',
+  async (req, res, next) => {
+    try {
+      const authHeader = req.get('Authorization');
+      if (!authHeader) {
+        throw AuthError.missingToken('Authorization header is required');
+      }
+
+      const token = authHeader.replace('Bearer ', '');
+      
+      await authService.logoutUser(token);
+
+      logger.info('User logged out successfully', {
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(null, 'Logged out successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Request OTP for Re-authentication
+ * POST /api/v1/auth/reauthenticate/otp
+ */
+router.post('/reauthenticate/otp',
+  authMiddleware.allowSessionStepUp,
+  authMiddleware.authenticate,
+  rateLimitMiddleware.otpRateLimit,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const result = await reauthenticationService.requestOtp(userId, req.ip);
+
+      logger.info('Re-authentication OTP requested', {
+        userId,
+        verificationId: result.verification_id,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'OTP sent successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Re-authenticate
+ * POST /api/v1/auth/reauthenticate
+ */
+router.post('/reauthenticate',
+  authMiddleware.allowSessionStepUp,
+  authMiddleware.authenticate,
+  rateLimitMiddleware.authRateLimit,
+  [
+    body('method').isIn(['password', 'otp', 'totp']).withMessage('Method must be password, otp or totp'),
+    body('password').if(body('method').equals('password')).notEmpty().withMessage('Password is required'),
+    body('verification_id').if(body('method').equals('otp')).isUUID().withMessage('Valid verification ID is required'),
+    body('otp_code').if(body('method').equals('otp')).isLength({ min: 6, max: 6 }).isNumeric().withMessage('OTP code must be 6 digits'),
+    body('code').if(body('method').equals('totp')).notEmpty().withMessage('Authentication code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Re-authentication validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { userId, sessionId, deviceId } = req.user;
+      const { method, password, verification_id, otp_code, code } = req.body;
+
+      const result = await reauthenticationService.reauthenticate(userId, sessionId, {
+        method,
+        password,
+        verification_id,
+        otp_code,
+        code
+      }, {
+        ipAddress: req.ip,
+        deviceId,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('User re-authenticated', {
+        userId,
+        method,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Re-authentication successful', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Request OTP for Password Reset
+ * POST /api/v1/auth/forgot-password/otp
+ */
+router.post('/forgot-password/otp',
+  rateLimitMiddleware.passwordResetRateLimit,
+  rateLimitMiddleware.requireChallenge('password_reset_otp'),
+  [
+    body('phone').notEmpty().withMessage('Phone number is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { phone } = req.body;
+      const ipAddress = req.ip;
+
+      const result = await otpService.sendPasswordResetOtp(phone, ipAddress);
+
+      logger.info('Password reset OTP requested', {
+        phone: result.phone,
+        verificationId: result.verification_id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'OTP sent successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Request OTP for Account Unlock
+ * POST /api/v1/auth/unlock/otp
+ */
+router.post('/unlock/otp',
+  rateLimitMiddleware.otpRateLimit,
+  rateLimitMiddleware.requireChallenge('account_unlock_otp'),
+  [
+    body('phone').notEmpty().withMessage('Phone number is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const { phone } = req.body;
+      const ipAddress = req.ip;
+
+      const result = await otpService.sendAccountUnlockOtp(phone, ipAddress);
+
+      logger.info('Account unlock OTP requested', {
+        phone: result.phone,
+        verificationId: result.verification_id,
+        ipAddress,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'OTP sent successfully', req.requestId));
     } catch (error) {
       next(error);
     }
@@ -197,18 +1279,21 @@ router.post('/login',
 );
 
 /**
- * Token Refresh
- * POST /api/v1/auth/refresh
+ * Unlock Account
+ * POST /api/v1/auth/unlock
  */
-router.post('/refresh',
+router.post('/unlock',
+  rateLimitMiddleware.authRateLimit,
   [
-    body('refresh_token').notEmpty().withMessage('Refresh token is required')
+    body('phone').notEmpty().withMessage('Phone number is required'),
+    body('verification_id').isUUID().withMessage('Valid verification ID is required'),
+    body('otp_code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('OTP code must be 6 digits')
   ],
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        throw ValidationError.multipleFields('Validation failed', 
+        throw ValidationError.multipleFields('Account unlock validation failed', 
           errors.array().map(err => ({
             field: err.path,
             message: err.msg,
@@ -217,15 +1302,22 @@ router.post('/refresh',
         );
       }
 
-      const { refresh_token } = req.body;
+      const { phone, verification_id, otp_code } = req.body;
 
-      const result = await authService.refreshTokens(refresh_token);
+      const result = await authService.unlockAccount({
+        phone,
+        verification_id,
+        otp_code,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
-      logger.info('Tokens refreshed successfully', {
+      logger.info('Account unlocked', {
+        ipAddress: req.ip,
         requestId: req.requestId
       });
 
-      res.status(200).json(apiResponse.success(result, 'Tokens refreshed successfully', req.requestId));
+      res.status(200).json(apiResponse.success(result, 'Account unlocked successfully', req.requestId));
     } catch (error) {
       next(error);
     }
@@ -233,26 +1325,51 @@ router.post('/refresh',
 );
 
 /**
- * User Logout
- * POST /api/v1/auth/logout
+ * Reset Password
+ * POST /api/v1/auth/reset-password
  */
-router.post('/logout',
+router.post('/reset-password',
+  rateLimitMiddleware.passwordResetRateLimit,
+  [
+    body('phone').notEmpty().withMessage('Phone number is required'),
+    body('verification_id').isUUID().withMessage('Valid verification ID is required'),
+    body('otp_code').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+    body('new_password').notEmpty().withMessage('New password is required'),
+    body('confirm_password').custom((value, { req }) => {
+      if (value !== req.body.new_password) {
+        throw new Error('Password confirmation does not match');
+      }
+      return true;
+    })
+  ],
   async (req, res, next) => {
     try {
-      const authHeader = req.get('Authorization');
-      if (!authHeader) {
-        throw AuthError.missingToken('Authorization header is required');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Password reset validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
       }
 
-      const token = authHeader.replace('Bearer ', '');
-      
-      await authService.logoutUser(token);
+      const { phone, verification_id, otp_code, new_password } = req.body;
 
-      logger.info('User logged out successfully', {
+      const result = await authService.resetPassword({
+        phone,
+        verification_id,
+        otp_code,
+        new_password
+      });
+
+      logger.info('Password reset successfully', {
+        phone,
         requestId: req.requestId
       });
 
-      res.status(200).json(apiResponse.success(null, 'Logged out successfully', req.requestId));
+      res.status(200).json(apiResponse.success(result, 'Password has been reset successfully', req.requestId));
     } catch (error) {
       next(error);
     }
@@ -260,13 +1377,14 @@ router.post('/logout',
 );
 
 /**
- * Request OTP for Password Reset
- * POST /api/v1/auth/forgot-password/otp
+ * Request Password Reset Email
+ * POST /api/v1/auth/forgot-password/email
  */
-router.post('/forgot-password/otp',
+router.post('/forgot-password/email',
   rateLimitMiddleware.passwordResetRateLimit,
+  rateLimitMiddleware.requireChallenge('password_reset_email'),
   [
-    body('phone').notEmpty().withMessage('Phone number is required')
+    body('email').isEmail().withMessage('Valid email address is required')
   ],
   async (req, res, next) => {
     try {
@@ -281,19 +1399,14 @@ router.post('/forgot-password/otp',
         );
       }
 
-      const { phone } = req.body;
-      const ipAddress = req.ip;
-
-      const result = await otpService.sendPasswordResetOtp(phone, ipAddress);
+      const result = await authService.requestPasswordResetEmail(req.body.email, req.ip);
 
-      logger.info('Password reset OTP requested', {
-        phone: result.phone,
-        verificationId: result.verification_id,
-        ipAddress,
+      logger.info('Password reset email requested', {
+        ipAddress: req.ip,
         requestId: req.requestId
       });
 
-      res.status(200).json(apiResponse.success(result, 'OTP sent successfully', req.requestId));
+      res.status(200).json(apiResponse.success(result, result.message, req.requestId));
     } catch (error) {
       next(error);
     }
@@ -301,15 +1414,13 @@ router.post('/forgot-password/otp',
 );
 
 /**
- * Reset Password
- * POST /api/v1/auth/reset-password
+ * Reset Password with Email Link
+ * POST /api/v1/auth/reset-password/email
  */
-router.post('/reset-password',
+router.post('/reset-password/email',
   rateLimitMiddleware.passwordResetRateLimit,
   [
-    body('phone').notEmpty().withMessage('Phone number is required'),
-    body('verification_id').isUUID().withMessage('Valid verification ID is required'),
-    body('otp_code').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+    body('token').notEmpty().withMessage('Reset token is required'),
     body('new_password').notEmpty().withMessage('New password is required'),
     body('confirm_password').custom((value, { req }) => {
       if (value !== req.body.new_password) {
@@ -331,17 +1442,15 @@ router.post('/reset-password',
         );
       }
 
-      const { phone, verification_id, otp_code, new_password } = req.body;
+      const { token, new_password } = req.body;
 
-      const result = await authService.resetPassword({
-        phone,
-        verification_id,
-        otp_code,
-        new_password
+      const result = await authService.resetPasswordWithEmail({ token, new_password }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
       });
 
-      logger.info('Password reset successfully', {
-        phone,
+      logger.info('Password reset with email link', {
+        ipAddress: req.ip,
         requestId: req.requestId
       });
 
@@ -352,4 +1461,216 @@ router.post('/reset-password',
   }
 );
 
+/**
+ * Submit Account Recovery Case
+ * POST /api/v1/auth/recovery/cases
+ */
+router.post('/recovery/cases',
+  rateLimitMiddleware.passwordResetRateLimit,
+  rateLimitMiddleware.requireChallenge('account_recovery'),
+  [
+    body('phone').notEmpty().withMessage('Lost phone number is required'),
+    body('new_phone').notEmpty().withMessage('New phone number is required'),
+    body('backup_code').optional().isString().withMessage('Backup code must be a string'),
+    body('device_id').optional().isString().isLength({ max: 255 }).withMessage('Device ID must be a string'),
+    body('real_name').optional().isObject().withMessage('Real-name data must be an object'),
+    body('real_name.birth_date').optional().isISO8601().withMessage('Birth date must be a valid date'),
+    body('description').optional().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    body().custom(value => {
+      const realName = value.real_name || {};
+      const hasRealName = ['first_name', 'last_name', 'birth_date', 'id_number'].some(field => realName[field]);
+      if (!value.backup_code && !value.device_id && !hasRealName) {
+        throw new Error('At least one piece of identity evidence is required');
+      }
+      return true;
+    })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Account recovery validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await accountRecoveryService.submitCase(req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('Account recovery case submitted', {
+        caseId: result.case_id,
+        ipAddress: req.ip,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Account recovery case submitted for review', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get Account Recovery Case Status
+ * POST /api/v1/auth/recovery/cases/:caseId/status
+ */
+router.post('/recovery/cases/:caseId/status',
+  rateLimitMiddleware.authRateLimit,
+  [
+    param('caseId').isUUID().withMessage('Valid case ID is required'),
+    body('case_token').notEmpty().withMessage('Case token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await accountRecoveryService.getCaseStatus(req.params.caseId, req.body.case_token);
+
+      res.status(200).json(apiResponse.success(result, 'Account recovery case retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Request OTP for Recovered Phone Number
+ * POST /api/v1/auth/recovery/cases/:caseId/phone/otp
+ */
+router.post('/recovery/cases/:caseId/phone/otp',
+  rateLimitMiddleware.otpRateLimit,
+  [
+    param('caseId').isUUID().withMessage('Valid case ID is required'),
+    body('case_token').notEmpty().withMessage('Case token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await accountRecoveryService.requestPhoneOtp(req.params.caseId, req.body.case_token, req.ip);
+
+      logger.info('Account recovery phone OTP requested', {
+        caseId: req.params.caseId,
+        ipAddress: req.ip,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'OTP sent to new phone number successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Complete Account Recovery
+ * POST /api/v1/auth/recovery/cases/:caseId/complete
+ */
+router.post('/recovery/cases/:caseId/complete',
+  rateLimitMiddleware.authRateLimit,
+  [
+    param('caseId').isUUID().withMessage('Valid case ID is required'),
+    body('case_token').notEmpty().withMessage('Case token is required'),
+    body('verification_id').isUUID().withMessage('Valid verification ID is required'),
+    body('otp_code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('OTP must be 6 digits')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await accountRecoveryService.completeCase(req.params.caseId, req.body.case_token, {
+        verification_id: req.body.verification_id,
+        otp_code: req.body.otp_code
+      }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('Account recovery completed', {
+        caseId: req.params.caseId,
+        ipAddress: req.ip,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Phone number replaced; please log in again', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Cancel Account Recovery Case
+ * POST /api/v1/auth/recovery/cases/:caseId/cancel
+ */
+router.post('/recovery/cases/:caseId/cancel',
+  rateLimitMiddleware.authRateLimit,
+  [
+    param('caseId').isUUID().withMessage('Valid case ID is required'),
+    body('case_token').notEmpty().withMessage('Case token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await accountRecoveryService.cancelByRequester(req.params.caseId, req.body.case_token, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('Account recovery case cancelled by requester', {
+        caseId: req.params.caseId,
+        ipAddress: req.ip,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Account recovery case cancelled successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
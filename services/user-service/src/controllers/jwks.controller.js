@@ -0,0 +1,50 @@
+const express = require('express');
+const signingKeyService = require('../services/signing-key.service');
+const oauthService = require('../services/oauth.service');
+const securityConfig = require('../config/security.config');
+const { AppError } = require('../errors/AppError');
+
+const router = express.Router();
+
+/**
+ * JSON Web Key Set
+ * GET /.well-known/jwks.json
+ *
+ * Public keys for verifying access tokens by `kid`. Returned as a bare
+ * JWKS document (RFC 7517) rather than the API envelope.
+ */
+router.get('/jwks.json',
+  async (req, res, next) => {
+    try {
+      res.set('Cache-Control', `public, max-age=${securityConfig.jwt.jwksCacheMaxAge}`);
+      res.status(200).json(signingKeyService.getJwks());
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * OpenID Connect Discovery
+ * GET /.well-known/openid-configuration
+ *
+ * Provider metadata for "Sign in with Lianxin" partner clients. Not found
+ * unless access tokens use an asymmetric algorithm (RS256 / ES256).
+ */
+router.get('/openid-configuration',
+  async (req, res, next) => {
+    try {
+      const document = oauthService.getDiscoveryDocument();
+      if (!document) {
+        throw AppError.notFound('OpenID Connect is not enabled');
+      }
+
+      res.set('Cache-Control', `public, max-age=${securityConfig.jwt.jwksCacheMaxAge}`);
+      res.status(200).json(document);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const oauthService = require('../services/oauth.service');
+const logger = require('../utils/logger.util');
+const apiResponse = require('../../../shared/utils/api.response');
+const { ValidationError } = require('../errors/validationError');
+const { OAuthError } = require('../errors/oauthError');
+const authMiddleware = require('../middleware/auth.middleware');
+const rateLimitMiddleware = require('../middleware/rate-limit.middleware');
+
+const router = express.Router();
+
+/**
+ * Read client credentials from HTTP Basic auth or the request body
+ */
+const getClientCredentials = (req) => {
+  const authHeader = req.get('Authorization') || '';
+
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+
+    if (separator === -1) {
+      return { clientId: null, clientSecret: null };
+    }
+
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)) || null
+      };
+    } catch (error) {
+      return { clientId: null, clientSecret: null };
+    }
+  }
+
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret || null
+  };
+};
+
+/**
+ * Send OAuth errors in the RFC 6749 format partner clients expect
+ */
+const sendOAuthError = (error, req, res, next) => {
+  if (!(error instanceof OAuthError)) {
+    return next(error);
+  }
+
+  logger.warn('OAuth request rejected', {
+    error: error.oauthCode,
+    description: error.message,
+    path: req.path,
+    ipAddress: req.ip,
+    requestId: req.requestId
+  });
+
+  if (error.statusCode === 401 && error.oauthCode === 'invalid_client') {
+    res.set('WWW-Authenticate', 'Basic realm="lianxin"');
+  } else if (error.oauthCode === 'invalid_token' || error.oauthCode === 'insufficient_scope') {
+    res.set('WWW-Authenticate', `Bearer error="${error.oauthCode}"`);
+  }
+
+  res.status(error.statusCode).json(error.toOAuthResponse());
+};
+
+/**
+ * Reject requests that failed validation with invalid_request
+ */
+const rejectInvalidOAuthRequest = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw OAuthError.invalidRequest(errors.array()[0].msg);
+  }
+};
+
+/**
+ * Checks shared by the consent screen lookup and the approval decision
+ */
+const authorizationRequestValidators = (location) => [
+  location('response_type').equals('code').withMessage('response_type must be code'),
+  location('client_id').isString().notEmpty().withMessage('Client ID is required'),
+  location('redirect_uri').optional().isString().withMessage('Invalid redirect URI'),
+  location('scope').isString().notEmpty().withMessage('Scope is required'),
+  location('state').optional().isString().isLength({ max: 512 }).withMessage('Invalid state'),
+  location('nonce').optional().isString().isLength({ max: 255 }).withMessage('Invalid nonce'),
+  location('code_challenge').isString().notEmpty().withMessage('PKCE code challenge is required'),
+  location('code_challenge_method').equals('S256').withMessage('code_challenge_method must be S256')
+];
+
+/**
+ * Get Authorization Request (consent screen)
+ * GET /api/v1/oauth/authorize
+ */
+router.get('/authorize',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  authorizationRequestValidators(query),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Authorization request validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await oauthService.getAuthorizationRequest(req.user.userId, req.query);
+
+      res.status(200).json(apiResponse.success(result, 'Authorization request retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Approve or Deny Authorization Request
+ * POST /api/v1/oauth/authorize
+ */
+router.post('/authorize',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  [
+    ...authorizationRequestValidators(body),
+    body('approve').isBoolean().withMessage('approve must be true or false')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Authorization request validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const approved = req.body.approve === true || req.body.approve === 'true';
+
+      const result = await oauthService.decideAuthorization(req.user.userId, req.body, approved, {
+        sessionId: req.user.sessionId,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('OAuth authorization decided', {
+        userId: req.user.userId,
+        clientId: req.body.client_id,
+        approved,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, approved ? 'Authorization granted' : 'Authorization denied', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Token Endpoint
+ * POST /api/v1/oauth/token
+ *
+ * Accepts form-encoded or JSON bodies and answers in the RFC 6749 format
+ * rather than the API envelope.
+ */
+router.post('/token',
+  rateLimitMiddleware.oauthRateLimit,
+  [
+    body('grant_type').isString().notEmpty().withMessage('grant_type is required'),
+    body('code').optional().isString().withMessage('Invalid code'),
+    body('redirect_uri').optional().isString().withMessage('Invalid redirect_uri'),
+    body('code_verifier').optional().isString().withMessage('Invalid code_verifier'),
+    body('refresh_token').optional().isString().withMessage('Invalid refresh_token'),
+    body('scope').optional().isString().withMessage('Invalid scope')
+  ],
+  async (req, res, next) => {
+    try {
+      rejectInvalidOAuthRequest(req);
+
+      const tokens = await oauthService.exchangeToken(req.body, getClientCredentials(req));
+
+      res.set('Cache-Control', 'no-store');
+      res.set('Pragma', 'no-cache');
+      res.status(200).json(tokens);
+    } catch (error) {
+      sendOAuthError(error, req, res, next);
+    }
+  }
+);
+
+/**
+ * Token Revocation (RFC 7009)
+ * POST /api/v1/oauth/revoke
+ */
+router.post('/revoke',
+  rateLimitMiddleware.oauthRateLimit,
+  [
+    body('token').isString().notEmpty().withMessage('token is required'),
+    body('token_type_hint').optional().isIn(['access_token', 'refresh_token']).withMessage('Invalid token_type_hint')
+  ],
+  async (req, res, next) => {
+    try {
+      rejectInvalidOAuthRequest(req);
+
+      await oauthService.revokeToken(req.body.token, getClientCredentials(req));
+
+      res.status(200).end();
+    } catch (error) {
+      sendOAuthError(error, req, res, next);
+    }
+  }
+);
+
+/**
+ * Return the claims for a Bearer access token
+ */
+const sendUserInfo = async (req, res, next) => {
+  try {
+    const authHeader = req.get('Authorization') || '';
+    if (!authHeader.startsWith('Bearer ')) {
+      throw OAuthError.invalidToken('Bearer access token is required');
+    }
+
+    const claims = await oauthService.getUserInfo(authHeader.slice(7).trim());
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(claims);
+  } catch (error) {
+    sendOAuthError(error, req, res, next);
+  }
+};
+
+/**
+ * OpenID Connect UserInfo
+ * GET /api/v1/oauth/userinfo
+ * POST /api/v1/oauth/userinfo
+ */
+router.get('/userinfo', rateLimitMiddleware.oauthRateLimit, sendUserInfo);
+router.post('/userinfo', rateLimitMiddleware.oauthRateLimit, sendUserInfo);
+
+module.exports = router;
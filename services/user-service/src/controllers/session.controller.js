@@ -1,10 +1,13 @@
 const express = require('express');
+const { param, validationResult } = require('express-validator');
 const sessionService = require('../services/session.service');
+const deviceKeyService = require('../services/device-key.service');
 const validationUtil = require('../utils/validation.util');
 const logger = require('../utils/logger.util');
 const apiResponse = require('../../../shared/utils/api.response');
 const authMiddleware = require('../middleware/auth.middleware');
 const rateLimitMiddleware = require('../middleware/rate-limit.middleware');
+const { ValidationError } = require('../errors/validationError');
 
 const router = express.Router();
 
@@ -25,7 +28,8 @@ router.get('/sessions',
       const sanitizedSessions = sessions.map(session => {
         const sessionData = session.toSafeObject();
         sessionData.is_current = session.session_id === currentSessionId;
-        sessionData.last_active = session.updated_at || session.created_at;
+        sessionData.last_active = session.last_activity_at || session.created_at;
+        sessionData.idle_expires_in = sessionService.getIdleTimeRemaining(session);
         return sessionData;
       });
 
@@ -78,16 +82,14 @@ router.delete('/sessions/:sessionId',
  */
 router.post('/sessions/revoke-all',
   authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(),
   rateLimitMiddleware.sessionRateLimit,
   async (req, res, next) => {
     try {
       const userId = req.user.userId;
       const currentSessionId = req.user.sessionId;
 
-      // Use validation utility
-      const revocationData = validationUtil.validateSessionRevocation(req.body);
-
-      const revokedCount = await sessionService.revokeAllUserSessions(userId, revocationData.password, currentSessionId);
+      const revokedCount = await sessionService.revokeAllUserSessions(userId, null, currentSessionId);
 
       logger.info('All other sessions revoked', {
         userId,
@@ -177,16 +179,18 @@ router.get('/sessions/device/:deviceId',
       const sessions = await sessionService.getDeviceSessions(userId, deviceId);
 
       const sanitizedSessions = sessions.map(session => session.toSafeObject());
+      const deviceKeys = await deviceKeyService.listDeviceKeys(userId, deviceId);
 
       logger.debug('Device sessions retrieved', {
         userId,
         deviceId,
         sessionCount: sanitizedSessions.length,
+        deviceKeyCount: deviceKeys.length,
         requestId: req.requestId
       });
 
       res.status(200).json(apiResponse.success(
-        { device_id: deviceId, sessions: sanitizedSessions },
+        { device_id: deviceId, sessions: sanitizedSessions, device_keys: deviceKeys },
         'Device sessions retrieved successfully',
         req.requestId
       ));
@@ -196,4 +200,48 @@ router.get('/sessions/device/:deviceId',
   }
 );
 
+/**
+ * Remove Biometric Device Key
+ * DELETE /api/v1/user/sessions/device-keys/:keyId
+ */
+router.delete('/sessions/device-keys/:keyId',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.sessionRateLimit,
+  [
+    param('keyId').isUUID().withMessage('Invalid device key ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Device key validation failed', 
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      await deviceKeyService.removeKey(userId, req.params.keyId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Biometric device key removed', {
+        userId,
+        keyId: req.params.keyId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(null, 'Biometric login disabled for this key', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
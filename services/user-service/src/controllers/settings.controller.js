@@ -1,7 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const settingsService = require('../services/settings.service');
-const validationUtil = require('../utils/validation.util');
+const mfaService = require('../services/mfa.service');
+const passkeyService = require('../services/passkey.service');
+const authService = require('../services/auth.service');
+const oauthService = require('../services/oauth.service');
+const emailService = require('../services/email.service');
+const accountRecoveryService = require('../services/account-recovery.service');
+const { getSupportedProviders } = require('../providers/social');
 const validationUtil = require('../utils/validation.util');
 const logger = require('../utils/logger.util');
 const apiResponse = require('../../../shared/utils/api.response');
@@ -68,6 +74,7 @@ router.put('/settings',
  */
 router.put('/password-change',
   authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(),
   rateLimitMiddleware.accountActionRateLimit,
   async (req, res, next) => {
     try {
@@ -139,6 +146,7 @@ router.post('/phone/otp',
  */
 router.put('/phone-number-change',
   authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(),
   rateLimitMiddleware.accountActionRateLimit,
   async (req, res, next) => {
     try {
@@ -161,12 +169,193 @@ router.put('/phone-number-change',
   }
 );
 
+/**
+ * Get Email Address
+ * GET /api/v1/user/settings/email
+ */
+router.get('/settings/email',
+  authMiddleware.authenticate,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const result = await emailService.getEmailStatus(userId);
+
+      res.status(200).json(apiResponse.success(result, 'Email address retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Add Email Address
+ * POST /api/v1/user/settings/email
+ */
+router.post('/settings/email',
+  authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(),
+  rateLimitMiddleware.accountActionRateLimit,
+  [
+    body('email').isEmail().isLength({ max: 254 }).withMessage('Valid email address is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+      const result = await emailService.requestVerification(userId, req.body.email);
+
+      logger.info('Email verification requested', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Verification link sent to email address', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Verify Email Address
+ * POST /api/v1/user/settings/email/verify
+ */
+router.post('/settings/email/verify',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  [
+    body('token').notEmpty().withMessage('Verification token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      const result = await emailService.verifyEmail(userId, req.body.token, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Email address verified', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Email address verified successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove Email Address
+ * DELETE /api/v1/user/settings/email
+ */
+router.delete('/settings/email',
+  authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(),
+  rateLimitMiddleware.accountActionRateLimit,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      await emailService.removeEmail(userId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Email address removed', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(null, 'Email address removed successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get Open Account Recovery Case
+ * GET /api/v1/user/settings/recovery-case
+ */
+router.get('/settings/recovery-case',
+  authMiddleware.authenticate,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const result = await accountRecoveryService.getOwnerCase(userId);
+
+      res.status(200).json(apiResponse.success(result, 'Account recovery case retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Cancel Account Recovery Case
+ * DELETE /api/v1/user/settings/recovery-case
+ */
+router.delete('/settings/recovery-case',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const result = await accountRecoveryService.cancelByOwner(userId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.warn('Account recovery case cancelled by owner', {
+        userId,
+        caseId: result.case_id,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Account recovery case cancelled successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Deactivate Account
  * POST /api/v1/user/deactivate
  */
 router.post('/deactivate',
   authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(300),
   rateLimitMiddleware.accountActionRateLimit,
   async (req, res, next) => {
     try {
@@ -174,7 +363,7 @@ router.post('/deactivate',
       // Use validation utility
       const deactivationData = validationUtil.validateAccountDeactivation(req.body);
 
-      await settingsService.deactivateAccount(userId, deactivationData.password, deactivationData.reason);
+      await settingsService.deactivateAccount(userId, deactivationData.reason);
 
       logger.info('Account deactivated', {
         userId,
@@ -195,14 +384,15 @@ router.post('/deactivate',
  */
 router.post('/request-deletion',
   authMiddleware.authenticate,
+  authMiddleware.requireRecentAuth(300),
   rateLimitMiddleware.accountActionRateLimit,
   async (req, res, next) => {
     try {
       const userId = req.user.userId;
-      // Use validation utility
-      const deletionData = validationUtil.validateAccountDeletion(req.body);
+      // Use validation utility (requires the typed confirmation)
+      validationUtil.validateAccountDeletion(req.body);
 
-      await settingsService.requestAccountDeletion(userId, deletionData.password);
+      await settingsService.requestAccountDeletion(userId);
 
       logger.info('Account deletion requested', {
         userId,
@@ -216,4 +406,451 @@ router.post('/request-deletion',
   }
 );
 
+/**
+ * List Passkeys
+ * GET /api/v1/user/settings/passkeys
+ */
+router.get('/settings/passkeys',
+  authMiddleware.authenticate,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const passkeys = await passkeyService.listCredentials(userId);
+
+      res.status(200).json(apiResponse.success({ passkeys }, 'Passkeys retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove Passkey
+ * DELETE /api/v1/user/settings/passkeys/:credentialId
+ */
+router.delete('/settings/passkeys/:credentialId',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  [
+    param('credentialId').isLength({ min: 1, max: 512 }).withMessage('Invalid passkey ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      await passkeyService.removeCredential(userId, req.params.credentialId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Passkey removed', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(null, 'Passkey removed successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List Linked Social Accounts
+ * GET /api/v1/user/settings/social-accounts
+ */
+router.get('/settings/social-accounts',
+  authMiddleware.authenticate,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const accounts = await authService.listSocialAccounts(userId);
+
+      res.status(200).json(apiResponse.success({ accounts }, 'Social accounts retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Linking a Social Account
+ * POST /api/v1/user/settings/social-accounts/:provider/authorize
+ */
+router.post('/settings/social-accounts/:provider/authorize',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  [
+    param('provider').isIn(getSupportedProviders()).withMessage('Unsupported social login provider')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const result = await authService.getSocialAuthorizationUrl(req.params.provider, {
+        userId: req.user.userId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Social login authorization URL generated', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Link Social Account
+ * POST /api/v1/user/settings/social-accounts/:provider
+ */
+router.post('/settings/social-accounts/:provider',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  [
+    param('provider').isIn(getSupportedProviders()).withMessage('Unsupported social login provider'),
+    body('code').isString().notEmpty().withMessage('Authorization code is required'),
+    body('state').isString().notEmpty().withMessage('State is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      const account = await authService.linkSocialAccount(userId, {
+        provider: req.params.provider,
+        code: req.body.code,
+        state: req.body.state
+      }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Social account linked', {
+        userId,
+        provider: req.params.provider,
+        requestId: req.requestId
+      });
+
+      res.status(201).json(apiResponse.success({ account }, 'Social account linked successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Unlink Social Account
+ * DELETE /api/v1/user/settings/social-accounts/:provider
+ */
+router.delete('/settings/social-accounts/:provider',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  [
+    param('provider').isIn(getSupportedProviders()).withMessage('Unsupported social login provider')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      await authService.unlinkSocialAccount(userId, req.params.provider, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Social account unlinked', {
+        userId,
+        provider: req.params.provider,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(null, 'Social account unlinked successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List Authorized Apps
+ * GET /api/v1/user/settings/oauth-grants
+ */
+router.get('/settings/oauth-grants',
+  authMiddleware.authenticate,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const grants = await oauthService.listConsents(userId);
+
+      res.status(200).json(apiResponse.success({ grants }, 'Authorized apps retrieved successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Revoke Authorized App
+ * DELETE /api/v1/user/settings/oauth-grants/:clientId
+ */
+router.delete('/settings/oauth-grants/:clientId',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.settingsRateLimit,
+  [
+    param('clientId').isLength({ min: 1, max: 64 }).withMessage('Invalid client ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      await oauthService.revokeConsent(userId, req.params.clientId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Authorized app revoked', {
+        userId,
+        clientId: req.params.clientId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(null, 'App access revoked successfully', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get Two-Factor Authentication Status
+ * GET /api/v1/user/mfa
+ */
+router.get('/mfa',
+  authMiddleware.authenticate,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const status = await mfaService.getMfaStatus(userId);
+
+      res.status(200).json(apiResponse.success({ mfa: status }, 'Two-factor authentication status retrieved', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Start Authenticator App Enrollment
+ * POST /api/v1/user/mfa/totp/setup
+ */
+router.post('/mfa/totp/setup',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.mfaRateLimit,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const result = await mfaService.beginTotpEnrollment(userId);
+
+      logger.info('TOTP enrollment started', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Scan the QR code with your authenticator app and confirm with a code', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Confirm Authenticator App Enrollment
+ * POST /api/v1/user/mfa/totp/confirm
+ */
+router.post('/mfa/totp/confirm',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.mfaRateLimit,
+  [
+    body('code').notEmpty().withMessage('Authentication code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      const result = await mfaService.confirmTotpEnrollment(userId, req.body.code, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Two-factor authentication enabled', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Two-factor authentication enabled. Store your backup codes in a safe place.', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Disable Two-Factor Authentication
+ * POST /api/v1/user/mfa/disable
+ */
+router.post('/mfa/disable',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.mfaRateLimit,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').notEmpty().withMessage('Authentication code or backup code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      const result = await mfaService.disableMfa(userId, req.body.password, req.body.code, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Two-factor authentication disabled', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'Two-factor authentication disabled', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Regenerate Backup Codes
+ * POST /api/v1/user/mfa/backup-codes/regenerate
+ */
+router.post('/mfa/backup-codes/regenerate',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.mfaRateLimit,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').notEmpty().withMessage('Authentication code or backup code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw ValidationError.multipleFields('Validation failed',
+          errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+            value: err.value
+          }))
+        );
+      }
+
+      const userId = req.user.userId;
+
+      const result = await mfaService.regenerateBackupCodes(userId, req.body.password, req.body.code, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.user.sessionId
+      });
+
+      logger.info('Backup codes regenerated', {
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json(apiResponse.success(result, 'New backup codes generated. Previous codes are no longer valid.', req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
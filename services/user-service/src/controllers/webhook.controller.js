@@ -0,0 +1,60 @@
+const express = require('express');
+const crypto = require('crypto');
+const smsDispatchService = require('../services/sms-dispatch.service');
+const alibabaSmsConfig = require('../config/alibaba-sms.config');
+const logger = require('../utils/logger.util');
+const { AppError } = require('../errors/AppError');
+
+const router = express.Router();
+
+/**
+ * Verify the shared webhook token (query string or X-Webhook-Token header)
+ */
+const verifyWebhookToken = (expectedToken) => (req, res, next) => {
+  const token = Buffer.from(String(req.get('X-Webhook-Token') || req.query.token || ''));
+  const expected = Buffer.from(expectedToken || '');
+
+  if (!expectedToken ||
+      token.length !== expected.length ||
+      !crypto.timingSafeEqual(token, expected)) {
+    logger.warn('Rejected webhook request with invalid token', {
+      path: req.path,
+      ipAddress: req.ip,
+      requestId: req.requestId
+    });
+    return next(AppError.forbidden('Invalid webhook token'));
+  }
+
+  next();
+};
+
+/**
+ * SMS Delivery Reports
+ * POST /api/v1/webhooks/sms/delivery-reports
+ *
+ * Receives Alibaba Cloud SmsReport HTTP pushes. The acknowledgement body
+ * uses the provider's expected format rather than the API envelope.
+ */
+router.post('/sms/delivery-reports',
+  verifyWebhookToken(alibabaSmsConfig.sms.deliveryReports.webhookToken),
+  async (req, res, next) => {
+    try {
+      if (!alibabaSmsConfig.sms.deliveryReports.enabled) {
+        throw AppError.notFound('Delivery reports are disabled');
+      }
+
+      const result = await smsDispatchService.ingestDeliveryReports(req.body);
+
+      logger.info('SMS delivery report webhook processed', {
+        ...result,
+        requestId: req.requestId
+      });
+
+      res.status(200).json({ code: 0, msg: 'success' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -91,6 +91,13 @@ class AuthError extends AppError {
     return new AuthError(message, 401, 'MISSING_TOKEN');
   }
   
+  /**
+   * Static method to create revoked token error
+   */
+  static revokedToken(message = 'Authentication token has been revoked') {
+    return new AuthError(message, 401, 'TOKEN_REVOKED');
+  }
+  
   /**
    * Static method to create invalid OTP error
    */
@@ -133,6 +140,20 @@ class AuthError extends AppError {
     return new AuthError(message, 401, 'SESSION_EXPIRED');
   }
   
+  /**
+   * Static method to create session evicted error
+   */
+  static sessionEvicted(message = 'Session was signed out by a newer login') {
+    return new AuthError(message, 401, 'SESSION_EVICTED');
+  }
+  
+  /**
+   * Static method to create session binding mismatch error
+   */
+  static sessionBindingMismatch(message = 'Session cannot be used from this network or browser') {
+    return new AuthError(message, 401, 'SESSION_BINDING_MISMATCH');
+  }
+  
   /**
    * Static method to create concurrent session limit error
    */
@@ -224,6 +245,13 @@ class AuthError extends AppError {
     return new AuthError(message, 401, 'TOKEN_REFRESH_FAILED');
   }
   
+  /**
+   * Static method to create refresh token reuse error
+   */
+  static refreshTokenReused(message = 'Refresh token reuse detected') {
+    return new AuthError(message, 401, 'REFRESH_TOKEN_REUSED');
+  }
+  
   /**
    * Static method to create logout failed error
    */
@@ -244,6 +272,48 @@ class AuthError extends AppError {
   static accountRecoveryFailed(message = 'Account recovery failed') {
     return new AuthError(message, 500, 'ACCOUNT_RECOVERY_FAILED');
   }
+  
+  /**
+   * Static method to create passkey verification failed error
+   */
+  static passkeyVerificationFailed(message = 'Passkey verification failed') {
+    return new AuthError(message, 401, 'PASSKEY_VERIFICATION_FAILED');
+  }
+  
+  /**
+   * Static method to create biometric verification failed error
+   */
+  static biometricVerificationFailed(message = 'Biometric verification failed') {
+    return new AuthError(message, 401, 'BIOMETRIC_VERIFICATION_FAILED');
+  }
+  
+  /**
+   * Static method to create QR login ticket expired error
+   */
+  static qrLoginTicketExpired(message = 'QR login ticket has expired', ticketId = null) {
+    return new AuthError(message, 410, 'QR_LOGIN_TICKET_EXPIRED', { ticketId });
+  }
+  
+  /**
+   * Static method to create abuse challenge required error
+   */
+  static challengeRequired(message = 'Please complete the challenge to continue', challenge = null) {
+    return new AuthError(message, 403, 'CHALLENGE_REQUIRED', { challenge });
+  }
+  
+  /**
+   * Static method to create abuse challenge failed error
+   */
+  static challengeFailed(message = 'Challenge verification failed', challenge = null) {
+    return new AuthError(message, 403, 'CHALLENGE_FAILED', { challenge });
+  }
+  
+  /**
+   * Static method to create re-authentication required error
+   */
+  static reauthenticationRequired(message = 'Please confirm your identity to continue', maxAge = null) {
+    return new AuthError(message, 401, 'REAUTHENTICATION_REQUIRED', { maxAge });
+  }
 }
 
 module.exports = { AuthError };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { AppError } = require('./AppError');
+
+/**
+ * OAuth Error Class
+ * Errors raised by the OAuth2 / OpenID Connect provider. Each carries the
+ * RFC 6749 error code that the token, revocation and userinfo endpoints
+ * return to partner clients.
+ */
+class OAuthError extends AppError {
+  constructor(oauthCode, message, statusCode = 400) {
+    super(message, statusCode, `OAUTH_${oauthCode.toUpperCase()}`);
+
+    this.name = 'OAuthError';
+    this.oauthCode = oauthCode;
+  }
+
+  /**
+   * Convert to the RFC 6749 error response body
+   */
+  toOAuthResponse() {
+    return {
+      error: this.oauthCode,
+      error_description: this.message
+    };
+  }
+
+  /**
+   * Static method to create invalid request error
+   */
+  static invalidRequest(message = 'The request is missing a required parameter or is malformed') {
+    return new OAuthError('invalid_request', message, 400);
+  }
+
+  /**
+   * Static method to create invalid client error
+   */
+  static invalidClient(message = 'Client authentication failed') {
+    return new OAuthError('invalid_client', message, 401);
+  }
+
+  /**
+   * Static method to create invalid grant error
+   */
+  static invalidGrant(message = 'The authorization grant is invalid or expired') {
+    return new OAuthError('invalid_grant', message, 400);
+  }
+
+  /**
+   * Static method to create unauthorized client error
+   */
+  static unauthorizedClient(message = 'The client is not authorized to use this grant') {
+    return new OAuthError('unauthorized_client', message, 400);
+  }
+
+  /**
+   * Static method to create unsupported grant type error
+   */
+  static unsupportedGrantType(message = 'The grant type is not supported') {
+    return new OAuthError('unsupported_grant_type', message, 400);
+  }
+
+  /**
+   * Static method to create unsupported response type error
+   */
+  static unsupportedResponseType(message = 'The response type is not supported') {
+    return new OAuthError('unsupported_response_type', message, 400);
+  }
+
+  /**
+   * Static method to create invalid scope error
+   */
+  static invalidScope(message = 'The requested scope is invalid') {
+    return new OAuthError('invalid_scope', message, 400);
+  }
+
+  /**
+   * Static method to create invalid token error (RFC 6750)
+   */
+  static invalidToken(message = 'The access token is invalid or expired') {
+    return new OAuthError('invalid_token', message, 401);
+  }
+
+  /**
+   * Static method to create insufficient scope error (RFC 6750)
+   */
+  static insufficientScope(message = 'The access token does not grant the required scope') {
+    return new OAuthError('insufficient_scope', message, 403);
+  }
+}
+
+module.exports = { OAuthError };
@@ -0,0 +1,79 @@
+const cron = require('node-cron');
+const signingKeyService = require('../services/signing-key.service');
+const securityConfig = require('../config/security.config');
+const logger = require('../utils/logger.util');
+
+/**
+ * JWT Key Rotation Job
+ * Scheduled task to reload signing keys, rotate them per `jwt.rotationInterval`
+ * and purge keys past their retention period
+ */
+class JwtKeyRotationJob {
+  constructor() {
+    this.isRunning = false;
+    this.schedule = securityConfig.jwt.keyRefreshSchedule;
+  }
+
+  /**
+   * Start the key rotation job
+   */
+  start() {
+    if (!signingKeyService.isAsymmetric()) {
+      logger.info('JWT key rotation job not started, symmetric signing in use');
+      return;
+    }
+
+    logger.info('Starting JWT key rotation job', {
+      schedule: this.schedule,
+      rotationInterval: securityConfig.jwt.rotationInterval
+    });
+
+    cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.warn('JWT key rotation job already running, skipping this execution');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.runRotation();
+      } catch (error) {
+        logger.error('JWT key rotation job failed', {
+          error: error.message,
+          stack: error.stack
+        });
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info('JWT key rotation job started successfully');
+  }
+
+  /**
+   * Rotate if due, purge expired keys and refresh the in-memory key set
+   */
+  async runRotation() {
+    const rotated = await signingKeyService.rotateIfDue();
+    const purgedCount = await signingKeyService.purgeExpiredKeys();
+
+    // Pick up keys rotated by other instances
+    const keyCount = await signingKeyService.loadKeys();
+
+    return {
+      rotated_kid: rotated ? rotated.kid : null,
+      purged_count: purgedCount,
+      key_count: keyCount
+    };
+  }
+}
+
+// Create and export singleton instance
+const jwtKeyRotationJob = new JwtKeyRotationJob();
+
+// Auto-start the job when the module is loaded
+if (process.env.NODE_ENV !== 'test') {
+  jwtKeyRotationJob.start();
+}
+
+module.exports = jwtKeyRotationJob;
@@ -0,0 +1,100 @@
+const cron = require('node-cron');
+const keyRotationService = require('../services/key-rotation.service');
+const securityConfig = require('../config/security.config');
+const logger = require('../utils/logger.util');
+
+/**
+ * Encryption Key Rotation Job
+ * Scheduled task to re-encrypt field-encrypted data with the active key version.
+ * Progress is stored per batch, so an interrupted run resumes where it stopped.
+ */
+class KeyRotationJob {
+  constructor() {
+    this.isRunning = false;
+    this.schedule = securityConfig.encryption.reencryption.schedule;
+    this.autoStart = securityConfig.encryption.reencryption.autoStart;
+  }
+
+  /**
+   * Start the key rotation job
+   */
+  start() {
+    logger.info('Starting encryption key rotation job', {
+      schedule: this.schedule,
+      autoStart: this.autoStart
+    });
+
+    cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.warn('Encryption key rotation job already running, skipping this execution');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.processRotations();
+      } catch (error) {
+        logger.error('Encryption key rotation job failed', {
+          error: error.message,
+          stack: error.stack
+        });
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info('Encryption key rotation job started successfully');
+  }
+
+  /**
+   * Start a rotation for a newly activated key and process the active rotation
+   */
+  async processRotations() {
+    if (this.autoStart) {
+      await keyRotationService.ensureRotationForActiveKey();
+    }
+
+    return await keyRotationService.processActiveRotation();
+  }
+
+  /**
+   * Manual trigger, used after an admin starts a rotation
+   */
+  async runManualRotation() {
+    if (this.isRunning) {
+      logger.info('Encryption key rotation already running, manual trigger skipped');
+      return null;
+    }
+
+    try {
+      this.isRunning = true;
+      logger.info('Manual encryption key rotation triggered');
+
+      const result = await keyRotationService.processActiveRotation();
+
+      logger.info('Manual encryption key rotation finished', {
+        rotationId: result ? result.id : null,
+        status: result ? result.status : null
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Manual encryption key rotation failed', {
+        error: error.message
+      });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+// Create and export singleton instance
+const keyRotationJob = new KeyRotationJob();
+
+// Auto-start the job when the module is loaded
+if (process.env.NODE_ENV !== 'test') {
+  keyRotationJob.start();
+}
+
+module.exports = keyRotationJob;
@@ -0,0 +1,180 @@
+const cron = require('node-cron');
+const { User, OtpVerification } = require('../models');
+const encryptionUtil = require('../utils/encryption.util');
+const encryptionService = require('../services/encryption.service');
+const phoneUtil = require('../utils/phone.util');
+const securityConfig = require('../config/security.config');
+const logger = require('../utils/logger.util');
+const { Op } = require('sequelize');
+
+/**
+ * Phone Hash Backfill Job
+ * Scheduled task to fill `phone_hash` blind indexes for rows created before
+ * they existed, encrypting any user phone numbers still stored in plain text
+ */
+class PhoneHashBackfillJob {
+  constructor() {
+    this.isRunning = false;
+    this.schedule = securityConfig.encryption.blindIndexBackfill.schedule;
+    this.batchSize = securityConfig.encryption.blindIndexBackfill.batchSize;
+  }
+
+  /**
+   * Start the backfill job
+   */
+  start() {
+    logger.info('Starting phone hash backfill job', {
+      schedule: this.schedule,
+      batchSize: this.batchSize
+    });
+
+    cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.warn('Phone hash backfill job already running, skipping this execution');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.processBackfill();
+      } catch (error) {
+        logger.error('Phone hash backfill job failed', {
+          error: error.message,
+          stack: error.stack
+        });
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info('Phone hash backfill job started successfully');
+  }
+
+  /**
+   * Backfill users and OTP verifications
+   */
+  async processBackfill() {
+    const startTime = Date.now();
+
+    const users = await this.backfillTable(User, async (row) => {
+      // Plain-text phones are encrypted along with their hash
+      if (!encryptionUtil.parseCiphertext(row.phone)) {
+        return await encryptionService.encryptUserData({ phone: this.normalizePhone(row.phone) });
+      }
+
+      const phone = await encryptionService.decryptValue(row.phone);
+      return { phone_hash: encryptionUtil.blindIndex(this.normalizePhone(phone)) };
+    });
+
+    const otpVerifications = await this.backfillTable(OtpVerification, (row) => ({
+      phone_hash: encryptionUtil.blindIndex(this.normalizePhone(row.phone))
+    }));
+
+    const result = {
+      users,
+      otp_verifications: otpVerifications,
+      duration: Date.now() - startTime
+    };
+
+    if (users.updated + users.failed + otpVerifications.updated + otpVerifications.failed > 0) {
+      logger.info('Phone hash backfill completed', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Format a stored phone the way lookups do, so older formats still match
+   */
+  normalizePhone(phone) {
+    try {
+      return phoneUtil.validatePhoneNumber(phone).formatted;
+    } catch {
+      return phone;
+    }
+  }
+
+  /**
+   * Fill missing hashes for one table in id order
+   */
+  async backfillTable(model, buildChanges) {
+    const counts = { updated: 0, failed: 0 };
+    let lastId = 0;
+    let rows;
+
+    do {
+      rows = await model.findAll({
+        where: {
+          id: { [Op.gt]: lastId },
+          phone_hash: null
+        },
+        attributes: ['id', 'phone'],
+        order: [['id', 'ASC']],
+        limit: this.batchSize
+      });
+
+      for (const row of rows) {
+        try {
+          await model.update(await buildChanges(row), {
+            where: { id: row.id, phone_hash: null },
+            hooks: false,
+            silent: true
+          });
+          counts.updated++;
+        } catch (error) {
+          // Duplicate phones from before the unique index are left for manual review
+          counts.failed++;
+          logger.error('Failed to backfill phone hash', {
+            table: model.tableName,
+            recordId: row.id,
+            error: error.message
+          });
+        }
+
+        lastId = row.id;
+      }
+    } while (rows.length === this.batchSize);
+
+    return counts;
+  }
+
+  /**
+   * Count rows still missing a phone hash
+   */
+  async getBackfillStats() {
+    return {
+      users_pending: await User.count({ where: { phone_hash: null } }),
+      otp_verifications_pending: await OtpVerification.count({ where: { phone_hash: null } })
+    };
+  }
+
+  /**
+   * Manual backfill trigger
+   */
+  async runManualBackfill() {
+    try {
+      logger.info('Manual phone hash backfill triggered');
+
+      const result = await this.processBackfill();
+
+      logger.info('Manual phone hash backfill completed', result);
+
+      return result;
+    } catch (error) {
+      logger.error('Manual phone hash backfill failed', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const phoneHashBackfillJob = new PhoneHashBackfillJob();
+
+// Auto-start the job when the module is loaded
+if (process.env.NODE_ENV !== 'test') {
+  phoneHashBackfillJob.start();
+}
+
+module.exports = phoneHashBackfillJob;
@@ -0,0 +1,72 @@
+const cron = require('node-cron');
+const smsDispatchService = require('../services/sms-dispatch.service');
+const alibabaSmsConfig = require('../config/alibaba-sms.config');
+const logger = require('../utils/logger.util');
+
+/**
+ * SMS Delivery Poll Job
+ * Scheduled task to query delivery status of SMS without a delivery report
+ */
+class SmsDeliveryPollJob {
+  constructor() {
+    this.isRunning = false;
+    this.schedule = alibabaSmsConfig.sms.deliveryReports.pollSchedule;
+  }
+
+  /**
+   * Start the delivery poll job
+   */
+  start() {
+    logger.info('Starting SMS delivery poll job', {
+      schedule: this.schedule
+    });
+
+    cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.warn('SMS delivery poll job already running, skipping this execution');
+        return;
+      }
+
+      try {
+        this.isRunning = true;
+        await this.pollDeliveries();
+      } catch (error) {
+        logger.error('SMS delivery poll job failed', {
+          error: error.message,
+          stack: error.stack
+        });
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info('SMS delivery poll job started successfully');
+  }
+
+  /**
+   * Poll pending deliveries
+   */
+  async pollDeliveries() {
+    const startTime = Date.now();
+
+    const result = await smsDispatchService.pollPendingDeliveries();
+
+    logger.info('SMS delivery poll completed', {
+      ...result,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+    return result;
+  }
+}
+
+// Create and export singleton instance
+const smsDeliveryPollJob = new SmsDeliveryPollJob();
+
+// Auto-start the job when the module is loaded
+if (process.env.NODE_ENV !== 'test' && alibabaSmsConfig.sms.deliveryReports.enabled) {
+  smsDeliveryPollJob.start();
+}
+
+module.exports = smsDeliveryPollJob;
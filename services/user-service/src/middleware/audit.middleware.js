@@ -146,14 +146,19 @@ class AuditMiddleware {
 
   /**
    * Log security events
+   * Optional shouldLog(req, data) limits logging to matching responses
    */
-  async logSecurityEvent(eventType) {
+  logSecurityEvent(eventType, shouldLog = null) {
     return async (req, res, next) => {
       try {
         const originalJson = res.json;
 
         res.json = async function (data) {
           try {
+            if (shouldLog && !shouldLog(req, data)) {
+              return originalJson.call(this, data);
+            }
+
             await auditMiddleware.createSecurityAuditLog({
               req,
               res,
@@ -348,7 +353,7 @@ class AuditMiddleware {
   async createSecurityAuditLog({ req, res, eventType, data, success }) {
     try {
       const auditData = {
-        userId: req.user?.userId || null,
+        userId: req.user?.userId || req.securityEvent?.userId || null,
         action: eventType,
         resource: 'security',
         resourceId: null,
@@ -360,7 +365,7 @@ class AuditMiddleware {
         },
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
-        sessionId: req.user?.sessionId || null
+        sessionId: req.user?.sessionId || req.securityEvent?.sessionId || null
       };
 
       await AuditLog.logAction(auditData);
@@ -487,6 +492,11 @@ class AuditMiddleware {
       case 'suspicious_activity':
         details.reason = 'Multiple failed attempts';
         break;
+      case 'refresh_token_reuse':
+        details.reason = 'Rotated refresh token presented again';
+        details.sessionId = req.securityEvent?.sessionId;
+        details.jti = req.securityEvent?.jti;
+        break;
       default:
         break;
     }
@@ -1,5 +1,7 @@
 const jwtUtil = require('../utils/jwt.util');
 const sessionService = require('../services/session.service');
+const sessionBindingService = require('../services/session-binding.service');
+const securityConfig = require('../config/security.config');
 const logger = require('../utils/logger.util');
 const { AuthError } = require('../errors/authError');
 const { AppError } = require('../errors/AppError');
@@ -25,6 +27,11 @@ class AuthMiddleware {
       // Verify JWT token
       const payload = jwtUtil.verifyAccessToken(token);
 
+      // Reject tokens revoked before expiry (e.g. after logout)
+      if (await jwtUtil.isTokenRevoked(payload.jti)) {
+        throw AuthError.revokedToken('Access token has been revoked');
+      }
+
       // Verify session exists and is valid
       const session = await sessionService.getSession(payload.sessionId);
 
@@ -32,11 +39,25 @@ class AuthMiddleware {
         throw AuthError.sessionExpired('Session has expired or is invalid');
       }
 
-      // Update session activity
+      // Compare the request with the IP address and User-Agent bound to the session
+      const binding = await sessionBindingService.checkBinding(session, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      if (binding.action === 'reject') {
+        throw AuthError.sessionBindingMismatch();
+      }
+      if (binding.action === 'step_up' && !req.allowSessionStepUp) {
+        throw AuthError.reauthenticationRequired('Please confirm your identity to continue from this network or browser');
+      }
+
+      // Keep the bound values until re-authentication confirms the new client
+      const rebind = binding.action !== 'step_up';
       await sessionService.updateSessionActivity(
         payload.sessionId,
-        req.ip,
-        req.get('User-Agent')
+        rebind ? req.ip : null,
+        rebind ? req.get('User-Agent') : null
       );
 
       // Attach user information to request
@@ -87,6 +108,15 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * Let the following authenticate accept a session whose binding check asks
+   * for a step-up, so the client can re-authenticate (which re-binds it)
+   */
+  allowSessionStepUp(req, res, next) {
+    req.allowSessionStepUp = true;
+    next();
+  }
+
   /**
    * Require admin role
    */
@@ -142,11 +172,16 @@ class AuthMiddleware {
       if (authHeader) {
         const token = jwtUtil.extractToken(authHeader);
         const payload = jwtUtil.verifyAccessToken(token);
+        const isRevoked = await jwtUtil.isTokenRevoked(payload.jti);
 
         // Verify session
-        const session = await sessionService.getSession(payload.sessionId);
+        const session = isRevoked ? null : await sessionService.getSession(payload.sessionId);
+
+        const binding = session && session.isValid()
+          ? await sessionBindingService.checkBinding(session, { ipAddress: req.ip, userAgent: req.get('User-Agent') })
+          : null;
 
-        if (session && session.isValid()) {
+        if (binding && ['allow', 'log'].includes(binding.action)) {
           req.user = {
             userId: payload.userId,
             sessionId: payload.sessionId,
@@ -227,6 +262,64 @@ class AuthMiddleware {
   }
 
 
+  /**
+   * Require a recent re-authentication in this session
+   * The token from POST /auth/reauthenticate is sent in the X-Recent-Auth header
+   */
+  requireRecentAuth(maxAgeSeconds = securityConfig.reauthentication.tokenExpiry) {
+    return async (req, res, next) => {
+      try {
+        if (!req.user) {
+          throw AuthError.missingToken('Authentication required');
+        }
+
+        const token = req.get('X-Recent-Auth');
+        if (!token) {
+          throw AuthError.reauthenticationRequired('Please confirm your identity to continue', maxAgeSeconds);
+        }
+
+        const payload = jwtUtil.verifyRecentAuthToken(token);
+
+        if (payload.userId !== req.user.userId || payload.sessionId !== req.user.sessionId) {
+          throw AuthError.reauthenticationRequired('Re-authentication belongs to another session', maxAgeSeconds);
+        }
+
+        const age = Math.floor(Date.now() / 1000) - payload.auth_time;
+        if (age > maxAgeSeconds) {
+          throw AuthError.reauthenticationRequired('Re-authentication is too old, please confirm your identity again', maxAgeSeconds);
+        }
+
+        req.user.authTime = payload.auth_time;
+
+        logger.debug('Recent authentication check passed', {
+          userId: req.user.userId,
+          method: payload.method,
+          age,
+          requestId: req.requestId
+        });
+
+        next();
+      } catch (error) {
+        logger.warn('Recent authentication check failed', {
+          userId: req.user?.userId,
+          error: error.message,
+          requestId: req.requestId
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'REAUTHENTICATION_REQUIRED',
+            message: error.message,
+            details: { max_age: maxAgeSeconds }
+          },
+          timestamp: new Date().toISOString(),
+          request_id: req.requestId
+        });
+      }
+    };
+  }
+
   /**
    * Check if user owns resource
    */
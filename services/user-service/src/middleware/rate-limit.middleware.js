@@ -3,7 +3,9 @@ const RedisStore = require('rate-limit-redis');
 const redis = require('redis');
 const securityConfig = require('../config/security.config');
 const logger = require('../utils/logger.util');
+const challengeService = require('../services/challenge.service');
 const { AuthError } = require('../errors/authError');
+const { AppError } = require('../errors/AppError');
 
 // Create Redis client for rate limiting
 const redisClient = redis.createClient({
@@ -213,6 +215,54 @@ class RateLimitMiddleware {
     });
   }
 
+  /**
+   * MFA management rate limiting (enrollment, disable, backup codes)
+   */
+  get mfaRateLimit() {
+    return this.createRateLimit({
+      windowMs: securityConfig.rateLimit.rules.mfa.windowMs,
+      max: securityConfig.rateLimit.rules.mfa.max,
+      keyGenerator: (req) => `mfa:${req.user?.userId || req.ip}`,
+      message: 'Too many two-factor authentication requests'
+    });
+  }
+
+  /**
+   * QR login ticket creation rate limiting
+   */
+  get qrLoginRateLimit() {
+    return this.createRateLimit({
+      windowMs: securityConfig.rateLimit.rules.qrLogin.windowMs,
+      max: securityConfig.rateLimit.rules.qrLogin.max,
+      keyGenerator: (req) => `qr_login:${req.user?.userId || req.ip}`,
+      message: 'Too many QR login requests'
+    });
+  }
+
+  /**
+   * QR login status polling rate limiting
+   */
+  get qrLoginPollRateLimit() {
+    return this.createRateLimit({
+      windowMs: securityConfig.rateLimit.rules.qrLoginPoll.windowMs,
+      max: securityConfig.rateLimit.rules.qrLoginPoll.max,
+      keyGenerator: (req) => `qr_login_poll:${req.ip}`,
+      message: 'Too many QR login status requests'
+    });
+  }
+
+  /**
+   * OAuth token, revocation and userinfo endpoint rate limiting
+   */
+  get oauthRateLimit() {
+    return this.createRateLimit({
+      windowMs: securityConfig.rateLimit.rules.oauth.windowMs,
+      max: securityConfig.rateLimit.rules.oauth.max,
+      keyGenerator: (req) => `oauth:${req.ip}`,
+      message: 'Too many OAuth requests'
+    });
+  }
+
   /**
    * Account action rate limiting (deactivate, delete)
    */
@@ -225,6 +275,82 @@ class RateLimitMiddleware {
     });
   }
 
+  /**
+   * Abuse challenge for SMS-sending and login endpoints
+   *
+   * Past the configured per-IP or per-phone thresholds, requests must carry
+   * `challenge_id` and `challenge_solution` (a proof-of-work nonce or CAPTCHA
+   * token); otherwise they fail with CHALLENGE_REQUIRED and a new challenge.
+   */
+  requireChallenge(scope) {
+    return async (req, res, next) => {
+      // Keep the challenge fields away from the endpoint's own body validation
+      const { challenge_id: challengeId, challenge_solution: solution } = req.body;
+      delete req.body.challenge_id;
+      delete req.body.challenge_solution;
+
+      if (!securityConfig.abuseChallenge.enabled) {
+        return next();
+      }
+
+      let challengeRequired;
+      try {
+        challengeRequired = await challengeService.recordRequest(scope, {
+          ipAddress: req.ip,
+          phone: req.body.phone || req.body.new_phone
+        });
+      } catch (error) {
+        // Fail closed: an unchecked request could bypass the challenge
+        logger.error('Abuse challenge check failed', {
+          scope,
+          error: error.message,
+          requestId: req.requestId
+        });
+        return next(AppError.serviceUnavailable('Request verification is temporarily unavailable'));
+      }
+
+      if (!challengeRequired) {
+        return next();
+      }
+
+      try {
+        if (!challengeId || !solution) {
+          logger.warn('Abuse challenge required', {
+            scope,
+            ip: req.ip,
+            endpoint: req.path,
+            requestId: req.requestId
+          });
+          return next(AuthError.challengeRequired(undefined, await challengeService.createChallenge(scope)));
+        }
+
+        const passed = await challengeService.verifyChallenge(scope, String(challengeId), String(solution), {
+          ipAddress: req.ip
+        });
+
+        if (!passed) {
+          logger.warn('Abuse challenge failed', {
+            scope,
+            ip: req.ip,
+            challengeId,
+            requestId: req.requestId
+          });
+          return next(AuthError.challengeFailed(undefined, await challengeService.createChallenge(scope)));
+        }
+
+        next();
+      } catch (error) {
+        // Challenges could not be issued or checked (e.g. Redis is down)
+        logger.error('Abuse challenge unavailable', {
+          scope,
+          error: error.message,
+          requestId: req.requestId
+        });
+        next(AppError.serviceUnavailable('Request verification is temporarily unavailable'));
+      }
+    };
+  }
+
   /**
    * Phone-based rate limiting for sensitive operations
    */
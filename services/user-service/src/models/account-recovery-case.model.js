@@ -0,0 +1,146 @@
+const { DataTypes, Op } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AccountRecoveryCase = sequelize.define('AccountRecoveryCase', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    case_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      unique: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the token the requester uses to follow the case
+    access_token_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false
+    },
+    // Encrypted phone number to bind, with its blind index
+    new_phone: {
+      type: DataTypes.STRING(512),
+      allowNull: false
+    },
+    new_phone_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false
+    },
+    new_country_code: {
+      type: DataTypes.STRING(5),
+      allowNull: false
+    },
+    // Outcome of each evidence check; submitted secrets are never stored
+    evidence: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    evidence_score: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    status: {
+      type: DataTypes.ENUM('pending_review', 'approved', 'rejected', 'completed', 'cancelled', 'expired'),
+      allowNull: false,
+      defaultValue: 'pending_review'
+    },
+    reviewed_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cooling_off_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completion_deadline: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_by: {
+      type: DataTypes.ENUM('requester', 'owner'),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'account_recovery_cases',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['case_id']
+      },
+      {
+        fields: ['user_id', 'status']
+      },
+      {
+        fields: ['status', 'created_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  AccountRecoveryCase.prototype.isOpen = function() {
+    return this.status === 'pending_review' || this.status === 'approved';
+  };
+
+  AccountRecoveryCase.prototype.isPastDeadline = function() {
+    return this.status === 'approved' &&
+      this.completion_deadline &&
+      new Date() > this.completion_deadline;
+  };
+
+  // Class methods
+  AccountRecoveryCase.findByCaseId = async function(caseId, options = {}) {
+    return await this.findOne({
+      where: { case_id: caseId },
+      ...options
+    });
+  };
+
+  AccountRecoveryCase.findOpenByUserId = async function(userId) {
+    return await this.findOne({
+      where: {
+        user_id: userId,
+        status: { [Op.in]: ['pending_review', 'approved'] }
+      },
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  return AccountRecoveryCase;
+};
@@ -0,0 +1,119 @@
+const { DataTypes, Op } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DeviceKey = sequelize.define('DeviceKey', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    device_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    key_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      unique: true
+    },
+    public_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    algorithm: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [['ES256', 'RS256']]
+      }
+    },
+    device_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'device_keys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['key_id']
+      },
+      {
+        fields: ['user_id', 'device_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  DeviceKey.prototype.isActive = function() {
+    return !this.revoked_at;
+  };
+
+  DeviceKey.prototype.revoke = async function() {
+    this.revoked_at = new Date();
+    return await this.save();
+  };
+
+  DeviceKey.prototype.toSafeObject = function() {
+    return {
+      key_id: this.key_id,
+      device_id: this.device_id,
+      device_name: this.device_name,
+      algorithm: this.algorithm,
+      last_used_at: this.last_used_at,
+      created_at: this.created_at
+    };
+  };
+
+  // Class methods
+  DeviceKey.findActiveByKeyId = async function(keyId) {
+    return await this.findOne({
+      where: { key_id: keyId, revoked_at: null }
+    });
+  };
+
+  DeviceKey.findActiveByDevice = async function(userId, deviceId) {
+    return await this.findAll({
+      where: { user_id: userId, device_id: deviceId, revoked_at: null },
+      order: [['created_at', 'ASC']]
+    });
+  };
+
+  DeviceKey.revokeByUserId = async function(userId, exceptDeviceId = null) {
+    const where = { user_id: userId, revoked_at: null };
+    if (exceptDeviceId) {
+      where.device_id = { [Op.ne]: exceptDeviceId };
+    }
+
+    const [revokedCount] = await this.update({ revoked_at: new Date() }, { where });
+    return revokedCount;
+  };
+
+  DeviceKey.revokeByDevice = async function(userId, deviceId) {
+    const [revokedCount] = await this.update({ revoked_at: new Date() }, {
+      where: { user_id: userId, device_id: deviceId, revoked_at: null }
+    });
+    return revokedCount;
+  };
+
+  return DeviceKey;
+};
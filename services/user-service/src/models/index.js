@@ -26,6 +26,19 @@ const UserSession = require('./session.model')(sequelize);
 const OtpVerification = require('./otp.model')(sequelize);
 const UserSettings = require('./settings.model')(sequelize);
 const AuditLog = require('./audit.model')(sequelize);
+const SmsDispatch = require('./sms-dispatch.model')(sequelize);
+const UserMfa = require('./mfa.model')(sequelize);
+const RefreshToken = require('./refresh-token.model')(sequelize);
+const JwtSigningKey = require('./signing-key.model')(sequelize);
+const EncryptionKeyRotation = require('./key-rotation.model')(sequelize);
+const PasswordHistory = require('./password-history.model')(sequelize);
+const WebauthnCredential = require('./webauthn-credential.model')(sequelize);
+const SocialIdentity = require('./social-identity.model')(sequelize);
+const OAuthClient = require('./oauth-client.model')(sequelize);
+const OAuthConsent = require('./oauth-consent.model')(sequelize);
+const OAuthToken = require('./oauth-token.model')(sequelize);
+const AccountRecoveryCase = require('./account-recovery-case.model')(sequelize);
+const DeviceKey = require('./device-key.model')(sequelize);
 
 // Define associations
 User.hasMany(UserSession, {
@@ -72,6 +85,129 @@ AuditLog.belongsTo(User, {
   as: 'user'
 });
 
+User.hasOne(UserMfa, {
+  foreignKey: 'user_id',
+  as: 'mfa',
+  onDelete: 'CASCADE'
+});
+
+UserMfa.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+UserSession.hasMany(RefreshToken, {
+  foreignKey: 'session_id',
+  sourceKey: 'session_id',
+  as: 'refreshTokens',
+  onDelete: 'CASCADE'
+});
+
+RefreshToken.belongsTo(UserSession, {
+  foreignKey: 'session_id',
+  targetKey: 'session_id',
+  as: 'session'
+});
+
+User.hasMany(PasswordHistory, {
+  foreignKey: 'user_id',
+  as: 'passwordHistory',
+  onDelete: 'CASCADE'
+});
+
+PasswordHistory.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+User.hasMany(WebauthnCredential, {
+  foreignKey: 'user_id',
+  as: 'passkeys',
+  onDelete: 'CASCADE'
+});
+
+WebauthnCredential.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+User.hasMany(SocialIdentity, {
+  foreignKey: 'user_id',
+  as: 'socialIdentities',
+  onDelete: 'CASCADE'
+});
+
+SocialIdentity.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+User.hasMany(OAuthConsent, {
+  foreignKey: 'user_id',
+  as: 'oauthConsents',
+  onDelete: 'CASCADE'
+});
+
+OAuthConsent.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+OAuthClient.hasMany(OAuthConsent, {
+  foreignKey: 'client_id',
+  as: 'consents',
+  onDelete: 'CASCADE'
+});
+
+OAuthConsent.belongsTo(OAuthClient, {
+  foreignKey: 'client_id',
+  as: 'client'
+});
+
+User.hasMany(OAuthToken, {
+  foreignKey: 'user_id',
+  as: 'oauthTokens',
+  onDelete: 'CASCADE'
+});
+
+OAuthToken.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+OAuthClient.hasMany(OAuthToken, {
+  foreignKey: 'client_id',
+  as: 'tokens',
+  onDelete: 'CASCADE'
+});
+
+OAuthToken.belongsTo(OAuthClient, {
+  foreignKey: 'client_id',
+  as: 'client'
+});
+
+User.hasMany(AccountRecoveryCase, {
+  foreignKey: 'user_id',
+  as: 'recoveryCases',
+  onDelete: 'CASCADE'
+});
+
+AccountRecoveryCase.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+User.hasMany(DeviceKey, {
+  foreignKey: 'user_id',
+  as: 'deviceKeys',
+  onDelete: 'CASCADE'
+});
+
+DeviceKey.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
 // Database connection test
 const testConnection = async () => {
   try {
@@ -125,6 +261,19 @@ module.exports = {
   OtpVerification,
   UserSettings,
   AuditLog,
+  SmsDispatch,
+  UserMfa,
+  RefreshToken,
+  JwtSigningKey,
+  EncryptionKeyRotation,
+  PasswordHistory,
+  WebauthnCredential,
+  SocialIdentity,
+  OAuthClient,
+  OAuthConsent,
+  OAuthToken,
+  AccountRecoveryCase,
+  DeviceKey,
   testConnection,
   syncDatabase,
   closeConnection
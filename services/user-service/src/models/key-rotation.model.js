@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EncryptionKeyRotation = sequelize.define('EncryptionKeyRotation', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    key_version: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+      defaultValue: 'pending'
+    },
+    progress: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    error_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    triggered_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'encryption_key_rotations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['key_version']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  EncryptionKeyRotation.prototype.isActive = function() {
+    return this.status === 'pending' || this.status === 'running';
+  };
+
+  // Class methods
+  EncryptionKeyRotation.findActive = async function() {
+    return await this.findOne({
+      where: { status: ['pending', 'running'] },
+      order: [['created_at', 'ASC']]
+    });
+  };
+
+  EncryptionKeyRotation.findLatest = async function(keyVersion = null) {
+    return await this.findOne({
+      where: keyVersion ? { key_version: keyVersion } : {},
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  return EncryptionKeyRotation;
+};
@@ -0,0 +1,130 @@
+const { DataTypes, Op } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserMfa = sequelize.define('UserMfa', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    totp_secret: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    last_used_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    backup_codes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+    backup_codes_generated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_mfa',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id']
+      },
+      {
+        fields: ['user_id', 'is_enabled']
+      }
+    ]
+  });
+
+  // Instance methods
+  UserMfa.prototype.getRemainingBackupCodes = function() {
+    return Array.isArray(this.backup_codes) ? this.backup_codes.length : 0;
+  };
+
+  UserMfa.prototype.toSafeObject = function() {
+    return {
+      enabled: this.is_enabled,
+      enabled_at: this.enabled_at,
+      backup_codes_remaining: this.getRemainingBackupCodes(),
+      backup_codes_generated_at: this.backup_codes_generated_at
+    };
+  };
+
+  // Class methods
+  UserMfa.findByUserId = async function(userId) {
+    return await this.findOne({
+      where: { user_id: userId }
+    });
+  };
+
+  UserMfa.findEnabledByUserId = async function(userId) {
+    return await this.findOne({
+      where: { user_id: userId, is_enabled: true }
+    });
+  };
+
+  // Claim a TOTP time step; false when a concurrent request already used it (or a later one)
+  UserMfa.claimTotpStep = async function(id, step) {
+    const [affectedCount] = await this.update(
+      { last_used_step: step },
+      {
+        where: {
+          id,
+          [Op.or]: [
+            { last_used_step: null },
+            { last_used_step: { [Op.lt]: step } }
+          ]
+        }
+      }
+    );
+
+    return affectedCount === 1;
+  };
+
+  // Remove a backup code hash in one statement; false when it was already used
+  UserMfa.consumeBackupCode = async function(id, hashedCode) {
+    const quoted = sequelize.escape(hashedCode);
+    const [affectedCount] = await this.update(
+      {
+        backup_codes: sequelize.literal(
+          `JSON_REMOVE(backup_codes, JSON_UNQUOTE(JSON_SEARCH(backup_codes, 'one', ${quoted})))`
+        )
+      },
+      {
+        where: {
+          id,
+          [Op.and]: sequelize.where(
+            sequelize.fn('JSON_CONTAINS', sequelize.col('backup_codes'), JSON.stringify(hashedCode)),
+            1
+          )
+        }
+      }
+    );
+
+    return affectedCount === 1;
+  };
+
+  return UserMfa;
+};
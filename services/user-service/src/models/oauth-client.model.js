@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OAuthClient = sequelize.define('OAuthClient', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    client_id: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    client_secret_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: true
+    },
+    client_type: {
+      type: DataTypes.ENUM('public', 'confidential'),
+      allowNull: false,
+      defaultValue: 'confidential'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    logo_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    redirect_uris: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    allowed_scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'suspended'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    created_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'oauth_clients',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['client_id']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Instance methods
+  OAuthClient.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  OAuthClient.prototype.isConfidential = function() {
+    return this.client_type === 'confidential';
+  };
+
+  OAuthClient.prototype.toPublicObject = function() {
+    return {
+      client_id: this.client_id,
+      name: this.name,
+      logo_url: this.logo_url
+    };
+  };
+
+  OAuthClient.prototype.toSafeObject = function() {
+    return {
+      client_id: this.client_id,
+      client_type: this.client_type,
+      name: this.name,
+      logo_url: this.logo_url,
+      redirect_uris: this.redirect_uris || [],
+      allowed_scopes: this.allowed_scopes || [],
+      status: this.status,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  };
+
+  // Class methods
+  OAuthClient.findByClientId = async function(clientId) {
+    return await this.findOne({
+      where: { client_id: clientId }
+    });
+  };
+
+  return OAuthClient;
+};
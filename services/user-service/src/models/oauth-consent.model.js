@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OAuthConsent = sequelize.define('OAuthConsent', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    client_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'oauth_clients',
+        key: 'id'
+      }
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    }
+  }, {
+    tableName: 'oauth_consents',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'client_id']
+      },
+      {
+        fields: ['client_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  OAuthConsent.prototype.coversScopes = function(scopes) {
+    const granted = this.scopes || [];
+    return scopes.every(scope => granted.includes(scope));
+  };
+
+  // Class methods
+  OAuthConsent.findByUserAndClient = async function(userId, clientId) {
+    return await this.findOne({
+      where: { user_id: userId, client_id: clientId }
+    });
+  };
+
+  return OAuthConsent;
+};
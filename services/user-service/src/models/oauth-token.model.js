@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OAuthToken = sequelize.define('OAuthToken', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    token_hash: {
+      type: DataTypes.CHAR(64),
+      unique: true,
+      allowNull: false
+    },
+    token_type: {
+      type: DataTypes.ENUM('access', 'refresh'),
+      allowNull: false
+    },
+    grant_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    client_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'oauth_clients',
+        key: 'id'
+      }
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'oauth_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['token_hash']
+      },
+      {
+        fields: ['grant_id']
+      },
+      {
+        fields: ['user_id', 'client_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  OAuthToken.prototype.isActive = function() {
+    return !this.revoked_at && new Date() <= this.expires_at;
+  };
+
+  // Class methods
+  OAuthToken.findByHash = async function(tokenHash) {
+    return await this.findOne({
+      where: { token_hash: tokenHash }
+    });
+  };
+
+  // Conditional update so a refresh token can only be rotated once
+  OAuthToken.revokeToken = async function(id) {
+    const [affectedCount] = await this.update(
+      { revoked_at: new Date() },
+      { where: { id, revoked_at: null } }
+    );
+
+    return affectedCount === 1;
+  };
+
+  OAuthToken.revokeGrant = async function(grantId) {
+    const [affectedCount] = await this.update(
+      { revoked_at: new Date() },
+      { where: { grant_id: grantId, revoked_at: null } }
+    );
+
+    return affectedCount;
+  };
+
+  OAuthToken.revokeForUserAndClient = async function(userId, clientId) {
+    const [affectedCount] = await this.update(
+      { revoked_at: new Date() },
+      { where: { user_id: userId, client_id: clientId, revoked_at: null } }
+    );
+
+    return affectedCount;
+  };
+
+  return OAuthToken;
+};
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const encryptionUtil = require('../utils/encryption.util');
 
 module.exports = (sequelize) => {
   const OtpVerification = sequelize.define('OtpVerification', {
@@ -29,6 +30,10 @@ module.exports = (sequelize) => {
         notEmpty: true
       }
     },
+    phone_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: true
+    },
     country_code: {
       type: DataTypes.STRING(5),
       allowNull: false,
@@ -43,7 +48,7 @@ module.exports = (sequelize) => {
       }
     },
     otp_type: {
-      type: DataTypes.ENUM('registration', 'login', 'password_reset', 'phone_number_change'),
+      type: DataTypes.ENUM('registration', 'login', 'password_reset', 'phone_number_change', 'account_unlock', 'reauthentication'),
       allowNull: false
     },
     is_verified: {
@@ -85,6 +90,9 @@ module.exports = (sequelize) => {
       {
         fields: ['phone', 'country_code']
       },
+      {
+        fields: ['phone_hash', 'otp_type']
+      },
       {
         fields: ['otp_type']
       },
@@ -136,7 +144,7 @@ module.exports = (sequelize) => {
   OtpVerification.findActiveByPhone = async function(phone, otpType) {
     return await this.findOne({ 
       where: { 
-        phone,
+        phone_hash: encryptionUtil.blindIndex(phone),
         otp_type: otpType,
         is_verified: false,
         expires_at: { [sequelize.Sequelize.Op.gt]: new Date() }
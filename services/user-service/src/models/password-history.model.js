@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    password_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    }
+  }, {
+    tableName: 'password_history',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  // Class methods
+  PasswordHistory.findRecentHashes = async function(userId, limit, options = {}) {
+    const entries = await this.findAll({
+      where: { user_id: userId },
+      attributes: ['password_hash'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      ...options
+    });
+
+    return entries.map(entry => entry.password_hash);
+  };
+
+  PasswordHistory.pruneForUser = async function(userId, keep, options = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    const kept = await this.findAll({
+      where: { user_id: userId },
+      attributes: ['id'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: keep,
+      ...options
+    });
+
+    return await this.destroy({
+      where: {
+        user_id: userId,
+        id: { [Op.notIn]: kept.map(entry => entry.id) }
+      },
+      ...options
+    });
+  };
+
+  return PasswordHistory;
+};
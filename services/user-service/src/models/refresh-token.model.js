@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    session_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'session_id'
+      }
+    },
+    jti: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    parent_jti: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'rotated', 'revoked'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    rotated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoke_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['jti']
+      },
+      {
+        fields: ['session_id', 'status']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  RefreshToken.prototype.isActive = function() {
+    return this.status === 'active' && new Date() <= this.expires_at;
+  };
+
+  RefreshToken.prototype.isRotated = function() {
+    return this.status === 'rotated';
+  };
+
+  // Class methods
+  RefreshToken.findByJti = async function(jti) {
+    return await this.findOne({
+      where: { jti }
+    });
+  };
+
+  // Conditional update so concurrent refreshes with the same token cannot both succeed
+  RefreshToken.markRotated = async function(jti) {
+    const [affectedCount] = await this.update(
+      {
+        status: 'rotated',
+        rotated_at: new Date()
+      },
+      {
+        where: {
+          jti,
+          status: 'active'
+        }
+      }
+    );
+
+    return affectedCount === 1;
+  };
+
+  RefreshToken.revokeFamily = async function(sessionId, reason) {
+    const [affectedCount] = await this.update(
+      {
+        status: 'revoked',
+        revoked_at: new Date(),
+        revoke_reason: reason
+      },
+      {
+        where: {
+          session_id: sessionId,
+          status: { [sequelize.Sequelize.Op.in]: ['active', 'rotated'] }
+        }
+      }
+    );
+
+    return affectedCount;
+  };
+
+  return RefreshToken;
+};
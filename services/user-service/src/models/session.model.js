@@ -52,9 +52,17 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: false
     },
+    last_activity_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     revoked_at: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    revoke_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
     }
   }, {
     tableName: 'user_sessions',
@@ -96,9 +104,10 @@ module.exports = (sequelize) => {
     return this.is_active && !this.isExpired() && !this.isRevoked();
   };
 
-  UserSession.prototype.revoke = async function() {
+  UserSession.prototype.revoke = async function(reason = null) {
     this.is_active = false;
     this.revoked_at = new Date();
+    this.revoke_reason = reason;
     return await this.save();
   };
 
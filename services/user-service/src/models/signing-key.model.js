@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const JwtSigningKey = sequelize.define('JwtSigningKey', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    kid: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    algorithm: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    public_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    private_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    activated_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'jwt_signing_keys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['kid']
+      },
+      {
+        fields: ['activated_at']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  JwtSigningKey.prototype.isExpired = function() {
+    return this.expires_at !== null && new Date() > this.expires_at;
+  };
+
+  // Class methods
+  JwtSigningKey.findVerificationKeys = async function(algorithm) {
+    const { Op } = sequelize.Sequelize;
+
+    return await this.findAll({
+      where: {
+        algorithm,
+        [Op.or]: [
+          { expires_at: null },
+          { expires_at: { [Op.gt]: new Date() } }
+        ]
+      },
+      order: [['activated_at', 'DESC']]
+    });
+  };
+
+  JwtSigningKey.findLatest = async function(algorithm) {
+    return await this.findOne({
+      where: { algorithm },
+      order: [['activated_at', 'DESC']]
+    });
+  };
+
+  JwtSigningKey.supersedeAll = async function(algorithm, expiresAt, excludeKid) {
+    const { Op } = sequelize.Sequelize;
+
+    const [affectedCount] = await this.update(
+      { expires_at: expiresAt },
+      {
+        where: {
+          algorithm,
+          kid: { [Op.ne]: excludeKid },
+          expires_at: null
+        }
+      }
+    );
+
+    return affectedCount;
+  };
+
+  JwtSigningKey.purgeExpired = async function() {
+    return await this.destroy({
+      where: {
+        expires_at: { [sequelize.Sequelize.Op.lt]: new Date() }
+      }
+    });
+  };
+
+  return JwtSigningKey;
+};
@@ -0,0 +1,145 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SmsDispatch = sequelize.define('SmsDispatch', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    verification_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    message_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    request_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    phone_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    country_code: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: '+86'
+    },
+    carrier: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    template_key: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    template_code: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('sent', 'delivered', 'failed'),
+      allowNull: false,
+      defaultValue: 'sent'
+    },
+    provider_status: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    error_code: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    error_message: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    segments: {
+      type: DataTypes.TINYINT.UNSIGNED,
+      allowNull: true
+    },
+    cost: {
+      type: DataTypes.DECIMAL(10, 4),
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reported_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'sms_dispatches',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['verification_id']
+      },
+      {
+        fields: ['provider', 'message_id']
+      },
+      {
+        fields: ['status', 'sent_at']
+      },
+      {
+        fields: ['carrier', 'sent_at']
+      },
+      {
+        fields: ['phone_hash']
+      }
+    ]
+  });
+
+  // Instance methods
+  SmsDispatch.prototype.isFinal = function() {
+    return this.status !== 'sent';
+  };
+
+  // Class methods
+  SmsDispatch.findByMessageId = async function(provider, messageId) {
+    return await this.findOne({
+      where: { provider, message_id: messageId }
+    });
+  };
+
+  SmsDispatch.findByVerificationId = async function(verificationId) {
+    return await this.findOne({
+      where: { verification_id: verificationId },
+      order: [['sent_at', 'DESC']]
+    });
+  };
+
+  SmsDispatch.findAwaitingReport = async function(provider, sentAfter, sentBefore, limit = 50) {
+    return await this.findAll({
+      where: {
+        provider,
+        status: 'sent',
+        message_id: { [sequelize.Sequelize.Op.not]: null },
+        sent_at: {
+          [sequelize.Sequelize.Op.gt]: sentAfter,
+          [sequelize.Sequelize.Op.lt]: sentBefore
+        }
+      },
+      order: [['sent_at', 'DESC']],
+      limit
+    });
+  };
+
+  return SmsDispatch;
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SocialIdentity = sequelize.define('SocialIdentity', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    provider: {
+      type: DataTypes.ENUM('wechat', 'qq', 'weibo'),
+      allowNull: false
+    },
+    provider_subject: {
+      type: DataTypes.STRING(128),
+      allowNull: false
+    },
+    open_id: {
+      type: DataTypes.STRING(128),
+      allowNull: false
+    },
+    union_id: {
+      type: DataTypes.STRING(128),
+      allowNull: true
+    },
+    nickname: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    avatar_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    last_login_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'social_identities',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'provider_subject']
+      },
+      {
+        unique: true,
+        fields: ['user_id', 'provider']
+      }
+    ]
+  });
+
+  // Instance methods
+  SocialIdentity.prototype.toSafeObject = function() {
+    return {
+      provider: this.provider,
+      nickname: this.nickname,
+      avatar_url: this.avatar_url,
+      last_login_at: this.last_login_at,
+      linked_at: this.created_at
+    };
+  };
+
+  // Class methods
+  SocialIdentity.findByProviderSubject = async function(provider, providerSubject, options = {}) {
+    return await this.findOne({
+      where: { provider, provider_subject: providerSubject },
+      ...options
+    });
+  };
+
+  SocialIdentity.findByUserId = async function(userId) {
+    return await this.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'ASC']]
+    });
+  };
+
+  return SocialIdentity;
+};
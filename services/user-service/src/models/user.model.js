@@ -1,6 +1,9 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
+const encryptionUtil = require('../utils/encryption.util');
+
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
 
 module.exports = (sequelize) => {
   const User = sequelize.define('User', {
@@ -15,15 +18,20 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: () => uuidv4()
     },
+    // Encrypted; the format is validated before encryption
     phone: {
-      type: DataTypes.STRING(20),
-      unique: true,
+      type: DataTypes.STRING(512),
       allowNull: false,
       validate: {
-        notEmpty: true,
-        is: /^\+\d{1,4}-\d{3,15}$/
+        notEmpty: true
       }
     },
+    // HMAC blind index of the formatted phone number, used for lookups
+    phone_hash: {
+      type: DataTypes.CHAR(64),
+      unique: true,
+      allowNull: true
+    },
     country_code: {
       type: DataTypes.STRING(5),
       allowNull: false,
@@ -43,6 +51,11 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    password_reset_required: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
 
     // Profile Information
     display_name: {
@@ -137,6 +150,20 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    // Verified secondary email (encrypted), looked up through its blind index
+    email: {
+      type: DataTypes.STRING(512),
+      allowNull: true
+    },
+    email_hash: {
+      type: DataTypes.CHAR(64),
+      unique: true,
+      allowNull: true
+    },
+    email_verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     is_verified: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -205,7 +232,12 @@ module.exports = (sequelize) => {
     updatedAt: 'updated_at',
     indexes: [
       {
-        fields: ['phone']
+        unique: true,
+        fields: ['phone_hash']
+      },
+      {
+        unique: true,
+        fields: ['email_hash']
       },
       {
         fields: ['uuid']
@@ -224,14 +256,17 @@ module.exports = (sequelize) => {
       }
     ],
     hooks: {
+      // Services pass hashes from PasswordUtil; only hash values that are not bcrypt hashes yet
       beforeCreate: async (user) => {
-        if (user.password_hash) {
+        if (user.password_hash && !BCRYPT_HASH_PATTERN.test(user.password_hash)) {
           user.password_hash = await bcrypt.hash(user.password_hash, 12);
         }
       },
       beforeUpdate: async (user) => {
         if (user.changed('password_hash')) {
-          user.password_hash = await bcrypt.hash(user.password_hash, 12);
+          if (!BCRYPT_HASH_PATTERN.test(user.password_hash)) {
+            user.password_hash = await bcrypt.hash(user.password_hash, 12);
+          }
           user.password_changed_at = new Date();
         }
       }
@@ -246,6 +281,8 @@ module.exports = (sequelize) => {
   User.prototype.toSafeObject = function () {
     const user = this.toJSON();
     delete user.password_hash;
+    delete user.phone_hash;
+    delete user.email_hash;
     delete user.verification_data;
     delete user.failed_login_attempts;
     delete user.last_failed_login;
@@ -257,6 +294,8 @@ module.exports = (sequelize) => {
   User.prototype.toPublicObject = function () {
     const user = this.toSafeObject();
     delete user.phone;
+    delete user.email;
+    delete user.email_verified_at;
     delete user.birth_date;
     delete user.location;
     delete user.website;
@@ -274,12 +313,6 @@ module.exports = (sequelize) => {
     return user;
   };
 
-  User.prototype.isAccountLocked = function () {
-    return this.failed_login_attempts >= 5 &&
-      this.last_failed_login &&
-      (Date.now() - this.last_failed_login.getTime()) < 30 * 60 * 1000; // 30 minutes
-  };
-
   User.prototype.isSuspended = function () {
     return this.status === 'suspended' &&
       this.suspension_until &&
@@ -288,13 +321,22 @@ module.exports = (sequelize) => {
 
   User.prototype.canLogin = function () {
     return this.status === 'active' &&
-      !this.isAccountLocked() &&
       !this.isSuspended();
   };
 
   // Class methods
-  User.findByPhone = async function (phone) {
-    return await this.findOne({ where: { phone } });
+  User.findByPhone = async function (phone, options = {}) {
+    return await this.findOne({
+      where: { phone_hash: encryptionUtil.blindIndex(phone) },
+      ...options
+    });
+  };
+
+  User.findByEmail = async function (email, options = {}) {
+    return await this.findOne({
+      where: { email_hash: encryptionUtil.blindIndex(email.toLowerCase()) },
+      ...options
+    });
   };
 
   User.findByUuid = async function (uuid) {
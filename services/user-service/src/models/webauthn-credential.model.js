@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebauthnCredential = sequelize.define('WebauthnCredential', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    device_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    credential_id: {
+      type: DataTypes.STRING(512),
+      allowNull: false,
+      unique: true
+    },
+    public_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    algorithm: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    sign_count: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    transports: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+    aaguid: {
+      type: DataTypes.CHAR(36),
+      allowNull: true
+    },
+    attestation_format: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      defaultValue: 'none'
+    },
+    backed_up: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webauthn_credentials',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['credential_id']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['user_id', 'device_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  WebauthnCredential.prototype.toSafeObject = function() {
+    return {
+      id: this.credential_id,
+      name: this.name,
+      transports: this.transports || [],
+      attestation_format: this.attestation_format,
+      backed_up: this.backed_up,
+      last_used_at: this.last_used_at,
+      created_at: this.created_at
+    };
+  };
+
+  // Class methods
+  WebauthnCredential.findByCredentialId = async function(credentialId) {
+    return await this.findOne({
+      where: { credential_id: credentialId }
+    });
+  };
+
+  WebauthnCredential.findByUserId = async function(userId) {
+    return await this.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'ASC']]
+    });
+  };
+
+  WebauthnCredential.destroyByDevice = async function(userId, deviceId) {
+    return await this.destroy({
+      where: { user_id: userId, device_id: deviceId }
+    });
+  };
+
+  return WebauthnCredential;
+};
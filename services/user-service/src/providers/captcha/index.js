@@ -0,0 +1,41 @@
+const securityConfig = require('../../config/security.config');
+const StubCaptchaProvider = require('./stub-captcha.provider');
+const SiteverifyCaptchaProvider = require('./siteverify-captcha.provider');
+
+const providers = {
+  stub: StubCaptchaProvider,
+  siteverify: SiteverifyCaptchaProvider
+};
+
+let sharedProvider = null;
+
+/**
+ * Create the CAPTCHA provider selected by configuration
+ */
+function createCaptchaProvider(name = securityConfig.abuseChallenge.captcha.provider) {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unsupported CAPTCHA provider: ${name}`);
+  }
+
+  return new Provider(securityConfig.abuseChallenge.captcha);
+}
+
+/**
+ * Get the shared CAPTCHA provider instance
+ */
+function getCaptchaProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createCaptchaProvider();
+  }
+
+  return sharedProvider;
+}
+
+module.exports = {
+  createCaptchaProvider,
+  getCaptchaProvider,
+  StubCaptchaProvider,
+  SiteverifyCaptchaProvider
+};
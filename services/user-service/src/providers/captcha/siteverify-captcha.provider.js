@@ -0,0 +1,70 @@
+const axios = require('axios');
+const logger = require('../../utils/logger.util');
+const { AppError } = require('../../errors/AppError');
+
+/**
+ * Siteverify CAPTCHA Provider
+ * Verifies tokens with services that share the siteverify API (hCaptcha,
+ * reCAPTCHA, Cloudflare Turnstile): POST secret, response and remoteip as a
+ * form and read `success` from the JSON reply.
+ */
+class SiteverifyCaptchaProvider {
+  constructor(captchaConfig) {
+    this.name = 'siteverify';
+    this.config = captchaConfig;
+  }
+
+  /**
+   * Settings the client needs to render the widget
+   */
+  getClientConfig() {
+    return {
+      provider: this.name,
+      site_key: this.config.siteKey
+    };
+  }
+
+  /**
+   * Check a CAPTCHA response token with the provider
+   */
+  async verify(token, { ipAddress = null } = {}) {
+    if (!this.config.secretKey) {
+      throw new AppError('CAPTCHA provider is not configured', 500, 'CAPTCHA_NOT_CONFIGURED');
+    }
+
+    const form = {
+      secret: this.config.secretKey,
+      response: token
+    };
+    if (ipAddress) {
+      form.remoteip = ipAddress;
+    }
+
+    let response;
+    try {
+      response = await axios.post(this.config.verifyUrl, new URLSearchParams(form).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.config.timeout
+      });
+    } catch (error) {
+      logger.error('CAPTCHA verification request failed', {
+        verifyUrl: this.config.verifyUrl,
+        error: error.message
+      });
+      throw new AppError('CAPTCHA service is unavailable', 502, 'CAPTCHA_PROVIDER_ERROR');
+    }
+
+    const passed = response.data && response.data.success === true;
+
+    if (!passed) {
+      logger.warn('CAPTCHA rejected by provider', {
+        errorCodes: response.data && response.data['error-codes'],
+        ipAddress
+      });
+    }
+
+    return passed;
+  }
+}
+
+module.exports = SiteverifyCaptchaProvider;
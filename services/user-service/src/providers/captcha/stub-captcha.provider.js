@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger.util');
+
+/**
+ * Stub CAPTCHA Provider
+ * Local stand-in for development and tests; accepts only the configured pass
+ * token, and nothing when none is set. Refused in production.
+ */
+class StubCaptchaProvider {
+  constructor(captchaConfig) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The stub CAPTCHA provider cannot be used in production; set CAPTCHA_PROVIDER=siteverify');
+    }
+
+    this.name = 'stub';
+    this.config = captchaConfig;
+  }
+
+  /**
+   * Settings the client needs to render the widget
+   */
+  getClientConfig() {
+    return {
+      provider: this.name,
+      site_key: this.config.siteKey || 'stub-site-key'
+    };
+  }
+
+  /**
+   * Check a CAPTCHA response token
+   */
+  async verify(token, { ipAddress = null } = {}) {
+    if (!this.config.stubPassToken) {
+      logger.warn('CAPTCHA rejected (stub): CAPTCHA_STUB_PASS_TOKEN is not set', { ipAddress });
+      return false;
+    }
+
+    const expected = Buffer.from(this.config.stubPassToken);
+    const received = Buffer.from(String(token));
+    const passed = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+    logger.info('CAPTCHA verified (stub)', {
+      passed,
+      ipAddress
+    });
+
+    return passed;
+  }
+}
+
+module.exports = StubCaptchaProvider;
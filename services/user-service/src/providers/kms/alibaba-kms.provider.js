@@ -0,0 +1,80 @@
+const alibabaRpcUtil = require('../../utils/alibaba-rpc.util');
+const { AppError } = require('../../errors/AppError');
+
+/**
+ * Alibaba Cloud KMS Provider
+ * Generates and unwraps data keys with the GenerateDataKey and Decrypt actions
+ */
+class AlibabaKmsProvider {
+  constructor(hsmConfig) {
+    this.name = 'alibaba';
+    this.config = hsmConfig;
+  }
+
+  /**
+   * Generate a 256-bit data key wrapped by the key-encryption key
+   */
+  async generateDataKey(keyId = this.config.keyId) {
+    const data = await this.callApi('GenerateDataKey', {
+      KeyId: keyId,
+      KeySpec: 'AES_256'
+    });
+
+    return {
+      keyId: data.KeyId,
+      plaintext: Buffer.from(data.Plaintext, 'base64'),
+      ciphertextBlob: data.CiphertextBlob
+    };
+  }
+
+  /**
+   * Unwrap a data key
+   */
+  async decryptDataKey(ciphertextBlob) {
+    const data = await this.callApi('Decrypt', {
+      CiphertextBlob: ciphertextBlob
+    });
+
+    return Buffer.from(data.Plaintext, 'base64');
+  }
+
+  /**
+   * Call a KMS action and fail on any non-200 response
+   */
+  async callApi(action, params) {
+    if (!this.config.accessKeyId || !this.config.accessKeySecret) {
+      throw new AppError('KMS provider credentials are not configured', 500, 'KMS_PROVIDER_NOT_CONFIGURED');
+    }
+
+    const { status, data } = await alibabaRpcUtil.call(
+      this.config.endpoint,
+      action,
+      params,
+      {
+        accessKeyId: this.config.accessKeyId,
+        accessKeySecret: this.config.accessKeySecret
+      },
+      {
+        regionId: this.config.region,
+        apiVersion: this.config.apiVersion,
+        timeout: this.config.timeout,
+        // Never log plaintext data keys
+        logRequests: false,
+        logResponses: false
+      }
+    );
+
+    if (status !== 200 || !data.Plaintext) {
+      throw new AppError(
+        `KMS provider rejected request: ${data.Message || `HTTP ${status}`}`,
+        502,
+        'KMS_PROVIDER_ERROR',
+        { httpStatus: status, providerCode: data.Code, requestId: data.RequestId }
+      );
+    }
+
+    return data;
+  }
+}
+
+module.exports = AlibabaKmsProvider;
@@ -0,0 +1,41 @@
+const securityConfig = require('../../config/security.config');
+const AlibabaKmsProvider = require('./alibaba-kms.provider');
+const LocalKmsProvider = require('./local-kms.provider');
+
+const providers = {
+  alibaba: AlibabaKmsProvider,
+  local: LocalKmsProvider
+};
+
+let sharedProvider = null;
+
+/**
+ * Create the KMS provider selected by configuration
+ */
+function createKmsProvider(name = securityConfig.encryption.hsmConfig.provider) {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unsupported KMS provider: ${name}`);
+  }
+
+  return new Provider(securityConfig.encryption.hsmConfig);
+}
+
+/**
+ * Get the shared KMS provider instance
+ */
+function getKmsProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createKmsProvider();
+  }
+
+  return sharedProvider;
+}
+
+module.exports = {
+  createKmsProvider,
+  getKmsProvider,
+  AlibabaKmsProvider,
+  LocalKmsProvider
+};
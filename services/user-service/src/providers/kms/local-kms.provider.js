@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger.util');
+const { AppError } = require('../../errors/AppError');
+
+/**
+ * Local KMS Provider
+ * File-based stand-in for development and tests. Master keys live in a JSON
+ * file ({ keys: { keyId: base64 } }) that is created on first use.
+ */
+class LocalKmsProvider {
+  constructor(hsmConfig) {
+    this.name = 'local';
+    this.config = hsmConfig;
+    this.keyFile = path.resolve(hsmConfig.localKeyFile);
+    this.masterKeys = null;
+  }
+
+  /**
+   * Load master keys, creating the key file if it does not exist
+   */
+  loadMasterKeys() {
+    if (this.masterKeys) {
+      return this.masterKeys;
+    }
+
+    if (fs.existsSync(this.keyFile)) {
+      const { keys = {} } = JSON.parse(fs.readFileSync(this.keyFile, 'utf8'));
+      this.masterKeys = new Map(Object.entries(keys).map(([keyId, key]) => [keyId, Buffer.from(key, 'base64')]));
+    } else {
+      this.masterKeys = new Map();
+    }
+
+    return this.masterKeys;
+  }
+
+  /**
+   * Get a master key, creating it when generating under a new key ID
+   */
+  getMasterKey(keyId, create = false) {
+    const masterKeys = this.loadMasterKeys();
+
+    if (!masterKeys.has(keyId)) {
+      if (!create) {
+        throw new AppError(`Unknown KMS key: ${keyId}`, 500, 'KMS_KEY_NOT_FOUND');
+      }
+
+      masterKeys.set(keyId, crypto.randomBytes(32));
+      this.saveMasterKeys();
+
+      logger.warn('Local KMS master key created', { keyId, keyFile: this.keyFile });
+    }
+
+    return masterKeys.get(keyId);
+  }
+
+  /**
+   * Persist master keys to the key file
+   */
+  saveMasterKeys() {
+    const keys = {};
+    for (const [keyId, key] of this.masterKeys.entries()) {
+      keys[keyId] = key.toString('base64');
+    }
+
+    fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+    fs.writeFileSync(this.keyFile, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Generate a 256-bit data key wrapped by the master key
+   */
+  async generateDataKey(keyId = this.config.keyId || 'local-default') {
+    const masterKey = this.getMasterKey(keyId, true);
+    const plaintext = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+    const wrapped = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    const ciphertextBlob = Buffer.from(JSON.stringify({
+      keyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: wrapped.toString('base64')
+    })).toString('base64');
+
+    return { keyId, plaintext, ciphertextBlob };
+  }
+
+  /**
+   * Unwrap a data key
+   */
+  async decryptDataKey(ciphertextBlob) {
+    let blob;
+    try {
+      blob = JSON.parse(Buffer.from(ciphertextBlob, 'base64').toString('utf8'));
+    } catch {
+      throw new AppError('Invalid KMS ciphertext blob', 500, 'KMS_PROVIDER_ERROR');
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.getMasterKey(blob.keyId),
+      Buffer.from(blob.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(blob.data, 'base64')),
+      decipher.final()
+    ]);
+  }
+}
+
+module.exports = LocalKmsProvider;
@@ -0,0 +1,41 @@
+const mailConfig = require('../../config/mail.config');
+const SmtpMailProvider = require('./smtp-mail.provider');
+const MaildirMailProvider = require('./maildir-mail.provider');
+
+const providers = {
+  smtp: SmtpMailProvider,
+  maildir: MaildirMailProvider
+};
+
+let sharedProvider = null;
+
+/**
+ * Create the mail transport selected by configuration
+ */
+function createMailProvider(name = mailConfig.mail.transport) {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unsupported mail transport: ${name}`);
+  }
+
+  return new Provider(mailConfig.mail);
+}
+
+/**
+ * Get the shared mail transport instance
+ */
+function getMailProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createMailProvider();
+  }
+
+  return sharedProvider;
+}
+
+module.exports = {
+  createMailProvider,
+  getMailProvider,
+  SmtpMailProvider,
+  MaildirMailProvider
+};
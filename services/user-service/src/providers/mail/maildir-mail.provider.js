@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger.util');
+const mimeUtil = require('../../utils/mime.util');
+
+/**
+ * Maildir Mail Provider
+ * Local stand-in for development and tests: writes each message into a
+ * Maildir (tmp/ then new/) where any mail client or `cat` can read it
+ */
+class MaildirMailProvider {
+  constructor(mailConfig) {
+    this.name = 'maildir';
+    this.from = mailConfig.from;
+    this.directory = path.resolve(mailConfig.maildir.path);
+  }
+
+  /**
+   * Deliver a plain-text message into the Maildir
+   */
+  async send({ to, subject, text }) {
+    const messageId = crypto.randomUUID();
+    const raw = mimeUtil.buildMessage({ from: this.from, to, subject, text, messageId });
+    const fileName = `${Date.now()}.${messageId}.${os.hostname().replace(/[/:]/g, '_')}`;
+
+    await Promise.all(['tmp', 'new', 'cur'].map(dir =>
+      fs.mkdir(path.join(this.directory, dir), { recursive: true })
+    ));
+
+    const tmpPath = path.join(this.directory, 'tmp', fileName);
+    const newPath = path.join(this.directory, 'new', fileName);
+    await fs.writeFile(tmpPath, raw);
+    await fs.rename(tmpPath, newPath);
+
+    logger.info('Mail written to maildir', {
+      to,
+      subject,
+      path: newPath
+    });
+
+    return {
+      transport: this.name,
+      message_id: `${messageId}@${mimeUtil.getDomain(this.from) || 'localhost'}`,
+      path: newPath
+    };
+  }
+}
+
+module.exports = MaildirMailProvider;
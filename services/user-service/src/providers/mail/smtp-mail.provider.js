@@ -0,0 +1,68 @@
+const nodemailer = require('nodemailer');
+const logger = require('../../utils/logger.util');
+const mimeUtil = require('../../utils/mime.util');
+const { AppError } = require('../../errors/AppError');
+
+/**
+ * SMTP Mail Provider
+ * Submits messages to an SMTP relay through nodemailer over implicit TLS or
+ * STARTTLS, authenticating when credentials are configured. The message is
+ * built by mime.util, so SMTP and Maildir deliveries are byte-for-byte the same.
+ */
+class SmtpMailProvider {
+  constructor(mailConfig) {
+    this.name = 'smtp';
+    this.config = mailConfig.smtp;
+    this.from = mailConfig.from;
+    this.transporter = nodemailer.createTransport({
+      host: this.config.host,
+      port: this.config.port,
+      secure: this.config.secure,
+      requireTLS: !this.config.secure && this.config.requireTls,
+      name: this.config.clientName,
+      auth: this.config.username ? { user: this.config.username, pass: this.config.password || '' } : undefined,
+      connectionTimeout: this.config.timeout,
+      greetingTimeout: this.config.timeout,
+      socketTimeout: this.config.timeout
+    });
+  }
+
+  /**
+   * Send a plain-text message
+   */
+  async send({ to, subject, text }) {
+    const raw = mimeUtil.buildMessage({ from: this.from, to, subject, text });
+    const messageId = raw.match(/^Message-ID: <([^>]+)>/m)[1];
+
+    try {
+      await this.transporter.sendMail({
+        envelope: {
+          from: mimeUtil.getAddress(this.from),
+          to: mimeUtil.getAddress(to)
+        },
+        raw
+      });
+    } catch (error) {
+      logger.error('SMTP delivery failed', {
+        host: this.config.host,
+        port: this.config.port,
+        code: error.code,
+        responseCode: error.responseCode,
+        error: error.message
+      });
+      throw new AppError('Mail server is unavailable', 502, 'MAIL_TRANSPORT_ERROR');
+    }
+
+    logger.info('Mail sent', {
+      transport: this.name,
+      messageId
+    });
+
+    return {
+      transport: this.name,
+      message_id: messageId
+    };
+  }
+}
+
+module.exports = SmtpMailProvider;
@@ -0,0 +1,266 @@
+const alibabaRpcUtil = require('../../utils/alibaba-rpc.util');
+const logger = require('../../utils/logger.util');
+const { AppError } = require('../../errors/AppError');
+
+// Dysmsapi error codes that are worth retrying
+const RETRYABLE_CODES = [
+  'isp.SYSTEM_ERROR',
+  'isv.BUSINESS_LIMIT_CONTROL',
+  'Throttling',
+  'Throttling.User',
+  'ServiceUnavailable',
+  'InternalError'
+];
+
+// Network errors raised before the request reached Dysmsapi. Timeouts and
+// resets are left out: the SMS may already have been sent.
+const UNSENT_NETWORK_ERRORS = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH'
+];
+
+// QuerySendDetails SendStatus values
+const SEND_STATUS = {
+  1: 'sent',
+  2: 'failed',
+  3: 'delivered'
+};
+
+/**
+ * Parse an Alibaba Cloud timestamp ("yyyy-MM-dd HH:mm:ss", China Standard Time)
+ */
+function parseProviderTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(`${value.replace(' ', 'T')}+08:00`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Count billed segments for message content (70 chars single, 67 per part)
+ */
+function countSegments(content) {
+  if (!content) {
+    return null;
+  }
+
+  return content.length <= 70 ? 1 : Math.ceil(content.length / 67);
+}
+
+/**
+ * Alibaba Cloud SMS Provider
+ * Sends templated SMS through the Dysmsapi SendSms action
+ */
+class AlibabaSmsProvider {
+  constructor(smsConfig) {
+    this.name = 'alibaba';
+    this.config = smsConfig;
+  }
+
+  /**
+   * Convert a formatted phone number to the Dysmsapi PhoneNumbers format
+   * Mainland China numbers are sent without the country code
+   */
+  formatPhoneNumber(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.startsWith('86') ? digits.slice(2) : digits;
+  }
+
+  /**
+   * Check whether a failed attempt should be retried
+   * Only failures that happened before the SMS could go out, so a retry never
+   * sends the user a second code
+   */
+  isRetryable(error) {
+    if (!(error instanceof AppError)) {
+      return UNSENT_NETWORK_ERRORS.includes(error.code);
+    }
+
+    // 502 and 503 come from the gateway before Dysmsapi handled the request; a 504 may not have
+    const { httpStatus, providerCode } = error.details || {};
+    return httpStatus === 502 || httpStatus === 503 || RETRYABLE_CODES.includes(providerCode);
+  }
+
+  /**
+   * Send a templated SMS
+   */
+  async send({ phone, templateKey, templateParams = {}, outId = null }) {
+    const templateCode = this.config.templates[templateKey];
+    if (!templateCode) {
+      throw new AppError(`Unknown SMS template: ${templateKey}`, 500, 'SMS_TEMPLATE_NOT_FOUND');
+    }
+
+    if (!this.config.accessKeyId || !this.config.accessKeySecret) {
+      throw new AppError('SMS provider credentials are not configured', 500, 'SMS_PROVIDER_NOT_CONFIGURED');
+    }
+
+    const params = {
+      PhoneNumbers: this.formatPhoneNumber(phone),
+      SignName: this.config.signName,
+      TemplateCode: templateCode,
+      TemplateParam: JSON.stringify(templateParams),
+      OutId: outId || undefined
+    };
+
+    const { retry } = this.config;
+    const maxAttempts = retry.enabled ? retry.maxAttempts : 1;
+    let delay = retry.retryDelay;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        return await this.sendOnce(params, templateKey);
+      } catch (error) {
+        lastError = error;
+
+        if (attempt >= maxAttempts || !this.isRetryable(error)) {
+          break;
+        }
+
+        logger.warn('SMS send attempt failed, retrying', {
+          attempt,
+          templateKey,
+          delay,
+          error: error.message
+        });
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.round(delay * retry.backoffMultiplier);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Call a Dysmsapi action and fail on any non-OK response
+   */
+  async callApi(action, params, options = {}) {
+    const { status, data } = await alibabaRpcUtil.call(
+      this.config.endpoint,
+      action,
+      params,
+      {
+        accessKeyId: this.config.accessKeyId,
+        accessKeySecret: this.config.accessKeySecret
+      },
+      {
+        regionId: this.config.regionId,
+        apiVersion: this.config.apiVersion,
+        timeout: this.config.timeout.request,
+        logRequests: this.config.logging.logRequests,
+        logResponses: this.config.logging.logResponses,
+        ...options
+      }
+    );
+
+    if (status !== 200 || data.Code !== 'OK') {
+      throw new AppError(
+        `SMS provider rejected request: ${data.Message || `HTTP ${status}`}`,
+        502,
+        'SMS_PROVIDER_ERROR',
+        { httpStatus: status, providerCode: data.Code, requestId: data.RequestId }
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Perform a single SendSms call
+   */
+  async sendOnce(params, templateKey) {
+    const data = await this.callApi('SendSms', params, {
+      redactParams: { TemplateParam: '[REDACTED]' }
+    });
+
+    logger.info('SMS sent via Alibaba Cloud', {
+      templateKey,
+      bizId: data.BizId,
+      requestId: data.RequestId
+    });
+
+    return {
+      provider: this.name,
+      message_id: data.BizId,
+      request_id: data.RequestId
+    };
+  }
+
+  /**
+   * Normalize delivery reports pushed by Alibaba Cloud (SmsReport HTTP push)
+   */
+  parseDeliveryReports(payload) {
+    const reports = Array.isArray(payload) ? payload : [payload];
+
+    return reports
+      .filter(report => report && report.biz_id)
+      .map(report => AlibabaSmsProvider.normalizeReport(report));
+  }
+
+  /**
+   * Convert a single SmsReport item to the normalized report format
+   */
+  static normalizeReport(report) {
+    const success = report.success === true || report.success === 'true';
+    const reportedAt = parseProviderTime(report.report_time) || new Date();
+
+    return {
+      messageId: report.biz_id,
+      outId: report.out_id || null,
+      status: success ? 'delivered' : 'failed',
+      providerStatus: report.err_code || null,
+      errorCode: success ? null : (report.err_code || null),
+      errorMessage: success ? null : (report.err_msg || null),
+      segments: report.sms_size ? parseInt(report.sms_size) : null,
+      deliveredAt: success ? reportedAt : null,
+      reportedAt
+    };
+  }
+
+  /**
+   * Poll the delivery status of a sent message (QuerySendDetails)
+   */
+  async queryDeliveryStatus({ phone, messageId, sentAt }) {
+    // SendDate is the send day in China Standard Time (yyyyMMdd)
+    const sendDate = new Date(new Date(sentAt).getTime() + 8 * 60 * 60 * 1000)
+      .toISOString().slice(0, 10).replace(/-/g, '');
+
+    const data = await this.callApi('QuerySendDetails', {
+      PhoneNumber: this.formatPhoneNumber(phone),
+      BizId: messageId,
+      SendDate: sendDate,
+      PageSize: 10,
+      CurrentPage: 1
+    });
+
+    const details = (data.SmsSendDetailDTOs && data.SmsSendDetailDTOs.SmsSendDetailDTO) || [];
+    const detail = details[0];
+
+    if (!detail) {
+      return null;
+    }
+
+    const reportStatus = SEND_STATUS[detail.SendStatus] || 'sent';
+    const receivedAt = parseProviderTime(detail.ReceiveDate);
+
+    return {
+      messageId,
+      outId: detail.OutId || null,
+      status: reportStatus,
+      providerStatus: detail.ErrCode || null,
+      errorCode: reportStatus === 'failed' ? (detail.ErrCode || null) : null,
+      errorMessage: null,
+      segments: countSegments(detail.Content),
+      deliveredAt: reportStatus === 'delivered' ? receivedAt : null,
+      reportedAt: receivedAt || new Date()
+    };
+  }
+}
+
+module.exports = AlibabaSmsProvider;
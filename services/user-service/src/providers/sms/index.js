@@ -0,0 +1,41 @@
+const alibabaSmsConfig = require('../../config/alibaba-sms.config');
+const AlibabaSmsProvider = require('./alibaba-sms.provider');
+const MockSmsProvider = require('./mock-sms.provider');
+
+const providers = {
+  alibaba: AlibabaSmsProvider,
+  mock: MockSmsProvider
+};
+
+let sharedProvider = null;
+
+/**
+ * Create the SMS provider selected by configuration
+ */
+function createSmsProvider(name = alibabaSmsConfig.sms.provider) {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unsupported SMS provider: ${name}`);
+  }
+
+  return new Provider(alibabaSmsConfig.sms, alibabaSmsConfig.development);
+}
+
+/**
+ * Get the shared SMS provider instance used for sending and delivery reports
+ */
+function getSmsProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createSmsProvider();
+  }
+
+  return sharedProvider;
+}
+
+module.exports = {
+  createSmsProvider,
+  getSmsProvider,
+  AlibabaSmsProvider,
+  MockSmsProvider
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger.util');
+const { AppError } = require('../../errors/AppError');
+const AlibabaSmsProvider = require('./alibaba-sms.provider');
+
+/**
+ * Mock SMS Provider
+ * In-process stand-in for development and tests; records sent messages
+ */
+class MockSmsProvider {
+  constructor(smsConfig, developmentConfig = {}) {
+    this.name = 'mock';
+    this.config = smsConfig;
+    this.responseDelay = developmentConfig.mockResponseDelay || 0;
+    this.successRate = developmentConfig.mockSuccessRate !== undefined ?
+      developmentConfig.mockSuccessRate : 1;
+    this.logContent = developmentConfig.logSMSContent === true;
+    this.sentMessages = [];
+  }
+
+  /**
+   * Send a templated SMS (simulated)
+   */
+  async send({ phone, templateKey, templateParams = {}, outId = null }) {
+    const templateCode = this.config.templates[templateKey];
+    if (!templateCode) {
+      throw new AppError(`Unknown SMS template: ${templateKey}`, 500, 'SMS_TEMPLATE_NOT_FOUND');
+    }
+
+    if (this.responseDelay > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.responseDelay));
+    }
+
+    if (Math.random() >= this.successRate) {
+      throw new AppError(
+        'SMS provider rejected request: simulated failure',
+        502,
+        'SMS_PROVIDER_ERROR',
+        { httpStatus: 200, providerCode: 'isp.SYSTEM_ERROR' }
+      );
+    }
+
+    const message = {
+      provider: this.name,
+      message_id: crypto.randomUUID(),
+      request_id: crypto.randomUUID()
+    };
+
+    this.sentMessages.push({
+      ...message,
+      phone,
+      templateKey,
+      templateCode,
+      templateParams,
+      outId,
+      sentAt: new Date()
+    });
+
+    logger.info('SMS sent (mock)', {
+      phone,
+      templateKey,
+      templateCode,
+      ...(this.logContent ? { templateParams } : {})
+    });
+
+    return message;
+  }
+
+  /**
+   * Normalize delivery reports (accepts the Alibaba Cloud SmsReport format)
+   */
+  parseDeliveryReports(payload) {
+    const reports = Array.isArray(payload) ? payload : [payload];
+
+    return reports
+      .filter(report => report && report.biz_id)
+      .map(report => AlibabaSmsProvider.normalizeReport(report));
+  }
+
+  /**
+   * Poll the delivery status of a sent message (recorded messages are delivered)
+   */
+  async queryDeliveryStatus({ messageId }) {
+    const message = this.sentMessages.find(sent => sent.message_id === messageId);
+
+    if (!message) {
+      return null;
+    }
+
+    return {
+      messageId,
+      outId: message.outId,
+      status: 'delivered',
+      providerStatus: 'DELIVERED',
+      errorCode: null,
+      errorMessage: null,
+      segments: 1,
+      deliveredAt: new Date(),
+      reportedAt: new Date()
+    };
+  }
+
+  /**
+   * Get the most recent message sent to a phone number
+   */
+  getLastMessage(phone) {
+    return [...this.sentMessages].reverse().find(message => message.phone === phone) || null;
+  }
+
+  /**
+   * Clear recorded messages
+   */
+  reset() {
+    this.sentMessages = [];
+  }
+}
+
+module.exports = MockSmsProvider;
@@ -0,0 +1,52 @@
+const socialLoginConfig = require('../../config/social-login.config');
+const WechatProvider = require('./wechat.provider');
+const QqProvider = require('./qq.provider');
+const WeiboProvider = require('./weibo.provider');
+
+const providers = {
+  wechat: WechatProvider,
+  qq: QqProvider,
+  weibo: WeiboProvider
+};
+
+const sharedProviders = new Map();
+
+/**
+ * Create a social login provider by name
+ */
+function createSocialProvider(name) {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unsupported social login provider: ${name}`);
+  }
+
+  return new Provider(name, socialLoginConfig.social.providers[name], socialLoginConfig.social);
+}
+
+/**
+ * Get the shared instance of a social login provider
+ */
+function getSocialProvider(name) {
+  if (!sharedProviders.has(name)) {
+    sharedProviders.set(name, createSocialProvider(name));
+  }
+
+  return sharedProviders.get(name);
+}
+
+/**
+ * Names of all supported providers
+ */
+function getSupportedProviders() {
+  return Object.keys(providers);
+}
+
+module.exports = {
+  createSocialProvider,
+  getSocialProvider,
+  getSupportedProviders,
+  WechatProvider,
+  QqProvider,
+  WeiboProvider
+};
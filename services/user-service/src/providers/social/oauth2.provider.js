@@ -0,0 +1,152 @@
+const axios = require('axios');
+const logger = require('../../utils/logger.util');
+const { AppError } = require('../../errors/AppError');
+
+/**
+ * OAuth2 Provider
+ * Authorization-code client shared by the social login adapters. Subclasses
+ * implement exchangeCode() and fetchProfile() for their provider's dialect and
+ * return a normalized profile: { subject, openId, unionId, nickname, avatarUrl }.
+ */
+class OAuth2Provider {
+  constructor(name, providerConfig, socialConfig) {
+    this.name = name;
+    this.config = providerConfig;
+    this.timeout = socialConfig.timeout;
+  }
+
+  /**
+   * Whether credentials and a redirect URI are configured
+   */
+  isConfigured() {
+    return !!(this.config.enabled && this.config.clientId && this.config.clientSecret && this.config.redirectUri);
+  }
+
+  /**
+   * Build the URL the user is sent to for consent
+   */
+  getAuthorizationUrl(state) {
+    this.assertConfigured();
+
+    const params = new URLSearchParams(this.buildAuthorizationParams(state));
+    return `${this.config.authorizeUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Query parameters for the authorization request
+   */
+  buildAuthorizationParams(state) {
+    const params = {
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      state
+    };
+
+    if (this.config.scope) {
+      params.scope = this.config.scope;
+    }
+
+    return params;
+  }
+
+  /**
+   * Exchange an authorization code and load the user's profile
+   */
+  async authenticate(code) {
+    this.assertConfigured();
+
+    const token = await this.exchangeCode(code);
+    const profile = await this.fetchProfile(token);
+
+    if (!profile.subject) {
+      throw new AppError(`${this.name} did not return a user identifier`, 502, 'SOCIAL_PROVIDER_ERROR', {
+        provider: this.name
+      });
+    }
+
+    return { provider: this.name, ...profile };
+  }
+
+  /**
+   * Exchange an authorization code for an access token
+   */
+  async exchangeCode() {
+    throw new Error(`${this.name} provider does not implement exchangeCode`);
+  }
+
+  /**
+   * Load the normalized user profile for an access token
+   */
+  async fetchProfile() {
+    throw new Error(`${this.name} provider does not implement fetchProfile`);
+  }
+
+  /**
+   * Call a provider API and return the parsed body
+   */
+  async request(method, path, { params = undefined, form = undefined } = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.config.apiBaseUrl}${path}`,
+        params,
+        data: form ? new URLSearchParams(form).toString() : undefined,
+        headers: form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : undefined,
+        timeout: this.timeout,
+        // Provider errors arrive with 4xx statuses and JSON bodies; inspect them below
+        validateStatus: () => true
+      });
+
+      return {
+        status: response.status,
+        data: typeof response.data === 'string' ? this.parseBody(response.data) : response.data
+      };
+    } catch (error) {
+      logger.error('Social provider request failed', {
+        provider: this.name,
+        path,
+        error: error.message
+      });
+      throw new AppError(`${this.name} is unavailable`, 502, 'SOCIAL_PROVIDER_ERROR', { provider: this.name });
+    }
+  }
+
+  /**
+   * Parse a response body sent with a non-JSON content type
+   */
+  parseBody(body) {
+    try {
+      return JSON.parse(body);
+    } catch {
+      return { raw: body };
+    }
+  }
+
+  /**
+   * Error for a response the provider marked as failed
+   */
+  providerError(message, details = {}) {
+    logger.warn('Social provider rejected request', {
+      provider: this.name,
+      message,
+      ...details
+    });
+
+    return new AppError(`${this.name} login failed: ${message}`, 401, 'SOCIAL_LOGIN_FAILED', {
+      provider: this.name,
+      ...details
+    });
+  }
+
+  /**
+   * Fail when the provider is not configured
+   */
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new AppError(`${this.name} login is not configured`, 500, 'SOCIAL_PROVIDER_NOT_CONFIGURED');
+    }
+  }
+}
+
+module.exports = OAuth2Provider;
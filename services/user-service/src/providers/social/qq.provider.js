@@ -0,0 +1,83 @@
+const OAuth2Provider = require('./oauth2.provider');
+
+/**
+ * QQ Provider
+ * QQ Connect. The token endpoint does not return the user's openid, so it is
+ * looked up through /oauth2.0/me before loading the profile.
+ */
+class QqProvider extends OAuth2Provider {
+  /**
+   * Exchange the code for an access token
+   */
+  async exchangeCode(code) {
+    const { data } = await this.request('get', '/oauth2.0/token', {
+      params: {
+        grant_type: 'authorization_code',
+        client_id: this.config.clientId,
+        client_secret: this.config.clientSecret,
+        code,
+        redirect_uri: this.config.redirectUri,
+        fmt: 'json'
+      }
+    });
+
+    this.checkResponse(data);
+
+    if (!data.access_token) {
+      throw this.providerError('access token missing from response');
+    }
+
+    return data;
+  }
+
+  /**
+   * Resolve the openid/unionid and load the user's profile
+   */
+  async fetchProfile(token) {
+    const { data: identity } = await this.request('get', '/oauth2.0/me', {
+      params: {
+        access_token: token.access_token,
+        unionid: 1,
+        fmt: 'json'
+      }
+    });
+
+    this.checkResponse(identity);
+
+    if (!identity.openid) {
+      throw this.providerError('openid missing from response');
+    }
+
+    const { data } = await this.request('get', '/user/get_user_info', {
+      params: {
+        access_token: token.access_token,
+        oauth_consumer_key: this.config.clientId,
+        openid: identity.openid
+      }
+    });
+
+    if (data.ret !== undefined && data.ret !== 0) {
+      throw this.providerError(data.msg || 'request rejected', { providerCode: data.ret });
+    }
+
+    // Keyed on the app-scoped openid like WeChat; unionid is optional
+    return {
+      subject: identity.openid,
+      openId: identity.openid,
+      unionId: identity.unionid || null,
+      nickname: data.nickname || null,
+      avatarUrl: data.figureurl_qq_2 || data.figureurl_qq_1 || null
+    };
+  }
+
+  /**
+   * Raise QQ { error, error_description } failures
+   */
+  checkResponse(data) {
+    if (data.error) {
+      throw this.providerError(data.error_description || 'request rejected', { providerCode: data.error });
+    }
+  }
+}
+
+module.exports = QqProvider;
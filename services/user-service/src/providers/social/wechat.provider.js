@@ -0,0 +1,87 @@
+const OAuth2Provider = require('./oauth2.provider');
+
+/**
+ * WeChat Provider
+ * WeChat Open Platform website login (snsapi_login). WeChat uses `appid` /
+ * `secret` instead of the standard client parameters and reports errors as
+ * { errcode, errmsg } with HTTP 200.
+ */
+class WechatProvider extends OAuth2Provider {
+  /**
+   * Build the consent URL (the QR connect page requires the #wechat_redirect fragment)
+   */
+  getAuthorizationUrl(state) {
+    return `${super.getAuthorizationUrl(state)}#wechat_redirect`;
+  }
+
+  /**
+   * WeChat names the client parameter `appid`
+   */
+  buildAuthorizationParams(state) {
+    return {
+      appid: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      response_type: 'code',
+      scope: this.config.scope,
+      state
+    };
+  }
+
+  /**
+   * Exchange the code; the response also carries openid and unionid
+   */
+  async exchangeCode(code) {
+    const { data } = await this.request('get', '/sns/oauth2/access_token', {
+      params: {
+        appid: this.config.clientId,
+        secret: this.config.clientSecret,
+        code,
+        grant_type: 'authorization_code'
+      }
+    });
+
+    this.checkResponse(data);
+
+    if (!data.access_token || !data.openid) {
+      throw this.providerError('access token missing from response');
+    }
+
+    return data;
+  }
+
+  /**
+   * Load the user's profile
+   */
+  async fetchProfile(token) {
+    const { data } = await this.request('get', '/sns/userinfo', {
+      params: {
+        access_token: token.access_token,
+        openid: token.openid
+      }
+    });
+
+    this.checkResponse(data);
+
+    // openid is always issued and stable for this app; unionid is only
+    // returned once the app is bound to an Open Platform account, so it is
+    // stored but never used as the key
+    return {
+      subject: token.openid,
+      openId: token.openid,
+      unionId: data.unionid || token.unionid || null,
+      nickname: data.nickname || null,
+      avatarUrl: data.headimgurl || null
+    };
+  }
+
+  /**
+   * Raise WeChat { errcode, errmsg } failures
+   */
+  checkResponse(data) {
+    if (data.errcode) {
+      throw this.providerError(data.errmsg || 'request rejected', { providerCode: data.errcode });
+    }
+  }
+}
+
+module.exports = WechatProvider;
@@ -0,0 +1,63 @@
+const OAuth2Provider = require('./oauth2.provider');
+
+/**
+ * Weibo Provider
+ * Sina Weibo OAuth2. The token exchange is a form POST that returns the uid.
+ */
+class WeiboProvider extends OAuth2Provider {
+  /**
+   * Exchange the code for an access token and uid
+   */
+  async exchangeCode(code) {
+    const { data } = await this.request('post', '/oauth2/access_token', {
+      form: {
+        client_id: this.config.clientId,
+        client_secret: this.config.clientSecret,
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.config.redirectUri
+      }
+    });
+
+    this.checkResponse(data);
+
+    if (!data.access_token || !data.uid) {
+      throw this.providerError('access token missing from response');
+    }
+
+    return data;
+  }
+
+  /**
+   * Load the user's profile
+   */
+  async fetchProfile(token) {
+    const { data } = await this.request('get', '/2/users/show.json', {
+      params: {
+        access_token: token.access_token,
+        uid: token.uid
+      }
+    });
+
+    this.checkResponse(data);
+
+    return {
+      subject: String(token.uid),
+      openId: String(token.uid),
+      unionId: null,
+      nickname: data.screen_name || null,
+      avatarUrl: data.avatar_large || data.profile_image_url || null
+    };
+  }
+
+  /**
+   * Raise Weibo { error, error_code } failures
+   */
+  checkResponse(data) {
+    if (data.error || data.error_code) {
+      throw this.providerError(data.error_description || data.error || 'request rejected', { providerCode: data.error_code });
+    }
+  }
+}
+
+module.exports = WeiboProvider;
@@ -59,7 +59,8 @@ const userLoginPasswordSchema = Joi.object({
   password: passwordSchema,
   device_id: Joi.string().required(),
   device_type: Joi.string().valid('mobile', 'desktop', 'tablet').required(),
-  device_name: Joi.string().max(100).required()
+  device_name: Joi.string().max(100).required(),
+  device_token: Joi.string().max(2048).optional()
 });
 
 // User login with OTP schema
@@ -69,7 +70,8 @@ const userLoginOtpSchema = Joi.object({
   otp_code: otpCodeSchema,
   device_id: Joi.string().required(),
   device_type: Joi.string().valid('mobile', 'desktop', 'tablet').required(),
-  device_name: Joi.string().max(100).required()
+  device_name: Joi.string().max(100).required(),
+  device_token: Joi.string().max(2048).optional()
 });
 
 // Token refresh schema
@@ -100,9 +102,6 @@ const passwordResetSchema = Joi.object({
 
 // Password change schema
 const passwordChangeSchema = Joi.object({
-  current_password: passwordSchema.messages({
-    'any.required': 'Current password is required'
-  }),
   new_password: passwordSchema.messages({
     'any.required': 'New password is required'
   }),
@@ -119,10 +118,7 @@ const passwordChangeSchema = Joi.object({
 const phoneNumberChangeSchema = Joi.object({
   new_phone: phoneSchema,
   verification_id: uuidSchema,
-  otp_code: otpCodeSchema,
-  password: passwordSchema.messages({
-    'any.required': 'Password is required for phone number change'
-  })
+  otp_code: otpCodeSchema
 });
 
 // Session validation schema
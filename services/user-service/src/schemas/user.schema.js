@@ -108,17 +108,11 @@ const accountDeactivationSchema = Joi.object({
     .max(500)
     .messages({
       'string.max': 'Reason must not exceed 500 characters'
-    }),
-  password: passwordSchema.messages({
-    'any.required': 'Password is required for account deactivation'
-  })
+    })
 });
 
 // Account deletion schema
 const accountDeletionSchema = Joi.object({
-  password: passwordSchema.messages({
-    'any.required': 'Password is required for account deletion'
-  }),
   confirmation: Joi.string()
     .valid('DELETE_MY_ACCOUNT')
     .required()
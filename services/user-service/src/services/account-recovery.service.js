@@ -0,0 +1,718 @@
+const crypto = require('crypto');
+const { sequelize, User, UserSession, AccountRecoveryCase, AuditLog } = require('../models');
+const settingsService = require('./settings.service');
+const sessionService = require('./session.service');
+const lockoutService = require('./lockout.service');
+const mfaService = require('./mfa.service');
+const encryptionService = require('./encryption.service');
+const emailService = require('./email.service');
+const smsDispatchService = require('./sms-dispatch.service');
+const { getSmsProvider } = require('../providers/sms');
+const phoneUtil = require('../utils/phone.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AuthError } = require('../errors/authError');
+const { ValidationError } = require('../errors/validationError');
+const { AppError } = require('../errors/AppError');
+
+const REAL_NAME_FIELDS = ['first_name', 'last_name', 'birth_date', 'id_number'];
+
+// Owner notifications per case event
+const NOTICES = {
+  submitted: {
+    event: 'Account recovery requested',
+    subject: 'Someone asked to recover your Lianxin account',
+    text: 'A request was made to move your Lianxin account to a new phone number. Our team will review it.'
+  },
+  approved: {
+    event: 'Account recovery approved',
+    subject: 'Your Lianxin account recovery was approved',
+    text: 'A request to move your Lianxin account to a new phone number was approved. The new number can be bound after the waiting period below.'
+  },
+  completed: {
+    event: 'Phone number replaced by account recovery',
+    subject: 'Your Lianxin phone number was replaced',
+    text: 'The phone number on your Lianxin account was replaced through account recovery and all devices were signed out.'
+  }
+};
+
+/**
+ * Account Recovery Service
+ * Recovery cases for users who lost their phone number: the user submits
+ * identity evidence, an admin reviews the case, and after a cooling-off period
+ * the user binds a new phone with the phone change flow. The old number (and
+ * verified email) is told at each step so a real owner can cancel.
+ */
+class AccountRecoveryService {
+  constructor() {
+    this.config = securityConfig.accountRecovery;
+  }
+
+  /**
+   * Open a recovery case; returns the token the requester uses to follow it
+   */
+  async submitCase(caseData, { ipAddress = null, userAgent = null } = {}) {
+    this.assertEnabled();
+
+    const { phone, new_phone, backup_code, device_id, real_name, description } = caseData;
+
+    const formattedPhone = phoneUtil.validatePhoneNumber(phone).formatted;
+    const user = await User.findByPhone(formattedPhone);
+    if (!user) {
+      throw AuthError.phoneNotFound('Phone number not found');
+    }
+
+    if (user.status === 'suspended') {
+      throw AuthError.accountSuspended('Cannot recover a suspended account');
+    }
+    if (user.status === 'pending_deletion') {
+      throw AuthError.accountPendingDeletion('Cannot recover an account scheduled for deletion');
+    }
+
+    const newPhoneValidation = phoneUtil.validatePhoneNumber(new_phone);
+    const formattedNewPhone = newPhoneValidation.formatted;
+
+    if (formattedNewPhone === formattedPhone) {
+      throw ValidationError.custom('new_phone', 'New phone number must differ from the lost one', new_phone);
+    }
+    if (await User.findByPhone(formattedNewPhone)) {
+      throw AuthError.duplicatePhone('Phone number already registered by another user');
+    }
+
+    if (await this.findOpenCase(user.id)) {
+      throw AppError.conflict('An account recovery case is already open for this account');
+    }
+
+    const { evidence, score } = await this.checkEvidence(user, { backup_code, device_id, real_name });
+    evidence.description = description || null;
+
+    const caseToken = crypto.randomBytes(32).toString('base64url');
+
+    const recoveryCase = await AccountRecoveryCase.create({
+      case_id: crypto.randomUUID(),
+      user_id: user.id,
+      access_token_hash: this.hashToken(caseToken),
+      new_phone: encryptionService.encryptValue(formattedNewPhone, await encryptionService.createRecordKey()),
+      new_phone_hash: await encryptionService.hashForSearch(formattedNewPhone),
+      new_country_code: newPhoneValidation.countryCode,
+      evidence,
+      evidence_score: score,
+      ip_address: ipAddress,
+      user_agent: userAgent
+    });
+
+    await AuditLog.logAction({
+      userId: user.id,
+      action: 'recovery_case_submitted',
+      resource: 'account_recovery_case',
+      resourceId: recoveryCase.case_id,
+      newValues: {
+        new_phone: phoneUtil.maskPhoneNumber(formattedNewPhone),
+        evidence_score: score
+      },
+      ipAddress,
+      userAgent
+    });
+
+    await this.notifyOwner(user, 'submitted');
+
+    logger.info('Account recovery case submitted', {
+      userId: user.id,
+      caseId: recoveryCase.case_id,
+      evidenceScore: score,
+      ipAddress
+    });
+
+    return {
+      case_id: recoveryCase.case_id,
+      case_token: caseToken,
+      status: recoveryCase.status,
+      created_at: recoveryCase.created_at
+    };
+  }
+
+  /**
+   * Case status for the requester
+   */
+  async getCaseStatus(caseId, caseToken) {
+    const recoveryCase = await this.getRequesterCase(caseId, caseToken);
+    return this.formatCase(recoveryCase);
+  }
+
+  /**
+   * Send the phone change OTP to the new number once the case can be completed
+   */
+  async requestPhoneOtp(caseId, caseToken, ipAddress = null) {
+    const recoveryCase = await this.getRequesterCase(caseId, caseToken);
+    this.assertReadyToComplete(recoveryCase);
+
+    const newPhone = await encryptionService.decryptValue(recoveryCase.new_phone);
+
+    return await settingsService.requestPhoneChangeOtp(recoveryCase.user_id, newPhone, ipAddress);
+  }
+
+  /**
+   * Bind the new phone number, sign out everywhere and close the case
+   */
+  async completeCase(caseId, caseToken, { verification_id, otp_code }, { ipAddress = null, userAgent = null } = {}) {
+    const recoveryCase = await this.getRequesterCase(caseId, caseToken);
+    this.assertReadyToComplete(recoveryCase);
+
+    const newPhone = await encryptionService.decryptValue(recoveryCase.new_phone);
+
+    const transaction = await sequelize.transaction();
+    let user;
+    let oldPhone;
+    let formattedPhone;
+    try {
+      user = await User.findByPk(recoveryCase.user_id, { transaction });
+      if (!user) {
+        throw AppError.notFound('User not found');
+      }
+
+      oldPhone = (await encryptionService.decryptUserData(user.toJSON())).phone;
+
+      formattedPhone = await settingsService.bindPhoneNumber(user, {
+        new_phone: newPhone,
+        verification_id,
+        otp_code
+      }, transaction);
+
+      await recoveryCase.update({
+        status: 'completed',
+        completed_at: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await sessionService.revokeAllUserSessions(user.id);
+    await lockoutService.unlockAll(user.id);
+
+    await AuditLog.logAction({
+      userId: user.id,
+      action: 'recovery_case_completed',
+      resource: 'account_recovery_case',
+      resourceId: recoveryCase.case_id,
+      oldValues: { phone: phoneUtil.maskPhoneNumber(oldPhone) },
+      newValues: { phone: phoneUtil.maskPhoneNumber(formattedPhone) },
+      ipAddress,
+      userAgent
+    });
+
+    await this.notifyOwner(user, 'completed', { phone: oldPhone });
+
+    logger.warn('Phone number replaced by account recovery', {
+      userId: user.id,
+      caseId: recoveryCase.case_id,
+      ipAddress
+    });
+
+    return {
+      ...this.formatCase(recoveryCase),
+      phone: formattedPhone
+    };
+  }
+
+  /**
+   * Withdraw a case as the requester
+   */
+  async cancelByRequester(caseId, caseToken, { ipAddress = null, userAgent = null } = {}) {
+    const recoveryCase = await this.getRequesterCase(caseId, caseToken);
+    await this.cancelCase(recoveryCase, 'requester', { ipAddress, userAgent });
+
+    return this.formatCase(recoveryCase);
+  }
+
+  /**
+   * Open case on the signed-in owner's account, if any
+   */
+  async getOwnerCase(userId) {
+    const recoveryCase = await this.findOpenCase(userId);
+    if (!recoveryCase) {
+      return null;
+    }
+
+    return {
+      ...this.formatCase(recoveryCase),
+      new_phone: phoneUtil.maskPhoneNumber(await encryptionService.decryptValue(recoveryCase.new_phone))
+    };
+  }
+
+  /**
+   * Stop a recovery case as the signed-in owner ("this wasn't me")
+   */
+  async cancelByOwner(userId, { ipAddress = null, userAgent = null, sessionId = null } = {}) {
+    const recoveryCase = await this.findOpenCase(userId);
+    if (!recoveryCase) {
+      throw AppError.notFound('No open account recovery case');
+    }
+
+    await this.cancelCase(recoveryCase, 'owner', { ipAddress, userAgent, sessionId });
+
+    return this.formatCase(recoveryCase);
+  }
+
+  /**
+   * Review queue for admins
+   */
+  async listCases({ status = 'pending_review', page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await AccountRecoveryCase.findAndCountAll({
+      where: status ? { status } : {},
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'uuid', 'display_name', 'status', 'is_verified']
+      }],
+      limit,
+      offset,
+      // Oldest first so cases are reviewed in order
+      order: [['created_at', 'ASC']]
+    });
+
+    const cases = [];
+    for (const recoveryCase of rows) {
+      cases.push(await this.formatAdminCase(recoveryCase));
+    }
+
+    return {
+      cases,
+      total_count: count,
+      page,
+      limit,
+      total_pages: Math.ceil(count / limit)
+    };
+  }
+
+  /**
+   * Full case for review
+   */
+  async getCaseForReview(caseId) {
+    const recoveryCase = await AccountRecoveryCase.findByCaseId(caseId, {
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'uuid', 'display_name', 'status', 'is_verified', 'last_login', 'created_at']
+      }]
+    });
+    if (!recoveryCase) {
+      throw AppError.notFound('Account recovery case not found');
+    }
+
+    await this.expireIfPastDeadline(recoveryCase);
+
+    return {
+      ...(await this.formatAdminCase(recoveryCase)),
+      new_phone: await encryptionService.decryptValue(recoveryCase.new_phone),
+      mfa_enabled: await mfaService.isMfaEnabled(recoveryCase.user_id),
+      user_agent: recoveryCase.user_agent
+    };
+  }
+
+  /**
+   * Approve a case; the new phone can be bound after the cooling-off period
+   */
+  async approveCase(caseId, adminUserId, note = null, context = {}) {
+    const recoveryCase = await this.getCaseForAdmin(caseId);
+    if (recoveryCase.status !== 'pending_review') {
+      throw AppError.conflict(`Account recovery case is ${recoveryCase.status}`);
+    }
+
+    const now = Date.now();
+    const coolingOffUntil = new Date(now + this.config.coolingOffPeriod);
+
+    await recoveryCase.update({
+      status: 'approved',
+      reviewed_by: adminUserId,
+      review_note: note,
+      reviewed_at: new Date(now),
+      cooling_off_until: coolingOffUntil,
+      completion_deadline: new Date(coolingOffUntil.getTime() + this.config.completionWindow)
+    });
+
+    await this.logReview(recoveryCase, adminUserId, 'recovery_case_approved', note, context);
+
+    const user = await User.findByPk(recoveryCase.user_id);
+    if (user) {
+      await this.notifyOwner(user, 'approved', { until: coolingOffUntil });
+    }
+
+    return await this.formatAdminCase(recoveryCase);
+  }
+
+  /**
+   * Reject a case under review, or stop an approved one during cooling-off
+   */
+  async rejectCase(caseId, adminUserId, note, context = {}) {
+    const recoveryCase = await this.getCaseForAdmin(caseId);
+    if (!recoveryCase.isOpen()) {
+      throw AppError.conflict(`Account recovery case is ${recoveryCase.status}`);
+    }
+
+    await recoveryCase.update({
+      status: 'rejected',
+      reviewed_by: adminUserId,
+      review_note: note,
+      reviewed_at: new Date()
+    });
+
+    await this.logReview(recoveryCase, adminUserId, 'recovery_case_rejected', note, context);
+
+    return await this.formatAdminCase(recoveryCase);
+  }
+
+  /**
+   * Check the submitted evidence against the account; nothing submitted is stored
+   */
+  async checkEvidence(user, { backup_code = null, device_id = null, real_name = null }) {
+    const evidence = {};
+    let score = 0;
+
+    // A valid backup (or authenticator) code is used up, like at login
+    if (backup_code) {
+      let valid = false;
+      try {
+        valid = !!(await mfaService.verifyMfaCode(user.id, backup_code));
+      } catch (error) {
+        valid = false;
+      }
+
+      evidence.backup_code = { provided: true, valid };
+      score += valid ? 1 : 0;
+    }
+
+    if (device_id) {
+      const sessions = await UserSession.findAll({
+        where: { user_id: user.id },
+        order: [['created_at', 'DESC']],
+        limit: 100
+      });
+      const deviceSession = sessions.find(session => session.device_info?.device_id === device_id);
+
+      evidence.device = {
+        provided: true,
+        recognized: !!deviceSession,
+        last_used_at: deviceSession ? (deviceSession.last_activity || deviceSession.created_at) : null
+      };
+      score += deviceSession ? 1 : 0;
+    }
+
+    const providedFields = REAL_NAME_FIELDS.filter(field => real_name && real_name[field]);
+    if (providedFields.length > 0) {
+      // Fields missing from the account (e.g. ID number before real-name verification) cannot be checked
+      const expected = await this.getRealNameData(user);
+      const checkedFields = providedFields.filter(field => expected[field]);
+      const matchedFields = checkedFields.filter(field =>
+        this.normalizeIdentity(field, real_name[field]) === this.normalizeIdentity(field, expected[field])
+      );
+
+      evidence.real_name = { provided: providedFields, checked: checkedFields, matched: matchedFields };
+      score += checkedFields.length > 0 && matchedFields.length === checkedFields.length ? 1 : 0;
+    }
+
+    return { evidence, score };
+  }
+
+  /**
+   * Name, birth date and, for real-name verified users, ID number on file
+   */
+  async getRealNameData(user) {
+    const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+    let idNumber = null;
+    if (user.is_verified && user.verification_data) {
+      try {
+        const verification = await encryptionService.decryptVerificationData(user.verification_data);
+        idNumber = verification && verification.data ? verification.data.id_number : null;
+      } catch (error) {
+        idNumber = null;
+      }
+    }
+
+    return {
+      first_name: decryptedUser.first_name,
+      last_name: decryptedUser.last_name,
+      birth_date: decryptedUser.birth_date,
+      id_number: idNumber
+    };
+  }
+
+  /**
+   * Compare identity fields without case, spacing or date format differences
+   */
+  normalizeIdentity(field, value) {
+    if (field === 'birth_date') {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+    }
+
+    return String(value).replace(/\s+/g, '').toLowerCase();
+  }
+
+  /**
+   * Only the newest open case per user counts; approvals lapse after the deadline
+   */
+  async findOpenCase(userId) {
+    const recoveryCase = await AccountRecoveryCase.findOpenByUserId(userId);
+    if (!recoveryCase || await this.expireIfPastDeadline(recoveryCase)) {
+      return null;
+    }
+
+    return recoveryCase;
+  }
+
+  /**
+   * Mark an approved case expired once its completion deadline has passed
+   */
+  async expireIfPastDeadline(recoveryCase) {
+    if (!recoveryCase.isPastDeadline()) {
+      return false;
+    }
+
+    await recoveryCase.update({ status: 'expired' });
+    return true;
+  }
+
+  /**
+   * Load a case for its requester, checking the case token
+   */
+  async getRequesterCase(caseId, caseToken) {
+    const recoveryCase = await AccountRecoveryCase.findByCaseId(caseId);
+    if (!recoveryCase || !this.verifyToken(recoveryCase, caseToken)) {
+      throw AuthError.invalidToken('Invalid account recovery case or token');
+    }
+
+    await this.expireIfPastDeadline(recoveryCase);
+
+    return recoveryCase;
+  }
+
+  /**
+   * Load a case for an admin action
+   */
+  async getCaseForAdmin(caseId) {
+    const recoveryCase = await AccountRecoveryCase.findByCaseId(caseId);
+    if (!recoveryCase) {
+      throw AppError.notFound('Account recovery case not found');
+    }
+
+    await this.expireIfPastDeadline(recoveryCase);
+
+    return recoveryCase;
+  }
+
+  /**
+   * The case must be approved and out of its cooling-off period
+   */
+  assertReadyToComplete(recoveryCase) {
+    if (recoveryCase.status !== 'approved') {
+      throw new AppError(
+        `Account recovery case is ${recoveryCase.status}`,
+        403,
+        'RECOVERY_CASE_NOT_APPROVED',
+        { status: recoveryCase.status }
+      );
+    }
+
+    if (new Date() < recoveryCase.cooling_off_until) {
+      throw new AppError(
+        'Account recovery case is in its cooling-off period',
+        403,
+        'RECOVERY_COOLING_OFF',
+        { cooling_off_until: recoveryCase.cooling_off_until.toISOString() }
+      );
+    }
+  }
+
+  /**
+   * Cancel an open case
+   */
+  async cancelCase(recoveryCase, cancelledBy, { ipAddress = null, userAgent = null, sessionId = null } = {}) {
+    if (!recoveryCase.isOpen()) {
+      throw AppError.conflict(`Account recovery case is ${recoveryCase.status}`);
+    }
+
+    await recoveryCase.update({
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      cancelled_by: cancelledBy
+    });
+
+    await AuditLog.logAction({
+      userId: recoveryCase.user_id,
+      action: 'recovery_case_cancelled',
+      resource: 'account_recovery_case',
+      resourceId: recoveryCase.case_id,
+      newValues: { cancelled_by: cancelledBy },
+      ipAddress,
+      userAgent,
+      sessionId
+    });
+
+    logger.info('Account recovery case cancelled', {
+      userId: recoveryCase.user_id,
+      caseId: recoveryCase.case_id,
+      cancelledBy
+    });
+  }
+
+  /**
+   * Audit an admin review decision
+   */
+  async logReview(recoveryCase, adminUserId, action, note, { ipAddress = null, userAgent = null, sessionId = null } = {}) {
+    await AuditLog.logAction({
+      userId: adminUserId,
+      action,
+      resource: 'account_recovery_case',
+      resourceId: recoveryCase.case_id,
+      newValues: {
+        user_id: recoveryCase.user_id,
+        note,
+        cooling_off_until: recoveryCase.cooling_off_until
+      },
+      ipAddress,
+      userAgent,
+      sessionId
+    });
+
+    logger.info('Account recovery case reviewed', {
+      adminUserId,
+      caseId: recoveryCase.case_id,
+      userId: recoveryCase.user_id,
+      status: recoveryCase.status
+    });
+  }
+
+  /**
+   * Tell the owner's old number and verified email about a case event
+   * Never throws: notifications must not block the case
+   */
+  async notifyOwner(user, event, { phone = null, until = null } = {}) {
+    const notice = NOTICES[event];
+    const time = this.formatTime(until || new Date());
+
+    try {
+      const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+      const ownerPhone = phone || decryptedUser.phone;
+
+      await this.sendSms(ownerPhone, { event: notice.event, time, url: this.config.manageUrl });
+
+      if (decryptedUser.email && user.email_verified_at) {
+        await emailService.send({
+          to: decryptedUser.email,
+          subject: notice.subject,
+          text: [
+            notice.text,
+            '',
+            `${until ? 'Waiting period ends' : 'Time'}: ${time}`,
+            '',
+            `If this was not you, sign in and cancel it at ${this.config.manageUrl}, or contact support.`
+          ].join('\n')
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to notify owner about account recovery', {
+        userId: user.id,
+        event,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send the account recovery SMS
+   */
+  async sendSms(phone, templateParams) {
+    const provider = getSmsProvider();
+    const dispatch = {
+      phone,
+      provider: provider.name,
+      templateKey: 'accountRecovery'
+    };
+
+    try {
+      const result = await provider.send({ phone, templateKey: 'accountRecovery', templateParams });
+      await smsDispatchService.recordDispatch({ ...dispatch, result });
+    } catch (error) {
+      await smsDispatchService.recordDispatch({ ...dispatch, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Requester view of a case
+   */
+  formatCase(recoveryCase) {
+    return {
+      case_id: recoveryCase.case_id,
+      status: recoveryCase.status,
+      created_at: recoveryCase.created_at,
+      reviewed_at: recoveryCase.reviewed_at,
+      cooling_off_until: recoveryCase.cooling_off_until,
+      completion_deadline: recoveryCase.completion_deadline,
+      completed_at: recoveryCase.completed_at,
+      cancelled_at: recoveryCase.cancelled_at,
+      ready_to_complete: recoveryCase.status === 'approved' && new Date() >= recoveryCase.cooling_off_until
+    };
+  }
+
+  /**
+   * Admin view of a case
+   */
+  async formatAdminCase(recoveryCase) {
+    return {
+      ...this.formatCase(recoveryCase),
+      user: recoveryCase.user ? recoveryCase.user.toJSON() : { id: recoveryCase.user_id },
+      new_phone: phoneUtil.maskPhoneNumber(await encryptionService.decryptValue(recoveryCase.new_phone)),
+      evidence: recoveryCase.evidence,
+      evidence_score: recoveryCase.evidence_score,
+      reviewed_by: recoveryCase.reviewed_by,
+      review_note: recoveryCase.review_note,
+      cancelled_by: recoveryCase.cancelled_by,
+      ip_address: recoveryCase.ip_address
+    };
+  }
+
+  /**
+   * Time in the configured time zone
+   */
+  formatTime(date) {
+    return new Date(date).toLocaleString('zh-CN', {
+      timeZone: this.config.timezone,
+      hour12: false
+    });
+  }
+
+  /**
+   * Check a requester's case token
+   */
+  verifyToken(recoveryCase, caseToken) {
+    const expected = Buffer.from(recoveryCase.access_token_hash, 'hex');
+    const actual = Buffer.from(this.hashToken(caseToken || ''), 'hex');
+
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Hash a case token for storage
+   */
+  hashToken(caseToken) {
+    return crypto.createHash('sha256').update(caseToken).digest('hex');
+  }
+
+  /**
+   * Reject recovery requests while the feature is switched off
+   */
+  assertEnabled() {
+    if (!this.config.enabled) {
+      throw AppError.forbidden('Account recovery is not available');
+    }
+  }
+}
+
+module.exports = new AccountRecoveryService();
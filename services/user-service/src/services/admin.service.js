@@ -2,6 +2,7 @@ const { User, UserSession, AuditLog } = require('../models');
 const encryptionService = require('./encryption.service');
 const sessionService = require('./session.service');
 const passwordUtil = require('../utils/password.util');
+const phoneUtil = require('../utils/phone.util');
 const logger = require('../utils/logger.util');
 const { AuthError } = require('../errors/authError');
 const { AppError } = require('../errors/AppError');
@@ -31,9 +32,14 @@ class AdminService {
         whereClause[Op.or] = [
           { display_name: { [Op.like]: `%${search}%` } },
           { first_name: { [Op.like]: `%${search}%` } },
-          { last_name: { [Op.like]: `%${search}%` } },
-          { phone: { [Op.like]: `%${search}%` } }
+          { last_name: { [Op.like]: `%${search}%` } }
         ];
+
+        // Phones are encrypted, so only an exact number can match
+        const phoneHash = await this.getPhoneSearchHash(search);
+        if (phoneHash) {
+          whereClause[Op.or].push({ phone_hash: phoneHash });
+        }
       }
 
       const { count, rows: users } = await User.findAndCountAll({
@@ -352,7 +358,8 @@ class AdminService {
 
       switch (type) {
         case 'phone':
-          whereClause.phone = { [Op.like]: `%${q}%` };
+          // Exact match only; an unparseable number matches nothing
+          whereClause.phone_hash = await this.getPhoneSearchHash(q) || '';
           break;
         case 'id':
           whereClause.id = parseInt(q) || 0;
@@ -436,12 +443,30 @@ class AdminService {
     }
   }
 
+  /**
+   * Blind index for a search term that is a phone number, or null
+   */
+  async getPhoneSearchHash(value) {
+    if (!/^\+?[\d\s-]+$/.test(value)) {
+      return null;
+    }
+
+    try {
+      const { formatted } = phoneUtil.validatePhoneNumber(value);
+      return await encryptionService.hashForSearch(formatted);
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Sanitize user data for admin view
    */
   sanitizeAdminUserData(user) {
     const sanitized = { ...user };
     delete sanitized.password_hash;
+    delete sanitized.phone_hash;
+    delete sanitized.email_hash;
     // Keep more fields for admin view compared to public view
     return sanitized;
   }
@@ -1,12 +1,23 @@
-const { User, UserSession, OtpVerification, UserSettings } = require('../models');
+const crypto = require('crypto');
+const { User, UserSession, OtpVerification, UserSettings, SocialIdentity, AuditLog } = require('../models');
 const sessionService = require('./session.service');
 const encryptionService = require('./encryption.service');
 const otpService = require('./otp.service');
+const mfaService = require('./mfa.service');
+const passwordHistoryService = require('./password-history.service');
+const riskService = require('./risk.service');
+const loginAlertService = require('./login-alert.service');
+const lockoutService = require('./lockout.service');
+const emailService = require('./email.service');
 const jwtUtil = require('../utils/jwt.util');
 const passwordUtil = require('../utils/password.util');
 const validationUtil = require('../utils/validation.util');
 const phoneUtil = require('../utils/phone.util');
 const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const socialLoginConfig = require('../config/social-login.config');
+const { getSocialProvider } = require('../providers/social');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
 const { AuthError } = require('../errors/authError');
 const { ValidationError } = require('../errors/validationError');
 const { AppError } = require('../errors/AppError');
@@ -76,6 +87,9 @@ class AuthService {
       
       const user = await User.create(encryptedUserData, { transaction });
 
+      // Start the password history with the initial password
+      await passwordHistoryService.recordPassword(user.id, user.password_hash, { transaction });
+
       // Create default user settings
       await UserSettings.createDefault(user.id, { transaction });
 
@@ -96,17 +110,6 @@ class AuthService {
         userAgent
       );
 
-      // Generate JWT tokens
-      const tokenPayload = {
-        userId: user.id,
-        sessionId: session.session_id,
-        deviceId: device_id,
-        roles: ['user'],
-        permissions: []
-      };
-
-      const tokens = jwtUtil.generateTokenPair(tokenPayload);
-
       await transaction.commit();
 
       // Decrypt user data for response
@@ -121,7 +124,9 @@ class AuthService {
 
       return {
         user: this.sanitizeUserForResponse(decryptedUser),
-        tokens,
+        // The pair createSession recorded, so the first refresh finds the session
+        tokens: session.tokens,
+        device_token: jwtUtil.generateDeviceTrustToken(user.id, device_id),
         session: {
           id: session.session_id,
           expires_at: session.expires_at
@@ -153,6 +158,7 @@ class AuthService {
         device_id,
         device_type,
         device_name,
+        device_token,
         ipAddress,
         userAgent
       } = loginData;
@@ -167,28 +173,15 @@ class AuthService {
         throw AuthError.invalidCredentials('Phone number not registered');
       }
 
+      // Count the attempt for velocity scoring, whatever its outcome
+      await riskService.recordLoginAttempt(user.id, ipAddress);
+
       // Decrypt user data
       const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
 
       // Check if account can login
-      if (!user.canLogin()) {
-        if (user.isAccountLocked()) {
-          throw AuthError.accountLocked('Account is temporarily locked due to failed login attempts');
-        }
-        if (user.isSuspended()) {
-          throw AuthError.accountSuspended('Account is suspended', {
-            suspensionUntil: user.suspension_until,
-            reason: user.suspension_reason
-          });
-        }
-        if (user.status === 'pending_deletion') {
-          // Reactivate account from pending deletion
-          await this.reactivateAccount(user);
-        } else if (user.status === 'deactivated') {
-          // Reactivate deactivated account
-          await this.reactivateAccount(user);
-        }
-      }
+      await this.ensureCanLogin(user);
+      await lockoutService.assertNotLocked(user, { ipAddress, deviceId: device_id, deviceToken: device_token });
 
       // Authenticate user
       let authenticationSuccess = false;
@@ -197,7 +190,7 @@ class AuthService {
         // Password-based login
         const isValidPassword = await user.validatePassword(password);
         if (!isValidPassword) {
-          await this.handleFailedLogin(user);
+          await this.handleFailedLogin(user, { ipAddress, deviceId: device_id, userAgent });
           throw AuthError.invalidCredentials('Invalid password');
         }
         authenticationSuccess = true;
@@ -214,105 +207,774 @@ class AuthService {
       }
 
       if (authenticationSuccess) {
-        // Reset failed login attempts
-        if (user.failed_login_attempts > 0) {
-          await user.update({
-            failed_login_attempts: 0,
-            last_failed_login: null
+        const loginMethod = password ? 'password' : 'otp';
+
+        // The device token rides along so the second step can get past a lockout too
+        return await this.authorizeLogin(user, decryptedUser, {
+          loginMethod,
+          device: { device_id, device_type, device_name, device_token },
+          ipAddress,
+          userAgent,
+          otpVerified: loginMethod === 'otp'
+        });
+      }
+    } catch (error) {
+      logger.error('User login failed', {
+        phone: loginData.phone,
+        error: error.message,
+        ipAddress: loginData.ipAddress
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Complete login with the second factor from an MFA challenge
+   */
+  async completeMfaLogin(mfaData) {
+    try {
+      const { mfa_token, code, ipAddress, userAgent } = mfaData;
+
+      const challenge = jwtUtil.verifyMfaChallengeToken(mfa_token);
+
+      const user = await User.findByPk(challenge.userId);
+      if (!user) {
+        throw AuthError.invalidCredentials('User not found');
+      }
+
+      if (user.isSuspended()) {
+        throw AuthError.accountSuspended('Account is suspended', {
+          suspensionUntil: user.suspension_until,
+          reason: user.suspension_reason
+        });
+      }
+
+      const failureContext = {
+        ipAddress,
+        deviceId: challenge.device ? challenge.device.device_id : null,
+        deviceToken: challenge.device ? challenge.device.device_token : null,
+        userAgent
+      };
+      await lockoutService.assertNotLocked(user, failureContext);
+
+      // One request at a time per challenge; a wrong code releases it for another try
+      const challengeKey = await this.claimMfaChallenge(challenge);
+
+      let mfaMethod;
+      try {
+        mfaMethod = await mfaService.verifyMfaCode(user.id, code);
+      } catch (error) {
+        if (error instanceof AuthError && error.errorCode === 'INVALID_OTP') {
+          await redisClient.del(challengeKey);
+          await this.handleFailedLogin(user, failureContext);
+        }
+        throw error;
+      }
+
+      const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+      return await this.completeLogin(user, decryptedUser, {
+        ...(challenge.device || {}),
+        ipAddress,
+        userAgent,
+        loginMethod: challenge.loginMethod,
+        mfaMethod
+      });
+    } catch (error) {
+      logger.error('MFA login failed', {
+        error: error.message,
+        ipAddress: mfaData.ipAddress
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an MFA challenge token as used so it cannot sign in twice
+   * Returns the Redis key holding the claim
+   */
+  async claimMfaChallenge(challenge) {
+    const key = `mfa:challenge:${challenge.jti}`;
+
+    if (await redisClient.incr(key) > 1) {
+      throw AuthError.invalidToken('MFA challenge has already been used, please log in again');
+    }
+    await redisClient.expire(key, Math.max(1, challenge.exp - Math.floor(Date.now() / 1000)));
+
+    return key;
+  }
+
+  /**
+   * Complete a risky login with the SMS OTP sent by the step-up challenge
+   */
+  async completeStepUpLogin(stepUpData) {
+    try {
+      const { step_up_token, otp_code, ipAddress, userAgent } = stepUpData;
+
+      const challenge = jwtUtil.verifyStepUpChallengeToken(step_up_token);
+
+      const user = await User.findByPk(challenge.userId);
+      if (!user) {
+        throw AuthError.invalidCredentials('User not found');
+      }
+
+      await this.ensureCanLogin(user);
+
+      const failureContext = {
+        ipAddress,
+        deviceId: challenge.device ? challenge.device.device_id : null,
+        deviceToken: challenge.device ? challenge.device.device_token : null,
+        userAgent
+      };
+      await lockoutService.assertNotLocked(user, failureContext);
+
+      const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+      try {
+        const otpVerification = await otpService.verifyOtp(challenge.verification_id, otp_code, decryptedUser.phone);
+
+        if (otpVerification.otp_type !== 'login') {
+          throw AuthError.invalidOTP('Invalid OTP type for login');
+        }
+      } catch (error) {
+        if (error instanceof AuthError && error.errorCode === 'INVALID_OTP') {
+          await this.handleFailedLogin(user, failureContext);
+          await AuditLog.logAction({
+            userId: user.id,
+            action: 'login_step_up_failed',
+            resource: 'user',
+            resourceId: user.id.toString(),
+            newValues: {
+              login_method: challenge.loginMethod,
+              device_id: challenge.device ? challenge.device.device_id : null
+            },
+            ipAddress,
+            userAgent
           });
         }
+        throw error;
+      }
 
-        // Update login tracking
-        await user.update({
-          last_login: new Date(),
-          login_count: user.login_count + 1,
-          last_ip: ipAddress
-        });
+      return await this.completeLogin(user, decryptedUser, {
+        ...(challenge.device || {}),
+        ipAddress,
+        userAgent,
+        loginMethod: challenge.loginMethod,
+        mfaMethod: 'sms_otp'
+      });
+    } catch (error) {
+      logger.error('Step-up login failed', {
+        error: error.message,
+        ipAddress: stepUpData.ipAddress
+      });
 
-        // Create device info
-        const deviceInfo = {
-          device_id,
-          device_type,
-          device_name,
-          os: this.extractOSFromUserAgent(userAgent),
-          browser: this.extractBrowserFromUserAgent(userAgent)
-        };
+      throw error;
+    }
+  }
 
-        // Create session
-        const session = await sessionService.createSession(
-          user.id,
-          deviceInfo,
-          ipAddress,
-          userAgent
-        );
+  /**
+   * Decide what follows a passed first factor: score the attempt, then ask for
+   * an SMS step-up, an MFA code, or sign the user in. Shared by password, OTP
+   * and social logins; `otpVerified` means an SMS OTP already covers a step-up.
+   */
+  async authorizeLogin(user, decryptedUser, { loginMethod, device, ipAddress, userAgent, otpVerified = false }) {
+    const mfaEnabled = await mfaService.isMfaEnabled(user.id);
 
-        // Generate JWT tokens
-        const tokenPayload = {
-          userId: user.id,
-          sessionId: session.session_id,
-          deviceId: device_id,
-          roles: ['user'],
-          permissions: []
-        };
+    // Risky logins need an SMS OTP unless an OTP or the MFA challenge already covers it
+    if (securityConfig.riskAuth.enabled) {
+      const assessment = await riskService.assessLogin(user, {
+        deviceId: device.device_id,
+        ipAddress,
+        loginMethod
+      });
 
-        const tokens = jwtUtil.generateTokenPair(tokenPayload);
+      let stepUpMethod = null;
+      if (assessment.decision === 'step_up') {
+        stepUpMethod = otpVerified ? 'otp_login' : mfaEnabled ? 'totp' : 'sms_otp';
+      }
 
-        logger.info('User logged in successfully', {
-          userId: user.id,
-          phone: formattedPhone,
-          sessionId: session.session_id,
+      await riskService.recordAssessment(user, assessment, {
+        loginMethod,
+        stepUpMethod,
+        deviceId: device.device_id,
+        ipAddress,
+        userAgent
+      });
+
+      if (stepUpMethod === 'sms_otp') {
+        return await this.createStepUpChallenge(user, decryptedUser, {
+          loginMethod,
+          device,
           ipAddress,
-          loginMethod: password ? 'password' : 'otp'
+          assessment
+        });
+      }
+    }
+
+    // Second factor required: issue a short-lived challenge instead of tokens
+    if (mfaEnabled) {
+      return this.createMfaChallenge(user, { loginMethod, device, ipAddress });
+    }
+
+    return await this.completeLogin(user, decryptedUser, {
+      ...device,
+      ipAddress,
+      userAgent,
+      loginMethod
+    });
+  }
+
+  /**
+   * Send an SMS OTP and issue a step-up challenge in place of tokens
+   */
+  async createStepUpChallenge(user, decryptedUser, { loginMethod, device, ipAddress, assessment }) {
+    const otp = await otpService.sendLoginOtp(decryptedUser.phone, ipAddress);
+
+    const stepUpToken = jwtUtil.generateStepUpChallengeToken(user.id, {
+      loginMethod,
+      device,
+      verification_id: otp.verification_id
+    });
+    const expiresAt = jwtUtil.getTokenExpiration(stepUpToken);
+
+    logger.info('Step-up challenge issued', {
+      userId: user.id,
+      ipAddress,
+      loginMethod,
+      riskScore: assessment.score
+    });
+
+    return {
+      step_up_required: true,
+      step_up_token: stepUpToken,
+      step_up_method: 'sms_otp',
+      risk_level: assessment.level,
+      otp_expires_in: otp.expires_in,
+      expires_in: Math.round((expiresAt.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * Reject locked or suspended accounts and reactivate deactivated ones
+   */
+  async ensureCanLogin(user) {
+    if (user.canLogin()) {
+      return;
+    }
+
+    if (user.isSuspended()) {
+      throw AuthError.accountSuspended('Account is suspended', {
+        suspensionUntil: user.suspension_until,
+        reason: user.suspension_reason
+      });
+    }
+    if (user.status === 'pending_deletion' || user.status === 'deactivated') {
+      await this.reactivateAccount(user);
+    }
+  }
+
+  /**
+   * Issue a short-lived MFA challenge in place of tokens
+   */
+  createMfaChallenge(user, { loginMethod, device, ipAddress }) {
+    const mfaToken = jwtUtil.generateMfaChallengeToken(user.id, { loginMethod, device });
+    const expiresAt = jwtUtil.getTokenExpiration(mfaToken);
+
+    logger.info('MFA challenge issued', {
+      userId: user.id,
+      ipAddress,
+      loginMethod
+    });
+
+    return {
+      mfa_required: true,
+      mfa_token: mfaToken,
+      mfa_methods: ['totp', 'backup_code'],
+      expires_in: Math.round((expiresAt.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * Record a successful login, create the session and issue tokens
+   */
+  async completeLogin(user, decryptedUser, loginContext) {
+    const {
+      device_id,
+      device_type,
+      device_name,
+      ipAddress,
+      userAgent,
+      loginMethod,
+      mfaMethod = null
+    } = loginContext;
+
+    // A login reported from a new-device alert blocks every sign-in method until
+    // the password is reset over SMS
+    if (user.password_reset_required) {
+      throw AuthError.passwordChangeRequired('Password reset required, please reset your password via SMS');
+    }
+
+    // Reset failed login attempts (only once every required factor has passed)
+    if (user.failed_login_attempts > 0) {
+      await user.update({
+        failed_login_attempts: 0,
+        last_failed_login: null
+      });
+    }
+    await lockoutService.clearFailures(user.id, ipAddress);
+
+    // Update login tracking
+    await user.update({
+      last_login: new Date(),
+      login_count: user.login_count + 1,
+      last_ip: ipAddress
+    });
+
+    // Checked before the new session makes the device look familiar
+    const knownDevice = await sessionService.isDeviceTrusted(user.id, device_id);
+
+    // Create device info
+    const deviceInfo = {
+      device_id,
+      device_type,
+      device_name,
+      os: this.extractOSFromUserAgent(userAgent),
+      browser: this.extractBrowserFromUserAgent(userAgent)
+    };
+
+    // Create session
+    const session = await sessionService.createSession(
+      user.id,
+      deviceInfo,
+      ipAddress,
+      userAgent
+    );
+
+    // Presented on later logins to get this device past an account lockout
+    const deviceToken = device_id ? jwtUtil.generateDeviceTrustToken(user.id, device_id) : null;
+
+    // Not awaited: the alert handles its own errors and must not slow down login
+    if (!knownDevice) {
+      loginAlertService.sendNewDeviceAlert(user, decryptedUser, session);
+    }
+
+    logger.info('User logged in successfully', {
+      userId: user.id,
+      phone: decryptedUser.phone,
+      sessionId: session.session_id,
+      ipAddress,
+      loginMethod,
+      mfaMethod
+    });
+
+    return {
+      user: this.sanitizeUserForResponse(decryptedUser),
+      tokens: session.tokens,
+      device_token: deviceToken,
+      session: {
+        id: session.session_id,
+        expires_at: session.expires_at,
+        // Sessions signed out to make room for this one (see SESSION_CONFLICT_RESOLUTION)
+        evicted_sessions: session.evictedSessions || []
+      }
+    };
+  }
+
+  /**
+   * Start a social login (or, with a user ID, linking) and return the consent URL
+   */
+  async getSocialAuthorizationUrl(providerName, { userId = null } = {}) {
+    const provider = this.getEnabledSocialProvider(providerName);
+    const state = crypto.randomBytes(24).toString('base64url');
+
+    await redisClient.set(`social:state:${state}`, {
+      provider: providerName,
+      mode: userId ? 'link' : 'login',
+      user_id: userId
+    }, socialLoginConfig.social.stateTtl);
+
+    return {
+      provider: providerName,
+      authorization_url: provider.getAuthorizationUrl(state),
+      state,
+      expires_in: socialLoginConfig.social.stateTtl
+    };
+  }
+
+  /**
+   * Sign in with a social provider. Unknown provider accounts must bind a
+   * phone number first (real-name requirement), so they get a binding token.
+   */
+  async socialLogin(socialData) {
+    try {
+      const {
+        provider: providerName,
+        code,
+        state,
+        device_id,
+        device_type,
+        device_name,
+        device_token,
+        ipAddress,
+        userAgent
+      } = socialData;
+
+      const provider = this.getEnabledSocialProvider(providerName);
+      await this.consumeSocialState(state, providerName, 'login');
+
+      const profile = await provider.authenticate(code);
+
+      const identity = await SocialIdentity.findByProviderSubject(providerName, profile.subject);
+      if (!identity) {
+        const bindingToken = crypto.randomBytes(32).toString('base64url');
+        await redisClient.set(`social:binding:${bindingToken}`, { profile }, socialLoginConfig.social.bindingTtl);
+
+        logger.info('Social login requires phone binding', {
+          provider: providerName,
+          ipAddress
         });
 
         return {
-          user: this.sanitizeUserForResponse(decryptedUser),
-          tokens,
-          session: {
-            id: session.session_id,
-            expires_at: session.expires_at
-          }
+          binding_required: true,
+          binding_token: bindingToken,
+          provider: providerName,
+          profile: {
+            nickname: profile.nickname,
+            avatar_url: profile.avatarUrl
+          },
+          expires_in: socialLoginConfig.social.bindingTtl
         };
       }
+
+      const user = await User.findByPk(identity.user_id);
+      if (!user) {
+        throw AuthError.invalidCredentials('User not found');
+      }
+
+      await this.ensureCanLogin(user);
+      await lockoutService.assertNotLocked(user, { ipAddress, deviceId: device_id, deviceToken: device_token });
+
+      await identity.update({
+        open_id: profile.openId,
+        union_id: profile.unionId,
+        nickname: profile.nickname,
+        avatar_url: profile.avatarUrl,
+        last_login_at: new Date()
+      });
+
+      const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+      return await this.authorizeLogin(user, decryptedUser, {
+        loginMethod: 'social',
+        device: { device_id, device_type, device_name, device_token },
+        ipAddress,
+        userAgent
+      });
     } catch (error) {
-      logger.error('User login failed', {
-        phone: loginData.phone,
+      logger.error('Social login failed', {
+        provider: socialData.provider,
         error: error.message,
-        ipAddress: loginData.ipAddress
+        ipAddress: socialData.ipAddress
       });
-      
+
       throw error;
     }
   }
 
   /**
-   * Refresh JWT tokens
+   * Finish a social login by binding a verified phone number. Links the
+   * provider account to the phone's existing user, or creates a new user.
    */
-  async refreshTokens(refreshToken) {
+  async completeSocialBinding(bindingData) {
+    const {
+      binding_token,
+      phone,
+      verification_id,
+      otp_code,
+      password,
+      device_id,
+      device_type,
+      device_name,
+      device_token,
+      ipAddress,
+      userAgent
+    } = bindingData;
+
+    this.assertSocialLoginEnabled();
+
+    const bindingKey = `social:binding:${binding_token}`;
+    const binding = await redisClient.get(bindingKey);
+    if (!binding) {
+      throw AuthError.verificationFailed('Social login binding has expired, please sign in again');
+    }
+
+    const { profile } = binding;
+
+    const transaction = await sequelize.transaction();
+    let user;
+    let createdUser = false;
+
     try {
-      // Verify refresh token
-      const payload = jwtUtil.verifyRefreshToken(refreshToken);
-      
-      // Get session
-      const session = await sessionService.getSessionByRefreshToken(refreshToken);
-      
-      // Generate new tokens
-      const newTokenPayload = {
-        userId: payload.userId,
-        sessionId: session.session_id,
-        deviceId: payload.deviceId,
-        roles: payload.roles || ['user'],
-        permissions: payload.permissions || []
-      };
+      const otpVerification = await otpService.verifyOtp(verification_id, otp_code, phone);
+      if (!['registration', 'login'].includes(otpVerification.otp_type)) {
+        throw AuthError.invalidOTP('Invalid OTP type for phone binding');
+      }
 
-      const tokens = jwtUtil.generateTokenPair(newTokenPayload);
+      const phoneValidation = phoneUtil.validatePhoneNumber(phone);
+      const formattedPhone = phoneValidation.formatted;
+
+      if (await SocialIdentity.findByProviderSubject(profile.provider, profile.subject, { transaction })) {
+        throw AppError.conflict('This account is already linked');
+      }
+
+      user = await User.findByPhone(formattedPhone, { transaction });
+
+      if (user) {
+        if (await SocialIdentity.findOne({ where: { user_id: user.id, provider: profile.provider }, transaction })) {
+          throw AppError.conflict(`Phone number is already linked to another ${profile.provider} account`);
+        }
+      } else {
+        // Without a chosen password the account gets an unusable random one; a
+        // password can be set later through the password reset flow
+        const passwordHash = password ?
+          await passwordUtil.hashPassword(password) :
+          await passwordUtil.hashWithSalt(crypto.randomBytes(32).toString('hex'), await passwordUtil.generateSalt());
+
+        const userData = {
+          phone: formattedPhone,
+          country_code: phoneValidation.countryCode,
+          password_hash: passwordHash,
+          display_name: profile.nickname ? profile.nickname.slice(0, 20) : null,
+          phone_verified: true,
+          phone_verified_at: new Date(),
+          registration_ip: ipAddress,
+          last_ip: ipAddress,
+          status: 'active'
+        };
+
+        const encryptedUserData = await encryptionService.encryptUserData(userData);
+
+        user = await User.create(encryptedUserData, { transaction });
+        await passwordHistoryService.recordPassword(user.id, user.password_hash, { transaction });
+        await UserSettings.createDefault(user.id, { transaction });
+        createdUser = true;
+      }
+
+      await this.createSocialIdentity(user.id, profile, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+
+      logger.error('Social phone binding failed', {
+        provider: profile.provider,
+        error: error.message,
+        ipAddress
+      });
+
+      throw error;
+    }
+
+    await redisClient.del(bindingKey);
+
+    await AuditLog.logAction({
+      userId: user.id,
+      action: 'social_account_linked',
+      resource: 'social_identity',
+      resourceId: profile.provider,
+      newValues: { provider: profile.provider, nickname: profile.nickname, new_account: createdUser },
+      ipAddress,
+      userAgent
+    });
+
+    logger.info('Social account bound to phone', {
+      userId: user.id,
+      provider: profile.provider,
+      newAccount: createdUser
+    });
+
+    await this.ensureCanLogin(user);
+    await lockoutService.assertNotLocked(user, { ipAddress, deviceId: device_id, deviceToken: device_token });
+
+    const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+    // The binding OTP proves the phone, so a risky binding is not stepped up again
+    return await this.authorizeLogin(user, decryptedUser, {
+      loginMethod: 'social',
+      device: { device_id, device_type, device_name, device_token },
+      ipAddress,
+      userAgent,
+      otpVerified: true
+    });
+  }
+
+  /**
+   * Link a social provider account to a signed-in user
+   */
+  async linkSocialAccount(userId, linkData, context = {}) {
+    try {
+      const { provider: providerName, code, state } = linkData;
 
-      // Update session with new refresh token
-      session.refresh_token = tokens.refresh_token;
-      await session.save();
+      const provider = this.getEnabledSocialProvider(providerName);
+      await this.consumeSocialState(state, providerName, 'link', userId);
+
+      const profile = await provider.authenticate(code);
+
+      const existing = await SocialIdentity.findByProviderSubject(providerName, profile.subject);
+      if (existing) {
+        throw AppError.conflict(existing.user_id === userId ?
+          'This account is already linked' :
+          'This account is linked to another user');
+      }
+
+      if (await SocialIdentity.findOne({ where: { user_id: userId, provider: providerName } })) {
+        throw AppError.conflict(`A ${providerName} account is already linked; unlink it first`);
+      }
+
+      const identity = await this.createSocialIdentity(userId, profile);
+
+      await AuditLog.logAction({
+        userId,
+        action: 'social_account_linked',
+        resource: 'social_identity',
+        resourceId: providerName,
+        newValues: { provider: providerName, nickname: profile.nickname, new_account: false },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('Social account linked', {
+        userId,
+        provider: providerName
+      });
+
+      return identity.toSafeObject();
+    } catch (error) {
+      logger.error('Failed to link social account', {
+        userId,
+        provider: linkData.provider,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a linked social provider account
+   */
+  async unlinkSocialAccount(userId, providerName, context = {}) {
+    try {
+      const identity = await SocialIdentity.findOne({
+        where: { user_id: userId, provider: providerName }
+      });
+      if (!identity) {
+        throw AppError.notFound(`No ${providerName} account is linked`);
+      }
+
+      await identity.destroy();
+
+      await AuditLog.logAction({
+        userId,
+        action: 'social_account_unlinked',
+        resource: 'social_identity',
+        resourceId: providerName,
+        oldValues: { provider: providerName, nickname: identity.nickname },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('Social account unlinked', {
+        userId,
+        provider: providerName
+      });
+    } catch (error) {
+      logger.error('Failed to unlink social account', {
+        userId,
+        provider: providerName,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's linked social accounts
+   */
+  async listSocialAccounts(userId) {
+    const identities = await SocialIdentity.findByUserId(userId);
+    return identities.map(identity => identity.toSafeObject());
+  }
+
+  /**
+   * Store the link between a provider account and a user
+   */
+  async createSocialIdentity(userId, profile, options = {}) {
+    return await SocialIdentity.create({
+      user_id: userId,
+      provider: profile.provider,
+      provider_subject: profile.subject,
+      open_id: profile.openId,
+      union_id: profile.unionId,
+      nickname: profile.nickname,
+      avatar_url: profile.avatarUrl,
+      last_login_at: new Date()
+    }, options);
+  }
+
+  /**
+   * Load and delete an OAuth state, checking it matches this flow
+   */
+  async consumeSocialState(state, providerName, mode, userId = null) {
+    const key = `social:state:${state}`;
+    const data = await redisClient.get(key);
+    const deleted = await redisClient.del(key);
+
+    if (!data || !deleted || data.provider !== providerName || data.mode !== mode || data.user_id !== userId) {
+      throw AuthError.verificationFailed('Invalid or expired social login state');
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a social provider that is enabled and configured
+   */
+  getEnabledSocialProvider(providerName) {
+    this.assertSocialLoginEnabled();
+
+    const provider = getSocialProvider(providerName);
+    if (!provider.isConfigured()) {
+      throw AppError.badRequest(`${providerName} login is not available`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Fail when the socialLogin feature flag is off
+   */
+  assertSocialLoginEnabled() {
+    if (!securityConfig.app.features.socialLogin) {
+      throw new AppError('Social login is not enabled', 403, 'FEATURE_DISABLED');
+    }
+  }
+
+  /**
+   * Refresh JWT tokens
+   */
+  async refreshTokens(refreshToken) {
+    try {
+      // Rotate refresh token (with reuse detection) and issue a new pair
+      const { session, tokens } = await sessionService.refreshSession(refreshToken);
 
       logger.info('Tokens refreshed successfully', {
-        userId: payload.userId,
+        userId: session.user_id,
         sessionId: session.session_id
       });
 
@@ -322,6 +984,11 @@ class AuthService {
         error: error.message
       });
       
+      // Surface reuse so the client is forced back to login and the event is audited
+      if (error instanceof AuthError && error.errorCode === 'REFRESH_TOKEN_REUSED') {
+        throw error;
+      }
+      
       throw AuthError.tokenRefreshFailed('Failed to refresh tokens');
     }
   }
@@ -337,6 +1004,9 @@ class AuthService {
       // Revoke session
       await sessionService.revokeSession(payload.sessionId, payload.userId);
 
+      // Deny the access token for the rest of its lifetime
+      await jwtUtil.revokeToken(accessToken);
+
       logger.info('User logged out successfully', {
         userId: payload.userId,
         sessionId: payload.sessionId
@@ -352,6 +1022,67 @@ class AuthService {
     }
   }
 
+  /**
+   * Unlock an account with an SMS code sent to its phone
+   */
+  async unlockAccount(unlockData) {
+    try {
+      const { phone, verification_id, otp_code, ipAddress, userAgent } = unlockData;
+
+      // Verify OTP
+      const otpVerification = await otpService.verifyOtp(verification_id, otp_code, phone);
+
+      if (otpVerification.otp_type !== 'account_unlock') {
+        throw AuthError.invalidOTP('Invalid OTP type for account unlock');
+      }
+
+      const phoneValidation = phoneUtil.validatePhoneNumber(phone);
+      const user = await User.findByPhone(phoneValidation.formatted);
+      if (!user) {
+        throw AuthError.phoneNotFound('Phone number not found');
+      }
+
+      const unlockedIpAddresses = await lockoutService.unlockAll(user.id);
+
+      await user.update({
+        failed_login_attempts: 0,
+        last_failed_login: null
+      });
+
+      await AuditLog.logAction({
+        userId: user.id,
+        action: 'account_unlocked',
+        resource: 'user',
+        resourceId: user.id.toString(),
+        newValues: {
+          method: 'sms_otp',
+          unlocked_ip_addresses: unlockedIpAddresses
+        },
+        ipAddress,
+        userAgent
+      });
+
+      logger.info('Account unlocked via OTP', {
+        userId: user.id,
+        unlockedCount: unlockedIpAddresses.length,
+        ipAddress
+      });
+
+      return {
+        unlocked: true,
+        unlocked_count: unlockedIpAddresses.length
+      };
+    } catch (error) {
+      logger.error('Account unlock failed', {
+        phone: unlockData.phone,
+        error: error.message,
+        ipAddress: unlockData.ipAddress
+      });
+
+      throw error;
+    }
+  }
+
   /**
    * Reset password
    */
@@ -376,30 +1107,8 @@ class AuthService {
         throw AuthError.phoneNotFound('Phone number not found');
       }
 
-      // Check account status
-      if (user.status === 'suspended') {
-        throw AuthError.accountSuspended('Cannot reset password for suspended account');
-      }
-      if (user.status === 'pending_deletion') {
-        throw AuthError.accountPendingDeletion('Cannot reset password for account scheduled for deletion');
-      }
-
-      // Validate new password
-      passwordUtil.validatePassword(new_password);
-
-      // Hash new password
-      const newPasswordHash = await passwordUtil.hashPassword(new_password);
-
-      // Update password
-      await user.update({
-        password_hash: newPasswordHash,
-        password_changed_at: new Date(),
-        failed_login_attempts: 0,
-        last_failed_login: null
-      });
-
-      // Revoke all user sessions
-      await sessionService.revokeAllUserSessions(user.id);
+      await this.assertPasswordResetAllowed(user, new_password);
+      await this.savePasswordReset(user, new_password);
 
       logger.info('Password reset successfully', {
         userId: user.id,
@@ -417,10 +1126,126 @@ class AuthService {
     }
   }
 
+  /**
+   * Email a password reset link to a verified address
+   * Responds the same whether or not an account uses the address
+   */
+  async requestPasswordResetEmail(email, ipAddress) {
+    const normalizedEmail = emailService.normalizeEmail(email);
+    const user = await User.findByEmail(normalizedEmail);
+
+    if (user && user.email_verified_at && !['suspended', 'pending_deletion'].includes(user.status)) {
+      try {
+        await emailService.sendPasswordResetLink(user, normalizedEmail);
+      } catch (error) {
+        logger.error('Failed to send password reset email', {
+          userId: user.id,
+          ipAddress,
+          error: error.message
+        });
+      }
+    } else {
+      logger.info('Password reset email requested for an address without an eligible account', {
+        email: emailService.maskEmail(normalizedEmail),
+        ipAddress
+      });
+    }
+
+    return {
+      message: 'If this email address is verified on an account, a reset link has been sent',
+      expires_in: 15 * 60
+    };
+  }
+
+  /**
+   * Reset password with an emailed link
+   */
+  async resetPasswordWithEmail(resetData, { ipAddress = null, userAgent = null } = {}) {
+    const { token, new_password } = resetData;
+
+    const reset = jwtUtil.verifyPasswordResetToken(token);
+
+    // The link only works while the address is still verified on the account
+    const user = await User.findByPk(reset.userId);
+    if (!user || !user.email_verified_at || user.email_hash !== await encryptionService.hashForSearch(reset.email)) {
+      throw AuthError.invalidToken('Password reset link is invalid or has already been used');
+    }
+
+    await this.assertPasswordResetAllowed(user, new_password);
+    await emailService.consumePasswordResetToken(reset.jti);
+    await this.savePasswordReset(user, new_password);
+
+    await AuditLog.logAction({
+      userId: user.id,
+      action: 'password_reset',
+      resource: 'user',
+      resourceId: user.id.toString(),
+      newValues: { channel: 'email' },
+      ipAddress,
+      userAgent
+    });
+
+    logger.info('Password reset by email', {
+      userId: user.id
+    });
+
+    return { message: 'Password reset successful' };
+  }
+
+  /**
+   * Check the account can reset its password and the new password is acceptable
+   */
+  async assertPasswordResetAllowed(user, newPassword) {
+    // Check account status
+    if (user.status === 'suspended') {
+      throw AuthError.accountSuspended('Cannot reset password for suspended account');
+    }
+    if (user.status === 'pending_deletion') {
+      throw AuthError.accountPendingDeletion('Cannot reset password for account scheduled for deletion');
+    }
+
+    // Validate new password
+    passwordUtil.validatePassword(newPassword);
+
+    // Reject reuse of recent passwords
+    await passwordHistoryService.validateNotReused(user, newPassword);
+  }
+
+  /**
+   * Store a reset password, then sign out everywhere and lift lockouts
+   */
+  async savePasswordReset(user, newPassword) {
+    // Hash new password
+    const newPasswordHash = await passwordUtil.hashPassword(newPassword);
+
+    // Update password and record it in the history
+    const transaction = await sequelize.transaction();
+    try {
+      await user.update({
+        password_hash: newPasswordHash,
+        password_changed_at: new Date(),
+        password_reset_required: false,
+        failed_login_attempts: 0,
+        last_failed_login: null
+      }, { transaction });
+
+      await passwordHistoryService.recordPassword(user.id, user.password_hash, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Revoke all user sessions and lift any lockouts
+    await sessionService.revokeAllUserSessions(user.id);
+    await lockoutService.unlockAll(user.id);
+  }
+
   /**
    * Handle failed login attempt
    */
-  async handleFailedLogin(user) {
+  async handleFailedLogin(user, { ipAddress = null, deviceId = null, userAgent = null } = {}) {
     const failedAttempts = user.failed_login_attempts + 1;
     
     await user.update({
@@ -428,6 +1253,9 @@ class AuthService {
       last_failed_login: new Date()
     });
 
+    // Lockouts are per account and IP; the account-wide count only feeds risk scoring
+    await lockoutService.recordFailure(user, { ipAddress, deviceId, userAgent });
+
     logger.warn('Failed login attempt', {
       userId: user.id,
       phone: user.phone,
@@ -458,6 +1286,8 @@ class AuthService {
     const sanitized = { ...user };
     delete sanitized.password_hash;
     delete sanitized.verification_data;
+    delete sanitized.phone_hash;
+    delete sanitized.email_hash;
     delete sanitized.failed_login_attempts;
     delete sanitized.last_failed_login;
     delete sanitized.registration_ip;
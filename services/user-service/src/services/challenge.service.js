@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { getCaptchaProvider } = require('../providers/captcha');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+
+// Expired fallback counters are pruned once this many are held
+const MAX_LOCAL_COUNTERS = 10000;
+
+/**
+ * Challenge Service
+ * Counts requests to SMS-sending and login endpoints per IP and phone number
+ * and, past the configured thresholds, issues single-use proof-of-work or
+ * CAPTCHA challenges that must be solved before the request goes through.
+ */
+class ChallengeService {
+  constructor() {
+    this.config = securityConfig.abuseChallenge;
+
+    // Fallback counters (key -> { count, expiresAt }) while Redis is unavailable
+    this.localCounters = new Map();
+  }
+
+  /**
+   * Count a request and report whether it needs a challenge
+   */
+  async recordRequest(scope, { ipAddress, phone = null }) {
+    const ipCount = await this.incrementCounter(`challenge:count:${scope}:ip:${ipAddress}`);
+
+    let phoneCount = 0;
+    const normalizedPhone = phone ? String(phone).replace(/\D/g, '') : '';
+    if (normalizedPhone) {
+      phoneCount = await this.incrementCounter(`challenge:count:${scope}:phone:${normalizedPhone}`);
+    }
+
+    return ipCount > this.config.ipThreshold || phoneCount > this.config.phoneThreshold;
+  }
+
+  /**
+   * Issue a challenge for a scope
+   */
+  async createChallenge(scope) {
+    const challengeId = crypto.randomUUID();
+    const challenge = {
+      challenge_id: challengeId,
+      type: this.config.type,
+      expires_in: this.config.challengeTtl
+    };
+
+    if (this.config.type === 'captcha') {
+      Object.assign(challenge, getCaptchaProvider().getClientConfig());
+    } else {
+      Object.assign(challenge, {
+        algorithm: 'sha256',
+        prefix: crypto.randomBytes(16).toString('hex'),
+        difficulty: this.config.pow.difficulty
+      });
+    }
+
+    await redisClient.set(`challenge:${challengeId}`, {
+      scope,
+      type: challenge.type,
+      prefix: challenge.prefix || null,
+      difficulty: challenge.difficulty || null
+    }, this.config.challengeTtl);
+
+    logger.info('Abuse challenge issued', {
+      challengeId,
+      scope,
+      type: challenge.type
+    });
+
+    return challenge;
+  }
+
+  /**
+   * Check a solution; each challenge can be answered once
+   */
+  async verifyChallenge(scope, challengeId, solution, { ipAddress = null } = {}) {
+    const key = `challenge:${challengeId}`;
+    const stored = await redisClient.get(key);
+
+    if (!stored || stored.scope !== scope || (await redisClient.del(key)) !== 1) {
+      return false;
+    }
+
+    if (stored.type === 'captcha') {
+      return await getCaptchaProvider().verify(solution, { ipAddress });
+    }
+
+    return this.verifyProofOfWork(stored.prefix, solution, stored.difficulty);
+  }
+
+  /**
+   * SHA-256(prefix + solution) must start with `difficulty` zero bits
+   */
+  verifyProofOfWork(prefix, solution, difficulty) {
+    if (typeof solution !== 'string' || solution.length === 0 || solution.length > 64) {
+      return false;
+    }
+
+    const hash = crypto.createHash('sha256').update(prefix + solution).digest();
+
+    let remaining = difficulty;
+    for (const byte of hash) {
+      if (remaining <= 0) {
+        break;
+      }
+      if (remaining >= 8) {
+        if (byte !== 0) {
+          return false;
+        }
+        remaining -= 8;
+      } else {
+        return (byte >> (8 - remaining)) === 0;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Increment a request counter, starting its window on first use. Counts
+   * in process memory when Redis fails, so an outage does not turn the
+   * challenge off.
+   */
+  async incrementCounter(key) {
+    try {
+      const count = await redisClient.incr(key);
+      if (count === 1) {
+        await redisClient.expire(key, this.config.window);
+      }
+      return count;
+    } catch (error) {
+      logger.warn('Challenge counter unavailable, counting in memory', {
+        key,
+        error: error.message
+      });
+      return this.incrementLocalCounter(key);
+    }
+  }
+
+  /**
+   * In-process counter with the same window as the Redis one
+   */
+  incrementLocalCounter(key) {
+    const now = Date.now();
+
+    if (this.localCounters.size >= MAX_LOCAL_COUNTERS) {
+      for (const [counterKey, counter] of this.localCounters) {
+        if (counter.expiresAt <= now) {
+          this.localCounters.delete(counterKey);
+        }
+      }
+    }
+
+    let counter = this.localCounters.get(key);
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + this.config.window * 1000 };
+      this.localCounters.set(key, counter);
+    }
+
+    counter.count++;
+    return counter.count;
+  }
+}
+
+module.exports = new ChallengeService();
@@ -1,8 +1,9 @@
-const { AuditLog, User } = require('../models');
+const { AuditLog, User, SmsDispatch } = require('../models');
 const encryptionService = require('./encryption.service');
+const alibabaSmsConfig = require('../config/alibaba-sms.config');
 const logger = require('../utils/logger.util');
 const { AppError } = require('../errors/AppError');
-const { Op } = require('sequelize');
+const { Op, fn, col } = require('sequelize');
 const crypto = require('crypto');
 
 /**
@@ -322,6 +323,94 @@ class ComplianceService {
     }
   }
 
+  /**
+   * Get SMS delivery statistics grouped by carrier
+   */
+  async getSmsDeliveryStats(period, filters = {}) {
+    try {
+      const periodMap = {
+        '24h': 24 * 60 * 60 * 1000,
+        '7d': 7 * 24 * 60 * 60 * 1000,
+        '30d': 30 * 24 * 60 * 60 * 1000,
+        '90d': 90 * 24 * 60 * 60 * 1000
+      };
+
+      const periodMs = periodMap[period] || periodMap['24h'];
+      const since = new Date(Date.now() - periodMs);
+
+      const whereClause = {
+        sent_at: { [Op.gte]: since }
+      };
+
+      if (filters.template_key) {
+        whereClause.template_key = filters.template_key;
+      }
+
+      if (filters.country_code) {
+        whereClause.country_code = filters.country_code;
+      }
+
+      const rows = await SmsDispatch.findAll({
+        where: whereClause,
+        attributes: [
+          'carrier',
+          'country_code',
+          'status',
+          [fn('COUNT', '*'), 'count'],
+          [fn('SUM', col('cost')), 'cost']
+        ],
+        group: ['carrier', 'country_code', 'status'],
+        raw: true
+      });
+
+      const carriers = {};
+      for (const row of rows) {
+        const carrier = row.carrier || 'Unknown';
+        const key = `${row.country_code}:${carrier}`;
+
+        if (!carriers[key]) {
+          carriers[key] = {
+            carrier,
+            country_code: row.country_code,
+            total: 0,
+            sent: 0,
+            delivered: 0,
+            failed: 0,
+            cost: 0
+          };
+        }
+
+        const count = parseInt(row.count);
+        carriers[key][row.status] += count;
+        carriers[key].total += count;
+        carriers[key].cost += parseFloat(row.cost) || 0;
+      }
+
+      // Failure rate is measured against messages with a final status only
+      const stats = Object.values(carriers).map(entry => {
+        const reported = entry.delivered + entry.failed;
+        return {
+          ...entry,
+          cost: parseFloat(entry.cost.toFixed(4)),
+          failure_rate: reported > 0 ? parseFloat((entry.failed / reported).toFixed(4)) : null
+        };
+      }).sort((a, b) => b.total - a.total);
+
+      return {
+        period,
+        carriers: stats,
+        currency: alibabaSmsConfig.sms.pricing.currency,
+        generated_at: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Failed to get SMS delivery statistics', {
+        period,
+        error: error.message
+      });
+      throw new AppError('Failed to retrieve SMS delivery statistics', 500, 'SMS_DELIVERY_STATS_ERROR');
+    }
+  }
+
   /**
    * Get security events
    */
@@ -339,7 +428,17 @@ class ComplianceService {
             'suspicious_activity',
             'password_change',
             'session_revoked',
-            'admin_action'
+            'admin_action',
+            'login_risk_assessed',
+            'login_step_up_failed',
+            'login_alert_session_revoked',
+            'account_unlocked',
+            'recovery_case_submitted',
+            'recovery_case_approved',
+            'recovery_case_rejected',
+            'recovery_case_completed',
+            'recovery_case_cancelled',
+            'session_binding_mismatch'
           ]
         }
       };
@@ -365,7 +464,7 @@ class ComplianceService {
 
       const sanitizedEvents = events.map(event => ({
         ...this.sanitizeAuditLog(event.toJSON()),
-        severity: this.calculateEventSeverity(event.action),
+        severity: this.calculateEventSeverity(event.action, event.new_values),
         event_type: event.action
       }));
 
@@ -540,9 +639,13 @@ class ComplianceService {
   }
 
   /**
-   * Calculate event severity
+   * Calculate event severity (risk assessments carry their own level)
    */
-  calculateEventSeverity(action) {
+  calculateEventSeverity(action, newValues = null) {
+    if (action === 'login_risk_assessed' && newValues && newValues.level) {
+      return newValues.level;
+    }
+
     const severityMap = {
       'login_failed': 'low',
       'account_lockout': 'medium',
@@ -550,7 +653,16 @@ class ComplianceService {
       'data_breach': 'critical',
       'admin_action': 'medium',
       'password_change': 'low',
-      'session_revoked': 'medium'
+      'session_revoked': 'medium',
+      'login_step_up_failed': 'medium',
+      'login_alert_session_revoked': 'high',
+      'account_unlocked': 'low',
+      'recovery_case_submitted': 'medium',
+      'recovery_case_approved': 'high',
+      'recovery_case_rejected': 'low',
+      'recovery_case_completed': 'high',
+      'recovery_case_cancelled': 'medium',
+      'session_binding_mismatch': 'medium'
     };
 
     return severityMap[action] || 'low';
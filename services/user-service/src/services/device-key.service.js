@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const { User, DeviceKey, AuditLog } = require('../models');
+const authService = require('./auth.service');
+const encryptionService = require('./encryption.service');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+const { AuthError } = require('../errors/authError');
+const { AppError } = require('../errors/AppError');
+
+// Signature algorithms supported by iOS Secure Enclave and Android Keystore keys
+const KEY_ALGORITHMS = ['ES256', 'RS256'];
+
+/**
+ * Device Key Service
+ * Biometric login for the mobile app: a key pair generated on the device and
+ * unlocked by Face ID/fingerprint signs server-issued nonces
+ */
+class DeviceKeyService {
+  constructor() {
+    this.challengeTtl = securityConfig.biometric.challengeTtl;
+    this.minRsaKeyBits = securityConfig.biometric.minRsaKeyBits;
+  }
+
+  /**
+   * Start registering a key for the device of the current session
+   */
+  async generateRegistrationChallenge(userId, deviceId) {
+    this.assertBiometricAuthEnabled();
+
+    if (!deviceId) {
+      throw AppError.badRequest('Current session has no device ID');
+    }
+
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    await this.storeChallenge(this.getChallengeKey('registration', `${userId}:${deviceId}`), { challenge });
+
+    return {
+      challenge,
+      algorithms: KEY_ALGORITHMS,
+      expires_in: this.challengeTtl
+    };
+  }
+
+  /**
+   * Verify that the app holds the private key and store the public key.
+   * A device has one active key; registering again replaces it.
+   */
+  async registerKey(userId, deviceId, registration, context = {}) {
+    try {
+      this.assertBiometricAuthEnabled();
+
+      const { public_key, algorithm, signature, device_name } = registration;
+      const { challenge } = await this.consumeChallenge(this.getChallengeKey('registration', `${userId}:${deviceId}`));
+
+      const publicKey = this.parsePublicKey(public_key, algorithm);
+      if (!this.verifySignature(algorithm, publicKey, challenge, signature)) {
+        throw AuthError.biometricVerificationFailed('Invalid device key signature');
+      }
+
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw AppError.notFound('User not found');
+      }
+
+      const [replacedCount] = await DeviceKey.update({ revoked_at: new Date() }, {
+        where: { user_id: userId, device_id: deviceId, revoked_at: null }
+      });
+
+      const deviceKey = await DeviceKey.create({
+        user_id: userId,
+        device_id: deviceId,
+        key_id: crypto.randomUUID(),
+        public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+        algorithm,
+        device_name: device_name || null
+      });
+
+      await AuditLog.logAction({
+        userId,
+        action: 'biometric_key_registered',
+        resource: 'device_key',
+        resourceId: deviceKey.id.toString(),
+        newValues: { device_id: deviceId, algorithm, replaced: replacedCount > 0 },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('Biometric device key registered', {
+        userId,
+        deviceId,
+        keyId: deviceKey.key_id,
+        algorithm
+      });
+
+      return deviceKey.toSafeObject();
+    } catch (error) {
+      logger.error('Biometric device key registration failed', {
+        userId,
+        deviceId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a nonce for a biometric sign-in. Unknown keys get a nonce too,
+   * so the response does not reveal which keys exist.
+   */
+  async generateLoginChallenge({ key_id }) {
+    this.assertBiometricAuthEnabled();
+
+    const challengeId = crypto.randomUUID();
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    await this.storeChallenge(this.getChallengeKey('authentication', challengeId), { challenge, key_id });
+
+    return {
+      challenge_id: challengeId,
+      challenge,
+      expires_in: this.challengeTtl
+    };
+  }
+
+  /**
+   * Verify the signed nonce and sign the user in
+   */
+  async verifyLogin(loginData) {
+    try {
+      this.assertBiometricAuthEnabled();
+
+      const {
+        challenge_id,
+        key_id,
+        signature,
+        device_id,
+        device_type,
+        device_name,
+        ipAddress,
+        userAgent
+      } = loginData;
+
+      const { challenge, key_id: challengedKeyId } = await this.consumeChallenge(this.getChallengeKey('authentication', challenge_id));
+      if (challengedKeyId !== key_id) {
+        throw AuthError.biometricVerificationFailed('Challenge was issued for another key');
+      }
+
+      const deviceKey = await DeviceKey.findActiveByKeyId(key_id);
+      if (!deviceKey || deviceKey.device_id !== device_id) {
+        throw AuthError.biometricVerificationFailed('Device key is not registered');
+      }
+
+      if (!this.verifySignature(deviceKey.algorithm, deviceKey.public_key, challenge, signature)) {
+        throw AuthError.biometricVerificationFailed('Invalid device key signature');
+      }
+
+      const user = await User.findByPk(deviceKey.user_id);
+      if (!user) {
+        throw AuthError.invalidCredentials('User not found');
+      }
+
+      await authService.ensureCanLogin(user);
+
+      await deviceKey.update({ last_used_at: new Date() });
+
+      const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+      // The key only signs after an on-device biometric check, so like a
+      // passkey it is not followed by a TOTP challenge
+      return await authService.completeLogin(user, decryptedUser, {
+        device_id,
+        device_type,
+        device_name,
+        ipAddress,
+        userAgent,
+        loginMethod: 'biometric'
+      });
+    } catch (error) {
+      logger.error('Biometric login failed', {
+        error: error.message,
+        ipAddress: loginData.ipAddress
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List the active keys of one of a user's devices
+   */
+  async listDeviceKeys(userId, deviceId) {
+    const deviceKeys = await DeviceKey.findActiveByDevice(userId, deviceId);
+    return deviceKeys.map(deviceKey => deviceKey.toSafeObject());
+  }
+
+  /**
+   * Turn off biometric login for one key
+   */
+  async removeKey(userId, keyId, context = {}) {
+    try {
+      const deviceKey = await DeviceKey.findOne({
+        where: { user_id: userId, key_id: keyId, revoked_at: null }
+      });
+      if (!deviceKey) {
+        throw AppError.notFound('Device key not found');
+      }
+
+      await deviceKey.revoke();
+
+      await AuditLog.logAction({
+        userId,
+        action: 'biometric_key_removed',
+        resource: 'device_key',
+        resourceId: deviceKey.id.toString(),
+        oldValues: { device_id: deviceKey.device_id, algorithm: deviceKey.algorithm },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('Biometric device key removed', {
+        userId,
+        keyId
+      });
+    } catch (error) {
+      logger.error('Failed to remove biometric device key', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fail when the biometricAuth feature flag is off
+   */
+  assertBiometricAuthEnabled() {
+    if (!securityConfig.app.features.biometricAuth) {
+      throw new AppError('Biometric login is not enabled', 403, 'FEATURE_DISABLED');
+    }
+  }
+
+  /**
+   * Import a base64 SPKI (DER) or PEM public key and check it fits the algorithm
+   */
+  parsePublicKey(encodedKey, algorithm) {
+    if (!KEY_ALGORITHMS.includes(algorithm)) {
+      throw AuthError.biometricVerificationFailed('Unsupported device key algorithm');
+    }
+
+    let publicKey;
+    try {
+      publicKey = encodedKey.startsWith('-----BEGIN')
+        ? crypto.createPublicKey({ key: encodedKey, format: 'pem' })
+        : crypto.createPublicKey({ key: Buffer.from(encodedKey, 'base64'), format: 'der', type: 'spki' });
+    } catch (error) {
+      throw AuthError.biometricVerificationFailed('Invalid device public key');
+    }
+
+    const details = publicKey.asymmetricKeyDetails || {};
+    const matchesAlgorithm = algorithm === 'ES256'
+      ? publicKey.asymmetricKeyType === 'ec' && details.namedCurve === 'prime256v1'
+      : publicKey.asymmetricKeyType === 'rsa' && details.modulusLength >= this.minRsaKeyBits;
+
+    if (!matchesAlgorithm) {
+      throw AuthError.biometricVerificationFailed(`Device public key does not match ${algorithm}`);
+    }
+
+    return publicKey;
+  }
+
+  /**
+   * Verify a base64 signature over the UTF-8 challenge string
+   * (ES256 signatures are DER encoded, as both mobile platforms produce them)
+   */
+  verifySignature(algorithm, publicKey, challenge, signature) {
+    if (!KEY_ALGORITHMS.includes(algorithm)) {
+      return false;
+    }
+
+    try {
+      return crypto.verify('sha256', Buffer.from(challenge, 'utf8'), publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Redis key for a pending challenge
+   */
+  getChallengeKey(ceremony, id) {
+    return `biometric:${ceremony}:${id}`;
+  }
+
+  /**
+   * Store a challenge until it expires
+   */
+  async storeChallenge(key, data) {
+    await redisClient.set(key, data, this.challengeTtl);
+  }
+
+  /**
+   * Load and delete a challenge so it can only be answered once
+   */
+  async consumeChallenge(key) {
+    const data = await redisClient.get(key);
+    // A zero delete count means a concurrent request already used this challenge
+    const deleted = await redisClient.del(key);
+
+    if (!data || !data.challenge || !deleted) {
+      throw AuthError.biometricVerificationFailed('Biometric challenge expired or not found');
+    }
+
+    return data;
+  }
+}
+
+module.exports = new DeviceKeyService();
@@ -0,0 +1,294 @@
+const { User, AuditLog } = require('../models');
+const encryptionService = require('./encryption.service');
+const { getMailProvider } = require('../providers/mail');
+const jwtUtil = require('../utils/jwt.util');
+const logger = require('../utils/logger.util');
+const mailConfig = require('../config/mail.config');
+const { AuthError } = require('../errors/authError');
+const { ValidationError } = require('../errors/validationError');
+const { AppError } = require('../errors/AppError');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+
+// Lifetimes of the links issued by JWTUtil (seconds)
+const VERIFICATION_LINK_TTL = 24 * 60 * 60;
+const PASSWORD_RESET_LINK_TTL = 15 * 60;
+
+/**
+ * Email Service
+ * Verified secondary email address: adding it by confirmation link, removing
+ * it, and mailing single-use password reset links when the phone is lost.
+ */
+class EmailService {
+  constructor() {
+    this.config = mailConfig.email;
+  }
+
+  /**
+   * Current and pending email address for a user
+   */
+  async getEmailStatus(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw AppError.notFound('User not found');
+    }
+
+    const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+    const pending = await redisClient.get(this.getPendingKey(userId));
+
+    return {
+      email: decryptedUser.email || null,
+      email_verified_at: user.email_verified_at,
+      pending_email: pending ? pending.email : null
+    };
+  }
+
+  /**
+   * Send a confirmation link to a new address; it is only saved once confirmed
+   */
+  async requestVerification(userId, email) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw AppError.notFound('User not found');
+    }
+
+    const normalizedEmail = this.normalizeEmail(email);
+
+    const existingUser = await User.findByEmail(normalizedEmail);
+    if (existingUser) {
+      throw ValidationError.duplicateValue('email', existingUser.id === userId ?
+        'Email address is already verified' :
+        'Email address is already used by another account');
+    }
+
+    // Only the most recent link can be used
+    const token = jwtUtil.generateEmailVerificationToken(userId, normalizedEmail);
+    const { jti } = jwtUtil.verifyEmailVerificationToken(token);
+    await redisClient.set(this.getPendingKey(userId), { jti, email: normalizedEmail }, VERIFICATION_LINK_TTL);
+
+    await this.send({
+      to: normalizedEmail,
+      subject: 'Confirm your email address for Lianxin',
+      text: [
+        'Open the link below to add this email address to your Lianxin account.',
+        'It can then be used to reset your password if you lose access to your phone.',
+        '',
+        `${this.config.verificationUrl}?token=${encodeURIComponent(token)}`,
+        '',
+        'The link expires in 24 hours. If you did not request this, ignore this email.'
+      ].join('\n')
+    });
+
+    logger.info('Email verification sent', {
+      userId,
+      email: this.maskEmail(normalizedEmail)
+    });
+
+    return {
+      pending_email: normalizedEmail,
+      expires_in: VERIFICATION_LINK_TTL
+    };
+  }
+
+  /**
+   * Save the address from a confirmation link
+   */
+  async verifyEmail(userId, token, { ipAddress = null, userAgent = null, sessionId = null } = {}) {
+    const verification = jwtUtil.verifyEmailVerificationToken(token);
+    if (verification.userId !== userId) {
+      throw AuthError.invalidToken('Email verification link belongs to another account');
+    }
+
+    const pendingKey = this.getPendingKey(userId);
+
+    const pending = await redisClient.get(pendingKey);
+    if (!pending || pending.jti !== verification.jti || (await redisClient.del(pendingKey)) !== 1) {
+      throw AuthError.invalidToken('Email verification link is invalid or has already been used');
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw AppError.notFound('User not found');
+    }
+
+    const existingUser = await User.findByEmail(verification.email);
+    if (existingUser && existingUser.id !== user.id) {
+      throw ValidationError.duplicateValue('email', 'Email address is already used by another account');
+    }
+
+    const previousEmail = (await encryptionService.decryptUserData(user.toJSON())).email;
+    const verifiedAt = new Date();
+
+    await user.update(await encryptionService.encryptUserData({
+      email: verification.email,
+      email_verified_at: verifiedAt
+    }));
+
+    await AuditLog.logAction({
+      userId: user.id,
+      action: 'email_verified',
+      resource: 'user',
+      resourceId: user.id.toString(),
+      oldValues: previousEmail ? { email: this.maskEmail(previousEmail) } : null,
+      newValues: { email: this.maskEmail(verification.email) },
+      ipAddress,
+      userAgent,
+      sessionId
+    });
+
+    if (previousEmail && previousEmail !== verification.email) {
+      await this.sendChangeNotice(previousEmail, 'The email address on your Lianxin account was replaced.');
+    }
+
+    logger.info('Email address verified', {
+      userId: user.id,
+      email: this.maskEmail(verification.email)
+    });
+
+    return {
+      email: verification.email,
+      email_verified_at: verifiedAt
+    };
+  }
+
+  /**
+   * Remove the email address from an account
+   */
+  async removeEmail(userId, { ipAddress = null, userAgent = null, sessionId = null } = {}) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw AppError.notFound('User not found');
+    }
+
+    // Also cancels an address still waiting for confirmation
+    const hadPending = (await redisClient.del(this.getPendingKey(userId))) === 1;
+
+    if (!user.email) {
+      if (!hadPending) {
+        throw AppError.notFound('No email address on this account');
+      }
+      return;
+    }
+
+    const removedEmail = (await encryptionService.decryptUserData(user.toJSON())).email;
+
+    await user.update({
+      email: null,
+      email_hash: null,
+      email_verified_at: null
+    });
+
+    await AuditLog.logAction({
+      userId,
+      action: 'email_removed',
+      resource: 'user',
+      resourceId: userId.toString(),
+      oldValues: { email: this.maskEmail(removedEmail) },
+      ipAddress,
+      userAgent,
+      sessionId
+    });
+
+    await this.sendChangeNotice(removedEmail, 'This email address was removed from your Lianxin account.');
+
+    logger.info('Email address removed', {
+      userId
+    });
+  }
+
+  /**
+   * Mail a single-use password reset link to a verified address
+   */
+  async sendPasswordResetLink(user, email) {
+    const token = jwtUtil.generatePasswordResetToken(user.id, email);
+    const { jti } = jwtUtil.verifyPasswordResetToken(token);
+    await redisClient.set(this.getPasswordResetKey(jti), { user_id: user.id }, PASSWORD_RESET_LINK_TTL);
+
+    await this.send({
+      to: email,
+      subject: 'Reset your Lianxin password',
+      text: [
+        'Open the link below to choose a new password for your Lianxin account.',
+        '',
+        `${this.config.passwordResetUrl}?token=${encodeURIComponent(token)}`,
+        '',
+        'The link expires in 15 minutes and signs you out on all devices.',
+        'If you did not request this, ignore this email; your password will not change.'
+      ].join('\n')
+    });
+
+    logger.info('Password reset email sent', {
+      userId: user.id,
+      email: this.maskEmail(email)
+    });
+  }
+
+  /**
+   * Use up a password reset link so it cannot be opened again
+   */
+  async consumePasswordResetToken(jti) {
+    if ((await redisClient.del(this.getPasswordResetKey(jti))) !== 1) {
+      throw AuthError.invalidToken('Password reset link is invalid or has already been used');
+    }
+  }
+
+  /**
+   * Tell an address that it no longer belongs to the account; never throws
+   */
+  async sendChangeNotice(email, summary) {
+    try {
+      await this.send({
+        to: email,
+        subject: 'Your Lianxin email address was changed',
+        text: [
+          summary,
+          'It will no longer receive password reset links.',
+          '',
+          'If you did not make this change, reset your password and review your account security.'
+        ].join('\n')
+      });
+    } catch (error) {
+      logger.error('Failed to send email change notice', {
+        email: this.maskEmail(email),
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a message through the configured transport
+   */
+  async send(message) {
+    return await getMailProvider().send(message);
+  }
+
+  /**
+   * Addresses are compared and indexed in lowercase
+   */
+  normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * Address with the local part hidden, for logs and audit entries
+   */
+  maskEmail(email) {
+    const [local, domain] = String(email).split('@');
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+
+  /**
+   * Redis key for the confirmation link awaiting use
+   */
+  getPendingKey(userId) {
+    return `email_verification:${userId}`;
+  }
+
+  /**
+   * Redis key for an unused password reset link
+   */
+  getPasswordResetKey(jti) {
+    return `password_reset:email:${jti}`;
+  }
+}
+
+module.exports = new EmailService();
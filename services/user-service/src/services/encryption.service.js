@@ -1,4 +1,5 @@
 const encryptionUtil = require('../utils/encryption.util');
+const kmsService = require('./kms.service');
 const logger = require('../utils/logger.util');
 const { AppError } = require('../errors/AppError');
 
@@ -10,6 +11,7 @@ class EncryptionService {
   constructor() {
     this.encryptedFields = [
       'phone',
+      'email',
       'first_name',
       'last_name',
       'birth_date',
@@ -18,6 +20,51 @@ class EncryptionService {
     ];
   }
 
+  /**
+   * Create a data key for one record when envelope encryption is enabled
+   */
+  async createRecordKey() {
+    return kmsService.isEnabled() ? await kmsService.generateDataKey() : null;
+  }
+
+  /**
+   * Encrypt a value with the record's data key, or the active keyring key
+   */
+  encryptValue(value, recordKey = null) {
+    return recordKey
+      ? encryptionUtil.encryptWithDataKey(value, recordKey)
+      : encryptionUtil.encrypt(value);
+  }
+
+  /**
+   * Encrypt a JSON value with the record's data key, or the active keyring key
+   */
+  encryptJSONValue(value, recordKey = null) {
+    return recordKey
+      ? encryptionUtil.encryptWithDataKey(JSON.stringify(value), recordKey)
+      : encryptionUtil.encryptJSON(value);
+  }
+
+  /**
+   * Decrypt a value, unwrapping its envelope data key if it has one
+   */
+  async decryptValue(value) {
+    const wrappedKey = encryptionUtil.getWrappedKey(value);
+    const dataKey = wrappedKey ? await kmsService.getDataKey(wrappedKey) : null;
+
+    return encryptionUtil.decrypt(value, dataKey);
+  }
+
+  /**
+   * Decrypt a JSON value, unwrapping its envelope data key if it has one
+   */
+  async decryptJSONValue(value) {
+    const wrappedKey = encryptionUtil.getWrappedKey(value);
+    const dataKey = wrappedKey ? await kmsService.getDataKey(wrappedKey) : null;
+
+    return encryptionUtil.decryptJSON(value, dataKey);
+  }
+
   /**
    * Encrypt user data before saving to database
    */
@@ -29,10 +76,23 @@ class EncryptionService {
 
       const encryptedData = { ...userData };
 
-      // Encrypt specified fields
+      // Keep the blind index in step with the phone so it stays searchable
+      if (typeof encryptedData.phone === 'string' && !encryptionUtil.parseCiphertext(encryptedData.phone)) {
+        encryptedData.phone_hash = encryptionUtil.blindIndex(encryptedData.phone);
+      }
+      if (typeof encryptedData.email === 'string' && !encryptionUtil.parseCiphertext(encryptedData.email)) {
+        encryptedData.email_hash = encryptionUtil.blindIndex(encryptedData.email.toLowerCase());
+      }
+
+      // Encrypt specified fields, sharing one data key per record
+      const hasEncryptedFields = this.encryptedFields.some(field =>
+        encryptedData[field] && typeof encryptedData[field] === 'string'
+      );
+      const recordKey = hasEncryptedFields ? await this.createRecordKey() : null;
+
       for (const field of this.encryptedFields) {
         if (encryptedData[field] && typeof encryptedData[field] === 'string') {
-          encryptedData[field] = encryptionUtil.encrypt(encryptedData[field]);
+          encryptedData[field] = this.encryptValue(encryptedData[field], recordKey);
           
           logger.debug('Field encrypted', {
             field,
@@ -67,7 +127,7 @@ class EncryptionService {
       for (const field of this.encryptedFields) {
         if (decryptedData[field] && typeof decryptedData[field] === 'string') {
           try {
-            decryptedData[field] = encryptionUtil.decrypt(decryptedData[field]);
+            decryptedData[field] = await this.decryptValue(decryptedData[field]);
           } catch (decryptError) {
             logger.warn('Failed to decrypt field', {
               field,
@@ -100,18 +160,23 @@ class EncryptionService {
       }
 
       const encryptedSettings = { ...settingsData };
+      const recordKey = encryptedSettings.privacy_settings || encryptedSettings.security_settings
+        ? await this.createRecordKey()
+        : null;
 
       // Encrypt privacy settings if they contain sensitive data
       if (encryptedSettings.privacy_settings) {
-        encryptedSettings.privacy_settings = encryptionUtil.encryptJSON(
-          encryptedSettings.privacy_settings
+        encryptedSettings.privacy_settings = this.encryptJSONValue(
+          encryptedSettings.privacy_settings,
+          recordKey
         );
       }
 
       // Encrypt security settings
       if (encryptedSettings.security_settings) {
-        encryptedSettings.security_settings = encryptionUtil.encryptJSON(
-          encryptedSettings.security_settings
+        encryptedSettings.security_settings = this.encryptJSONValue(
+          encryptedSettings.security_settings,
+          recordKey
         );
       }
 
@@ -139,7 +204,7 @@ class EncryptionService {
       // Decrypt privacy settings
       if (decryptedSettings.privacy_settings && typeof decryptedSettings.privacy_settings === 'string') {
         try {
-          decryptedSettings.privacy_settings = encryptionUtil.decryptJSON(
+          decryptedSettings.privacy_settings = await this.decryptJSONValue(
             decryptedSettings.privacy_settings
           );
         } catch (decryptError) {
@@ -153,7 +218,7 @@ class EncryptionService {
       // Decrypt security settings
       if (decryptedSettings.security_settings && typeof decryptedSettings.security_settings === 'string') {
         try {
-          decryptedSettings.security_settings = encryptionUtil.decryptJSON(
+          decryptedSettings.security_settings = await this.decryptJSONValue(
             decryptedSettings.security_settings
           );
         } catch (decryptError) {
@@ -183,7 +248,7 @@ class EncryptionService {
         return verificationData;
       }
 
-      return encryptionUtil.encryptJSON(verificationData);
+      return this.encryptJSONValue(verificationData, await this.createRecordKey());
     } catch (error) {
       logger.error('Failed to encrypt verification data', {
         error: error.message
@@ -201,7 +266,7 @@ class EncryptionService {
         return encryptedVerificationData;
       }
 
-      return encryptionUtil.decryptJSON(encryptedVerificationData);
+      return await this.decryptJSONValue(encryptedVerificationData);
     } catch (error) {
       logger.error('Failed to decrypt verification data', {
         error: error.message
@@ -220,18 +285,23 @@ class EncryptionService {
       }
 
       const encryptedSession = { ...sessionData };
+      const recordKey = encryptedSession.device_info || encryptedSession.user_agent
+        ? await this.createRecordKey()
+        : null;
 
       // Encrypt device info
       if (encryptedSession.device_info) {
-        encryptedSession.device_info = encryptionUtil.encryptJSON(
-          encryptedSession.device_info
+        encryptedSession.device_info = this.encryptJSONValue(
+          encryptedSession.device_info,
+          recordKey
         );
       }
 
       // Encrypt user agent
       if (encryptedSession.user_agent) {
-        encryptedSession.user_agent = encryptionUtil.encrypt(
-          encryptedSession.user_agent
+        encryptedSession.user_agent = this.encryptValue(
+          encryptedSession.user_agent,
+          recordKey
         );
       }
 
@@ -259,7 +329,7 @@ class EncryptionService {
       // Decrypt device info
       if (decryptedSession.device_info && typeof decryptedSession.device_info === 'string') {
         try {
-          decryptedSession.device_info = encryptionUtil.decryptJSON(
+          decryptedSession.device_info = await this.decryptJSONValue(
             decryptedSession.device_info
           );
         } catch (decryptError) {
@@ -273,7 +343,7 @@ class EncryptionService {
       // Decrypt user agent
       if (decryptedSession.user_agent && typeof decryptedSession.user_agent === 'string') {
         try {
-          decryptedSession.user_agent = encryptionUtil.decrypt(
+          decryptedSession.user_agent = await this.decryptValue(
             decryptedSession.user_agent
           );
         } catch (decryptError) {
@@ -295,7 +365,7 @@ class EncryptionService {
   }
 
   /**
-   * Hash sensitive data for searching
+   * Hash sensitive data for searching (keyed blind index)
    */
   async hashForSearch(data) {
     try {
@@ -303,7 +373,7 @@ class EncryptionService {
         return data;
       }
 
-      return encryptionUtil.hash(data);
+      return encryptionUtil.blindIndex(data);
     } catch (error) {
       logger.error('Failed to hash data for search', {
         error: error.message
@@ -390,6 +460,14 @@ class EncryptionService {
   async bulkDecryptUsers(users) {
     try {
       const decryptedUsers = [];
+
+      // Unwrap every record's data key up front instead of one KMS call at a time
+      const wrappedKeys = users.flatMap(user =>
+        this.encryptedFields.map(field => encryptionUtil.getWrappedKey(user[field])).filter(Boolean)
+      );
+      if (wrappedKeys.length > 0) {
+        await kmsService.prefetchDataKeys(wrappedKeys);
+      }
       
       for (const user of users) {
         const decryptedUser = await this.decryptUserData(user);
@@ -0,0 +1,450 @@
+const {
+  sequelize,
+  User,
+  UserSettings,
+  UserMfa,
+  JwtSigningKey,
+  AccountRecoveryCase,
+  EncryptionKeyRotation,
+  AuditLog
+} = require('../models');
+const encryptionUtil = require('../utils/encryption.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AppError } = require('../errors/AppError');
+const { Op } = require('sequelize');
+
+/**
+ * Key Rotation Service
+ * Re-encrypts stored ciphertexts with the active keyring version in
+ * resumable batches, keeping a per-table cursor on the rotation record
+ */
+class KeyRotationService {
+  constructor() {
+    this.batchSize = securityConfig.encryption.reencryption.batchSize;
+    this.maxRecordedFailures = securityConfig.encryption.reencryption.maxRecordedFailures;
+    this.maxBatchAttempts = securityConfig.encryption.reencryption.maxBatchAttempts;
+    this.retryDelay = securityConfig.encryption.reencryption.retryDelay;
+    this.maxFailedRuns = securityConfig.encryption.reencryption.maxFailedRuns;
+
+    // Tables holding field-encrypted columns, processed in this order
+    this.targets = [
+      {
+        table: 'users',
+        model: User,
+        fields: securityConfig.encryption.encryptedFields.filter(field => User.rawAttributes[field])
+      },
+      { table: 'user_settings', model: UserSettings, fields: ['privacy_settings', 'security_settings'] },
+      { table: 'user_mfa', model: UserMfa, fields: ['totp_secret'] },
+      { table: 'jwt_signing_keys', model: JwtSigningKey, fields: ['private_key'] },
+      { table: 'account_recovery_cases', model: AccountRecoveryCase, fields: ['new_phone'] }
+    ];
+  }
+
+  /**
+   * Get keyring information and the latest rotation
+   */
+  async getStatus() {
+    const latest = await EncryptionKeyRotation.findLatest();
+
+    return {
+      keyring: encryptionUtil.getKeyringInfo(),
+      rotation: latest ? this.formatRotation(latest) : null
+    };
+  }
+
+  /**
+   * Get a rotation by id
+   */
+  async getRotation(rotationId) {
+    const rotation = await EncryptionKeyRotation.findByPk(rotationId);
+
+    if (!rotation) {
+      throw AppError.notFound('Key rotation not found');
+    }
+
+    return this.formatRotation(rotation);
+  }
+
+  /**
+   * Start re-encrypting all data with the active key version
+   */
+  async startRotation(triggeredBy = null) {
+    const active = await EncryptionKeyRotation.findActive();
+
+    if (active) {
+      throw AppError.conflict('A key rotation is already in progress', {
+        rotation_id: active.id,
+        key_version: active.key_version
+      });
+    }
+
+    const progress = {};
+    for (const target of this.targets) {
+      progress[target.table] = {
+        last_id: 0,
+        total: await target.model.count(),
+        scanned: 0,
+        reencrypted: 0,
+        failed: 0,
+        failures: [],
+        done: false
+      };
+    }
+
+    const rotation = await EncryptionKeyRotation.create({
+      key_version: encryptionUtil.activeKeyVersion,
+      status: 'pending',
+      progress,
+      triggered_by: triggeredBy
+    });
+
+    await AuditLog.logAction({
+      userId: triggeredBy,
+      action: 'encryption_key_rotation_started',
+      resource: 'encryption_key',
+      resourceId: rotation.id.toString(),
+      newValues: {
+        key_version: rotation.key_version
+      }
+    });
+
+    logger.info('Encryption key rotation started', {
+      rotationId: rotation.id,
+      keyVersion: rotation.key_version,
+      triggeredBy
+    });
+
+    return this.formatRotation(rotation);
+  }
+
+  /**
+   * Start a rotation for the active key version unless one has already run
+   */
+  async ensureRotationForActiveKey() {
+    const latest = await EncryptionKeyRotation.findLatest(encryptionUtil.activeKeyVersion);
+
+    if (latest) {
+      return null;
+    }
+
+    return await this.startRotation();
+  }
+
+  /**
+   * Process the pending or interrupted rotation until it completes
+   */
+  async processActiveRotation() {
+    const rotation = await EncryptionKeyRotation.findActive();
+
+    if (!rotation) {
+      return null;
+    }
+
+    // A rotation to a key that is no longer active would undo the newer one
+    if (rotation.key_version !== encryptionUtil.activeKeyVersion) {
+      await rotation.update({
+        status: 'failed',
+        completed_at: new Date(),
+        last_error: `Key version '${rotation.key_version}' is no longer active`
+      });
+
+      logger.warn('Stale encryption key rotation abandoned', {
+        rotationId: rotation.id,
+        keyVersion: rotation.key_version,
+        activeKeyVersion: encryptionUtil.activeKeyVersion
+      });
+
+      return this.formatRotation(rotation);
+    }
+
+    const startTime = Date.now();
+
+    if (rotation.status === 'pending') {
+      await rotation.update({ status: 'running', started_at: new Date() });
+    }
+
+    let batchesProcessed = 0;
+
+    try {
+      for (const target of this.targets) {
+        let done = false;
+        while (!done) {
+          done = await this.processBatchWithRetry(rotation.id, target);
+          batchesProcessed++;
+        }
+      }
+
+      await rotation.reload();
+      await rotation.update({ status: 'completed', completed_at: new Date(), error_count: 0 });
+
+      logger.info('Encryption key rotation completed', {
+        rotationId: rotation.id,
+        keyVersion: rotation.key_version,
+        duration: Date.now() - startTime
+      });
+    } catch (error) {
+      await this.recordRunFailure(rotation, error, batchesProcessed > 0);
+    }
+
+    return this.formatRotation(rotation);
+  }
+
+  /**
+   * Resume a failed rotation from its saved cursors (admin)
+   */
+  async resumeRotation(rotationId, resumedBy = null) {
+    const rotation = await EncryptionKeyRotation.findByPk(rotationId);
+
+    if (!rotation) {
+      throw AppError.notFound('Key rotation not found');
+    }
+
+    if (rotation.status !== 'failed') {
+      throw AppError.conflict('Only a failed key rotation can be resumed', { status: rotation.status });
+    }
+
+    if (rotation.key_version !== encryptionUtil.activeKeyVersion) {
+      throw AppError.conflict(`Key version '${rotation.key_version}' is no longer active`);
+    }
+
+    const active = await EncryptionKeyRotation.findActive();
+    if (active) {
+      throw AppError.conflict('A key rotation is already in progress', {
+        rotation_id: active.id,
+        key_version: active.key_version
+      });
+    }
+
+    await rotation.update({ status: 'running', completed_at: null, error_count: 0 });
+
+    await AuditLog.logAction({
+      userId: resumedBy,
+      action: 'encryption_key_rotation_resumed',
+      resource: 'encryption_key',
+      resourceId: rotation.id.toString(),
+      oldValues: {
+        last_error: rotation.last_error
+      },
+      newValues: {
+        key_version: rotation.key_version
+      }
+    });
+
+    logger.info('Encryption key rotation resumed', {
+      rotationId: rotation.id,
+      keyVersion: rotation.key_version,
+      resumedBy
+    });
+
+    return this.formatRotation(rotation);
+  }
+
+  /**
+   * Process a batch, retrying transient errors with exponential backoff.
+   * A failed batch rolls back, so a retry starts from the last saved cursor.
+   */
+  async processBatchWithRetry(rotationId, target) {
+    let delay = this.retryDelay;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.processBatch(rotationId, target);
+      } catch (error) {
+        if (attempt >= this.maxBatchAttempts) {
+          throw error;
+        }
+
+        logger.warn('Re-encryption batch failed, retrying', {
+          rotationId,
+          table: target.table,
+          attempt,
+          delay,
+          error: error.message
+        });
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2;
+      }
+    }
+  }
+
+  /**
+   * Keep the rotation running for the next scheduled run, and only mark it
+   * failed after maxFailedRuns consecutive runs stopped without progress
+   */
+  async recordRunFailure(rotation, error, madeProgress) {
+    try {
+      await rotation.reload();
+
+      const errorCount = madeProgress ? 1 : rotation.error_count + 1;
+      const failed = errorCount >= this.maxFailedRuns;
+
+      await rotation.update({
+        status: failed ? 'failed' : rotation.status,
+        completed_at: failed ? new Date() : null,
+        last_error: error.message,
+        error_count: errorCount
+      });
+
+      logger.error(failed ? 'Encryption key rotation failed' : 'Encryption key rotation interrupted, will resume', {
+        rotationId: rotation.id,
+        keyVersion: rotation.key_version,
+        errorCount,
+        maxFailedRuns: this.maxFailedRuns,
+        error: error.message,
+        stack: error.stack
+      });
+    } catch (updateError) {
+      // The cursor is already saved; the next run resumes from it
+      logger.error('Failed to record encryption key rotation error', {
+        rotationId: rotation.id,
+        error: error.message,
+        updateError: updateError.message
+      });
+    }
+  }
+
+  /**
+   * Re-encrypt one batch of a table and advance its cursor
+   * Returns true when the table is finished
+   */
+  async processBatch(rotationId, target) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      // The row lock serializes batches across instances
+      const rotation = await EncryptionKeyRotation.findByPk(rotationId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const progress = { ...rotation.progress };
+      // Tables added after the rotation started are scanned from the beginning
+      const tableProgress = {
+        last_id: 0,
+        total: 0,
+        scanned: 0,
+        reencrypted: 0,
+        failed: 0,
+        failures: [],
+        done: false,
+        ...progress[target.table]
+      };
+
+      if (tableProgress.done) {
+        await transaction.commit();
+        return true;
+      }
+
+      const rows = await target.model.findAll({
+        where: { id: { [Op.gt]: tableProgress.last_id } },
+        attributes: ['id', ...target.fields],
+        order: [['id', 'ASC']],
+        limit: this.batchSize,
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      for (const row of rows) {
+        try {
+          const changes = {};
+
+          for (const field of target.fields) {
+            if (encryptionUtil.needsReencryption(row[field])) {
+              changes[field] = encryptionUtil.reencrypt(row[field]);
+            }
+          }
+
+          if (Object.keys(changes).length > 0) {
+            await target.model.update(changes, {
+              where: { id: row.id },
+              hooks: false,
+              silent: true,
+              transaction
+            });
+            tableProgress.reencrypted++;
+          }
+        } catch (error) {
+          tableProgress.failed++;
+          if (tableProgress.failures.length < this.maxRecordedFailures) {
+            tableProgress.failures = [...tableProgress.failures, { id: row.id, error: error.message }];
+          }
+
+          logger.error('Failed to re-encrypt record', {
+            rotationId,
+            table: target.table,
+            recordId: row.id,
+            error: error.message
+          });
+        }
+
+        tableProgress.last_id = row.id;
+        tableProgress.scanned++;
+      }
+
+      tableProgress.done = rows.length < this.batchSize;
+      progress[target.table] = tableProgress;
+
+      rotation.progress = progress;
+      rotation.changed('progress', true);
+      await rotation.save({ transaction });
+
+      await transaction.commit();
+
+      logger.debug('Re-encryption batch processed', {
+        rotationId,
+        table: target.table,
+        batchSize: rows.length,
+        lastId: tableProgress.last_id
+      });
+
+      return tableProgress.done;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Format rotation for API responses
+   */
+  formatRotation(rotation) {
+    const progress = rotation.progress || {};
+    const tables = {};
+    let scanned = 0;
+    let total = 0;
+
+    for (const [table, entry] of Object.entries(progress)) {
+      scanned += entry.scanned;
+      total += Math.max(entry.total, entry.scanned);
+
+      tables[table] = {
+        total: entry.total,
+        scanned: entry.scanned,
+        reencrypted: entry.reencrypted,
+        failed: entry.failed,
+        failures: entry.failures,
+        done: entry.done
+      };
+    }
+
+    return {
+      id: rotation.id,
+      key_version: rotation.key_version,
+      status: rotation.status,
+      percent_complete: rotation.status === 'completed'
+        ? 100
+        : (total > 0 ? Math.floor((scanned / total) * 100) : 0),
+      tables,
+      started_at: rotation.started_at,
+      completed_at: rotation.completed_at,
+      last_error: rotation.last_error,
+      error_count: rotation.error_count,
+      triggered_by: rotation.triggered_by,
+      created_at: rotation.created_at
+    };
+  }
+}
+
+module.exports = new KeyRotationService();
@@ -0,0 +1,137 @@
+const { getKmsProvider } = require('../providers/kms');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AppError } = require('../errors/AppError');
+
+/**
+ * KMS Service
+ * Issues per-record data keys for envelope encryption and unwraps them,
+ * caching plaintext data keys in memory for a short TTL
+ */
+class KmsService {
+  constructor() {
+    this.enabled = securityConfig.encryption.enableHSM;
+    this.keyId = securityConfig.encryption.hsmConfig.keyId;
+    this.cacheTtl = securityConfig.encryption.hsmConfig.dataKeyCacheTtl;
+    this.cacheMaxEntries = securityConfig.encryption.hsmConfig.dataKeyCacheMaxEntries;
+
+    // wrapped key -> { key, expiresAt }; Map order doubles as insertion-order eviction
+    this.cache = new Map();
+    // wrapped key -> in-flight unwrap promise
+    this.pending = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Whether envelope encryption is enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Generate a data key for one record
+   */
+  async generateDataKey() {
+    try {
+      const { keyId, plaintext, ciphertextBlob } = await getKmsProvider().generateDataKey(this.keyId);
+
+      this.cacheDataKey(ciphertextBlob, plaintext);
+
+      return { keyId, plaintext, wrappedKey: ciphertextBlob };
+    } catch (error) {
+      logger.error('Failed to generate data key', {
+        keyId: this.keyId,
+        error: error.message
+      });
+      throw error instanceof AppError ? error : new AppError('Data key generation failed', 502, 'KMS_PROVIDER_ERROR');
+    }
+  }
+
+  /**
+   * Get the plaintext data key for a wrapped key
+   */
+  async getDataKey(wrappedKey) {
+    const cached = this.cache.get(wrappedKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return cached.key;
+    }
+
+    this.stats.misses++;
+
+    // Share one KMS call between concurrent lookups of the same key
+    if (!this.pending.has(wrappedKey)) {
+      this.pending.set(wrappedKey, this.unwrapDataKey(wrappedKey));
+    }
+
+    return await this.pending.get(wrappedKey);
+  }
+
+  /**
+   * Unwrap a data key through the KMS provider and cache it
+   */
+  async unwrapDataKey(wrappedKey) {
+    try {
+      const key = await getKmsProvider().decryptDataKey(wrappedKey);
+      this.cacheDataKey(wrappedKey, key);
+      return key;
+    } catch (error) {
+      logger.error('Failed to unwrap data key', {
+        error: error.message
+      });
+      throw error instanceof AppError ? error : new AppError('Data key unwrap failed', 502, 'KMS_PROVIDER_ERROR');
+    } finally {
+      this.pending.delete(wrappedKey);
+    }
+  }
+
+  /**
+   * Unwrap several data keys in parallel ahead of a bulk decrypt
+   */
+  async prefetchDataKeys(wrappedKeys) {
+    const now = Date.now();
+    const missing = [...new Set(wrappedKeys)].filter(wrappedKey => {
+      const cached = this.cache.get(wrappedKey);
+      return !cached || cached.expiresAt <= now;
+    });
+
+    await Promise.all(missing.map(wrappedKey => this.getDataKey(wrappedKey)));
+
+    return missing.length;
+  }
+
+  /**
+   * Store a plaintext data key, evicting the oldest entries when full
+   */
+  cacheDataKey(wrappedKey, key) {
+    this.cache.delete(wrappedKey);
+    this.cache.set(wrappedKey, { key, expiresAt: Date.now() + this.cacheTtl });
+
+    while (this.cache.size > this.cacheMaxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop all cached data keys
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getCacheStats() {
+    return {
+      size: this.cache.size,
+      max_entries: this.cacheMaxEntries,
+      ttl: this.cacheTtl,
+      hits: this.stats.hits,
+      misses: this.stats.misses
+    };
+  }
+}
+
+module.exports = new KmsService();
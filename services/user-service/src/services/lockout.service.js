@@ -0,0 +1,238 @@
+const { AuditLog } = require('../models');
+const sessionService = require('./session.service');
+const jwtUtil = require('../utils/jwt.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AuthError } = require('../errors/authError');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+
+/**
+ * Lockout Service
+ * Progressive lockout per (account, IP address) pair. Failures are counted in
+ * Redis; past the free attempts each failure doubles the lockout. A device that
+ * presents the device token issued at its last login and still has a recent
+ * trusted session is never locked out, so an attacker cannot lock the owner
+ * out of their own phone.
+ */
+class LockoutService {
+  constructor() {
+    this.config = securityConfig.password;
+  }
+
+  /**
+   * Reject the attempt while this account and IP pair is locked on an unrecognized device
+   */
+  async assertNotLocked(user, { ipAddress, deviceId = null, deviceToken = null }) {
+    const lockout = await this.getLockout(user, ipAddress);
+    if (!lockout.locked) {
+      return;
+    }
+
+    if (await this.isTrustedDevice(user, deviceId, deviceToken)) {
+      return;
+    }
+
+    throw AuthError.accountLocked(
+      'Too many failed attempts, try again later or unlock your account with an SMS code',
+      new Date(lockout.lockedUntil).toISOString()
+    );
+  }
+
+  /**
+   * A device is trusted when it proves it holds the device token issued to it
+   * at login and still has a recent session; the device ID alone can be copied
+   */
+  async isTrustedDevice(user, deviceId, deviceToken) {
+    if (!deviceId || !deviceToken) {
+      return false;
+    }
+
+    try {
+      const trust = jwtUtil.verifyDeviceTrustToken(deviceToken);
+      if (trust.userId !== user.id || trust.deviceId !== deviceId) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+
+    return await sessionService.isDeviceTrusted(user.id, deviceId);
+  }
+
+  /**
+   * Current failure count and lockout for an account and IP pair
+   * Falls back to the account-wide counter on the user row while Redis is unavailable
+   */
+  async getLockout(user, ipAddress) {
+    try {
+      const [failures, lockedUntil] = await redisClient.mget([
+        this.getFailuresKey(user.id, ipAddress),
+        this.getLockKey(user.id, ipAddress)
+      ]);
+
+      return {
+        failures: failures || 0,
+        locked: !!lockedUntil && lockedUntil > Date.now(),
+        lockedUntil: lockedUntil || null
+      };
+    } catch (error) {
+      logger.error('Failed to read lockout state, using the account failure count', {
+        userId: user.id,
+        error: error.message
+      });
+      return this.getDatabaseLockout(user);
+    }
+  }
+
+  /**
+   * Lockout derived from failed_login_attempts and last_failed_login
+   */
+  getDatabaseLockout(user) {
+    const failures = user.failed_login_attempts || 0;
+    const lockDuration = this.getLockDuration(failures);
+    const lockedUntil = lockDuration > 0 && user.last_failed_login
+      ? new Date(user.last_failed_login).getTime() + lockDuration
+      : null;
+
+    return {
+      failures,
+      locked: !!lockedUntil && lockedUntil > Date.now(),
+      lockedUntil
+    };
+  }
+
+  /**
+   * Count a failed attempt and lock the pair once past the free attempts
+   */
+  async recordFailure(user, { ipAddress, deviceId = null, userAgent = null }) {
+    try {
+      const failuresKey = this.getFailuresKey(user.id, ipAddress);
+      // INCR keeps concurrent failures from overwriting each other's count
+      const failures = await redisClient.incr(failuresKey);
+
+      const lockDuration = this.getLockDuration(failures);
+      const lockedUntil = lockDuration > 0 ? Date.now() + lockDuration : null;
+      if (lockedUntil) {
+        await redisClient.set(this.getLockKey(user.id, ipAddress), lockedUntil, Math.ceil(lockDuration / 1000));
+      }
+
+      await redisClient.expire(failuresKey, Math.ceil(Math.max(this.config.lockoutFailureWindow, lockDuration) / 1000));
+      await this.trackIpAddress(user.id, ipAddress);
+
+      if (lockedUntil) {
+        await AuditLog.logAction({
+          userId: user.id,
+          action: 'account_lockout',
+          resource: 'user',
+          resourceId: user.id.toString(),
+          newValues: {
+            failures,
+            locked_until: new Date(lockedUntil).toISOString(),
+            lock_duration_seconds: Math.round(lockDuration / 1000),
+            device_id: deviceId
+          },
+          ipAddress,
+          userAgent
+        });
+
+        logger.warn('Account locked for IP address', {
+          userId: user.id,
+          ipAddress,
+          failures,
+          lockDurationMs: lockDuration
+        });
+      }
+
+      return { failures, locked_until: lockedUntil };
+    } catch (error) {
+      logger.error('Failed to record failed login for lockout', {
+        userId: user.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Lock duration after a number of failures: none within the free attempts,
+   * then doubling from the base duration up to the maximum
+   */
+  getLockDuration(failures) {
+    if (failures < this.config.maxFailedAttempts) {
+      return 0;
+    }
+
+    return Math.min(
+      this.config.lockoutBaseDuration * Math.pow(2, failures - this.config.maxFailedAttempts),
+      this.config.lockoutMaxDuration
+    );
+  }
+
+  /**
+   * Forget failures for an account and IP pair after a successful login
+   */
+  async clearFailures(userId, ipAddress) {
+    try {
+      await redisClient.del(this.getFailuresKey(userId, ipAddress));
+      await redisClient.del(this.getLockKey(userId, ipAddress));
+    } catch (error) {
+      logger.error('Failed to clear lockout state', {
+        userId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Lift every lockout on an account; returns the IP addresses that were locked
+   */
+  async unlockAll(userId) {
+    const indexKey = `lockout:ips:${userId}`;
+    const ipAddresses = (await redisClient.get(indexKey)) || [];
+    const unlocked = [];
+
+    for (const ipAddress of ipAddresses) {
+      const lockedUntil = await redisClient.get(this.getLockKey(userId, ipAddress));
+      if (lockedUntil && lockedUntil > Date.now()) {
+        unlocked.push(ipAddress);
+      }
+      await redisClient.del(this.getFailuresKey(userId, ipAddress));
+      await redisClient.del(this.getLockKey(userId, ipAddress));
+    }
+
+    await redisClient.del(indexKey);
+
+    return unlocked;
+  }
+
+  /**
+   * Remember which IP addresses have failure state for an account
+   */
+  async trackIpAddress(userId, ipAddress) {
+    const indexKey = `lockout:ips:${userId}`;
+    const ttl = Math.ceil(Math.max(this.config.lockoutFailureWindow, this.config.lockoutMaxDuration) / 1000);
+    const ipAddresses = (await redisClient.get(indexKey)) || [];
+
+    if (!ipAddresses.includes(ipAddress)) {
+      ipAddresses.push(ipAddress);
+    }
+
+    await redisClient.set(indexKey, ipAddresses, ttl);
+  }
+
+  /**
+   * Redis key counting failures for an account and IP pair
+   */
+  getFailuresKey(userId, ipAddress) {
+    return `lockout:${userId}:${ipAddress || 'unknown'}:failures`;
+  }
+
+  /**
+   * Redis key holding the lockout expiry (ms timestamp) for an account and IP pair
+   */
+  getLockKey(userId, ipAddress) {
+    return `lockout:${userId}:${ipAddress || 'unknown'}:until`;
+  }
+}
+
+module.exports = new LockoutService();
@@ -0,0 +1,237 @@
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { User, UserSession, UserSettings, DeviceKey, WebauthnCredential, AuditLog } = require('../models');
+const sessionService = require('./session.service');
+const smsDispatchService = require('./sms-dispatch.service');
+const { getSmsProvider } = require('../providers/sms');
+const jwtUtil = require('../utils/jwt.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AuthError } = require('../errors/authError');
+
+/**
+ * Login Alert Service
+ * Tells users about logins from devices they have not used before and lets
+ * them shut such a session down from the alert ("this wasn't me").
+ */
+class LoginAlertService {
+  constructor() {
+    this.config = securityConfig.loginAlerts;
+  }
+
+  /**
+   * Alert the user about a session created on a new device
+   * Never throws: alerting must not break login
+   */
+  async sendNewDeviceAlert(user, decryptedUser, session) {
+    try {
+      if (!this.config.enabled || !(await this.shouldAlert(user.id, session.session_id))) {
+        return false;
+      }
+
+      const device = this.describeDevice(session.device_info);
+      const location = session.location || session.ip_address || 'Unknown';
+      const time = this.formatTime(session.created_at || new Date());
+      const revokeUrl = `${this.config.revokeUrl}?token=${encodeURIComponent(
+        jwtUtil.generateLoginAlertToken(user.id, session.session_id)
+      )}`;
+
+      const [smsSent, notificationSent] = await Promise.all([
+        this.sendSms(decryptedUser.phone, { device, location, time, url: revokeUrl }),
+        this.sendNotification(user, session, { device, location, time, revokeUrl })
+      ]);
+
+      await AuditLog.logAction({
+        userId: user.id,
+        action: 'new_device_alert_sent',
+        resource: 'session',
+        resourceId: session.session_id,
+        newValues: {
+          device_id: session.device_info?.device_id,
+          device,
+          location,
+          sms_sent: smsSent,
+          notification_sent: notificationSent
+        },
+        ipAddress: session.ip_address,
+        sessionId: session.session_id
+      });
+
+      logger.info('New device login alert sent', {
+        userId: user.id,
+        sessionId: session.session_id,
+        smsSent,
+        notificationSent
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to send new device login alert', {
+        userId: user.id,
+        sessionId: session.session_id,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Revoke the session named in an alert, drop the biometric keys and passkeys
+   * registered from its device and require a password reset
+   */
+  async revokeFromAlert(token, { ipAddress = null, userAgent = null } = {}) {
+    const alert = jwtUtil.verifyLoginAlertToken(token);
+
+    const session = await UserSession.findBySessionId(alert.sessionId);
+    if (!session || session.user_id !== alert.userId) {
+      throw AuthError.invalidToken('Invalid login alert link');
+    }
+
+    const user = await User.findByPk(alert.userId);
+    if (!user) {
+      throw AuthError.invalidToken('Invalid login alert link');
+    }
+
+    await sessionService.revokeTokenFamily(session.session_id, 'login_alert_reported');
+
+    // Keys enrolled from the reported device would otherwise sign it straight back in
+    const deviceId = session.device_info?.device_id;
+    let revokedDeviceKeys = 0;
+    let removedPasskeys = 0;
+    if (deviceId) {
+      revokedDeviceKeys = await DeviceKey.revokeByDevice(user.id, deviceId);
+      removedPasskeys = await WebauthnCredential.destroyByDevice(user.id, deviceId);
+    }
+
+    await user.update({ password_reset_required: true });
+
+    await AuditLog.logAction({
+      userId: user.id,
+      action: 'login_alert_session_revoked',
+      resource: 'session',
+      resourceId: session.session_id,
+      newValues: {
+        device_id: deviceId,
+        session_ip_address: session.ip_address,
+        revoked_device_keys: revokedDeviceKeys,
+        removed_passkeys: removedPasskeys,
+        password_reset_required: true
+      },
+      ipAddress,
+      userAgent
+    });
+
+    logger.warn('Session reported from login alert and revoked', {
+      userId: user.id,
+      sessionId: session.session_id,
+      revokedDeviceKeys,
+      removedPasskeys,
+      ipAddress
+    });
+
+    return {
+      session_revoked: true,
+      revoked_device_keys: revokedDeviceKeys,
+      removed_passkeys: removedPasskeys,
+      password_reset_required: true
+    };
+  }
+
+  /**
+   * Users get alerts when they have opted in and logged in somewhere before
+   */
+  async shouldAlert(userId, sessionId) {
+    const settings = await UserSettings.findByUserId(userId);
+    if (settings && settings.security_settings && settings.security_settings.login_alerts === false) {
+      return false;
+    }
+
+    const earlierSessions = await UserSession.count({
+      where: {
+        user_id: userId,
+        session_id: { [Op.ne]: sessionId }
+      }
+    });
+
+    return earlierSessions > 0;
+  }
+
+  /**
+   * Send the security alert SMS
+   */
+  async sendSms(phone, templateParams) {
+    const provider = getSmsProvider();
+    const dispatch = {
+      phone,
+      provider: provider.name,
+      templateKey: 'securityAlert'
+    };
+
+    try {
+      const result = await provider.send({ phone, templateKey: 'securityAlert', templateParams });
+      await smsDispatchService.recordDispatch({ ...dispatch, result });
+      return true;
+    } catch (error) {
+      logger.error('Login alert SMS failed', {
+        phone,
+        error: error.message
+      });
+      await smsDispatchService.recordDispatch({ ...dispatch, error });
+      return false;
+    }
+  }
+
+  /**
+   * Ask the notification service to push the alert to the user's apps
+   */
+  async sendNotification(user, session, { device, location, time, revokeUrl }) {
+    try {
+      await axios.post(`${securityConfig.app.notificationServiceUrl}/api/v1/notifications`, {
+        user_id: user.id,
+        type: 'security_alert',
+        title: 'New device sign-in',
+        body: `Your account was signed in on ${device} (${location}) at ${time}.`,
+        data: {
+          session_id: session.session_id,
+          device,
+          location,
+          time,
+          revoke_url: revokeUrl
+        }
+      }, {
+        timeout: this.config.notificationTimeout
+      });
+      return true;
+    } catch (error) {
+      logger.error('Login alert notification failed', {
+        userId: user.id,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Human-readable device description
+   */
+  describeDevice(deviceInfo = {}) {
+    const name = deviceInfo.device_name || deviceInfo.device_type || 'Unknown device';
+    const platform = [deviceInfo.os, deviceInfo.browser]
+      .filter(part => part && part !== 'Unknown')
+      .join(', ');
+
+    return platform ? `${name} (${platform})` : name;
+  }
+
+  /**
+   * Login time in the configured time zone
+   */
+  formatTime(date) {
+    return new Date(date).toLocaleString('zh-CN', {
+      timeZone: this.config.timezone,
+      hour12: false
+    });
+  }
+}
+
+module.exports = new LoginAlertService();
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { User, UserMfa, AuditLog } = require('../models');
+const totpUtil = require('../utils/totp.util');
+const encryptionUtil = require('../utils/encryption.util');
+const encryptionService = require('./encryption.service');
+const phoneUtil = require('../utils/phone.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AuthError } = require('../errors/authError');
+const { AppError } = require('../errors/AppError');
+
+// Backup code alphabet without ambiguous characters (0/O, 1/I/L)
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * MFA Service
+ * Handles authenticator-app (TOTP) enrollment, verification and backup codes
+ */
+class MfaService {
+  constructor() {
+    this.backupCodeCount = securityConfig.mfa.backupCodeCount;
+    this.backupCodeLength = securityConfig.mfa.backupCodeLength;
+  }
+
+  /**
+   * Get MFA status for a user
+   */
+  async getMfaStatus(userId) {
+    try {
+      const mfa = await UserMfa.findEnabledByUserId(userId);
+
+      if (!mfa) {
+        return {
+          enabled: false,
+          enabled_at: null,
+          backup_codes_remaining: 0,
+          backup_codes_generated_at: null
+        };
+      }
+
+      return mfa.toSafeObject();
+    } catch (error) {
+      logger.error('Failed to get MFA status', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether MFA is enabled for a user
+   */
+  async isMfaEnabled(userId) {
+    const mfa = await UserMfa.findEnabledByUserId(userId);
+    return !!mfa;
+  }
+
+  /**
+   * Start TOTP enrollment: generate a secret and provisioning URI
+   */
+  async beginTotpEnrollment(userId) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw AppError.notFound('User not found');
+      }
+
+      const existing = await UserMfa.findByUserId(userId);
+      if (existing && existing.is_enabled) {
+        throw AppError.conflict('Two-factor authentication is already enabled');
+      }
+
+      const secret = totpUtil.generateSecret();
+      const encryptedSecret = encryptionUtil.encrypt(secret);
+
+      if (existing) {
+        await existing.update({
+          totp_secret: encryptedSecret,
+          last_used_step: null,
+          backup_codes: []
+        });
+      } else {
+        await UserMfa.create({
+          user_id: userId,
+          totp_secret: encryptedSecret,
+          is_enabled: false,
+          backup_codes: []
+        });
+      }
+
+      logger.info('TOTP enrollment started', {
+        userId
+      });
+
+      return {
+        secret,
+        otpauth_uri: totpUtil.buildOtpauthUri(secret, phoneUtil.maskPhoneNumber(await encryptionService.decryptValue(user.phone))),
+        algorithm: totpUtil.algorithm,
+        digits: totpUtil.digits,
+        period: totpUtil.period
+      };
+    } catch (error) {
+      logger.error('Failed to start TOTP enrollment', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm TOTP enrollment with a code from the authenticator app
+   */
+  async confirmTotpEnrollment(userId, code, context = {}) {
+    try {
+      const mfa = await UserMfa.findByUserId(userId);
+      if (!mfa || mfa.is_enabled) {
+        throw AppError.badRequest('No pending two-factor enrollment found');
+      }
+
+      const secret = encryptionUtil.decrypt(mfa.totp_secret);
+      const step = totpUtil.verifyCode(secret, code);
+      if (step === null) {
+        throw AuthError.invalidOTP('Invalid authentication code');
+      }
+
+      const backupCodes = this.generateBackupCodes();
+
+      await mfa.update({
+        is_enabled: true,
+        enabled_at: new Date(),
+        last_used_step: step,
+        backup_codes: backupCodes.map(backupCode => this.hashBackupCode(backupCode)),
+        backup_codes_generated_at: new Date()
+      });
+
+      await AuditLog.logAction({
+        userId,
+        action: 'mfa_enabled',
+        resource: 'user_mfa',
+        resourceId: userId.toString(),
+        newValues: { method: 'totp' },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('TOTP enrollment confirmed', {
+        userId
+      });
+
+      return {
+        enabled: true,
+        backup_codes: backupCodes
+      };
+    } catch (error) {
+      logger.error('Failed to confirm TOTP enrollment', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify an MFA code (TOTP or backup code) for a user with MFA enabled
+   * Returns the method that matched
+   */
+  async verifyMfaCode(userId, code) {
+    const mfa = await UserMfa.findEnabledByUserId(userId);
+    if (!mfa) {
+      throw AuthError.verificationFailed('Two-factor authentication is not enabled');
+    }
+
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    // TOTP codes are fixed-length numeric; anything else is treated as a backup code
+    if (new RegExp(`^\\d{${totpUtil.digits}}$`).test(normalized)) {
+      const secret = encryptionUtil.decrypt(mfa.totp_secret);
+      const step = totpUtil.verifyCode(secret, normalized, mfa.last_used_step);
+
+      // Claimed with a conditional update so two concurrent requests cannot both use the code
+      if (step !== null && await UserMfa.claimTotpStep(mfa.id, step)) {
+        return 'totp';
+      }
+    } else {
+      const hashedCode = this.hashBackupCode(normalized);
+      const remaining = mfa.backup_codes || [];
+
+      if (remaining.includes(hashedCode) && await UserMfa.consumeBackupCode(mfa.id, hashedCode)) {
+        logger.info('MFA backup code used', {
+          userId,
+          remaining: remaining.length - 1
+        });
+
+        return 'backup_code';
+      }
+    }
+
+    throw AuthError.invalidOTP('Invalid authentication code');
+  }
+
+  /**
+   * Disable MFA after re-verifying password and a current code
+   */
+  async disableMfa(userId, password, code, context = {}) {
+    try {
+      await this.verifyPasswordAndCode(userId, password, code);
+
+      await UserMfa.destroy({ where: { user_id: userId } });
+
+      await AuditLog.logAction({
+        userId,
+        action: 'mfa_disabled',
+        resource: 'user_mfa',
+        resourceId: userId.toString(),
+        oldValues: { method: 'totp' },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('MFA disabled', {
+        userId
+      });
+
+      return { enabled: false };
+    } catch (error) {
+      logger.error('Failed to disable MFA', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Regenerate backup codes, invalidating any previous ones
+   */
+  async regenerateBackupCodes(userId, password, code, context = {}) {
+    try {
+      await this.verifyPasswordAndCode(userId, password, code);
+
+      const mfa = await UserMfa.findEnabledByUserId(userId);
+      const backupCodes = this.generateBackupCodes();
+
+      await mfa.update({
+        backup_codes: backupCodes.map(backupCode => this.hashBackupCode(backupCode)),
+        backup_codes_generated_at: new Date()
+      });
+
+      await AuditLog.logAction({
+        userId,
+        action: 'mfa_backup_codes_regenerated',
+        resource: 'user_mfa',
+        resourceId: userId.toString(),
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('MFA backup codes regenerated', {
+        userId
+      });
+
+      return { backup_codes: backupCodes };
+    } catch (error) {
+      logger.error('Failed to regenerate MFA backup codes', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify the account password and a current MFA code
+   */
+  async verifyPasswordAndCode(userId, password, code) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw AppError.notFound('User not found');
+    }
+
+    const isValidPassword = await user.validatePassword(password);
+    if (!isValidPassword) {
+      throw AuthError.invalidCredentials('Password is incorrect');
+    }
+
+    return await this.verifyMfaCode(userId, code);
+  }
+
+  /**
+   * Generate a set of plaintext backup codes (formatted XXXXX-XXXXX)
+   */
+  generateBackupCodes() {
+    const codes = [];
+
+    for (let i = 0; i < this.backupCodeCount; i++) {
+      let code = '';
+      for (let j = 0; j < this.backupCodeLength; j++) {
+        code += BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)];
+      }
+
+      const half = Math.ceil(code.length / 2);
+      codes.push(`${code.slice(0, half)}-${code.slice(half)}`);
+    }
+
+    return codes;
+  }
+
+  /**
+   * Hash a backup code for storage (case and separator insensitive)
+   */
+  hashBackupCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return encryptionUtil.hash(normalized);
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,766 @@
+const crypto = require('crypto');
+const { User, UserSession, OAuthClient, OAuthConsent, OAuthToken, AuditLog } = require('../models');
+const profileService = require('./profile.service');
+const jwtUtil = require('../utils/jwt.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+const { OAuthError } = require('../errors/oauthError');
+const { AppError } = require('../errors/AppError');
+
+// Scopes partner clients can request, with the text shown on the consent screen
+const SCOPES = {
+  openid: 'Sign you in with your Lianxin account',
+  profile: 'Your display name, avatar, gender and birthday',
+  phone: 'Your phone number',
+  offline_access: 'Stay connected when you are not using the app'
+};
+
+const SCOPE_CLAIMS = {
+  profile: ['name', 'picture', 'gender', 'birthdate', 'updated_at'],
+  phone: ['phone_number', 'phone_number_verified']
+};
+
+/**
+ * OAuth Service
+ * Lianxin as an OAuth2 / OpenID Connect provider for partner mini-apps:
+ * client registration, authorization code + PKCE, opaque access and refresh
+ * tokens, ID tokens, userinfo, revocation and user consent management.
+ */
+class OAuthService {
+  constructor() {
+    this.config = securityConfig.oauthProvider;
+    // ID tokens are verified by partners through the JWKS, which only
+    // publishes asymmetric keys; with HS256 the provider is OAuth2 only
+    this.oidcEnabled = jwtUtil.isAsymmetric;
+
+    if (!this.oidcEnabled) {
+      logger.warn('OpenID Connect provider disabled: set JWT_ALGORITHM to RS256 or ES256 to issue ID tokens');
+    }
+  }
+
+  /**
+   * Register a partner client; the secret is only returned here
+   */
+  async registerClient(clientData, adminUserId, context = {}) {
+    const { name, logo_url = null, redirect_uris, allowed_scopes, client_type = 'confidential' } = clientData;
+
+    redirect_uris.forEach(uri => this.validateRedirectUriRegistration(uri));
+    this.validateScopeNames(allowed_scopes);
+
+    const clientSecret = client_type === 'confidential' ?
+      crypto.randomBytes(32).toString('base64url') : null;
+
+    const client = await OAuthClient.create({
+      client_id: `lx_${crypto.randomBytes(12).toString('hex')}`,
+      client_secret_hash: clientSecret ? this.hashSecret(clientSecret) : null,
+      client_type,
+      name,
+      logo_url,
+      redirect_uris,
+      allowed_scopes,
+      created_by: adminUserId
+    });
+
+    await AuditLog.logAction({
+      userId: adminUserId,
+      action: 'oauth_client_registered',
+      resource: 'oauth_client',
+      resourceId: client.client_id,
+      newValues: { name, client_type, redirect_uris, allowed_scopes },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      sessionId: context.sessionId
+    });
+
+    logger.info('OAuth client registered', {
+      adminUserId,
+      clientId: client.client_id,
+      clientType: client_type
+    });
+
+    return {
+      ...client.toSafeObject(),
+      client_secret: clientSecret
+    };
+  }
+
+  /**
+   * List registered partner clients
+   */
+  async listClients() {
+    const clients = await OAuthClient.findAll({
+      order: [['created_at', 'DESC']]
+    });
+
+    return clients.map(client => client.toSafeObject());
+  }
+
+  /**
+   * Update a partner client's details, redirect URIs, scopes or status
+   */
+  async updateClient(clientId, updates, adminUserId, context = {}) {
+    const client = await OAuthClient.findByClientId(clientId);
+    if (!client) {
+      throw AppError.notFound('OAuth client not found');
+    }
+
+    if (updates.redirect_uris) {
+      updates.redirect_uris.forEach(uri => this.validateRedirectUriRegistration(uri));
+    }
+    if (updates.allowed_scopes) {
+      this.validateScopeNames(updates.allowed_scopes);
+    }
+
+    const oldValues = client.toSafeObject();
+    await client.update(updates);
+
+    await AuditLog.logAction({
+      userId: adminUserId,
+      action: 'oauth_client_updated',
+      resource: 'oauth_client',
+      resourceId: client.client_id,
+      oldValues,
+      newValues: updates,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      sessionId: context.sessionId
+    });
+
+    logger.info('OAuth client updated', {
+      adminUserId,
+      clientId,
+      updatedFields: Object.keys(updates)
+    });
+
+    return client.toSafeObject();
+  }
+
+  /**
+   * Describe an authorization request for the consent screen
+   */
+  async getAuthorizationRequest(userId, params) {
+    const request = await this.validateAuthorizationRequest(params);
+    const consent = await OAuthConsent.findByUserAndClient(userId, request.client.id);
+
+    return {
+      client: request.client.toPublicObject(),
+      redirect_uri: request.redirectUri,
+      scopes: request.scopes.map(scope => ({ scope, description: SCOPES[scope] })),
+      consent_required: !consent || !consent.coversScopes(request.scopes)
+    };
+  }
+
+  /**
+   * Approve or deny an authorization request; returns where to send the browser
+   */
+  async decideAuthorization(userId, params, approved, context = {}) {
+    const request = await this.validateAuthorizationRequest(params);
+    const { client, redirectUri, scopes } = request;
+
+    if (!approved) {
+      logger.info('OAuth authorization denied', {
+        userId,
+        clientId: client.client_id
+      });
+
+      return {
+        redirect_to: this.buildRedirectUrl(redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state: params.state
+        })
+      };
+    }
+
+    await this.grantConsent(userId, client, scopes, context);
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    await redisClient.set(this.getCodeKey(code), {
+      client_id: client.id,
+      user_id: userId,
+      // Only checked at the token endpoint when the client sent one (RFC 6749 4.1.3)
+      redirect_uri: params.redirect_uri || null,
+      scopes,
+      code_challenge: params.code_challenge,
+      nonce: params.nonce || null,
+      auth_time: await this.getAuthTime(context.sessionId)
+    }, this.config.authorizationCodeTtl);
+
+    logger.info('OAuth authorization code issued', {
+      userId,
+      clientId: client.client_id,
+      scopes
+    });
+
+    return {
+      redirect_to: this.buildRedirectUrl(redirectUri, { code, state: params.state })
+    };
+  }
+
+  /**
+   * Token endpoint: authorization_code and refresh_token grants
+   */
+  async exchangeToken(params, credentials) {
+    const client = await this.authenticateClient(credentials);
+
+    switch (params.grant_type) {
+      case 'authorization_code':
+        return await this.exchangeAuthorizationCode(client, params);
+      case 'refresh_token':
+        return await this.exchangeRefreshToken(client, params);
+      default:
+        throw OAuthError.unsupportedGrantType();
+    }
+  }
+
+  /**
+   * Redeem a single-use authorization code after checking PKCE
+   */
+  async exchangeAuthorizationCode(client, params) {
+    if (!params.code || !params.code_verifier) {
+      throw OAuthError.invalidRequest('code and code_verifier are required');
+    }
+
+    const codeKey = this.getCodeKey(params.code);
+    const grant = await redisClient.get(codeKey);
+    const deleted = await redisClient.del(codeKey);
+
+    if (!grant || !deleted || grant.client_id !== client.id) {
+      throw OAuthError.invalidGrant('Authorization code is invalid or expired');
+    }
+    if (grant.redirect_uri && grant.redirect_uri !== params.redirect_uri) {
+      throw OAuthError.invalidGrant('redirect_uri does not match the authorization request');
+    }
+    if (!this.verifyCodeVerifier(params.code_verifier, grant.code_challenge)) {
+      throw OAuthError.invalidGrant('PKCE verification failed');
+    }
+
+    const user = await this.getActiveUser(grant.user_id);
+
+    const tokens = await this.issueTokens(client, user, grant.scopes, {
+      grantId: crypto.randomUUID(),
+      nonce: grant.nonce,
+      authTime: grant.auth_time
+    });
+
+    logger.info('OAuth authorization code exchanged', {
+      userId: user.id,
+      clientId: client.client_id,
+      scopes: grant.scopes
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Rotate a refresh token; presenting a revoked one revokes its whole grant
+   */
+  async exchangeRefreshToken(client, params) {
+    if (!params.refresh_token) {
+      throw OAuthError.invalidRequest('refresh_token is required');
+    }
+
+    const token = await OAuthToken.findByHash(this.hashToken(params.refresh_token));
+    if (!token || token.token_type !== 'refresh' || token.client_id !== client.id) {
+      throw OAuthError.invalidGrant('Refresh token is invalid');
+    }
+
+    if (token.revoked_at) {
+      await OAuthToken.revokeGrant(token.grant_id);
+
+      logger.warn('Revoked OAuth refresh token reused', {
+        userId: token.user_id,
+        clientId: client.client_id,
+        grantId: token.grant_id
+      });
+
+      throw OAuthError.invalidGrant('Refresh token has been revoked');
+    }
+    if (!token.isActive()) {
+      throw OAuthError.invalidGrant('Refresh token has expired');
+    }
+
+    let scopes = token.scopes;
+    if (params.scope) {
+      scopes = this.parseScope(params.scope);
+      if (!scopes.every(scope => token.scopes.includes(scope))) {
+        throw OAuthError.invalidScope('Requested scope exceeds the original grant');
+      }
+    }
+
+    if (!(await OAuthToken.revokeToken(token.id))) {
+      await OAuthToken.revokeGrant(token.grant_id);
+      throw OAuthError.invalidGrant('Refresh token has been revoked');
+    }
+
+    const user = await this.getActiveUser(token.user_id);
+
+    return await this.issueTokens(client, user, scopes, {
+      grantId: token.grant_id,
+      refreshExpiresAt: token.expires_at
+    });
+  }
+
+  /**
+   * Issue an access token, plus a refresh token (offline_access) and ID token (openid)
+   */
+  async issueTokens(client, user, scopes, { grantId, nonce = null, authTime = null, refreshExpiresAt = null }) {
+    // Grants made before a switch to HS256 may still carry openid
+    this.validateScopeNames(scopes);
+
+    const accessToken = await this.createToken('access', client, user, scopes, grantId,
+      new Date(Date.now() + this.config.accessTokenTtl * 1000));
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.config.accessTokenTtl,
+      scope: scopes.join(' ')
+    };
+
+    if (scopes.includes('offline_access')) {
+      // Rotated refresh tokens keep the lifetime of the original grant
+      response.refresh_token = await this.createToken('refresh', client, user, scopes, grantId,
+        refreshExpiresAt || new Date(Date.now() + this.config.refreshTokenTtl * 1000));
+    }
+
+    if (scopes.includes('openid')) {
+      const payload = {
+        at_hash: this.hashAccessTokenForIdToken(accessToken)
+      };
+      if (authTime) {
+        payload.auth_time = authTime;
+      }
+      if (nonce) {
+        payload.nonce = nonce;
+      }
+
+      response.id_token = jwtUtil.generateIdToken(payload, {
+        subject: user.uuid,
+        audience: client.client_id,
+        issuer: this.config.issuer,
+        expiresIn: this.config.idTokenTtl
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Store an opaque token by hash and return it
+   */
+  async createToken(tokenType, client, user, scopes, grantId, expiresAt) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await OAuthToken.create({
+      token_hash: this.hashToken(token),
+      token_type: tokenType,
+      grant_id: grantId,
+      user_id: user.id,
+      client_id: client.id,
+      scopes,
+      expires_at: expiresAt
+    });
+
+    return token;
+  }
+
+  /**
+   * Revocation endpoint (RFC 7009); unknown tokens are not an error
+   */
+  async revokeToken(token, credentials) {
+    const client = await this.authenticateClient(credentials);
+
+    const storedToken = await OAuthToken.findByHash(this.hashToken(token));
+    if (!storedToken || storedToken.client_id !== client.id) {
+      return;
+    }
+
+    if (storedToken.token_type === 'refresh') {
+      await OAuthToken.revokeGrant(storedToken.grant_id);
+    } else {
+      await OAuthToken.revokeToken(storedToken.id);
+    }
+
+    logger.info('OAuth token revoked', {
+      userId: storedToken.user_id,
+      clientId: client.client_id,
+      tokenType: storedToken.token_type
+    });
+  }
+
+  /**
+   * Userinfo endpoint: claims for the scopes granted to the access token
+   */
+  async getUserInfo(accessToken) {
+    const token = await OAuthToken.findByHash(this.hashToken(accessToken || ''));
+    if (!token || token.token_type !== 'access' || !token.isActive()) {
+      throw OAuthError.invalidToken();
+    }
+    if (!token.scopes.includes('openid')) {
+      throw OAuthError.insufficientScope('The openid scope is required');
+    }
+
+    const client = await OAuthClient.findByPk(token.client_id);
+    if (!client || !client.isActive()) {
+      throw OAuthError.invalidToken();
+    }
+
+    let profile;
+    try {
+      profile = await profileService.getUserProfile(token.user_id);
+    } catch (error) {
+      throw OAuthError.invalidToken();
+    }
+
+    if (profile.status !== 'active') {
+      throw OAuthError.invalidToken();
+    }
+
+    return this.buildClaims(profile, token.scopes);
+  }
+
+  /**
+   * Map a user profile to OpenID Connect standard claims
+   */
+  buildClaims(profile, scopes) {
+    const available = {
+      name: profile.display_name,
+      picture: profile.avatar_url,
+      gender: profile.gender,
+      birthdate: profile.birth_date,
+      updated_at: profile.updated_at ? Math.floor(new Date(profile.updated_at).getTime() / 1000) : null,
+      // E.164 without the display spacing
+      phone_number: profile.phone ? profile.phone.replace(/[\s-]/g, '') : null,
+      phone_number_verified: !!profile.phone_verified
+    };
+
+    const claims = { sub: profile.uuid };
+
+    for (const scope of scopes) {
+      for (const claim of SCOPE_CLAIMS[scope] || []) {
+        if (available[claim] !== null && available[claim] !== undefined) {
+          claims[claim] = available[claim];
+        }
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * List the partner apps a user has granted access to
+   */
+  async listConsents(userId) {
+    const consents = await OAuthConsent.findAll({
+      where: { user_id: userId },
+      include: [{ model: OAuthClient, as: 'client' }],
+      order: [['updated_at', 'DESC']]
+    });
+
+    return consents.map(consent => ({
+      client: consent.client.toPublicObject(),
+      scopes: consent.scopes.map(scope => ({ scope, description: SCOPES[scope] })),
+      granted_at: consent.created_at,
+      updated_at: consent.updated_at
+    }));
+  }
+
+  /**
+   * Withdraw a partner app's access and revoke its tokens
+   */
+  async revokeConsent(userId, clientId, context = {}) {
+    const client = await OAuthClient.findByClientId(clientId);
+    const consent = client ? await OAuthConsent.findByUserAndClient(userId, client.id) : null;
+
+    if (!consent) {
+      throw AppError.notFound('Authorization not found');
+    }
+
+    await consent.destroy();
+    const revokedTokens = await OAuthToken.revokeForUserAndClient(userId, client.id);
+
+    await AuditLog.logAction({
+      userId,
+      action: 'oauth_consent_revoked',
+      resource: 'oauth_client',
+      resourceId: client.client_id,
+      oldValues: { scopes: consent.scopes },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      sessionId: context.sessionId
+    });
+
+    logger.info('OAuth consent revoked', {
+      userId,
+      clientId,
+      revokedTokens
+    });
+  }
+
+  /**
+   * OpenID Connect discovery document; null while OpenID Connect is disabled
+   */
+  getDiscoveryDocument() {
+    if (!this.oidcEnabled) {
+      return null;
+    }
+
+    const issuer = this.config.issuer;
+
+    return {
+      issuer,
+      authorization_endpoint: this.config.authorizationEndpoint,
+      token_endpoint: `${issuer}/api/v1/oauth/token`,
+      userinfo_endpoint: `${issuer}/api/v1/oauth/userinfo`,
+      revocation_endpoint: `${issuer}/api/v1/oauth/revoke`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      scopes_supported: this.getSupportedScopes(),
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [jwtUtil.algorithm],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash',
+        ...SCOPE_CLAIMS.profile, ...SCOPE_CLAIMS.phone]
+    };
+  }
+
+  /**
+   * Check client, redirect URI, scopes and PKCE parameters of an authorization request
+   */
+  async validateAuthorizationRequest(params) {
+    const client = await OAuthClient.findByClientId(params.client_id);
+    if (!client || !client.isActive()) {
+      throw OAuthError.invalidRequest('Unknown or inactive client');
+    }
+
+    const registeredUris = client.redirect_uris || [];
+    let redirectUri = params.redirect_uri;
+    if (!redirectUri && registeredUris.length === 1) {
+      redirectUri = registeredUris[0];
+    }
+    // Exact match only; no prefix or wildcard matching
+    if (!registeredUris.includes(redirectUri)) {
+      throw OAuthError.invalidRequest('redirect_uri is not registered for this client');
+    }
+
+    if (params.response_type !== 'code') {
+      throw OAuthError.unsupportedResponseType();
+    }
+
+    const scopes = this.parseScope(params.scope);
+    const allowedScopes = client.allowed_scopes || [];
+    if (scopes.length === 0 || !scopes.every(scope => allowedScopes.includes(scope))) {
+      throw OAuthError.invalidScope('The client may not request this scope');
+    }
+
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      throw OAuthError.invalidRequest('PKCE with code_challenge_method S256 is required');
+    }
+    if (!/^[A-Za-z0-9_-]{43}$/.test(params.code_challenge)) {
+      throw OAuthError.invalidRequest('Invalid code_challenge');
+    }
+
+    return { client, redirectUri, scopes };
+  }
+
+  /**
+   * Record the scopes a user granted, adding to any earlier consent
+   */
+  async grantConsent(userId, client, scopes, context = {}) {
+    const consent = await OAuthConsent.findByUserAndClient(userId, client.id);
+
+    if (consent && consent.coversScopes(scopes)) {
+      return consent;
+    }
+
+    const previousScopes = consent ? consent.scopes : null;
+    const grantedScopes = [...new Set([...(previousScopes || []), ...scopes])];
+
+    const saved = consent ?
+      await consent.update({ scopes: grantedScopes }) :
+      await OAuthConsent.create({ user_id: userId, client_id: client.id, scopes: grantedScopes });
+
+    await AuditLog.logAction({
+      userId,
+      action: 'oauth_consent_granted',
+      resource: 'oauth_client',
+      resourceId: client.client_id,
+      oldValues: previousScopes ? { scopes: previousScopes } : null,
+      newValues: { scopes: grantedScopes },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      sessionId: context.sessionId
+    });
+
+    return saved;
+  }
+
+  /**
+   * Authenticate a client at the token or revocation endpoint
+   */
+  async authenticateClient({ clientId, clientSecret }) {
+    if (!clientId) {
+      throw OAuthError.invalidClient('Client ID is required');
+    }
+
+    const client = await OAuthClient.findByClientId(clientId);
+    if (!client || !client.isActive()) {
+      throw OAuthError.invalidClient();
+    }
+
+    if (client.isConfidential()) {
+      if (!clientSecret || !this.secretMatches(clientSecret, client.client_secret_hash)) {
+        throw OAuthError.invalidClient();
+      }
+    } else if (clientSecret) {
+      throw OAuthError.invalidClient('Public clients must not send a client secret');
+    }
+
+    return client;
+  }
+
+  /**
+   * Load a user who may still sign in to partner apps
+   */
+  async getActiveUser(userId) {
+    const user = await User.findByPk(userId);
+    if (!user || !user.canLogin()) {
+      throw OAuthError.invalidGrant('User account is not active');
+    }
+
+    return user;
+  }
+
+  /**
+   * Time the user signed in to Lianxin, from their session
+   */
+  async getAuthTime(sessionId) {
+    const session = sessionId ? await UserSession.findBySessionId(sessionId) : null;
+    const signedInAt = session ? new Date(session.created_at) : new Date();
+
+    return Math.floor(signedInAt.getTime() / 1000);
+  }
+
+  /**
+   * Split a space-delimited scope string into known, unique scopes
+   */
+  parseScope(scope) {
+    const scopes = [...new Set(String(scope || '').split(' ').filter(Boolean))];
+    this.validateScopeNames(scopes);
+
+    return scopes;
+  }
+
+  /**
+   * Scopes this provider can grant; openid needs OpenID Connect enabled
+   */
+  getSupportedScopes() {
+    return Object.keys(SCOPES).filter(scope => scope !== 'openid' || this.oidcEnabled);
+  }
+
+  /**
+   * Reject scope names this provider does not support
+   */
+  validateScopeNames(scopes) {
+    const supported = this.getSupportedScopes();
+    const unknown = scopes.filter(scope => !supported.includes(scope));
+    if (unknown.length > 0) {
+      throw OAuthError.invalidScope(`Unsupported scope: ${unknown.join(' ')}`);
+    }
+  }
+
+  /**
+   * Registered redirect URIs must be absolute HTTPS URLs (HTTP only for loopback)
+   */
+  validateRedirectUriRegistration(uri) {
+    let url;
+    try {
+      url = new URL(uri);
+    } catch (error) {
+      throw AppError.badRequest(`Invalid redirect URI: ${uri}`);
+    }
+
+    const isLoopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.hash || !(url.protocol === 'https:' || (url.protocol === 'http:' && isLoopback))) {
+      throw AppError.badRequest(`Redirect URI must use HTTPS and have no fragment: ${uri}`);
+    }
+  }
+
+  /**
+   * Append query parameters to a redirect URI
+   */
+  buildRedirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Check a PKCE code verifier (RFC 7636, S256)
+   */
+  verifyCodeVerifier(codeVerifier, codeChallenge) {
+    if (!/^[A-Za-z0-9._~-]{43,128}$/.test(codeVerifier)) {
+      return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(codeChallenge));
+  }
+
+  /**
+   * ID token at_hash: left half of the access token's SHA-256
+   */
+  hashAccessTokenForIdToken(accessToken) {
+    const digest = crypto.createHash('sha256').update(accessToken).digest();
+    return digest.subarray(0, digest.length / 2).toString('base64url');
+  }
+
+  /**
+   * Compare a client secret with its stored hash
+   */
+  secretMatches(clientSecret, secretHash) {
+    if (!secretHash) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(
+      Buffer.from(this.hashSecret(clientSecret), 'hex'),
+      Buffer.from(secretHash, 'hex')
+    );
+  }
+
+  /**
+   * Hash a client secret for storage
+   */
+  hashSecret(clientSecret) {
+    return crypto.createHash('sha256').update(clientSecret).digest('hex');
+  }
+
+  /**
+   * Hash an opaque token for storage and lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Redis key for an authorization code
+   */
+  getCodeKey(code) {
+    return `oauth:code:${this.hashToken(code)}`;
+  }
+}
+
+module.exports = new OAuthService();
@@ -2,10 +2,24 @@ const crypto = require('crypto');
 const { OtpVerification } = require('../models');
 const logger = require('../utils/logger.util');
 const validationUtil = require('../utils/validation.util');
+const phoneUtil = require('../utils/phone.util');
 const { ValidationError } = require('../errors/validationError');
 const { AuthError } = require('../errors/authError');
 const { AppError } = require('../errors/AppError');
 const securityConfig = require('../config/security.config');
+const { getSmsProvider } = require('../providers/sms');
+const smsDispatchService = require('./sms-dispatch.service');
+const encryptionService = require('./encryption.service');
+
+// Maps OTP types to SMS template keys in alibaba-sms.config
+const SMS_TEMPLATE_KEYS = {
+  registration: 'registration',
+  login: 'login',
+  password_reset: 'passwordReset',
+  phone_number_change: 'phoneChange',
+  account_unlock: 'verification',
+  reauthentication: 'verification'
+};
 
 /**
  * OTP Service
@@ -16,6 +30,7 @@ class OtpService {
     this.otpLength = securityConfig.app.otpLength;
     this.otpExpiryMinutes = securityConfig.app.otpExpiryMinutes;
     this.otpMaxAttempts = securityConfig.app.otpMaxAttempts;
+    this.smsProvider = getSmsProvider();
   }
 
   /**
@@ -63,6 +78,7 @@ class OtpService {
       const otpRecord = await OtpVerification.create({
         verification_id: verificationId,
         phone: formattedPhone,
+        phone_hash: await encryptionService.hashForSearch(formattedPhone),
         country_code: phoneValidation.countryCode,
         otp_code: otpCode,
         otp_type: 'registration',
@@ -70,8 +86,11 @@ class OtpService {
         expires_at: expiresAt
       });
 
-      // Send SMS (mock implementation - replace with actual SMS service)
-      await this.sendSms(formattedPhone, otpCode, 'registration');
+      // Send SMS
+      await this.sendSms(formattedPhone, otpCode, 'registration', {
+        verificationId,
+        phoneValidation
+      });
 
       logger.info('Registration OTP sent', {
         verificationId,
@@ -116,6 +135,7 @@ class OtpService {
       const otpRecord = await OtpVerification.create({
         verification_id: verificationId,
         phone: formattedPhone,
+        phone_hash: await encryptionService.hashForSearch(formattedPhone),
         country_code: phoneValidation.countryCode,
         otp_code: otpCode,
         otp_type: 'login',
@@ -124,7 +144,10 @@ class OtpService {
       });
 
       // Send SMS
-      await this.sendSms(formattedPhone, otpCode, 'login');
+      await this.sendSms(formattedPhone, otpCode, 'login', {
+        verificationId,
+        phoneValidation
+      });
 
       logger.info('Login OTP sent', {
         verificationId,
@@ -169,6 +192,7 @@ class OtpService {
       const otpRecord = await OtpVerification.create({
         verification_id: verificationId,
         phone: formattedPhone,
+        phone_hash: await encryptionService.hashForSearch(formattedPhone),
         country_code: phoneValidation.countryCode,
         otp_code: otpCode,
         otp_type: 'password_reset',
@@ -177,7 +201,10 @@ class OtpService {
       });
 
       // Send SMS
-      await this.sendSms(formattedPhone, otpCode, 'password_reset');
+      await this.sendSms(formattedPhone, otpCode, 'password_reset', {
+        verificationId,
+        phoneValidation
+      });
 
       logger.info('Password reset OTP sent', {
         verificationId,
@@ -201,6 +228,63 @@ class OtpService {
     }
   }
 
+  /**
+   * Send OTP for unlocking a locked-out account
+   */
+  async sendAccountUnlockOtp(phone, ipAddress = null) {
+    try {
+      // Validate phone number
+      const phoneValidation = validationUtil.validatePhoneNumber(phone);
+      const formattedPhone = phoneValidation.formatted;
+
+      // Check rate limiting
+      await this.checkRateLimit(formattedPhone, 'account_unlock');
+
+      // Generate OTP
+      const verificationId = this.generateVerificationId();
+      const otpCode = this.generateOtpCode().toString().padStart(6, '0');
+      const expiresAt = this.calculateExpiryTime();
+
+      // Store OTP in database
+      await OtpVerification.create({
+        verification_id: verificationId,
+        phone: formattedPhone,
+        phone_hash: await encryptionService.hashForSearch(formattedPhone),
+        country_code: phoneValidation.countryCode,
+        otp_code: otpCode,
+        otp_type: 'account_unlock',
+        ip_address: ipAddress,
+        expires_at: expiresAt
+      });
+
+      // Send SMS
+      await this.sendSms(formattedPhone, otpCode, 'account_unlock', {
+        verificationId,
+        phoneValidation
+      });
+
+      logger.info('Account unlock OTP sent', {
+        verificationId,
+        phone: formattedPhone,
+        expiresAt,
+        ipAddress
+      });
+
+      return {
+        verification_id: verificationId,
+        expires_in: this.otpExpiryMinutes * 60,
+        phone: formattedPhone
+      };
+    } catch (error) {
+      logger.error('Failed to send account unlock OTP', {
+        phone,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
   /**
    * Send OTP for phone number change
    */
@@ -223,6 +307,7 @@ class OtpService {
         verification_id: verificationId,
         user_id: userId,
         phone: formattedPhone,
+        phone_hash: await encryptionService.hashForSearch(formattedPhone),
         country_code: phoneValidation.countryCode,
         otp_code: otpCode,
         otp_type: 'phone_number_change',
@@ -231,7 +316,10 @@ class OtpService {
       });
 
       // Send SMS
-      await this.sendSms(formattedPhone, otpCode, 'phone_number_change');
+      await this.sendSms(formattedPhone, otpCode, 'phone_number_change', {
+        verificationId,
+        phoneValidation
+      });
 
       logger.info('Phone change OTP sent', {
         verificationId,
@@ -257,6 +345,65 @@ class OtpService {
     }
   }
 
+  /**
+   * Send OTP to a signed-in user's own phone to re-authenticate
+   */
+  async sendReauthenticationOtp(phone, userId, ipAddress = null) {
+    try {
+      // The number comes from the account, already formatted
+      const phoneValidation = phoneUtil.validatePhoneNumber(phone);
+      const formattedPhone = phoneValidation.formatted;
+
+      // Check rate limiting
+      await this.checkRateLimit(formattedPhone, 'reauthentication');
+
+      // Generate OTP
+      const verificationId = this.generateVerificationId();
+      const otpCode = this.generateOtpCode().toString().padStart(6, '0');
+      const expiresAt = this.calculateExpiryTime();
+
+      // Store OTP in database
+      await OtpVerification.create({
+        verification_id: verificationId,
+        user_id: userId,
+        phone: formattedPhone,
+        phone_hash: await encryptionService.hashForSearch(formattedPhone),
+        country_code: phoneValidation.countryCode,
+        otp_code: otpCode,
+        otp_type: 'reauthentication',
+        ip_address: ipAddress,
+        expires_at: expiresAt
+      });
+
+      // Send SMS
+      await this.sendSms(formattedPhone, otpCode, 'reauthentication', {
+        verificationId,
+        phoneValidation
+      });
+
+      logger.info('Re-authentication OTP sent', {
+        verificationId,
+        phone: formattedPhone,
+        userId,
+        expiresAt,
+        ipAddress
+      });
+
+      return {
+        verification_id: verificationId,
+        expires_in: this.otpExpiryMinutes * 60,
+        phone: formattedPhone
+      };
+    } catch (error) {
+      logger.error('Failed to send re-authentication OTP', {
+        userId,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+
   /**
    * Verify OTP code
    */
@@ -382,43 +529,48 @@ class OtpService {
   }
 
   /**
-   * Send SMS (mock implementation)
+   * Send OTP SMS through the configured provider
    */
-  async sendSms(phone, otpCode, type) {
-    try {
-      // Mock SMS implementation
-      // In production, integrate with Alibaba Cloud SMS service
-      
-      const messages = {
-        registration: `Your Lianxin registration code is: ${otpCode}. Valid for ${this.otpExpiryMinutes} minutes.`,
-        login: `Your Lianxin login code is: ${otpCode}. Valid for ${this.otpExpiryMinutes} minutes.`,
-        password_reset: `Your Lianxin password reset code is: ${otpCode}. Valid for ${this.otpExpiryMinutes} minutes.`,
-        phone_number_change: `Your Lianxin phone change code is: ${otpCode}. Valid for ${this.otpExpiryMinutes} minutes.`
-      };
+  async sendSms(phone, otpCode, type, context = {}) {
+    const templateKey = SMS_TEMPLATE_KEYS[type] || 'verification';
+    const { verificationId = null, phoneValidation = {} } = context;
+    const dispatch = {
+      verificationId,
+      phone,
+      countryCode: phoneValidation.countryCode,
+      carrier: phoneValidation.carrier,
+      provider: this.smsProvider.name,
+      templateKey
+    };
 
-      const message = messages[type] || `Your Lianxin verification code is: ${otpCode}`;
-
-      // Mock SMS sending
-      logger.info('SMS sent (mock)', {
+    try {
+      const result = await this.smsProvider.send({
         phone,
-        message,
-        type
+        templateKey,
+        templateParams: { code: otpCode },
+        outId: verificationId
       });
 
-      // In production, replace with actual SMS service call
-      // const smsResult = await alibabaCloudSms.send(phone, message);
-      
+      await smsDispatchService.recordDispatch({ ...dispatch, result });
+
       return {
         success: true,
         phone,
-        message_id: crypto.randomUUID()
+        provider: result.provider,
+        message_id: result.message_id,
+        request_id: result.request_id
       };
     } catch (error) {
       logger.error('SMS sending failed', {
         phone,
         type,
-        error: error.message
+        provider: this.smsProvider.name,
+        error: error.message,
+        details: error.details
       });
+
+      await smsDispatchService.recordDispatch({ ...dispatch, error });
+
       throw new AppError('Failed to send SMS', 500, 'SMS_SEND_ERROR');
     }
   }
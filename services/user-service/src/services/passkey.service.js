@@ -0,0 +1,643 @@
+const crypto = require('crypto');
+const { User, WebauthnCredential, AuditLog } = require('../models');
+const authService = require('./auth.service');
+const encryptionService = require('./encryption.service');
+const cborUtil = require('../utils/cbor.util');
+const phoneUtil = require('../utils/phone.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+const { AuthError } = require('../errors/authError');
+const { AppError } = require('../errors/AppError');
+
+// COSE algorithm identifiers, in order of preference
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+// Authenticator data flags
+const FLAGS = {
+  USER_PRESENT: 0x01,
+  USER_VERIFIED: 0x04,
+  BACKUP_ELIGIBLE: 0x08,
+  BACKED_UP: 0x10,
+  ATTESTED_CREDENTIAL_DATA: 0x40,
+  EXTENSION_DATA: 0x80
+};
+
+const MAX_CREDENTIAL_ID_LENGTH = 512;
+
+/**
+ * Passkey Service
+ * WebAuthn registration and authentication ceremonies for passkey sign-in
+ */
+class PasskeyService {
+  constructor() {
+    this.rpId = securityConfig.webauthn.rpId;
+    this.rpName = securityConfig.webauthn.rpName;
+    this.origins = securityConfig.webauthn.origins;
+    this.challengeTtl = securityConfig.webauthn.challengeTtl;
+    this.timeout = securityConfig.webauthn.timeout;
+    this.attestation = securityConfig.webauthn.attestation;
+    this.userVerification = securityConfig.webauthn.userVerification;
+    this.maxCredentialsPerUser = securityConfig.webauthn.maxCredentialsPerUser;
+  }
+
+  /**
+   * Start passkey registration for a signed-in user
+   */
+  async generateRegistrationOptions(userId) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw AppError.notFound('User not found');
+      }
+
+      const credentials = await WebauthnCredential.findByUserId(userId);
+      if (credentials.length >= this.maxCredentialsPerUser) {
+        throw AppError.badRequest(`A maximum of ${this.maxCredentialsPerUser} passkeys can be registered`);
+      }
+
+      const challenge = crypto.randomBytes(32).toString('base64url');
+      await this.storeChallenge(this.getChallengeKey('registration', userId), { challenge });
+
+      const maskedPhone = phoneUtil.maskPhoneNumber(await encryptionService.decryptValue(user.phone));
+
+      logger.info('Passkey registration started', {
+        userId
+      });
+
+      return {
+        rp: {
+          id: this.rpId,
+          name: this.rpName
+        },
+        user: {
+          id: this.getUserHandle(user),
+          name: maskedPhone,
+          displayName: user.display_name || maskedPhone
+        },
+        challenge,
+        pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+        timeout: this.timeout,
+        attestation: this.attestation,
+        excludeCredentials: credentials.map(credential => ({
+          type: 'public-key',
+          id: credential.credential_id,
+          transports: credential.transports || []
+        })),
+        authenticatorSelection: {
+          residentKey: 'preferred',
+          userVerification: this.userVerification
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to start passkey registration', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify an attestation response and store the new credential
+   */
+  async verifyRegistration(userId, registration, context = {}) {
+    try {
+      const { credential, name } = registration;
+      const { challenge } = await this.consumeChallenge(this.getChallengeKey('registration', userId));
+
+      const clientDataHash = this.verifyClientData(credential.response.clientDataJSON, 'webauthn.create', challenge);
+
+      let attestationObject;
+      try {
+        attestationObject = cborUtil.decode(Buffer.from(credential.response.attestationObject, 'base64url'));
+      } catch (error) {
+        throw AuthError.passkeyVerificationFailed('Malformed attestation object');
+      }
+
+      const fmt = attestationObject.get('fmt');
+      const attStmt = attestationObject.get('attStmt');
+      const authData = attestationObject.get('authData');
+
+      if (!Buffer.isBuffer(authData) || !(attStmt instanceof Map)) {
+        throw AuthError.passkeyVerificationFailed('Malformed attestation object');
+      }
+
+      const authenticatorData = this.verifyAuthenticatorData(authData);
+      if (!authenticatorData.flags.attestedCredentialData) {
+        throw AuthError.passkeyVerificationFailed('Attested credential data missing');
+      }
+
+      const credentialId = authenticatorData.credentialId.toString('base64url');
+      if (credentialId !== credential.id) {
+        throw AuthError.passkeyVerificationFailed('Credential ID mismatch');
+      }
+      if (credentialId.length > MAX_CREDENTIAL_ID_LENGTH) {
+        throw AuthError.passkeyVerificationFailed('Credential ID is too long');
+      }
+
+      const credentialKey = this.coseToPublicKey(authenticatorData.credentialPublicKey);
+      this.verifyAttestation(fmt, attStmt, authData, clientDataHash, credentialKey);
+
+      if (await WebauthnCredential.findByCredentialId(credentialId)) {
+        throw AppError.conflict('Passkey is already registered');
+      }
+
+      const storedCredential = await WebauthnCredential.create({
+        user_id: userId,
+        device_id: context.deviceId || null,
+        credential_id: credentialId,
+        public_key: credentialKey.publicKey.export({ type: 'spki', format: 'pem' }),
+        algorithm: credentialKey.algorithm,
+        sign_count: authenticatorData.signCount,
+        transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+        aaguid: authenticatorData.aaguid,
+        attestation_format: fmt,
+        backed_up: authenticatorData.flags.backedUp,
+        name: name || 'Passkey'
+      });
+
+      await AuditLog.logAction({
+        userId,
+        action: 'passkey_registered',
+        resource: 'webauthn_credential',
+        resourceId: storedCredential.id.toString(),
+        newValues: { name: storedCredential.name, attestation_format: fmt, aaguid: authenticatorData.aaguid },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('Passkey registered', {
+        userId,
+        credentialId: storedCredential.id,
+        attestationFormat: fmt
+      });
+
+      return storedCredential.toSafeObject();
+    } catch (error) {
+      logger.error('Passkey registration failed', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Start a passkey sign-in. Without a phone number the browser offers
+   * discoverable credentials; unknown numbers get the same empty list.
+   */
+  async generateAuthenticationOptions({ phone } = {}) {
+    let allowCredentials = [];
+
+    if (phone) {
+      const formattedPhone = phoneUtil.validatePhoneNumber(phone).formatted;
+      const user = await User.findByPhone(formattedPhone);
+
+      if (user) {
+        const credentials = await WebauthnCredential.findByUserId(user.id);
+        allowCredentials = credentials.map(credential => ({
+          type: 'public-key',
+          id: credential.credential_id,
+          transports: credential.transports || []
+        }));
+      }
+    }
+
+    const challengeId = crypto.randomUUID();
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    await this.storeChallenge(this.getChallengeKey('authentication', challengeId), { challenge });
+
+    return {
+      challenge_id: challengeId,
+      options: {
+        challenge,
+        rpId: this.rpId,
+        timeout: this.timeout,
+        userVerification: this.userVerification,
+        allowCredentials
+      }
+    };
+  }
+
+  /**
+   * Verify an assertion and sign the user in
+   */
+  async verifyAuthentication(authenticationData) {
+    try {
+      const {
+        challenge_id,
+        credential,
+        device_id,
+        device_type,
+        device_name,
+        ipAddress,
+        userAgent
+      } = authenticationData;
+
+      const { challenge } = await this.consumeChallenge(this.getChallengeKey('authentication', challenge_id));
+
+      const storedCredential = await WebauthnCredential.findByCredentialId(credential.id);
+      if (!storedCredential) {
+        throw AuthError.passkeyVerificationFailed('Passkey is not registered');
+      }
+
+      const user = await User.findByPk(storedCredential.user_id);
+      if (!user) {
+        throw AuthError.invalidCredentials('User not found');
+      }
+
+      if (credential.response.userHandle && credential.response.userHandle !== this.getUserHandle(user)) {
+        throw AuthError.passkeyVerificationFailed('User handle mismatch');
+      }
+
+      const clientDataHash = this.verifyClientData(credential.response.clientDataJSON, 'webauthn.get', challenge);
+      const authData = Buffer.from(credential.response.authenticatorData, 'base64url');
+      const authenticatorData = this.verifyAuthenticatorData(authData);
+
+      const signatureValid = this.verifySignature(
+        storedCredential.algorithm,
+        storedCredential.public_key,
+        Buffer.concat([authData, clientDataHash]),
+        Buffer.from(credential.response.signature, 'base64url')
+      );
+      if (!signatureValid) {
+        throw AuthError.passkeyVerificationFailed('Invalid passkey signature');
+      }
+
+      // Counters of zero mean the authenticator does not implement one (common for synced passkeys)
+      const storedSignCount = Number(storedCredential.sign_count);
+      if ((authenticatorData.signCount > 0 || storedSignCount > 0) && authenticatorData.signCount <= storedSignCount) {
+        logger.warn('Passkey signature counter did not increase, possible cloned authenticator', {
+          userId: user.id,
+          credentialId: storedCredential.id,
+          storedSignCount,
+          receivedSignCount: authenticatorData.signCount
+        });
+        throw AuthError.passkeyVerificationFailed('Passkey signature counter did not increase');
+      }
+
+      await authService.ensureCanLogin(user);
+
+      await storedCredential.update({
+        sign_count: authenticatorData.signCount,
+        backed_up: authenticatorData.flags.backedUp,
+        last_used_at: new Date()
+      });
+
+      const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+      // A user-verified passkey already combines possession and a PIN/biometric,
+      // so it is not followed by a TOTP challenge
+      return await authService.completeLogin(user, decryptedUser, {
+        device_id,
+        device_type,
+        device_name,
+        ipAddress,
+        userAgent,
+        loginMethod: 'passkey'
+      });
+    } catch (error) {
+      logger.error('Passkey login failed', {
+        error: error.message,
+        ipAddress: authenticationData.ipAddress
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's passkeys
+   */
+  async listCredentials(userId) {
+    const credentials = await WebauthnCredential.findByUserId(userId);
+    return credentials.map(credential => credential.toSafeObject());
+  }
+
+  /**
+   * Remove one of a user's passkeys
+   */
+  async removeCredential(userId, credentialId, context = {}) {
+    try {
+      const credential = await WebauthnCredential.findOne({
+        where: { user_id: userId, credential_id: credentialId }
+      });
+      if (!credential) {
+        throw AppError.notFound('Passkey not found');
+      }
+
+      await credential.destroy();
+
+      await AuditLog.logAction({
+        userId,
+        action: 'passkey_removed',
+        resource: 'webauthn_credential',
+        resourceId: credential.id.toString(),
+        oldValues: { name: credential.name, aaguid: credential.aaguid },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId
+      });
+
+      logger.info('Passkey removed', {
+        userId,
+        credentialId: credential.id
+      });
+    } catch (error) {
+      logger.error('Failed to remove passkey', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Opaque WebAuthn user handle (never contains the phone number)
+   */
+  getUserHandle(user) {
+    return Buffer.from(user.uuid).toString('base64url');
+  }
+
+  /**
+   * Redis key for a pending ceremony challenge
+   */
+  getChallengeKey(ceremony, id) {
+    return `webauthn:${ceremony}:${id}`;
+  }
+
+  /**
+   * Store a ceremony challenge until it expires
+   */
+  async storeChallenge(key, data) {
+    await redisClient.set(key, data, this.challengeTtl);
+  }
+
+  /**
+   * Load and delete a ceremony challenge so it can only be answered once
+   */
+  async consumeChallenge(key) {
+    const data = await redisClient.get(key);
+    // A zero delete count means a concurrent request already used this challenge
+    const deleted = await redisClient.del(key);
+
+    if (!data || !data.challenge || !deleted) {
+      throw AuthError.passkeyVerificationFailed('Passkey challenge expired or not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Check clientDataJSON against the expected ceremony and return its SHA-256 hash
+   */
+  verifyClientData(clientDataJSON, expectedType, expectedChallenge) {
+    const raw = Buffer.from(clientDataJSON || '', 'base64url');
+
+    let clientData;
+    try {
+      clientData = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      throw AuthError.passkeyVerificationFailed('Malformed client data');
+    }
+
+    if (clientData.type !== expectedType) {
+      throw AuthError.passkeyVerificationFailed('Unexpected client data type');
+    }
+    if (clientData.challenge !== expectedChallenge) {
+      throw AuthError.passkeyVerificationFailed('Challenge mismatch');
+    }
+    if (!this.origins.includes(clientData.origin)) {
+      throw AuthError.passkeyVerificationFailed('Origin not allowed');
+    }
+    if (clientData.crossOrigin === true) {
+      throw AuthError.passkeyVerificationFailed('Cross-origin ceremonies are not allowed');
+    }
+
+    return crypto.createHash('sha256').update(raw).digest();
+  }
+
+  /**
+   * Parse authenticator data and check the RP ID hash and user flags
+   */
+  verifyAuthenticatorData(authData) {
+    let authenticatorData;
+    try {
+      authenticatorData = this.parseAuthenticatorData(authData);
+    } catch (error) {
+      throw AuthError.passkeyVerificationFailed('Malformed authenticator data');
+    }
+
+    const expectedRpIdHash = crypto.createHash('sha256').update(this.rpId).digest();
+    if (!crypto.timingSafeEqual(authenticatorData.rpIdHash, expectedRpIdHash)) {
+      throw AuthError.passkeyVerificationFailed('RP ID mismatch');
+    }
+    if (!authenticatorData.flags.userPresent) {
+      throw AuthError.passkeyVerificationFailed('User presence is required');
+    }
+    if (this.userVerification === 'required' && !authenticatorData.flags.userVerified) {
+      throw AuthError.passkeyVerificationFailed('User verification is required');
+    }
+
+    return authenticatorData;
+  }
+
+  /**
+   * Parse the binary authenticator data structure
+   */
+  parseAuthenticatorData(authData) {
+    if (authData.length < 37) {
+      throw new Error('Authenticator data is too short');
+    }
+
+    const flags = authData[32];
+    const result = {
+      rpIdHash: authData.subarray(0, 32),
+      flags: {
+        userPresent: !!(flags & FLAGS.USER_PRESENT),
+        userVerified: !!(flags & FLAGS.USER_VERIFIED),
+        backupEligible: !!(flags & FLAGS.BACKUP_ELIGIBLE),
+        backedUp: !!(flags & FLAGS.BACKED_UP),
+        attestedCredentialData: !!(flags & FLAGS.ATTESTED_CREDENTIAL_DATA),
+        extensionData: !!(flags & FLAGS.EXTENSION_DATA)
+      },
+      signCount: authData.readUInt32BE(33)
+    };
+    let offset = 37;
+
+    if (result.flags.attestedCredentialData) {
+      if (authData.length < offset + 18) {
+        throw new Error('Attested credential data is truncated');
+      }
+
+      result.aaguid = this.formatAaguid(authData.subarray(offset, offset + 16));
+      const credentialIdLength = authData.readUInt16BE(offset + 16);
+      offset += 18;
+
+      if (authData.length < offset + credentialIdLength) {
+        throw new Error('Credential ID is truncated');
+      }
+
+      result.credentialId = authData.subarray(offset, offset + credentialIdLength);
+      offset += credentialIdLength;
+
+      const { value, length } = cborUtil.decodeFirst(authData.subarray(offset));
+      result.credentialPublicKey = value;
+      offset += length;
+    }
+
+    if (result.flags.extensionData) {
+      const { value, length } = cborUtil.decodeFirst(authData.subarray(offset));
+      result.extensions = value;
+      offset += length;
+    }
+
+    if (offset !== authData.length) {
+      throw new Error('Unexpected trailing bytes in authenticator data');
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert a COSE_Key to a Node.js public key
+   */
+  coseToPublicKey(coseKey) {
+    if (!(coseKey instanceof Map)) {
+      throw AuthError.passkeyVerificationFailed('Malformed credential public key');
+    }
+
+    const keyType = coseKey.get(1);
+    const algorithm = coseKey.get(3);
+
+    // Key parameters must be CBOR byte strings
+    const bytes = (label) => {
+      const value = coseKey.get(label);
+      if (!Buffer.isBuffer(value) || value.length === 0) {
+        throw AuthError.passkeyVerificationFailed('Malformed credential public key');
+      }
+      return value.toString('base64url');
+    };
+
+    let jwk;
+
+    if (algorithm === COSE_ALGORITHMS.ES256 && keyType === 2 && coseKey.get(-1) === 1) {
+      jwk = {
+        kty: 'EC',
+        crv: 'P-256',
+        x: bytes(-2),
+        y: bytes(-3)
+      };
+    } else if (algorithm === COSE_ALGORITHMS.RS256 && keyType === 3) {
+      jwk = {
+        kty: 'RSA',
+        n: bytes(-1),
+        e: bytes(-2)
+      };
+    } else if (algorithm === COSE_ALGORITHMS.EdDSA && keyType === 1 && coseKey.get(-1) === 6) {
+      jwk = {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: bytes(-2)
+      };
+    } else {
+      throw AuthError.passkeyVerificationFailed('Unsupported passkey algorithm');
+    }
+
+    try {
+      return {
+        publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        algorithm
+      };
+    } catch (error) {
+      throw AuthError.passkeyVerificationFailed('Invalid credential public key');
+    }
+  }
+
+  /**
+   * Verify the attestation statement. Supports "none" and "packed" (self and
+   * x5c); x5c chains are not checked against vendor roots (no metadata service).
+   */
+  verifyAttestation(fmt, attStmt, authData, clientDataHash, credentialKey) {
+    if (fmt === 'none') {
+      if (attStmt.size !== 0) {
+        throw AuthError.passkeyVerificationFailed('Unexpected attestation statement');
+      }
+      return;
+    }
+
+    if (fmt !== 'packed') {
+      throw AuthError.passkeyVerificationFailed(`Unsupported attestation format: ${fmt}`);
+    }
+
+    const algorithm = attStmt.get('alg');
+    const signature = attStmt.get('sig');
+    const x5c = attStmt.get('x5c');
+    const signedData = Buffer.concat([authData, clientDataHash]);
+
+    if (!Buffer.isBuffer(signature)) {
+      throw AuthError.passkeyVerificationFailed('Attestation signature missing');
+    }
+
+    if (Array.isArray(x5c) && x5c.length > 0) {
+      let certificate;
+      try {
+        certificate = new crypto.X509Certificate(x5c[0]);
+      } catch (error) {
+        throw AuthError.passkeyVerificationFailed('Invalid attestation certificate');
+      }
+
+      const now = new Date();
+      if (now < new Date(certificate.validFrom) || now > new Date(certificate.validTo)) {
+        throw AuthError.passkeyVerificationFailed('Attestation certificate is not valid');
+      }
+      if (certificate.ca || !/OU=Authenticator Attestation/.test(certificate.subject)) {
+        throw AuthError.passkeyVerificationFailed('Attestation certificate does not meet packed requirements');
+      }
+
+      if (!this.verifySignature(algorithm, certificate.publicKey, signedData, signature)) {
+        throw AuthError.passkeyVerificationFailed('Invalid attestation signature');
+      }
+      return;
+    }
+
+    // Self attestation: signed with the credential key itself
+    if (algorithm !== credentialKey.algorithm) {
+      throw AuthError.passkeyVerificationFailed('Attestation algorithm mismatch');
+    }
+    if (!this.verifySignature(algorithm, credentialKey.publicKey, signedData, signature)) {
+      throw AuthError.passkeyVerificationFailed('Invalid attestation signature');
+    }
+  }
+
+  /**
+   * Verify a signature for a COSE algorithm
+   */
+  verifySignature(algorithm, publicKey, data, signature) {
+    if (!Object.values(COSE_ALGORITHMS).includes(algorithm)) {
+      return false;
+    }
+
+    try {
+      const digest = algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+      return crypto.verify(digest, data, publicKey, signature);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Format a 16-byte AAGUID as a UUID string
+   */
+  formatAaguid(bytes) {
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+}
+
+module.exports = new PasskeyService();
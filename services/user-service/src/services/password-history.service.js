@@ -0,0 +1,56 @@
+const { PasswordHistory } = require('../models');
+const passwordUtil = require('../utils/password.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+
+/**
+ * Password History Service
+ * Stores recent password hashes and rejects reuse of the last N passwords
+ */
+class PasswordHistoryService {
+  constructor() {
+    this.historyCount = securityConfig.password.historyCount;
+  }
+
+  /**
+   * Reject a new password that matches the current or a recent password
+   * Throws ValidationError (password_history) on reuse
+   */
+  async validateNotReused(user, newPassword, options = {}) {
+    const recentHashes = await PasswordHistory.findRecentHashes(user.id, this.historyCount, options);
+
+    // Accounts created before history was recorded only have their current hash
+    if (user.password_hash && !recentHashes.includes(user.password_hash)) {
+      recentHashes.unshift(user.password_hash);
+    }
+
+    try {
+      return await passwordUtil.validatePasswordHistory(newPassword, recentHashes);
+    } catch (error) {
+      logger.warn('Password reuse rejected', {
+        userId: user.id,
+        historyCount: this.historyCount
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a newly set password hash and prune entries beyond the history size
+   */
+  async recordPassword(userId, passwordHash, options = {}) {
+    await PasswordHistory.create({
+      user_id: userId,
+      password_hash: passwordHash
+    }, options);
+
+    const prunedCount = await PasswordHistory.pruneForUser(userId, this.historyCount, options);
+
+    logger.debug('Password history recorded', {
+      userId,
+      prunedCount
+    });
+  }
+}
+
+module.exports = new PasswordHistoryService();
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const { User, AuditLog } = require('../models');
+const authService = require('./auth.service');
+const encryptionService = require('./encryption.service');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+const { AuthError } = require('../errors/authError');
+const { AppError } = require('../errors/AppError');
+
+/**
+ * QR Login Service
+ * Cross-device sign-in: a web client shows a ticket as a QR code, a signed-in
+ * mobile app scans and confirms it, and the web client collects its session.
+ * Ticket states: pending -> scanned -> confirmed (missing tickets are expired).
+ */
+class QrLoginService {
+  constructor() {
+    this.ticketTtl = securityConfig.qrLogin.ticketTtl;
+    this.qrContentPrefix = securityConfig.qrLogin.qrContentPrefix;
+    this.pollTimeout = securityConfig.qrLogin.pollTimeout;
+    this.pollInterval = securityConfig.qrLogin.pollInterval;
+  }
+
+  /**
+   * Create a login ticket for the web device
+   */
+  async createTicket(webDevice) {
+    const { device_id, device_type, device_name, ipAddress, userAgent } = webDevice;
+
+    const ticketId = crypto.randomUUID();
+    // Only the web client knows the poll token; the QR code only carries the ticket ID
+    const pollToken = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    const ticket = {
+      status: 'pending',
+      poll_token_hash: this.hashPollToken(pollToken),
+      device: { device_id, device_type, device_name },
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + this.ticketTtl * 1000).toISOString()
+    };
+
+    await redisClient.set(this.getTicketKey(ticketId), ticket, this.ticketTtl);
+
+    logger.info('QR login ticket created', {
+      ticketId,
+      ipAddress
+    });
+
+    return {
+      ticket_id: ticketId,
+      poll_token: pollToken,
+      qr_content: `${this.qrContentPrefix}${ticketId}`,
+      status: ticket.status,
+      expires_in: this.ticketTtl,
+      expires_at: ticket.expires_at
+    };
+  }
+
+  /**
+   * Get the ticket status for the web client. With `wait`, holds the request
+   * until the status differs from `lastStatus` or the poll timeout passes.
+   */
+  async pollTicket(ticketId, pollToken, { wait = false, lastStatus = 'pending' } = {}) {
+    const deadline = Date.now() + this.pollTimeout;
+    let ticket = await this.getPolledTicket(ticketId, pollToken);
+
+    while (wait && ticket && ticket.status === lastStatus && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      ticket = await this.getPolledTicket(ticketId, pollToken);
+    }
+
+    if (!ticket) {
+      return { ticket_id: ticketId, status: 'expired' };
+    }
+
+    if (ticket.status === 'confirmed') {
+      return await this.collectLogin(ticketId, ticket);
+    }
+
+    return this.formatTicket(ticketId, ticket);
+  }
+
+  /**
+   * Load a ticket for the web client, checking its poll token
+   */
+  async getPolledTicket(ticketId, pollToken) {
+    const ticket = await redisClient.get(this.getTicketKey(ticketId));
+
+    if (ticket && !this.verifyPollToken(ticket, pollToken)) {
+      throw AuthError.invalidToken('Invalid QR login poll token');
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Mark a ticket as scanned by a signed-in mobile app
+   */
+  async scanTicket(ticketId, auth, context = {}) {
+    try {
+      const ticket = await this.getTicket(ticketId);
+
+      const scannedBySameUser = ticket.status === 'scanned' && ticket.approver.user_id === auth.userId;
+      if (ticket.status !== 'pending' && !scannedBySameUser) {
+        throw AppError.conflict('QR login ticket has already been used');
+      }
+
+      const user = await User.findByPk(auth.userId);
+      if (!user) {
+        throw AppError.notFound('User not found');
+      }
+
+      ticket.status = 'scanned';
+      ticket.scanned_at = new Date().toISOString();
+      ticket.approver = {
+        user_id: auth.userId,
+        session_id: auth.sessionId,
+        device_id: auth.deviceId,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent
+      };
+      ticket.profile = {
+        display_name: user.display_name,
+        avatar_url: user.avatar_url
+      };
+
+      await this.saveTicket(ticketId, ticket);
+
+      logger.info('QR login ticket scanned', {
+        ticketId,
+        userId: auth.userId
+      });
+
+      // Shown on the phone so the user can check which device they are approving
+      return {
+        ticket_id: ticketId,
+        status: ticket.status,
+        device: {
+          ...ticket.device,
+          os: authService.extractOSFromUserAgent(ticket.user_agent),
+          browser: authService.extractBrowserFromUserAgent(ticket.user_agent)
+        },
+        ip_address: ticket.ip_address,
+        expires_at: ticket.expires_at
+      };
+    } catch (error) {
+      logger.error('QR login scan failed', {
+        ticketId,
+        userId: auth.userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a scanned ticket and create the web session
+   */
+  async confirmTicket(ticketId, auth, context = {}) {
+    try {
+      const ticket = await this.getTicket(ticketId);
+
+      if (ticket.status !== 'scanned' || ticket.approver.user_id !== auth.userId) {
+        throw AppError.conflict('QR login ticket must be scanned by this account before confirming');
+      }
+
+      // Guard against double confirmation creating two sessions
+      const confirmKey = `${this.getTicketKey(ticketId)}:confirm`;
+      if (await redisClient.incr(confirmKey) > 1) {
+        throw AppError.conflict('QR login ticket has already been confirmed');
+      }
+      await redisClient.expire(confirmKey, this.ticketTtl);
+
+      const user = await User.findByPk(auth.userId);
+      if (!user || !user.canLogin()) {
+        throw AuthError.loginNotAllowed('Account cannot sign in');
+      }
+
+      const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+      const login = await authService.completeLogin(user, decryptedUser, {
+        ...ticket.device,
+        ipAddress: ticket.ip_address,
+        userAgent: ticket.user_agent,
+        loginMethod: 'qr_code'
+      });
+
+      const now = Date.now();
+      ticket.status = 'confirmed';
+      ticket.confirmed_at = new Date(now).toISOString();
+      // Give the web client a full TTL to collect the session
+      ticket.expires_at = new Date(now + this.ticketTtl * 1000).toISOString();
+      ticket.login = login;
+
+      await this.saveTicket(ticketId, ticket);
+
+      const webDevice = {
+        ...ticket.device,
+        session_id: login.session.id,
+        ip_address: ticket.ip_address,
+        user_agent: ticket.user_agent
+      };
+      const approvingDevice = {
+        session_id: auth.sessionId,
+        device_id: auth.deviceId,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent
+      };
+
+      await AuditLog.logAction({
+        userId: auth.userId,
+        action: 'qr_login_approved',
+        resource: 'user_session',
+        resourceId: login.session.id,
+        newValues: { web_device: webDevice, approving_device: approvingDevice },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: auth.sessionId
+      });
+
+      await AuditLog.logAction({
+        userId: auth.userId,
+        action: 'qr_login',
+        resource: 'user_session',
+        resourceId: login.session.id,
+        newValues: { web_device: webDevice, approving_device: approvingDevice },
+        ipAddress: ticket.ip_address,
+        userAgent: ticket.user_agent,
+        sessionId: login.session.id
+      });
+
+      logger.info('QR login ticket confirmed', {
+        ticketId,
+        userId: auth.userId,
+        sessionId: login.session.id
+      });
+
+      return {
+        ticket_id: ticketId,
+        status: ticket.status,
+        session: {
+          id: login.session.id,
+          device_name: ticket.device.device_name
+        }
+      };
+    } catch (error) {
+      logger.error('QR login confirmation failed', {
+        ticketId,
+        userId: auth.userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a confirmed login to the web client exactly once
+   */
+  async collectLogin(ticketId, ticket) {
+    if (!await redisClient.del(this.getTicketKey(ticketId))) {
+      return { ticket_id: ticketId, status: 'expired' };
+    }
+
+    logger.info('QR login collected by web client', {
+      ticketId,
+      userId: ticket.approver.user_id,
+      sessionId: ticket.login.session.id
+    });
+
+    return {
+      ticket_id: ticketId,
+      status: 'confirmed',
+      ...ticket.login
+    };
+  }
+
+  /**
+   * Load a ticket for the mobile app, failing when it has expired
+   */
+  async getTicket(ticketId) {
+    const ticket = await redisClient.get(this.getTicketKey(ticketId));
+    if (!ticket) {
+      throw AuthError.qrLoginTicketExpired('QR login ticket has expired', ticketId);
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Save a ticket for the rest of its lifetime
+   */
+  async saveTicket(ticketId, ticket) {
+    const ttl = Math.ceil((new Date(ticket.expires_at).getTime() - Date.now()) / 1000);
+    if (ttl <= 0) {
+      throw AuthError.qrLoginTicketExpired('QR login ticket has expired', ticketId);
+    }
+
+    await redisClient.set(this.getTicketKey(ticketId), ticket, ttl);
+  }
+
+  /**
+   * Public view of a ticket's state
+   */
+  formatTicket(ticketId, ticket) {
+    return {
+      ticket_id: ticketId,
+      status: ticket.status,
+      expires_at: ticket.expires_at,
+      scanned_at: ticket.scanned_at || null,
+      // Lets the web page show whose phone scanned the code
+      profile: ticket.profile || null
+    };
+  }
+
+  /**
+   * Check the web client's poll token
+   */
+  verifyPollToken(ticket, pollToken) {
+    const expected = Buffer.from(ticket.poll_token_hash, 'hex');
+    const actual = Buffer.from(this.hashPollToken(pollToken || ''), 'hex');
+
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Hash a poll token for storage
+   */
+  hashPollToken(pollToken) {
+    return crypto.createHash('sha256').update(pollToken).digest('hex');
+  }
+
+  /**
+   * Redis key for a ticket
+   */
+  getTicketKey(ticketId) {
+    return `qr_login:ticket:${ticketId}`;
+  }
+}
+
+module.exports = new QrLoginService();
@@ -0,0 +1,146 @@
+const { User, AuditLog } = require('../models');
+const authService = require('./auth.service');
+const otpService = require('./otp.service');
+const mfaService = require('./mfa.service');
+const lockoutService = require('./lockout.service');
+const sessionService = require('./session.service');
+const encryptionService = require('./encryption.service');
+const jwtUtil = require('../utils/jwt.util');
+const phoneUtil = require('../utils/phone.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AuthError } = require('../errors/authError');
+const { AppError } = require('../errors/AppError');
+
+/**
+ * Re-authentication Service
+ * Confirms a signed-in user with a password, SMS OTP or two-factor code and
+ * issues a short-lived "recent auth" token bound to the current session
+ */
+class ReauthenticationService {
+  constructor() {
+    this.config = securityConfig.reauthentication;
+  }
+
+  /**
+   * Send an OTP to the user's own phone number
+   */
+  async requestOtp(userId, ipAddress = null) {
+    const user = await this.getUser(userId);
+    const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
+
+    const result = await otpService.sendReauthenticationOtp(decryptedUser.phone, user.id, ipAddress);
+
+    return {
+      verification_id: result.verification_id,
+      expires_in: result.expires_in,
+      phone: phoneUtil.maskPhoneNumber(result.phone)
+    };
+  }
+
+  /**
+   * Verify the user again and issue a recent auth token for the session
+   */
+  async reauthenticate(userId, sessionId, credentials, { ipAddress = null, deviceId = null, userAgent = null } = {}) {
+    const user = await this.getUser(userId);
+
+    // The current device is always trusted, so only the IP decides the lockout
+    const failureContext = { ipAddress, deviceId, userAgent };
+    await lockoutService.assertNotLocked(user, { ipAddress });
+
+    const { method } = credentials;
+    try {
+      await this.verifyCredentials(user, credentials);
+    } catch (error) {
+      if (error instanceof AuthError && ['INVALID_CREDENTIALS', 'INVALID_OTP'].includes(error.errorCode)) {
+        await authService.handleFailedLogin(user, failureContext);
+      }
+      throw error;
+    }
+
+    await lockoutService.clearFailures(user.id, ipAddress);
+
+    // Bind the session to this client, ending a step-up asked for by a binding mismatch
+    await sessionService.updateSessionActivity(sessionId, ipAddress, userAgent);
+
+    const authTime = Math.floor(Date.now() / 1000);
+    const token = jwtUtil.generateRecentAuthToken(user.id, sessionId, { method, authTime });
+
+    await AuditLog.logAction({
+      userId: user.id,
+      action: 'reauthenticated',
+      resource: 'session',
+      resourceId: sessionId,
+      newValues: { method },
+      ipAddress,
+      userAgent,
+      sessionId
+    });
+
+    logger.info('User re-authenticated', {
+      userId: user.id,
+      sessionId,
+      method
+    });
+
+    return {
+      recent_auth_token: token,
+      auth_time: authTime,
+      expires_in: this.config.tokenExpiry
+    };
+  }
+
+  /**
+   * Check the password, OTP or two-factor code
+   */
+  async verifyCredentials(user, { method, password, verification_id, otp_code, code }) {
+    switch (method) {
+      case 'password': {
+        const isValidPassword = await user.validatePassword(password);
+        if (!isValidPassword) {
+          throw AuthError.invalidCredentials('Password is incorrect');
+        }
+        return;
+      }
+
+      case 'otp': {
+        const otpVerification = await otpService.verifyOtp(verification_id, otp_code);
+
+        if (otpVerification.otp_type !== 'reauthentication') {
+          throw AuthError.invalidOTP('Invalid OTP type for re-authentication');
+        }
+
+        if (otpVerification.user_id !== user.id) {
+          throw AuthError.invalidOTP('OTP was not requested for this user');
+        }
+        return;
+      }
+
+      case 'totp':
+        // Backup codes are accepted too and used up
+        await mfaService.verifyMfaCode(user.id, code);
+        return;
+
+      default:
+        throw AuthError.invalidCredentials('Unsupported re-authentication method');
+    }
+  }
+
+  /**
+   * Load an active user
+   */
+  async getUser(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw AppError.notFound('User not found');
+    }
+
+    if (user.isSuspended()) {
+      throw AuthError.accountSuspended('Account is suspended');
+    }
+
+    return user;
+  }
+}
+
+module.exports = new ReauthenticationService();
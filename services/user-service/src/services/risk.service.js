@@ -0,0 +1,253 @@
+const net = require('net');
+const { Op } = require('sequelize');
+const { UserSession, AuditLog } = require('../models');
+const sessionService = require('./session.service');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+
+/**
+ * Risk Service
+ * Scores login attempts that passed the first factor so risky ones can be
+ * stepped up with an SMS OTP. Each assessment is written to the audit log
+ * as `login_risk_assessed`, which feeds the admin security events.
+ */
+class RiskService {
+  constructor() {
+    this.config = securityConfig.riskAuth;
+  }
+
+  /**
+   * Count a login attempt for velocity checks (call before checking credentials)
+   */
+  async recordLoginAttempt(userId, ipAddress) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    try {
+      await this.incrementCounter(`risk:velocity:user:${userId}`);
+      if (ipAddress) {
+        await this.incrementCounter(`risk:velocity:ip:${ipAddress}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to record login attempt for risk scoring', {
+        userId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Score a login that passed the first factor
+   */
+  async assessLogin(user, { deviceId, ipAddress, loginMethod, now = new Date() }) {
+    if (!this.config.enabled) {
+      return { score: 0, level: 'low', decision: 'allow', factors: [] };
+    }
+
+    const { weights } = this.config;
+    const factors = [];
+    const addFactor = (factor, score, detail = null) => {
+      factors.push({ factor, score, ...(detail ? { detail } : {}) });
+    };
+
+    if (!(await sessionService.isDeviceTrusted(user.id, deviceId))) {
+      addFactor('unknown_device', weights.unknownDevice);
+    }
+
+    const history = await this.getLoginHistory(user.id);
+
+    const ipRange = this.getIpRange(ipAddress);
+    const knownRanges = new Set(
+      [...history.map(session => session.ip_address), user.last_ip]
+        .filter(Boolean)
+        .map(ip => this.getIpRange(ip))
+    );
+    if (ipRange && knownRanges.size > 0 && !knownRanges.has(ipRange)) {
+      addFactor('new_ip_range', weights.newIpRange, { ip_range: ipRange });
+    }
+
+    const hour = this.getLocalHour(now);
+    if (this.isUnusualHour(hour, history)) {
+      addFactor('unusual_hour', weights.unusualHour, { hour });
+    }
+
+    if (user.failed_login_attempts > 0) {
+      addFactor('recent_failures',
+        Math.min(user.failed_login_attempts * weights.recentFailure, weights.recentFailureMax),
+        { attempts: user.failed_login_attempts });
+    }
+
+    const userAttempts = await this.getCounter(`risk:velocity:user:${user.id}`);
+    if (userAttempts > this.config.userVelocityLimit) {
+      addFactor('user_velocity', weights.userVelocity, { attempts: userAttempts });
+    }
+
+    const ipAttempts = ipAddress ? await this.getCounter(`risk:velocity:ip:${ipAddress}`) : 0;
+    if (ipAttempts > this.config.ipVelocityLimit) {
+      addFactor('ip_velocity', weights.ipVelocity, { attempts: ipAttempts });
+    }
+
+    const score = Math.min(100, factors.reduce((total, factor) => total + factor.score, 0));
+    const assessment = {
+      score,
+      level: this.getRiskLevel(score),
+      decision: score >= this.config.stepUpThreshold ? 'step_up' : 'allow',
+      factors
+    };
+
+    logger.info('Login risk assessed', {
+      userId: user.id,
+      loginMethod,
+      score,
+      decision: assessment.decision,
+      factors: factors.map(factor => factor.factor)
+    });
+
+    return assessment;
+  }
+
+  /**
+   * Store an assessment and how it was resolved as a security event
+   */
+  async recordAssessment(user, assessment, { loginMethod, stepUpMethod = null, deviceId, ipAddress, userAgent }) {
+    try {
+      await AuditLog.logAction({
+        userId: user.id,
+        action: 'login_risk_assessed',
+        resource: 'user',
+        resourceId: user.id.toString(),
+        newValues: {
+          score: assessment.score,
+          level: assessment.level,
+          decision: assessment.decision,
+          step_up_method: stepUpMethod,
+          login_method: loginMethod,
+          device_id: deviceId,
+          factors: assessment.factors
+        },
+        ipAddress,
+        userAgent
+      });
+    } catch (error) {
+      logger.error('Failed to record login risk assessment', {
+        userId: user.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Recent sessions used as the user's login baseline
+   */
+  async getLoginHistory(userId) {
+    const since = new Date(Date.now() - this.config.historyDays * 24 * 60 * 60 * 1000);
+
+    return await UserSession.findAll({
+      where: {
+        user_id: userId,
+        created_at: { [Op.gte]: since }
+      },
+      attributes: ['ip_address', 'created_at'],
+      order: [['created_at', 'DESC']],
+      limit: 50
+    });
+  }
+
+  /**
+   * Without enough history, night hours are unusual; otherwise any hour more
+   * than an hour away from every earlier login
+   */
+  isUnusualHour(hour, history) {
+    if (history.length < this.config.historyMinLogins) {
+      return this.config.nightHours.includes(hour);
+    }
+
+    return !history.some(session => {
+      const distance = Math.abs(this.getLocalHour(new Date(session.created_at)) - hour);
+      return Math.min(distance, 24 - distance) <= 1;
+    });
+  }
+
+  /**
+   * Hour of day in the configured time zone
+   */
+  getLocalHour(date) {
+    const hour = new Intl.DateTimeFormat('en-US', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: this.config.timezone
+    }).format(date);
+
+    return parseInt(hour);
+  }
+
+  /**
+   * Network range of an address: /24 for IPv4, /48 for IPv6
+   */
+  getIpRange(ipAddress) {
+    if (!ipAddress) {
+      return null;
+    }
+
+    const address = ipAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+    if (net.isIPv4(address)) {
+      return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+
+    if (net.isIPv6(address)) {
+      const [head, tail = ''] = address.split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+      const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+
+      return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Risk level for a score
+   */
+  getRiskLevel(score) {
+    if (score >= this.config.stepUpThreshold) {
+      return 'high';
+    }
+    if (score >= this.config.mediumThreshold) {
+      return 'medium';
+    }
+    return 'low';
+  }
+
+  /**
+   * Increment a velocity counter, starting its window on first use
+   */
+  async incrementCounter(key) {
+    const count = await redisClient.incr(key);
+    if (count === 1) {
+      await redisClient.expire(key, this.config.velocityWindow);
+    }
+    return count;
+  }
+
+  /**
+   * Read a velocity counter (0 when Redis is unavailable)
+   */
+  async getCounter(key) {
+    try {
+      return parseInt(await redisClient.get(key)) || 0;
+    } catch (error) {
+      logger.warn('Failed to read risk velocity counter', {
+        key,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+}
+
+module.exports = new RiskService();
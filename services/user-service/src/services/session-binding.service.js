@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { AuditLog } = require('../models');
+const riskService = require('./risk.service');
+const ipAsnUtil = require('../utils/ip-asn.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const redisClient = require('../../../shared/libraries/cache/redis.client');
+
+// Stricter reactions win when both the IP address and the User-Agent changed
+const ACTION_PRIORITY = {
+  allow: 0,
+  log: 1,
+  step_up: 2,
+  reject: 3
+};
+
+/**
+ * Session Binding Service
+ * Compares authenticated requests with the IP address and User-Agent stored
+ * on their session. Matching is tolerant: an address in the same /24 (/48
+ * for IPv6) or autonomous system, and the same browser family and major
+ * version, count as the same client.
+ */
+class SessionBindingService {
+  constructor() {
+    this.config = securityConfig.session;
+  }
+
+  /**
+   * Check a request against its session and decide the reaction
+   */
+  async checkBinding(session, { ipAddress, userAgent }) {
+    const mismatches = [];
+
+    if (this.config.validateIP && !(await this.ipAddressesMatch(session.ip_address, ipAddress))) {
+      mismatches.push({
+        type: 'ip_address',
+        action: this.config.ipMismatchAction,
+        bound: session.ip_address,
+        current: ipAddress
+      });
+    }
+
+    if (this.config.validateUserAgent && !this.userAgentsMatch(session.user_agent, userAgent)) {
+      mismatches.push({
+        type: 'user_agent',
+        action: this.config.userAgentMismatchAction,
+        bound: this.describeUserAgent(session.user_agent),
+        current: this.describeUserAgent(userAgent)
+      });
+    }
+
+    const action = mismatches.reduce((strictest, mismatch) => {
+      // Unknown reactions fall back to a step-up rather than silently allowing
+      const mismatchAction = ACTION_PRIORITY[mismatch.action] > 0 ? mismatch.action : 'step_up';
+      return ACTION_PRIORITY[mismatchAction] > ACTION_PRIORITY[strictest] ? mismatchAction : strictest;
+    }, 'allow');
+
+    if (action !== 'allow') {
+      await this.recordMismatch(session, { action, mismatches, ipAddress, userAgent });
+    }
+
+    return { action, mismatches };
+  }
+
+  /**
+   * Same address, same network range or same autonomous system
+   */
+  async ipAddressesMatch(boundIp, currentIp) {
+    if (!boundIp || boundIp === currentIp) {
+      return true;
+    }
+    if (!currentIp) {
+      return false;
+    }
+
+    const boundRange = riskService.getIpRange(boundIp);
+    if (boundRange && boundRange === riskService.getIpRange(currentIp)) {
+      return true;
+    }
+
+    if (this.config.ipAsnDatabase) {
+      const [boundAsn, currentAsn] = await Promise.all([
+        ipAsnUtil.lookup(this.config.ipAsnDatabase, boundIp),
+        ipAsnUtil.lookup(this.config.ipAsnDatabase, currentIp)
+      ]);
+      return boundAsn !== null && boundAsn === currentAsn;
+    }
+
+    return false;
+  }
+
+  /**
+   * Same browser (or app) family and major version
+   */
+  userAgentsMatch(boundUserAgent, currentUserAgent) {
+    if (!boundUserAgent || boundUserAgent === currentUserAgent) {
+      return true;
+    }
+
+    const bound = this.parseUserAgent(boundUserAgent);
+    const current = this.parseUserAgent(currentUserAgent);
+
+    return bound.family === current.family && bound.major === current.major;
+  }
+
+  /**
+   * Browser family and major version from a User-Agent. Checked in order
+   * because most browsers also claim to be Chrome, Safari or Mozilla.
+   */
+  parseUserAgent(userAgent) {
+    if (!userAgent) {
+      return { family: 'Unknown', major: null };
+    }
+
+    const browsers = [
+      ['WeChat', /MicroMessenger\/(\d+)/],
+      ['QQ', /\bQQ\/(\d+)/],
+      ['Edge', /\bEdg(?:e|A|iOS)?\/(\d+)/],
+      ['Opera', /\b(?:OPR|Opera)\/(\d+)/],
+      ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+      ['UC Browser', /UCBrowser\/(\d+)/],
+      ['Firefox', /\b(?:Firefox|FxiOS)\/(\d+)/],
+      ['Chrome', /\b(?:Chrome|CriOS)\/(\d+)/],
+      ['Safari', /Version\/(\d+).*Safari\//]
+    ];
+
+    for (const [family, pattern] of browsers) {
+      const match = userAgent.match(pattern);
+      if (match) {
+        return { family, major: parseInt(match[1]) };
+      }
+    }
+
+    // Native apps and HTTP clients, e.g. "Lianxin/2.3.1 (iPhone; iOS 17.2)" or "okhttp/4.12.0"
+    const product = userAgent.match(/^([\w.-]+)\/(\d+)/);
+    if (product) {
+      return { family: product[1], major: parseInt(product[2]) };
+    }
+
+    return { family: 'Unknown', major: null };
+  }
+
+  /**
+   * Short form for logs and audit events
+   */
+  describeUserAgent(userAgent) {
+    const { family, major } = this.parseUserAgent(userAgent);
+    return major === null ? family : `${family} ${major}`;
+  }
+
+  /**
+   * Log a mismatch and write a security audit event, at most once per
+   * session and client within the audit interval
+   */
+  async recordMismatch(session, { action, mismatches, ipAddress, userAgent }) {
+    logger.warn('Session binding mismatch', {
+      userId: session.user_id,
+      sessionId: session.session_id,
+      action,
+      mismatches
+    });
+
+    try {
+      const client = crypto.createHash('sha256').update(`${ipAddress}|${userAgent}`).digest('hex').slice(0, 16);
+      const auditKey = `session:binding:audited:${session.session_id}:${client}`;
+
+      if (await redisClient.get(auditKey)) {
+        return;
+      }
+      await redisClient.set(auditKey, true, this.config.mismatchAuditInterval);
+
+      await AuditLog.logAction({
+        userId: session.user_id,
+        action: 'session_binding_mismatch',
+        resource: 'session',
+        resourceId: session.session_id,
+        oldValues: {
+          ip_address: session.ip_address,
+          user_agent: session.user_agent
+        },
+        newValues: {
+          reaction: action,
+          mismatches: mismatches.map(mismatch => mismatch.type)
+        },
+        ipAddress,
+        userAgent,
+        sessionId: session.session_id
+      });
+    } catch (error) {
+      logger.error('Failed to record session binding mismatch', {
+        sessionId: session.session_id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SessionBindingService();
@@ -1,5 +1,7 @@
 const { UserSession } = require('../models');
 const { User } = require('../models');
+const { RefreshToken } = require('../models');
+const { DeviceKey } = require('../models');
 const logger = require('../utils/logger.util');
 const jwtUtil = require('../utils/jwt.util');
 const { AuthError } = require('../errors/authError');
@@ -14,6 +16,14 @@ class SessionService {
   constructor() {
     this.maxActiveSessionsPerUser = securityConfig.app.maxActiveSessionsPerUser;
     this.sessionCleanupInterval = securityConfig.app.sessionCleanupInterval;
+    this.allowConcurrentSessions = securityConfig.session.allowConcurrentSessions;
+    this.sessionConflictResolution = securityConfig.session.sessionConflictResolution;
+    this.oneSessionPerDeviceType = securityConfig.session.oneSessionPerDeviceType;
+    this.sessionTimeout = securityConfig.session.sessionTimeout;
+    this.deviceTypeTimeouts = securityConfig.session.deviceTypeTimeouts;
+    this.sessionLifetime = securityConfig.session.lifetime;
+    this.slidingExpiration = securityConfig.session.slidingExpiration;
+    this.absoluteLifetime = securityConfig.session.absoluteLifetime;
   }
 
   /**
@@ -21,11 +31,11 @@ class SessionService {
    */
   async createSession(userId, deviceInfo, ipAddress, userAgent, location = null) {
     try {
-      // Check and cleanup existing sessions if limit exceeded
-      await this.enforceSessionLimit(userId);
+      // Evict existing sessions the new one replaces or pushes over the limit
+      const evictedSessions = await this.enforceSessionLimit(userId, deviceInfo);
 
-      // Calculate expiry time (7 days)
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      // Calculate expiry time (7 days by default)
+      const expiresAt = new Date(Date.now() + this.getLifetime());
 
       // Generate refresh token
       const refreshToken = jwtUtil.generateRefreshToken({
@@ -44,27 +54,38 @@ class SessionService {
         ip_address: ipAddress,
         user_agent: userAgent,
         location: location,
-        expires_at: expiresAt
+        expires_at: expiresAt,
+        last_activity_at: new Date()
       });
 
-      // Update refresh token with session ID
-      const updatedRefreshToken = jwtUtil.generateRefreshToken({
+      // Issue the client's tokens now that the session ID is known; the refresh token lives as long as the session
+      const tokens = jwtUtil.generateTokenPair({
         userId,
         sessionId: session.session_id,
         deviceId: deviceInfo.device_id,
         roles: ['user'],
         permissions: []
+      }, {
+        refresh: { expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) }
       });
 
-      session.refresh_token = updatedRefreshToken;
+      session.refresh_token = tokens.refresh_token;
       await session.save();
 
+      // Start the refresh token family for this session
+      await this.recordRefreshToken(session, tokens.refresh_token);
+
+      // Not persisted; the login response returns these tokens and tells the client what was signed out
+      session.tokens = tokens;
+      session.evictedSessions = evictedSessions;
+
       logger.info('Session created', {
         userId,
         sessionId: session.session_id,
         deviceId: deviceInfo.device_id,
         ipAddress,
-        expiresAt
+        expiresAt,
+        evictedCount: evictedSessions.length
       });
 
       return session;
@@ -87,6 +108,7 @@ class SessionService {
       const session = await UserSession.findBySessionId(sessionId);
       
       if (!session) {
+        await this.assertNotSignedOut(sessionId);
         throw AuthError.sessionNotFound('Session not found');
       }
 
@@ -100,6 +122,8 @@ class SessionService {
         throw AuthError.sessionNotFound('Session is not valid');
       }
 
+      await this.assertNotIdle(session);
+
       return session;
     } catch (error) {
       if (error instanceof AuthError) {
@@ -135,6 +159,8 @@ class SessionService {
         throw AuthError.sessionNotFound('Session is not valid');
       }
 
+      await this.assertNotIdle(session);
+
       return session;
     } catch (error) {
       if (error instanceof AuthError) {
@@ -155,13 +181,15 @@ class SessionService {
     try {
       const sessions = await UserSession.findActiveByUserId(userId);
       
-      // Filter out expired sessions and mark them as inactive
+      // Filter out expired and idle sessions and mark them as inactive
       const validSessions = [];
       for (const session of sessions) {
-        if (session.isValid()) {
+        if (session.isValid() && !this.isIdle(session)) {
           validSessions.push(session);
         } else if (session.isExpired()) {
           await session.revoke();
+        } else if (this.isIdle(session)) {
+          await session.revoke('idle_timeout');
         }
       }
 
@@ -190,8 +218,7 @@ class SessionService {
         session.user_agent = userAgent;
       }
 
-      // Update the updated_at timestamp
-      session.changed('updated_at', true);
+      session.last_activity_at = new Date();
       await session.save();
 
       logger.debug('Session activity updated', {
@@ -284,8 +311,10 @@ class SessionService {
       const sessions = await UserSession.findActiveByUserId(userId);
       
       let revokedCount = 0;
+      let keptDeviceId = null;
       for (const session of sessions) {
         if (excludeSessionId && session.session_id === excludeSessionId) {
+          keptDeviceId = session.device_info?.device_id || null;
           continue; // Skip the excluded session
         }
         
@@ -293,9 +322,13 @@ class SessionService {
         revokedCount++;
       }
 
+      // Biometric device keys would otherwise sign a signed-out device back in
+      const revokedKeyCount = await DeviceKey.revokeByUserId(userId, keptDeviceId);
+
       logger.info('All user sessions revoked', {
         userId,
         revokedCount,
+        revokedKeyCount,
         excludeSessionId
       });
 
@@ -310,70 +343,245 @@ class SessionService {
   }
 
   /**
-   * Enforce session limit per user
+   * Idle timeout of a session in milliseconds, by device type; 0 means none
    */
-  async enforceSessionLimit(userId) {
+  getIdleTimeout(session) {
+    const deviceType = session.device_info?.device_type;
+    return this.deviceTypeTimeouts[deviceType] ?? this.sessionTimeout;
+  }
+
+  /**
+   * Seconds until a session times out without further activity, or null without an idle timeout
+   */
+  getIdleTimeRemaining(session) {
+    const idleTimeout = this.getIdleTimeout(session);
+    if (!idleTimeout) {
+      return null;
+    }
+
+    const lastActivity = new Date(session.last_activity_at || session.created_at).getTime();
+    return Math.max(0, Math.floor((lastActivity + idleTimeout - Date.now()) / 1000));
+  }
+
+  /**
+   * Whether a session has had no activity for longer than its idle timeout
+   */
+  isIdle(session) {
+    return this.getIdleTimeRemaining(session) === 0;
+  }
+
+  /**
+   * Session lifetime in milliseconds, capped by the absolute lifetime; 0 means the absolute lifetime
+   */
+  getLifetime() {
+    return this.sessionLifetime ? Math.min(this.sessionLifetime, this.absoluteLifetime) : this.absoluteLifetime;
+  }
+
+  /**
+   * Revoke a session that timed out from inactivity
+   */
+  async assertNotIdle(session) {
+    if (!this.isIdle(session)) {
+      return;
+    }
+
+    await session.revoke('idle_timeout');
+
+    logger.info('Session timed out from inactivity', {
+      sessionId: session.session_id,
+      userId: session.user_id,
+      lastActivityAt: session.last_activity_at,
+      idleTimeout: this.getIdleTimeout(session)
+    });
+
+    throw AuthError.sessionExpired('Session expired after inactivity');
+  }
+
+  /**
+   * New expiry for a refreshed session: a full lifetime from now when sliding,
+   * never past the absolute lifetime measured from login
+   */
+  getSlidingExpiry(session) {
+    if (!this.slidingExpiration) {
+      return new Date(session.expires_at);
+    }
+
+    const absoluteExpiry = new Date(session.created_at).getTime() + this.absoluteLifetime;
+    return new Date(Math.min(Date.now() + this.getLifetime(), absoluteExpiry));
+  }
+
+  /**
+   * Make room for a new session and return the sessions evicted for it.
+   * Without concurrent sessions every other session goes; with one session
+   * per device type the sessions of the new device's type go; past the
+   * session limit the conflict resolution strategy picks the rest.
+   */
+  async enforceSessionLimit(userId, deviceInfo = {}) {
     try {
-      const activeSessions = await UserSession.findActiveByUserId(userId);
-      
-      if (activeSessions.length >= this.maxActiveSessionsPerUser) {
-        // Sort by created_at to find oldest sessions
-        activeSessions.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-        
-        // Revoke oldest sessions to make room for new one
-        const sessionsToRevoke = activeSessions.slice(0, activeSessions.length - this.maxActiveSessionsPerUser + 1);
-        
-        for (const session of sessionsToRevoke) {
-          await session.revoke();
-          logger.info('Session revoked due to limit', {
-            sessionId: session.session_id,
-            userId,
-            deviceId: session.device_info?.device_id
-          });
-        }
+      const activeSessions = (await UserSession.findActiveByUserId(userId))
+        .filter(session => session.isValid() && !this.isIdle(session));
+
+      let evictions = [];
+      let remaining = activeSessions;
+
+      if (!this.allowConcurrentSessions) {
+        evictions = activeSessions.map(session => ({ session, reason: 'single_session' }));
+        remaining = [];
+      } else if (this.oneSessionPerDeviceType && deviceInfo.device_type) {
+        evictions = activeSessions
+          .filter(session => session.device_info?.device_type === deviceInfo.device_type)
+          .map(session => ({ session, reason: 'device_type' }));
+        remaining = activeSessions.filter(session => session.device_info?.device_type !== deviceInfo.device_type);
       }
+
+      const overflow = remaining.length - this.maxActiveSessionsPerUser + 1;
+      if (overflow > 0) {
+        evictions.push(...this.orderForEviction(remaining)
+          .slice(0, overflow)
+          .map(session => ({ session, reason: 'session_limit' })));
+      }
+
+      for (const { session, reason } of evictions) {
+        await this.evictSession(session, reason);
+      }
+
+      return evictions.map(({ session, reason }) => ({
+        id: session.session_id,
+        device_type: session.device_info?.device_type || null,
+        device_name: session.device_info?.device_name || null,
+        last_active: session.last_activity_at || session.created_at,
+        reason
+      }));
     } catch (error) {
       logger.error('Failed to enforce session limit', {
         userId,
         error: error.message
       });
       // Don't throw error here, just log it
+      return [];
+    }
+  }
+
+  /**
+   * Sessions in the order the conflict resolution strategy evicts them
+   */
+  orderForEviction(sessions) {
+    const createdAt = session => new Date(session.created_at).getTime();
+    const lastActive = session => new Date(session.last_activity_at || session.created_at).getTime();
+
+    switch (this.sessionConflictResolution) {
+      case 'newest':
+        return [...sessions].sort((a, b) => createdAt(b) - createdAt(a));
+      case 'oldest':
+        return [...sessions].sort((a, b) => createdAt(a) - createdAt(b));
+      case 'lru':
+      default:
+        return [...sessions].sort((a, b) => lastActive(a) - lastActive(b));
+    }
+  }
+
+  /**
+   * Sign out a session to make room for a new login. Its next request
+   * fails with SESSION_EVICTED instead of a generic session error.
+   */
+  async evictSession(session, reason) {
+    await session.revoke('evicted');
+    await RefreshToken.revokeFamily(session.session_id, 'evicted');
+
+    logger.info('Session evicted', {
+      sessionId: session.session_id,
+      userId: session.user_id,
+      deviceId: session.device_info?.device_id,
+      strategy: reason === 'session_limit' ? this.sessionConflictResolution : reason
+    });
+  }
+
+  /**
+   * Fail with a specific error when a session was signed out by a newer
+   * login (SESSION_EVICTED) or timed out from inactivity
+   */
+  async assertNotSignedOut(sessionId) {
+    if (!sessionId) {
+      return;
+    }
+
+    const session = await UserSession.findOne({
+      where: { session_id: sessionId, revoke_reason: ['evicted', 'idle_timeout'] }
+    });
+
+    if (session?.revoke_reason === 'evicted') {
+      throw AuthError.sessionEvicted('Session was signed out by a login on another device');
+    }
+    if (session?.revoke_reason === 'idle_timeout') {
+      throw AuthError.sessionExpired('Session expired after inactivity');
     }
   }
 
   /**
    * Refresh session with new tokens
+   * Rotates the refresh token; presenting an already-rotated token revokes the whole family.
+   * Slides expires_at but leaves last_activity_at alone: a refresh is not user activity, so
+   * a client refreshing in the background cannot keep an idle session alive.
    */
   async refreshSession(refreshToken) {
     try {
       // Verify refresh token
       const payload = jwtUtil.verifyRefreshToken(refreshToken);
-      
+
+      // Tell a device signed out by a newer login or inactivity why its refresh token stopped working
+      await this.assertNotSignedOut(payload.sessionId);
+
+      const tokenRecord = await RefreshToken.findByJti(payload.jti);
+
+      if (tokenRecord && tokenRecord.isRotated()) {
+        await this.handleRefreshTokenReuse(tokenRecord);
+      }
+
+      if (tokenRecord && tokenRecord.status === 'revoked') {
+        throw AuthError.invalidToken('Refresh token has been revoked');
+      }
+
       // Get session
       const session = await this.getSessionByRefreshToken(refreshToken);
-      
-      // Generate new tokens
-      const newRefreshToken = jwtUtil.generateRefreshToken({
+
+      // Claim the presented token; losing the race means it was already used
+      if (tokenRecord && !(await RefreshToken.markRotated(tokenRecord.jti))) {
+        await this.handleRefreshTokenReuse(tokenRecord);
+      }
+
+      // Generate new tokens; the refresh token lives as long as the (slid) session
+      const expiresAt = this.getSlidingExpiry(session);
+      const tokens = jwtUtil.generateTokenPair({
         userId: payload.userId,
         sessionId: session.session_id,
         deviceId: payload.deviceId,
         roles: payload.roles || ['user'],
         permissions: payload.permissions || []
+      }, {
+        refresh: { expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) }
       });
 
-      // Update session with new refresh token
-      session.refresh_token = newRefreshToken;
+      // Update session with new refresh token and expiry
+      session.refresh_token = tokens.refresh_token;
+      session.expires_at = expiresAt;
       await session.save();
 
+      // Sessions created before token families existed start one on first refresh
+      await this.recordRefreshToken(session, tokens.refresh_token, payload.jti);
+
       logger.info('Session refreshed', {
         sessionId: session.session_id,
         userId: payload.userId,
-        deviceId: payload.deviceId
+        deviceId: payload.deviceId,
+        parentJti: payload.jti,
+        jti: tokens.refresh_token_jti,
+        expiresAt
       });
 
       return {
         session,
-        refreshToken: newRefreshToken
+        tokens,
+        refreshToken: tokens.refresh_token
       };
     } catch (error) {
       if (error instanceof AuthError) {
@@ -387,6 +595,56 @@ class SessionService {
     }
   }
 
+  /**
+   * Record an issued refresh token in its session's family
+   */
+  async recordRefreshToken(session, refreshToken, parentJti = null) {
+    return await RefreshToken.create({
+      user_id: session.user_id,
+      session_id: session.session_id,
+      jti: jwtUtil.getTokenJTI(refreshToken),
+      parent_jti: parentJti,
+      status: 'active',
+      expires_at: jwtUtil.getTokenExpiration(refreshToken)
+    });
+  }
+
+  /**
+   * Revoke a session and every refresh token in its family
+   */
+  async revokeTokenFamily(sessionId, reason) {
+    const session = await UserSession.findOne({
+      where: { session_id: sessionId }
+    });
+
+    if (session && session.isValid()) {
+      await session.revoke();
+    }
+
+    return await RefreshToken.revokeFamily(sessionId, reason);
+  }
+
+  /**
+   * Handle replay of an already-rotated refresh token
+   */
+  async handleRefreshTokenReuse(tokenRecord) {
+    const revokedCount = await this.revokeTokenFamily(tokenRecord.session_id, 'reuse_detected');
+
+    logger.warn('Refresh token reuse detected, token family revoked', {
+      userId: tokenRecord.user_id,
+      sessionId: tokenRecord.session_id,
+      jti: tokenRecord.jti,
+      revokedCount
+    });
+
+    throw AuthError.refreshTokenReused('Refresh token reuse detected, session revoked')
+      .addAttemptDetails({
+        userId: tokenRecord.user_id,
+        sessionId: tokenRecord.session_id,
+        jti: tokenRecord.jti
+      });
+  }
+
   /**
    * Cleanup expired sessions
    */
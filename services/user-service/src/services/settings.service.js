@@ -1,6 +1,7 @@
 const { User, UserSettings } = require('../models');
 const sessionService = require('./session.service');
 const encryptionService = require('./encryption.service');
+const passwordHistoryService = require('./password-history.service');
 const otpService = require('./otp.service');
 const passwordUtil = require('../utils/password.util');
 const phoneUtil = require('../utils/phone.util');
@@ -98,7 +99,7 @@ class SettingsService {
    */
   async changePassword(userId, passwordData, sessionId = null) {
     try {
-      const { current_password, new_password } = passwordData;
+      const { new_password } = passwordData;
 
       // Get user
       const user = await User.findByPk(userId);
@@ -109,26 +110,30 @@ class SettingsService {
       // Decrypt user data
       const decryptedUser = await encryptionService.decryptUserData(user.toJSON());
 
-      // Verify current password
-      const isValidPassword = await user.validatePassword(current_password);
-      if (!isValidPassword) {
-        throw AuthError.invalidCredentials('Current password is incorrect');
-      }
-
       // Validate new password
       passwordUtil.validatePassword(new_password);
 
-      // Check password history (if implemented)
-      // await passwordUtil.validatePasswordHistory(new_password, user.password_history);
+      // Reject reuse of recent passwords
+      await passwordHistoryService.validateNotReused(user, new_password);
 
       // Hash new password
       const newPasswordHash = await passwordUtil.hashPassword(new_password);
 
-      // Update password
-      await user.update({
-        password_hash: newPasswordHash,
-        password_changed_at: new Date()
-      });
+      // Update password and record it in the history
+      const transaction = await sequelize.transaction();
+      try {
+        await user.update({
+          password_hash: newPasswordHash,
+          password_changed_at: new Date()
+        }, { transaction });
+
+        await passwordHistoryService.recordPassword(userId, user.password_hash, { transaction });
+
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
 
       // Revoke all other sessions except current one
       await sessionService.revokeAllUserSessions(userId, null, sessionId);
@@ -189,7 +194,7 @@ class SettingsService {
     const transaction = await sequelize.transaction();
 
     try {
-      const { new_phone, verification_id, otp_code, password } = phoneChangeData;
+      const { new_phone, verification_id, otp_code } = phoneChangeData;
 
       // Get user
       const user = await User.findByPk(userId, { transaction });
@@ -197,46 +202,12 @@ class SettingsService {
         throw AppError.notFound('User not found');
       }
 
-      // Verify password
-      const isValidPassword = await user.validatePassword(password);
-      if (!isValidPassword) {
-        throw AuthError.invalidCredentials('Password is incorrect');
-      }
-
-      // Verify OTP
-      const otpVerification = await otpService.verifyOtp(verification_id, otp_code, new_phone);
-
-      if (otpVerification.otp_type !== 'phone_number_change') {
-        throw AuthError.invalidOTP('Invalid OTP type for phone number change');
-      }
-
-      if (otpVerification.user_id !== userId) {
-        throw AuthError.invalidOTP('OTP was not requested for this user');
-      }
-
-      // Validate new phone number
-      const phoneValidation = phoneUtil.validatePhoneNumber(new_phone);
-      const formattedPhone = phoneValidation.formatted;
-
-      // Final check for phone number uniqueness
-      const existingUser = await User.findByPhone(formattedPhone, { transaction });
-      if (existingUser && existingUser.id !== userId) {
-        throw AuthError.duplicatePhone('Phone number already registered by another user');
-      }
-
-      // Update phone number
-      await user.update({
-        phone: formattedPhone,
-        country_code: phoneValidation.countryCode,
-        phone_verified: true,
-        phone_verified_at: new Date()
-      }, { transaction });
+      const formattedPhone = await this.bindPhoneNumber(user, { new_phone, verification_id, otp_code }, transaction);
 
       await transaction.commit();
 
       logger.info('Phone number changed successfully', {
         userId,
-        oldPhone: user.phone,
         newPhone: formattedPhone
       });
 
@@ -255,10 +226,46 @@ class SettingsService {
     }
   }
 
+  /**
+   * Bind a new phone number verified by a phone change OTP; returns the formatted number
+   */
+  async bindPhoneNumber(user, { new_phone, verification_id, otp_code }, transaction = null) {
+    // Verify OTP
+    const otpVerification = await otpService.verifyOtp(verification_id, otp_code, new_phone);
+
+    if (otpVerification.otp_type !== 'phone_number_change') {
+      throw AuthError.invalidOTP('Invalid OTP type for phone number change');
+    }
+
+    if (otpVerification.user_id !== user.id) {
+      throw AuthError.invalidOTP('OTP was not requested for this user');
+    }
+
+    // Validate new phone number
+    const phoneValidation = phoneUtil.validatePhoneNumber(new_phone);
+    const formattedPhone = phoneValidation.formatted;
+
+    // Final check for phone number uniqueness
+    const existingUser = await User.findByPhone(formattedPhone, { transaction });
+    if (existingUser && existingUser.id !== user.id) {
+      throw AuthError.duplicatePhone('Phone number already registered by another user');
+    }
+
+    // Update phone number (encrypted, with its blind index)
+    await user.update(await encryptionService.encryptUserData({
+      phone: formattedPhone,
+      country_code: phoneValidation.countryCode,
+      phone_verified: true,
+      phone_verified_at: new Date()
+    }), { transaction });
+
+    return formattedPhone;
+  }
+
   /**
    * Deactivate user account
    */
-  async deactivateAccount(userId, password, reason = null) {
+  async deactivateAccount(userId, reason = null) {
     try {
       // Get user
       const user = await User.findByPk(userId);
@@ -266,12 +273,6 @@ class SettingsService {
         throw AppError.notFound('User not found');
       }
 
-      // Verify password
-      const isValidPassword = await user.validatePassword(password);
-      if (!isValidPassword) {
-        throw AuthError.invalidCredentials('Password is incorrect');
-      }
-
       // Check if account is already deactivated
       if (user.status === 'deactivated') {
         throw AppError.conflict('Account is already deactivated');
@@ -304,7 +305,7 @@ class SettingsService {
   /**
    * Request account deletion
    */
-  async requestAccountDeletion(userId, password) {
+  async requestAccountDeletion(userId) {
     try {
       // Get user
       const user = await User.findByPk(userId);
@@ -312,12 +313,6 @@ class SettingsService {
         throw AppError.notFound('User not found');
       }
 
-      // Verify password
-      const isValidPassword = await user.validatePassword(password);
-      if (!isValidPassword) {
-        throw AuthError.invalidCredentials('Password is incorrect');
-      }
-
       // Check if account is already pending deletion
       if (user.status === 'pending_deletion') {
         throw AppError.conflict('Account is already scheduled for deletion');
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { JwtSigningKey } = require('../models');
+const encryptionUtil = require('../utils/encryption.util');
+const logger = require('../utils/logger.util');
+const securityConfig = require('../config/security.config');
+const { AppError } = require('../errors/AppError');
+
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { type: 'rsa' },
+  ES256: { type: 'ec', namedCurve: 'P-256' }
+};
+
+/**
+ * Signing Key Service
+ * Manages asymmetric JWT signing keys: generation, kid assignment,
+ * scheduled rotation and the public JWKS
+ */
+class SigningKeyService {
+  constructor() {
+    this.algorithm = securityConfig.jwt.algorithm;
+    this.enableRotation = securityConfig.jwt.enableRotation;
+    this.rotationInterval = securityConfig.jwt.rotationInterval;
+    this.publishDelay = securityConfig.jwt.keyPublishDelay;
+    this.retentionPeriod = securityConfig.jwt.keyRetentionPeriod;
+    this.rsaModulusLength = securityConfig.jwt.rsaModulusLength;
+
+    // kid -> { kid, algorithm, publicKey, privateKey, activatedAt, expiresAt }
+    this.keys = new Map();
+  }
+
+  /**
+   * Whether the configured (or given) algorithm uses key pairs
+   */
+  isAsymmetric(algorithm = this.algorithm) {
+    return Object.prototype.hasOwnProperty.call(ASYMMETRIC_ALGORITHMS, algorithm);
+  }
+
+  /**
+   * Load keys and create the first one if none exist
+   */
+  async initialize() {
+    if (!this.isAsymmetric()) {
+      return;
+    }
+
+    await this.loadKeys();
+
+    if (!this.getSigningKey(false)) {
+      await this.rotateKeys({ immediate: true });
+    }
+
+    logger.info('JWT signing keys initialized', {
+      algorithm: this.algorithm,
+      keyCount: this.keys.size,
+      signingKid: this.getSigningKey().kid
+    });
+  }
+
+  /**
+   * Reload verification keys from the database into memory
+   */
+  async loadKeys() {
+    const records = await JwtSigningKey.findVerificationKeys(this.algorithm);
+    const keys = new Map();
+
+    for (const record of records) {
+      keys.set(record.kid, {
+        kid: record.kid,
+        algorithm: record.algorithm,
+        publicKey: crypto.createPublicKey(record.public_key),
+        privateKey: crypto.createPrivateKey(encryptionUtil.decrypt(record.private_key)),
+        activatedAt: new Date(record.activated_at),
+        expiresAt: record.expires_at ? new Date(record.expires_at) : null
+      });
+    }
+
+    this.keys = keys;
+
+    logger.debug('JWT signing keys loaded', {
+      algorithm: this.algorithm,
+      kids: [...keys.keys()]
+    });
+
+    return keys.size;
+  }
+
+  /**
+   * Get the key currently used for signing (newest activated key)
+   */
+  getSigningKey(required = true) {
+    const now = Date.now();
+    let signingKey = null;
+
+    for (const key of this.keys.values()) {
+      if (key.activatedAt.getTime() > now) {
+        continue;
+      }
+      if (!signingKey || key.activatedAt > signingKey.activatedAt) {
+        signingKey = key;
+      }
+    }
+
+    if (!signingKey && required) {
+      throw new AppError('No active JWT signing key', 500, 'SIGNING_KEY_UNAVAILABLE');
+    }
+
+    return signingKey;
+  }
+
+  /**
+   * Get a verification key by kid
+   */
+  getVerificationKey(kid) {
+    const key = kid ? this.keys.get(kid) : null;
+
+    if (!key || (key.expiresAt && key.expiresAt.getTime() < Date.now())) {
+      return null;
+    }
+
+    return key.publicKey;
+  }
+
+  /**
+   * Build the public JSON Web Key Set
+   */
+  getJwks() {
+    const keys = [];
+
+    for (const key of this.keys.values()) {
+      if (key.expiresAt && key.expiresAt.getTime() < Date.now()) {
+        continue;
+      }
+
+      keys.push({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      });
+    }
+
+    return { keys };
+  }
+
+  /**
+   * Create a new signing key and schedule the previous ones for expiry
+   * New keys are published before they sign so verifiers can pick them up
+   */
+  async rotateKeys({ immediate = false } = {}) {
+    const { publicKey, privateKey } = this.generateKeyPair(this.algorithm);
+    const kid = this.computeKid(publicKey);
+    const activatedAt = new Date(Date.now() + (immediate ? 0 : this.publishDelay));
+
+    await JwtSigningKey.create({
+      kid,
+      algorithm: this.algorithm,
+      public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+      private_key: encryptionUtil.encrypt(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      activated_at: activatedAt,
+      expires_at: null
+    });
+
+    // Older keys keep verifying tokens they signed until the retention period ends
+    const supersededCount = await JwtSigningKey.supersedeAll(
+      this.algorithm,
+      new Date(activatedAt.getTime() + this.retentionPeriod),
+      kid
+    );
+
+    await this.loadKeys();
+
+    logger.info('JWT signing key rotated', {
+      kid,
+      algorithm: this.algorithm,
+      activatedAt,
+      supersededCount
+    });
+
+    return { kid, activated_at: activatedAt };
+  }
+
+  /**
+   * Rotate when the newest key is older than the rotation interval
+   */
+  async rotateIfDue() {
+    if (!this.isAsymmetric() || !this.enableRotation) {
+      return null;
+    }
+
+    const latest = await JwtSigningKey.findLatest(this.algorithm);
+
+    if (latest && new Date(latest.activated_at).getTime() + this.rotationInterval > Date.now()) {
+      return null;
+    }
+
+    return await this.rotateKeys({ immediate: !latest });
+  }
+
+  /**
+   * Delete keys past their retention period
+   */
+  async purgeExpiredKeys() {
+    const deletedCount = await JwtSigningKey.purgeExpired();
+
+    if (deletedCount > 0) {
+      logger.info('Expired JWT signing keys purged', { deletedCount });
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Generate a key pair for the algorithm
+   */
+  generateKeyPair(algorithm) {
+    const spec = ASYMMETRIC_ALGORITHMS[algorithm];
+    if (!spec) {
+      throw new AppError(`Unsupported signing algorithm: ${algorithm}`, 500, 'SIGNING_KEY_ERROR');
+    }
+
+    const options = spec.type === 'rsa'
+      ? { modulusLength: this.rsaModulusLength }
+      : { namedCurve: spec.namedCurve };
+
+    return crypto.generateKeyPairSync(spec.type, options);
+  }
+
+  /**
+   * Compute the key ID as the RFC 7638 JWK thumbprint
+   */
+  computeKid(publicKey) {
+    const jwk = publicKey.export({ format: 'jwk' });
+    const members = jwk.kty === 'RSA'
+      ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+      : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+
+    return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+  }
+}
+
+module.exports = new SigningKeyService();
@@ -0,0 +1,170 @@
+const { SmsDispatch, OtpVerification } = require('../models');
+const encryptionService = require('./encryption.service');
+const { getSmsProvider } = require('../providers/sms');
+const alibabaSmsConfig = require('../config/alibaba-sms.config');
+const logger = require('../utils/logger.util');
+const { AppError } = require('../errors/AppError');
+
+/**
+ * SMS Dispatch Service
+ * Tracks sent SMS messages and ingests provider delivery reports
+ */
+class SmsDispatchService {
+  constructor() {
+    this.deliveryConfig = alibabaSmsConfig.sms.deliveryReports;
+    this.pricing = alibabaSmsConfig.sms.pricing;
+  }
+
+  /**
+   * Persist a dispatch record for a sent (or failed) SMS
+   * Never throws: tracking must not break OTP delivery
+   */
+  async recordDispatch({ verificationId, phone, countryCode, carrier, provider, templateKey, result = null, error = null }) {
+    try {
+      const details = (error && error.details) || {};
+
+      return await SmsDispatch.create({
+        verification_id: verificationId,
+        provider,
+        message_id: result ? result.message_id : null,
+        request_id: result ? result.request_id : (details.requestId || null),
+        phone_hash: await encryptionService.hashForSearch(phone),
+        country_code: countryCode ? `+${String(countryCode).replace(/^\+/, '')}` : '+86',
+        carrier: carrier || null,
+        template_key: templateKey,
+        template_code: alibabaSmsConfig.sms.templates[templateKey] || null,
+        status: error ? 'failed' : 'sent',
+        provider_status: error ? (details.providerCode || null) : null,
+        error_code: error ? (details.providerCode || error.errorCode || error.code || 'SEND_FAILED') : null,
+        error_message: error ? String(error.message).substring(0, 255) : null,
+        sent_at: new Date()
+      });
+    } catch (recordError) {
+      logger.error('Failed to record SMS dispatch', {
+        verificationId,
+        provider,
+        templateKey,
+        error: recordError.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Ingest delivery reports pushed by the provider
+   */
+  async ingestDeliveryReports(payload) {
+    try {
+      const provider = getSmsProvider();
+      const reports = provider.parseDeliveryReports(payload);
+      const result = { received: reports.length, updated: 0, unmatched: 0 };
+
+      for (const report of reports) {
+        let dispatch = await SmsDispatch.findByMessageId(provider.name, report.messageId);
+
+        if (!dispatch && report.outId) {
+          dispatch = await SmsDispatch.findByVerificationId(report.outId);
+        }
+
+        if (!dispatch) {
+          result.unmatched++;
+          continue;
+        }
+
+        if (await this.applyReport(dispatch, report)) {
+          result.updated++;
+        }
+      }
+
+      logger.info('SMS delivery reports ingested', result);
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to ingest SMS delivery reports', {
+        error: error.message
+      });
+      throw new AppError('Failed to process delivery reports', 500, 'SMS_DELIVERY_REPORT_ERROR');
+    }
+  }
+
+  /**
+   * Apply a normalized delivery report to a dispatch record
+   * Returns false when the report is not final or the record already is
+   */
+  async applyReport(dispatch, report) {
+    if (dispatch.isFinal() || report.status === 'sent') {
+      return false;
+    }
+
+    const segments = report.segments || null;
+
+    await dispatch.update({
+      message_id: dispatch.message_id || report.messageId,
+      status: report.status,
+      provider_status: report.providerStatus,
+      error_code: report.errorCode,
+      error_message: report.errorMessage ? String(report.errorMessage).substring(0, 255) : null,
+      segments,
+      cost: segments ? (segments * this.pricing.unitCost).toFixed(4) : null,
+      delivered_at: report.deliveredAt,
+      reported_at: report.reportedAt || new Date()
+    });
+
+    return true;
+  }
+
+  /**
+   * Poll the provider for dispatches that have not received a delivery report
+   * The phone number is only available while the OTP record still exists
+   */
+  async pollPendingDeliveries() {
+    const provider = getSmsProvider();
+    const now = Date.now();
+    const sentAfter = new Date(now - this.deliveryConfig.pollMaxAgeMinutes * 60 * 1000);
+    const sentBefore = new Date(now - this.deliveryConfig.pollAfterSeconds * 1000);
+    const result = { checked: 0, updated: 0, skipped: 0, errors: 0 };
+
+    const dispatches = await SmsDispatch.findAwaitingReport(
+      provider.name,
+      sentAfter,
+      sentBefore,
+      this.deliveryConfig.pollBatchSize
+    );
+
+    for (const dispatch of dispatches) {
+      const otpRecord = dispatch.verification_id ?
+        await OtpVerification.findByVerificationId(dispatch.verification_id) :
+        null;
+
+      if (!otpRecord) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        result.checked++;
+
+        const report = await provider.queryDeliveryStatus({
+          phone: otpRecord.phone,
+          messageId: dispatch.message_id,
+          sentAt: dispatch.sent_at
+        });
+
+        if (report && await this.applyReport(dispatch, report)) {
+          result.updated++;
+        }
+      } catch (error) {
+        result.errors++;
+        logger.warn('Failed to poll SMS delivery status', {
+          dispatchId: dispatch.id,
+          messageId: dispatch.message_id,
+          error: error.message
+        });
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new SmsDispatchService();
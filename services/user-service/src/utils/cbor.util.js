@@ -0,0 +1,164 @@
+/**
+ * CBOR Utility Class
+ * Minimal RFC 8949 decoder for WebAuthn attestation objects and COSE keys.
+ * Maps decode to Map so integer (COSE) and text keys are both preserved.
+ */
+class CBORUtil {
+  /**
+   * Decode a complete CBOR item, rejecting trailing bytes
+   */
+  decode(buffer) {
+    const { value, length } = this.decodeFirst(buffer);
+
+    if (length !== buffer.length) {
+      throw new Error('Unexpected trailing bytes after CBOR item');
+    }
+
+    return value;
+  }
+
+  /**
+   * Decode the first CBOR item and report how many bytes it used
+   */
+  decodeFirst(buffer) {
+    const state = { buffer: Buffer.from(buffer), offset: 0 };
+    const value = this.readItem(state);
+
+    return { value, length: state.offset };
+  }
+
+  /**
+   * Read one data item at the current offset
+   */
+  readItem(state) {
+    const initialByte = this.readBytes(state, 1)[0];
+    const majorType = initialByte >> 5;
+    const additionalInfo = initialByte & 0x1f;
+
+    if (majorType === 7) {
+      return this.readSimple(state, additionalInfo);
+    }
+
+    if (additionalInfo === 31) {
+      throw new Error('Indefinite-length CBOR items are not supported');
+    }
+
+    const argument = this.readArgument(state, additionalInfo);
+
+    switch (majorType) {
+      case 0:
+        return argument;
+      case 1:
+        return -1 - argument;
+      case 2:
+        return Buffer.from(this.readBytes(state, argument));
+      case 3:
+        return this.readBytes(state, argument).toString('utf8');
+      case 4: {
+        const items = [];
+        for (let i = 0; i < argument; i++) {
+          items.push(this.readItem(state));
+        }
+        return items;
+      }
+      case 5: {
+        const map = new Map();
+        for (let i = 0; i < argument; i++) {
+          const key = this.readItem(state);
+          map.set(key, this.readItem(state));
+        }
+        return map;
+      }
+      case 6:
+        // Tags carry no meaning for WebAuthn payloads; return the tagged item
+        return this.readItem(state);
+      default:
+        throw new Error(`Unsupported CBOR major type: ${majorType}`);
+    }
+  }
+
+  /**
+   * Read the length/value argument that follows the initial byte
+   */
+  readArgument(state, additionalInfo) {
+    if (additionalInfo < 24) {
+      return additionalInfo;
+    }
+
+    switch (additionalInfo) {
+      case 24:
+        return this.readBytes(state, 1).readUInt8(0);
+      case 25:
+        return this.readBytes(state, 2).readUInt16BE(0);
+      case 26:
+        return this.readBytes(state, 4).readUInt32BE(0);
+      case 27: {
+        const value = this.readBytes(state, 8).readBigUInt64BE(0);
+        if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+          throw new Error('CBOR integer exceeds safe integer range');
+        }
+        return Number(value);
+      }
+      default:
+        throw new Error(`Invalid CBOR additional information: ${additionalInfo}`);
+    }
+  }
+
+  /**
+   * Read simple values and floats (major type 7)
+   */
+  readSimple(state, additionalInfo) {
+    switch (additionalInfo) {
+      case 20:
+        return false;
+      case 21:
+        return true;
+      case 22:
+        return null;
+      case 23:
+        return undefined;
+      case 25:
+        return this.readHalfFloat(this.readBytes(state, 2).readUInt16BE(0));
+      case 26:
+        return this.readBytes(state, 4).readFloatBE(0);
+      case 27:
+        return this.readBytes(state, 8).readDoubleBE(0);
+      default:
+        throw new Error(`Unsupported CBOR simple value: ${additionalInfo}`);
+    }
+  }
+
+  /**
+   * Convert an IEEE 754 half-precision float
+   */
+  readHalfFloat(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+
+    if (exponent === 0) {
+      return sign * Math.pow(2, -14) * (fraction / 1024);
+    }
+    if (exponent === 31) {
+      return fraction ? NaN : sign * Infinity;
+    }
+
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+  }
+
+  /**
+   * Consume bytes from the buffer
+   */
+  readBytes(state, length) {
+    if (state.offset + length > state.buffer.length) {
+      throw new Error('Unexpected end of CBOR data');
+    }
+
+    const bytes = state.buffer.subarray(state.offset, state.offset + length);
+    state.offset += length;
+
+    return bytes;
+  }
+}
+
+module.exports = new CBORUtil();
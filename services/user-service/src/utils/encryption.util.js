@@ -16,20 +16,63 @@ class EncryptionUtil {
     this.primaryKey = Buffer.from(securityConfig.encryption.primaryKey, 'hex');
     this.secondaryKey = Buffer.from(securityConfig.encryption.secondaryKey, 'hex');
     this.encryptedFields = securityConfig.encryption.encryptedFields;
+    this.keyring = this.loadKeyring(securityConfig.encryption.keyring);
+    this.activeKeyVersion = securityConfig.encryption.activeKeyVersion;
+    this.blindIndexKey = securityConfig.encryption.blindIndexKey;
+
+    if (!this.keyring.has(this.activeKeyVersion)) {
+      throw new Error(`Active encryption key version '${this.activeKeyVersion}' is not in the keyring`);
+    }
+  }
+
+  /**
+   * Build the versioned keyring (version -> 32-byte key)
+   * 64-char hex keys are used as-is; other strings are stretched with SHA-256
+   */
+  loadKeyring(keyringConfig) {
+    const keyring = new Map();
+
+    for (const [version, key] of Object.entries(keyringConfig || {})) {
+      const isRawKey = new RegExp(`^[0-9a-fA-F]{${this.keyLength * 2}}$`).test(key);
+      keyring.set(version, isRawKey
+        ? Buffer.from(key, 'hex')
+        : crypto.createHash('sha256').update(key).digest());
+    }
+
+    return keyring;
+  }
+
+  /**
+   * Get the key for a version
+   */
+  getKey(keyVersion) {
+    const key = this.keyring.get(keyVersion);
+    if (!key) {
+      throw new AppError(`Unknown encryption key version: ${keyVersion}`, 500, 'ENCRYPTION_KEY_NOT_FOUND');
+    }
+    return key;
+  }
+
+  /**
+   * Get the legacy key for ciphertexts written before versioned keys
+   */
+  getLegacyKey(version) {
+    return version === 'secondary' ? this.secondaryKey : this.primaryKey;
   }
 
   /**
    * Encrypt sensitive data
+   * The key version is embedded so data stays readable after rotation
    */
-  encrypt(data, keyVersion = 'primary') {
+  encrypt(data, keyVersion = this.activeKeyVersion) {
     try {
       if (!data || typeof data !== 'string') {
         return data;
       }
 
-      const key = keyVersion === 'primary' ? this.primaryKey : this.secondaryKey;
+      const key = this.getKey(keyVersion);
       const iv = crypto.randomBytes(this.ivLength);
-      const cipher = crypto.createCipher(this.algorithm, key, iv);
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
       
       let encrypted = cipher.update(data, 'utf8', 'hex');
       encrypted += cipher.final('hex');
@@ -41,7 +84,7 @@ class EncryptionUtil {
         data: encrypted,
         iv: iv.toString('hex'),
         tag: tag.toString('hex'),
-        version: keyVersion,
+        key_version: keyVersion,
         algorithm: this.algorithm
       };
 
@@ -57,31 +100,66 @@ class EncryptionUtil {
   }
 
   /**
-   * Decrypt sensitive data
+   * Encrypt data with an envelope data key ({ plaintext, wrappedKey, keyId })
+   * The wrapped key is stored alongside so the record can be decrypted later
    */
-  decrypt(encryptedData, keyVersion = 'primary') {
+  encryptWithDataKey(data, dataKey) {
     try {
-      if (!encryptedData || typeof encryptedData !== 'string') {
-        return encryptedData;
+      if (!data || typeof data !== 'string') {
+        return data;
       }
 
-      let parsedData;
-      try {
-        parsedData = JSON.parse(encryptedData);
-      } catch {
-        // If not JSON, assume it's plain text
+      const iv = crypto.randomBytes(this.ivLength);
+      const cipher = crypto.createCipheriv(this.algorithm, dataKey.plaintext, iv, { authTagLength: this.tagLength });
+
+      let encrypted = cipher.update(data, 'utf8', 'hex');
+      encrypted += cipher.final('hex');
+
+      return JSON.stringify({
+        data: encrypted,
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        wrapped_key: dataKey.wrappedKey,
+        kms_key_id: dataKey.keyId,
+        algorithm: this.algorithm
+      });
+    } catch (error) {
+      logger.error('Envelope encryption failed', {
+        error: error.message,
+        kmsKeyId: dataKey?.keyId
+      });
+      throw new AppError('Encryption failed', 500, 'ENCRYPTION_ERROR');
+    }
+  }
+
+  /**
+   * Decrypt sensitive data with whichever key version encrypted it
+   * Envelope ciphertexts need their unwrapped data key
+   */
+  decrypt(encryptedData, dataKey = null) {
+    try {
+      const parsedData = this.parseCiphertext(encryptedData);
+      if (!parsedData) {
         return encryptedData;
       }
 
-      if (!parsedData.data || !parsedData.iv || !parsedData.tag) {
-        return encryptedData;
+      if (parsedData.wrapped_key && !dataKey) {
+        throw new AppError('Data key required for envelope-encrypted data', 500, 'DATA_KEY_REQUIRED');
       }
 
-      const key = parsedData.version === 'primary' ? this.primaryKey : this.secondaryKey;
       const iv = Buffer.from(parsedData.iv, 'hex');
       const tag = Buffer.from(parsedData.tag, 'hex');
+      const algorithm = parsedData.algorithm || this.algorithm;
       
-      const decipher = crypto.createDecipher(parsedData.algorithm || this.algorithm, key, iv);
+      // Ciphertexts without key_version predate the keyring and used password-derived keys
+      let decipher;
+      if (parsedData.wrapped_key) {
+        decipher = crypto.createDecipheriv(algorithm, dataKey, iv, { authTagLength: tag.length });
+      } else if (parsedData.key_version) {
+        decipher = crypto.createDecipheriv(algorithm, this.getKey(parsedData.key_version), iv, { authTagLength: tag.length });
+      } else {
+        decipher = crypto.createDecipher(algorithm, this.getLegacyKey(parsedData.version));
+      }
       decipher.setAuthTag(tag);
       
       let decrypted = decipher.update(parsedData.data, 'hex', 'utf8');
@@ -90,13 +168,79 @@ class EncryptionUtil {
       return decrypted;
     } catch (error) {
       logger.error('Decryption failed', {
-        error: error.message,
-        keyVersion
+        error: error.message
       });
       throw new AppError('Decryption failed', 500, 'DECRYPTION_ERROR');
     }
   }
 
+  /**
+   * Parse a stored ciphertext; returns null for values that are not ciphertexts
+   */
+  parseCiphertext(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+
+    let parsedData;
+    try {
+      parsedData = JSON.parse(value);
+    } catch {
+      // If not JSON, assume it's plain text
+      return null;
+    }
+
+    if (!parsedData || !parsedData.data || !parsedData.iv || !parsedData.tag) {
+      return null;
+    }
+
+    return parsedData;
+  }
+
+  /**
+   * Get the wrapped data key of an envelope ciphertext, or null
+   */
+  getWrappedKey(value) {
+    const parsedData = this.parseCiphertext(value);
+    return parsedData && parsedData.wrapped_key ? parsedData.wrapped_key : null;
+  }
+
+  /**
+   * Get the key version of a ciphertext ('legacy' for pre-keyring data)
+   */
+  getCiphertextKeyVersion(value) {
+    const parsedData = this.parseCiphertext(value);
+    if (!parsedData) {
+      return null;
+    }
+
+    if (parsedData.wrapped_key) {
+      return 'envelope';
+    }
+
+    return parsedData.key_version || 'legacy';
+  }
+
+  /**
+   * Check whether a ciphertext is encrypted with a non-active key
+   * Envelope ciphertexts follow the KMS key's own rotation
+   */
+  needsReencryption(value) {
+    const keyVersion = this.getCiphertextKeyVersion(value);
+    return keyVersion !== null && keyVersion !== 'envelope' && keyVersion !== this.activeKeyVersion;
+  }
+
+  /**
+   * Re-encrypt a ciphertext with the active key (unchanged if already current)
+   */
+  reencrypt(value) {
+    if (!this.needsReencryption(value)) {
+      return value;
+    }
+
+    return this.encrypt(this.decrypt(value), this.activeKeyVersion);
+  }
+
   /**
    * Encrypt user object fields
    */
@@ -177,6 +321,17 @@ class EncryptionUtil {
     }
   }
 
+  /**
+   * Deterministic keyed hash for equality lookups on encrypted fields
+   */
+  blindIndex(data) {
+    if (!data || typeof data !== 'string') {
+      return null;
+    }
+
+    return this.generateHMAC(data.trim(), this.blindIndexKey);
+  }
+
   /**
    * Generate HMAC for data integrity
    */
@@ -213,7 +368,7 @@ class EncryptionUtil {
   /**
    * Encrypt JSON data
    */
-  encryptJSON(data, keyVersion = 'primary') {
+  encryptJSON(data, keyVersion = this.activeKeyVersion) {
     try {
       const jsonString = JSON.stringify(data);
       return this.encrypt(jsonString, keyVersion);
@@ -228,9 +383,9 @@ class EncryptionUtil {
   /**
    * Decrypt JSON data
    */
-  decryptJSON(encryptedData, keyVersion = 'primary') {
+  decryptJSON(encryptedData, dataKey = null) {
     try {
-      const decryptedString = this.decrypt(encryptedData, keyVersion);
+      const decryptedString = this.decrypt(encryptedData, dataKey);
       return JSON.parse(decryptedString);
     } catch (error) {
       logger.error('JSON decryption failed', {
@@ -279,11 +434,11 @@ class EncryptionUtil {
   /**
    * Encrypt file data
    */
-  encryptFile(fileBuffer, keyVersion = 'primary') {
+  encryptFile(fileBuffer, keyVersion = this.activeKeyVersion) {
     try {
-      const key = keyVersion === 'primary' ? this.primaryKey : this.secondaryKey;
+      const key = this.getKey(keyVersion);
       const iv = crypto.randomBytes(this.ivLength);
-      const cipher = crypto.createCipher(this.algorithm, key, iv);
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
       
       const encrypted = Buffer.concat([
         cipher.update(fileBuffer),
@@ -296,7 +451,7 @@ class EncryptionUtil {
         data: encrypted,
         iv: iv.toString('hex'),
         tag: tag.toString('hex'),
-        version: keyVersion
+        key_version: keyVersion
       };
     } catch (error) {
       logger.error('File encryption failed', {
@@ -311,11 +466,12 @@ class EncryptionUtil {
    */
   decryptFile(encryptedFile) {
     try {
-      const key = encryptedFile.version === 'primary' ? this.primaryKey : this.secondaryKey;
       const iv = Buffer.from(encryptedFile.iv, 'hex');
       const tag = Buffer.from(encryptedFile.tag, 'hex');
       
-      const decipher = crypto.createDecipher(this.algorithm, key, iv);
+      const decipher = encryptedFile.key_version
+        ? crypto.createDecipheriv(this.algorithm, this.getKey(encryptedFile.key_version), iv, { authTagLength: tag.length })
+        : crypto.createDecipher(this.algorithm, this.getLegacyKey(encryptedFile.version));
       decipher.setAuthTag(tag);
       
       const decrypted = Buffer.concat([
@@ -340,15 +496,13 @@ class EncryptionUtil {
   }
 
   /**
-   * Rotate encryption keys
+   * Describe the keyring (versions only, never key material)
    */
-  rotateKeys() {
-    logger.info('Key rotation initiated');
-    // Implementation would depend on HSM integration
-    // This is a placeholder for the key rotation process
+  getKeyringInfo() {
     return {
-      rotated: true,
-      timestamp: new Date().toISOString()
+      active_key_version: this.activeKeyVersion,
+      key_versions: [...this.keyring.keys()],
+      algorithm: this.algorithm
     };
   }
 }
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const net = require('net');
+const logger = require('./logger.util');
+
+/**
+ * IP to ASN Utility Class
+ * Looks up the autonomous system of an address in a local ip2asn TSV file
+ * (range_start, range_end, AS_number, country_code, AS_description per line,
+ * as published by iptoasn.com). IPv4 and IPv6 ranges may share one file.
+ */
+class IpAsnUtil {
+  constructor() {
+    this.databases = new Map();
+  }
+
+  /**
+   * AS number of an address, or null when unknown or not routed
+   */
+  async lookup(databasePath, ipAddress) {
+    if (!databasePath || !ipAddress) {
+      return null;
+    }
+
+    const value = this.ipToBigInt(ipAddress);
+    if (value === null) {
+      return null;
+    }
+
+    const ranges = await this.loadDatabase(databasePath);
+    if (!ranges) {
+      return null;
+    }
+
+    // Binary search for the last range starting at or before the address
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (ranges[middle].start <= value) {
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const range = ranges[high];
+    if (!range || value > range.end || range.asn === 0) {
+      return null;
+    }
+
+    return range.asn;
+  }
+
+  /**
+   * Parse a database once; a file that cannot be read disables lookups
+   */
+  loadDatabase(databasePath) {
+    if (!this.databases.has(databasePath)) {
+      this.databases.set(databasePath, fs.promises.readFile(databasePath, 'utf8')
+        .then(content => {
+          const ranges = [];
+
+          for (const line of content.split('\n')) {
+            const [start, end, asn] = line.split('\t');
+            const startValue = this.ipToBigInt(start);
+            const endValue = this.ipToBigInt(end);
+
+            if (startValue !== null && endValue !== null) {
+              ranges.push({ start: startValue, end: endValue, asn: parseInt(asn) || 0 });
+            }
+          }
+
+          ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+          logger.info('IP to ASN database loaded', {
+            databasePath,
+            rangeCount: ranges.length
+          });
+
+          return ranges;
+        })
+        .catch(error => {
+          logger.error('Failed to load IP to ASN database', {
+            databasePath,
+            error: error.message
+          });
+          return null;
+        }));
+    }
+
+    return this.databases.get(databasePath);
+  }
+
+  /**
+   * Numeric value of an address; IPv4 (and IPv4-mapped IPv6) map into the
+   * IPv4-mapped range so both families can share one sorted list
+   */
+  ipToBigInt(ipAddress) {
+    if (!ipAddress) {
+      return null;
+    }
+
+    const address = ipAddress.trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+    if (net.isIPv4(address)) {
+      const value = address.split('.').reduce((total, octet) => (total << 8n) + BigInt(parseInt(octet)), 0n);
+      return 0xffff00000000n + value;
+    }
+
+    if (net.isIPv6(address)) {
+      const [head, tail = ''] = address.split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+      const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+
+      // Embedded IPv4 notation other than IPv4-mapped is not supported
+      if (groups.some(group => group.includes('.'))) {
+        return null;
+      }
+
+      return groups.reduce((total, group) => (total << 16n) + BigInt(parseInt(group, 16)), 0n);
+    }
+
+    return null;
+  }
+}
+
+module.exports = new IpAsnUtil();
@@ -3,6 +3,8 @@ const crypto = require('crypto');
 const securityConfig = require('../config/security.config');
 const logger = require('./logger.util');
 const { AuthError } = require('../errors/authError');
+const tokenDenylist = require('../../../shared/libraries/auth/token.denylist');
+const signingKeyService = require('../services/signing-key.service');
 
 /**
  * JWT Utility Class
@@ -15,9 +17,13 @@ class JWTUtil {
     this.accessTokenExpiry = securityConfig.jwt.accessTokenExpiry;
     this.refreshTokenExpiry = securityConfig.jwt.refreshTokenExpiry;
     this.algorithm = securityConfig.jwt.algorithm;
+    this.isAsymmetric = signingKeyService.isAsymmetric(this.algorithm);
+    // Refresh tokens are only verified by this service, so they stay HMAC-signed
+    this.refreshTokenAlgorithm = this.isAsymmetric ? 'HS256' : this.algorithm;
     this.issuer = securityConfig.jwt.issuer;
     this.audience = securityConfig.jwt.audience;
     this.clockTolerance = securityConfig.jwt.clockTolerance;
+    this.enableBlacklist = securityConfig.jwt.enableBlacklist;
     this.enablePayloadEncryption = securityConfig.jwt.enablePayloadEncryption;
     this.payloadEncryptionKey = securityConfig.jwt.payloadEncryptionKey;
   }
@@ -47,11 +53,17 @@ class JWTUtil {
         ...options
       };
       
-      const token = jwt.sign(finalPayload, this.accessTokenSecret, tokenOptions);
+      const { key, kid } = this.getAccessTokenSigningKey();
+      if (kid) {
+        tokenOptions.keyid = kid;
+      }
+      
+      const token = jwt.sign(finalPayload, key, tokenOptions);
       
       logger.debug('Access token generated', {
         userId: payload.userId,
         jti: tokenPayload.jti,
+        kid,
         expiresIn: tokenOptions.expiresIn
       });
       
@@ -82,7 +94,7 @@ class JWTUtil {
         this.encryptPayload(tokenPayload) : tokenPayload;
       
       const tokenOptions = {
-        algorithm: this.algorithm,
+        algorithm: this.refreshTokenAlgorithm,
         expiresIn: options.expiresIn || this.refreshTokenExpiry,
         issuer: this.issuer,
         audience: this.audience,
@@ -138,6 +150,70 @@ class JWTUtil {
     }
   }
   
+  /**
+   * Generate an OpenID Connect ID token for a partner client. It is signed
+   * with the access token key so clients can verify it through the JWKS,
+   * which is why HS256 (a secret partners must never hold) is refused.
+   */
+  generateIdToken(payload, options = {}) {
+    if (!this.isAsymmetric) {
+      throw new AuthError('ID tokens require JWT_ALGORITHM RS256 or ES256');
+    }
+
+    try {
+      const tokenOptions = {
+        algorithm: this.algorithm,
+        expiresIn: options.expiresIn,
+        issuer: options.issuer,
+        audience: options.audience,
+        subject: options.subject
+      };
+      
+      const { key, kid } = this.getAccessTokenSigningKey();
+      if (kid) {
+        tokenOptions.keyid = kid;
+      }
+      
+      return jwt.sign(payload, key, tokenOptions);
+    } catch (error) {
+      logger.error('Failed to generate ID token', {
+        error: error.message,
+        audience: options.audience
+      });
+      throw new AuthError('Failed to generate ID token');
+    }
+  }
+  
+  /**
+   * Get the key and kid used to sign access tokens
+   */
+  getAccessTokenSigningKey() {
+    if (!this.isAsymmetric) {
+      return { key: this.accessTokenSecret, kid: null };
+    }
+    
+    const signingKey = signingKeyService.getSigningKey();
+    return { key: signingKey.privateKey, kid: signingKey.kid };
+  }
+  
+  /**
+   * Get the key that verifies an access token (by `kid` header for key pairs)
+   */
+  getAccessTokenVerificationKey(token) {
+    if (!this.isAsymmetric) {
+      return this.accessTokenSecret;
+    }
+    
+    const decoded = jwt.decode(token, { complete: true });
+    const publicKey = signingKeyService.getVerificationKey(decoded?.header?.kid);
+    
+    if (!publicKey) {
+      throw AuthError.invalidToken('Unknown token signing key');
+    }
+    
+    return publicKey;
+  }
+  
   /**
    * Verify access token
    */
@@ -145,13 +221,14 @@ class JWTUtil {
     try {
       const verifyOptions = {
         algorithm: this.algorithm,
+        algorithms: [this.algorithm],
         issuer: this.issuer,
         audience: this.audience,
         clockTolerance: this.clockTolerance,
         ...options
       };
       
-      const decoded = jwt.verify(token, this.accessTokenSecret, verifyOptions);
+      const decoded = jwt.verify(token, this.getAccessTokenVerificationKey(token), verifyOptions);
       
       // Decrypt payload if needed
       const payload = this.enablePayloadEncryption ? 
@@ -192,7 +269,8 @@ class JWTUtil {
   verifyRefreshToken(token, options = {}) {
     try {
       const verifyOptions = {
-        algorithm: this.algorithm,
+        algorithm: this.refreshTokenAlgorithm,
+        algorithms: [this.refreshTokenAlgorithm],
         issuer: this.issuer,
         audience: this.audience,
         clockTolerance: this.clockTolerance,
@@ -315,6 +393,37 @@ class JWTUtil {
     }
   }
   
+  /**
+   * Revoke a token until it expires (JTI denylist)
+   */
+  async revokeToken(token) {
+    if (!this.enableBlacklist) {
+      return false;
+    }
+    
+    const jti = this.getTokenJTI(token);
+    if (!jti) {
+      return false;
+    }
+    
+    await tokenDenylist.revoke(jti, this.getTokenExpiration(token));
+    
+    logger.debug('Token revoked', { jti });
+    
+    return true;
+  }
+  
+  /**
+   * Check whether a token JTI has been revoked
+   */
+  async isTokenRevoked(jti) {
+    if (!this.enableBlacklist || !jti) {
+      return false;
+    }
+    
+    return await tokenDenylist.isRevoked(jti);
+  }
+  
   /**
    * Refresh access token using refresh token
    */
@@ -456,6 +565,170 @@ class JWTUtil {
     }
   }
   
+  /**
+   * Generate MFA challenge token (issued after first-factor login)
+   */
+  generateMfaChallengeToken(userId, challengeData = {}) {
+    const payload = {
+      userId,
+      ...challengeData,
+      type: 'mfa_challenge',
+      jti: crypto.randomUUID()
+    };
+    
+    return jwt.sign(payload, this.accessTokenSecret, {
+      expiresIn: securityConfig.mfa.challengeTokenExpiry,
+      issuer: this.issuer,
+      audience: this.audience
+    });
+  }
+  
+  /**
+   * Verify MFA challenge token
+   */
+  verifyMfaChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: this.issuer,
+        audience: this.audience
+      });
+      
+      if (decoded.type !== 'mfa_challenge') {
+        throw new AuthError('Invalid token type');
+      }
+      
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw AuthError.expiredToken('MFA challenge has expired, please log in again');
+      }
+      throw AuthError.invalidToken('Invalid MFA challenge token');
+    }
+  }
+  
+  /**
+   * Generate step-up challenge token (issued when a login is too risky)
+   */
+  generateStepUpChallengeToken(userId, challengeData = {}) {
+    const payload = {
+      userId,
+      ...challengeData,
+      type: 'step_up_challenge',
+      jti: crypto.randomUUID()
+    };
+    
+    return jwt.sign(payload, this.accessTokenSecret, {
+      expiresIn: securityConfig.riskAuth.stepUpTokenExpiry,
+      issuer: this.issuer,
+      audience: this.audience
+    });
+  }
+  
+  /**
+   * Verify step-up challenge token
+   */
+  verifyStepUpChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: this.issuer,
+        audience: this.audience
+      });
+      
+      if (decoded.type !== 'step_up_challenge') {
+        throw new AuthError('Invalid token type');
+      }
+      
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw AuthError.expiredToken('Verification has expired, please log in again');
+      }
+      throw AuthError.invalidToken('Invalid step-up challenge token');
+    }
+  }
+  
+  /**
+   * Generate login alert token ("this wasn't me" link for one session)
+   */
+  generateLoginAlertToken(userId, sessionId) {
+    const payload = {
+      userId,
+      sessionId,
+      type: 'login_alert',
+      jti: crypto.randomUUID()
+    };
+    
+    return jwt.sign(payload, this.accessTokenSecret, {
+      expiresIn: securityConfig.loginAlerts.revokeTokenExpiry,
+      issuer: this.issuer,
+      audience: this.audience
+    });
+  }
+  
+  /**
+   * Verify login alert token
+   */
+  verifyLoginAlertToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: this.issuer,
+        audience: this.audience
+      });
+      
+      if (decoded.type !== 'login_alert') {
+        throw new AuthError('Invalid token type');
+      }
+      
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw AuthError.expiredToken('This link has expired');
+      }
+      throw AuthError.invalidToken('Invalid login alert link');
+    }
+  }
+  
+  /**
+   * Generate device trust token (returned at login, lets that device past a lockout)
+   */
+  generateDeviceTrustToken(userId, deviceId) {
+    const payload = {
+      userId,
+      deviceId,
+      type: 'device_trust',
+      jti: crypto.randomUUID()
+    };
+    
+    return jwt.sign(payload, this.accessTokenSecret, {
+      expiresIn: securityConfig.password.deviceTrustTokenExpiry,
+      issuer: this.issuer,
+      audience: this.audience
+    });
+  }
+  
+  /**
+   * Verify device trust token
+   */
+  verifyDeviceTrustToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: this.issuer,
+        audience: this.audience
+      });
+      
+      if (decoded.type !== 'device_trust') {
+        throw new AuthError('Invalid token type');
+      }
+      
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw AuthError.expiredToken('Device token has expired');
+      }
+      throw AuthError.invalidToken('Invalid device token');
+    }
+  }
+  
   /**
    * Generate email verification token
    */
@@ -496,6 +769,49 @@ class JWTUtil {
       throw AuthError.invalidToken('Invalid email verification token');
     }
   }
+  
+  /**
+   * Generate recent authentication token (issued by re-authentication, bound to a session)
+   */
+  generateRecentAuthToken(userId, sessionId, { method, authTime }) {
+    const payload = {
+      userId,
+      sessionId,
+      method,
+      auth_time: authTime,
+      type: 'recent_auth',
+      jti: crypto.randomUUID()
+    };
+    
+    return jwt.sign(payload, this.accessTokenSecret, {
+      expiresIn: securityConfig.reauthentication.tokenExpiry,
+      issuer: this.issuer,
+      audience: this.audience
+    });
+  }
+  
+  /**
+   * Verify recent authentication token
+   */
+  verifyRecentAuthToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: this.issuer,
+        audience: this.audience
+      });
+      
+      if (decoded.type !== 'recent_auth') {
+        throw new AuthError('Invalid token type');
+      }
+      
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw AuthError.reauthenticationRequired('Re-authentication has expired');
+      }
+      throw AuthError.reauthenticationRequired('Invalid re-authentication token');
+    }
+  }
 }
 
 module.exports = new JWTUtil();
\ No newline at end of file
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+/**
+ * MIME Utility Class
+ * Builds RFC 5322 messages with UTF-8 headers (RFC 2047) and base64 bodies
+ */
+class MIMEUtil {
+  /**
+   * Build a plain-text message; returns the raw message with CRLF line endings
+   */
+  buildMessage({ from, to, subject, text, messageId = null, date = new Date() }) {
+    const domain = this.getDomain(from) || 'localhost';
+
+    const headers = [
+      `From: ${this.encodeAddress(from)}`,
+      `To: ${this.encodeAddress(to)}`,
+      `Subject: ${this.encodeHeader(subject)}`,
+      `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+      `Message-ID: <${messageId || crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64'
+    ];
+
+    return `${headers.join('\r\n')}\r\n\r\n${this.encodeBody(text)}\r\n`;
+  }
+
+  /**
+   * Encoded-word for header values that are not plain ASCII
+   */
+  encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+
+    if (/^[\x20-\x7e]*$/.test(text)) {
+      return text;
+    }
+
+    return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+  }
+
+  /**
+   * Encode the display name of "Name <address>"; bare addresses pass through
+   */
+  encodeAddress(value) {
+    const match = String(value).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+    if (!match) {
+      return this.getAddress(value);
+    }
+
+    const name = match[1].replace(/^"|"$/g, '');
+    return name ? `${this.encodeHeader(name)} <${match[2]}>` : `<${match[2]}>`;
+  }
+
+  /**
+   * Bare address from "Name <address>" or an address
+   */
+  getAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+  }
+
+  /**
+   * Domain part of an address
+   */
+  getDomain(value) {
+    const address = this.getAddress(value);
+    const at = address.lastIndexOf('@');
+    return at === -1 ? null : address.slice(at + 1);
+  }
+
+  /**
+   * Base64 body wrapped at 76 characters
+   */
+  encodeBody(text) {
+    const normalized = String(text).replace(/\r?\n/g, '\r\n');
+    return Buffer.from(normalized, 'utf8').toString('base64').match(/.{1,76}/g)?.join('\r\n') || '';
+  }
+}
+
+module.exports = new MIMEUtil();
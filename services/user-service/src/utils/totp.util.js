@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const securityConfig = require('../config/security.config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP Utility Class
+ * RFC 6238 time-based one-time passwords for authenticator apps
+ */
+class TOTPUtil {
+  constructor() {
+    this.issuer = securityConfig.mfa.issuer;
+    this.algorithm = securityConfig.mfa.algorithm;
+    this.digits = securityConfig.mfa.digits;
+    this.period = securityConfig.mfa.period;
+    this.window = securityConfig.mfa.window;
+    this.secretLength = securityConfig.mfa.secretLength;
+  }
+
+  /**
+   * Encode a buffer as RFC 4648 base32 (no padding)
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   */
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  /**
+   * Generate a new base32 TOTP secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(this.secretLength));
+  }
+
+  /**
+   * Get the time step counter for a timestamp
+   */
+  getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.period);
+  }
+
+  /**
+   * Generate the code for a given time step (RFC 4226 HOTP)
+   */
+  generateCode(secret, timeStep = this.getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timeStep));
+
+    const hmac = crypto
+      .createHmac(this.algorithm.toLowerCase(), this.base32Decode(secret))
+      .update(counter)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binary % Math.pow(10, this.digits)).toString().padStart(this.digits, '0');
+  }
+
+  /**
+   * Verify a code within the configured drift window
+   * Returns the matched time step, or null when the code is invalid
+   */
+  verifyCode(secret, code, lastUsedStep = null, timestamp = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep(timestamp);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+
+      // Reject codes at or before the last accepted step (replay protection)
+      if (lastUsedStep !== null && step <= Number(lastUsedStep)) {
+        continue;
+      }
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build an otpauth:// provisioning URI for authenticator apps
+   */
+  buildOtpauthUri(secret, accountName) {
+    const label = `${encodeURIComponent(this.issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: this.algorithm.toUpperCase(),
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = new TOTPUtil();
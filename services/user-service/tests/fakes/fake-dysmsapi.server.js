@@ -0,0 +1,209 @@
+const http = require('http');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const alibabaRpcUtil = require('../../src/utils/alibaba-rpc.util');
+const logger = require('../../src/utils/logger.util');
+
+/**
+ * Fake Dysmsapi Server
+ * Local HTTP stand-in for the Alibaba Cloud SMS API. Verifies request
+ * signatures, records SendSms calls and answers QuerySendDetails so the
+ * real provider can be exercised end to end without network access.
+ *
+ * Point ALIBABA_SMS_ENDPOINT at it, or run directly:
+ *   node tests/fakes/fake-dysmsapi.server.js
+ */
+class FakeDysmsapiServer {
+  constructor(options = {}) {
+    this.accessKeyId = options.accessKeyId || 'fake-access-key-id';
+    this.accessKeySecret = options.accessKeySecret || 'fake-access-key-secret';
+    this.port = options.port || 0;
+    this.messages = [];
+    this.failures = []; // Queue of { status, code, message } responses to return next
+    this.server = null;
+  }
+
+  /**
+   * Queue a failure response for the next request
+   */
+  failNext(code = 'isp.SYSTEM_ERROR', status = 200, message = 'Simulated failure') {
+    this.failures.push({ status, code, message });
+  }
+
+  /**
+   * Start listening; resolves with the endpoint URL
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Handle an incoming RPC request
+   */
+  handleRequest(req, res) {
+    let body = '';
+
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = req.method === 'POST' ?
+        querystring.parse(body) :
+        querystring.parse(req.url.split('?')[1] || '');
+      const requestId = crypto.randomUUID().toUpperCase();
+
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ RequestId: requestId, ...payload }));
+      };
+
+      if (params.AccessKeyId !== this.accessKeyId) {
+        return reply(404, { Code: 'InvalidAccessKeyId.NotFound', Message: 'Specified access key is not found.' });
+      }
+
+      if (!alibabaRpcUtil.verifySignature(params, this.accessKeySecret, req.method)) {
+        return reply(400, { Code: 'SignatureDoesNotMatch', Message: 'Specified signature is not matched with our calculation.' });
+      }
+
+      const failure = this.failures.shift();
+      if (failure) {
+        return reply(failure.status, { Code: failure.code, Message: failure.message });
+      }
+
+      switch (params.Action) {
+        case 'SendSms':
+          return this.handleSendSms(params, reply);
+        case 'QuerySendDetails':
+          return this.handleQuerySendDetails(params, reply);
+        default:
+          return reply(400, { Code: 'InvalidAction.NotFound', Message: `Specified api is not found: ${params.Action}` });
+      }
+    });
+  }
+
+  /**
+   * SendSms: record the message as awaiting delivery
+   */
+  handleSendSms(params, reply) {
+    if (!params.PhoneNumbers || !params.SignName || !params.TemplateCode) {
+      return reply(400, { Code: 'MissingParameter', Message: 'PhoneNumbers, SignName and TemplateCode are required.' });
+    }
+
+    let templateParams = {};
+    try {
+      templateParams = params.TemplateParam ? JSON.parse(params.TemplateParam) : {};
+    } catch (error) {
+      return reply(200, { Code: 'isv.INVALID_JSON_PARAM', Message: 'TemplateParam is not valid JSON.' });
+    }
+
+    const bizId = `${Date.now()}^${crypto.randomInt(1e9)}`;
+
+    this.messages.push({
+      bizId,
+      phoneNumbers: params.PhoneNumbers,
+      signName: params.SignName,
+      templateCode: params.TemplateCode,
+      templateParams,
+      outId: params.OutId || null,
+      sendStatus: 1,
+      errCode: null,
+      receivedAt: new Date(),
+      reportedAt: null
+    });
+
+    return reply(200, { Code: 'OK', Message: 'OK', BizId: bizId });
+  }
+
+  /**
+   * QuerySendDetails: report the recorded status of a message
+   */
+  handleQuerySendDetails(params, reply) {
+    const details = this.messages
+      .filter(message => message.phoneNumbers === params.PhoneNumber &&
+        (!params.BizId || message.bizId === params.BizId))
+      .map(message => ({
+        PhoneNum: message.phoneNumbers,
+        SendStatus: message.sendStatus,
+        ErrCode: message.errCode || '',
+        TemplateCode: message.templateCode,
+        Content: `【${message.signName}】${JSON.stringify(message.templateParams)}`,
+        SendDate: formatChinaTime(message.receivedAt),
+        ReceiveDate: message.reportedAt ? formatChinaTime(message.reportedAt) : '',
+        OutId: message.outId || ''
+      }));
+
+    return reply(200, {
+      Code: 'OK',
+      Message: 'OK',
+      TotalCount: details.length,
+      SmsSendDetailDTOs: { SmsSendDetailDTO: details }
+    });
+  }
+
+  /**
+   * Mark a message as delivered or failed; returns the SmsReport push payload item
+   */
+  deliver(bizId, success = true, errCode = success ? 'DELIVERED' : 'MK:0001') {
+    const message = this.messages.find(sent => sent.bizId === bizId);
+
+    if (!message) {
+      return null;
+    }
+
+    message.sendStatus = success ? 3 : 2;
+    message.errCode = errCode;
+    message.reportedAt = new Date();
+
+    return {
+      phone_number: message.phoneNumbers,
+      send_time: formatChinaTime(message.receivedAt),
+      report_time: formatChinaTime(message.reportedAt),
+      success,
+      err_code: errCode,
+      err_msg: success ? '用户接收成功' : '用户接收失败',
+      sms_size: '1',
+      biz_id: message.bizId,
+      out_id: message.outId || ''
+    };
+  }
+}
+
+/**
+ * Format a date as "yyyy-MM-dd HH:mm:ss" in China Standard Time
+ */
+function formatChinaTime(date) {
+  return new Date(date.getTime() + 8 * 60 * 60 * 1000)
+    .toISOString()
+    .replace('T', ' ')
+    .slice(0, 19);
+}
+
+module.exports = FakeDysmsapiServer;
+
+if (require.main === module) {
+  const server = new FakeDysmsapiServer({
+    accessKeyId: process.env.ALIBABA_SMS_ACCESS_KEY_ID,
+    accessKeySecret: process.env.ALIBABA_SMS_ACCESS_KEY_SECRET,
+    port: parseInt(process.env.FAKE_DYSMSAPI_PORT) || 8089
+  });
+
+  server.start().then(endpoint => {
+    logger.info('Fake Dysmsapi listening', { endpoint });
+  });
+}
@@ -0,0 +1,364 @@
+const http = require('http');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const logger = require('../../src/utils/logger.util');
+
+/**
+ * Fake OAuth Server
+ * Local HTTP stand-in for the WeChat, QQ Connect and Weibo OAuth2 APIs. Each
+ * provider's token, identity and profile endpoints answer in that provider's
+ * own format, so the real adapters can be exercised end to end without
+ * network access. Authorization requests are approved immediately.
+ *
+ * Point the *_AUTHORIZE_URL and *_API_BASE_URL variables at it, or run directly:
+ *   node tests/fakes/fake-oauth.server.js
+ */
+class FakeOAuthServer {
+  constructor(options = {}) {
+    this.clients = {
+      wechat: { clientId: 'fake-wechat-app-id', clientSecret: 'fake-wechat-secret' },
+      qq: { clientId: 'fake-qq-app-id', clientSecret: 'fake-qq-app-key' },
+      weibo: { clientId: 'fake-weibo-app-key', clientSecret: 'fake-weibo-secret' },
+      ...options.clients
+    };
+    this.port = options.port || 0;
+    this.users = new Map(); // `${provider}:${key}` -> user
+    this.codes = new Map(); // code -> { provider, userKey, redirectUri }
+    this.tokens = new Map(); // access token -> { provider, userKey }
+    this.failures = []; // Queue of error bodies to return next
+    this.server = null;
+  }
+
+  /**
+   * Create or replace a user at a provider; returns the stored user
+   */
+  addUser(provider, key, profile = {}) {
+    const user = {
+      openid: profile.openid || `${provider}-openid-${key}`,
+      unionid: profile.unionid === undefined ? `${provider}-unionid-${key}` : profile.unionid,
+      uid: profile.uid || String(1000000000 + this.users.size),
+      nickname: profile.nickname || `${provider} user ${key}`,
+      avatar: profile.avatar || `https://fake-oauth.local/avatars/${provider}/${key}.png`
+    };
+
+    this.users.set(`${provider}:${key}`, user);
+    return user;
+  }
+
+  /**
+   * Issue an authorization code as if the user had approved the consent page
+   */
+  issueCode(provider, key, redirectUri = null) {
+    if (!this.users.has(`${provider}:${key}`)) {
+      this.addUser(provider, key);
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    this.codes.set(code, { provider, userKey: key, redirectUri });
+
+    return code;
+  }
+
+  /**
+   * Queue a provider-formatted error for the next API request
+   */
+  failNext(body) {
+    this.failures.push(body);
+  }
+
+  /**
+   * Start listening; resolves with the base URL
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Route an incoming request
+   */
+  handleRequest(req, res) {
+    let body = '';
+
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [path, query = ''] = req.url.split('?');
+      const params = {
+        ...querystring.parse(query),
+        ...(req.method === 'POST' ? querystring.parse(body) : {})
+      };
+
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const redirect = (location) => {
+        res.writeHead(302, { Location: location });
+        res.end();
+      };
+
+      const failure = this.failures.shift();
+      if (failure) {
+        return reply(failure.status || 200, failure.body || failure);
+      }
+
+      switch (path) {
+        case '/connect/qrconnect':
+          return this.handleAuthorize('wechat', params.appid, params, redirect, reply);
+        case '/oauth2.0/authorize':
+          return this.handleAuthorize('qq', params.client_id, params, redirect, reply);
+        case '/oauth2/authorize':
+          return this.handleAuthorize('weibo', params.client_id, params, redirect, reply);
+        case '/sns/oauth2/access_token':
+          return this.handleWechatToken(params, reply);
+        case '/sns/userinfo':
+          return this.handleWechatUserInfo(params, reply);
+        case '/oauth2.0/token':
+          return this.handleQqToken(params, reply);
+        case '/oauth2.0/me':
+          return this.handleQqMe(params, reply);
+        case '/user/get_user_info':
+          return this.handleQqUserInfo(params, reply);
+        case '/oauth2/access_token':
+          return this.handleWeiboToken(params, reply);
+        case '/2/users/show.json':
+          return this.handleWeiboUserShow(params, reply);
+        default:
+          return reply(404, { error: 'not_found' });
+      }
+    });
+  }
+
+  /**
+   * Approve an authorization request for a default user and redirect back
+   */
+  handleAuthorize(provider, clientId, params, redirect, reply) {
+    if (clientId !== this.clients[provider].clientId || !params.redirect_uri) {
+      return reply(400, { error: 'invalid_client' });
+    }
+
+    const code = this.issueCode(provider, params.login_hint || 'default', params.redirect_uri);
+    const separator = params.redirect_uri.includes('?') ? '&' : '?';
+
+    return redirect(`${params.redirect_uri}${separator}${querystring.stringify({ code, state: params.state })}`);
+  }
+
+  /**
+   * Consume a code for a provider, returning a new access token and its user
+   */
+  redeemCode(provider, code, redirectUri) {
+    const grant = this.codes.get(code);
+    this.codes.delete(code);
+
+    if (!grant || grant.provider !== provider) {
+      return null;
+    }
+    if (grant.redirectUri && redirectUri && grant.redirectUri !== redirectUri) {
+      return null;
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    this.tokens.set(accessToken, { provider, userKey: grant.userKey });
+
+    return { accessToken, user: this.users.get(`${provider}:${grant.userKey}`) };
+  }
+
+  /**
+   * Look up the user behind an access token
+   */
+  findTokenUser(provider, accessToken) {
+    const token = this.tokens.get(accessToken);
+    if (!token || token.provider !== provider) {
+      return null;
+    }
+
+    return this.users.get(`${provider}:${token.userKey}`);
+  }
+
+  /**
+   * WeChat: GET /sns/oauth2/access_token
+   */
+  handleWechatToken(params, reply) {
+    const client = this.clients.wechat;
+    if (params.appid !== client.clientId || params.secret !== client.clientSecret) {
+      return reply(200, { errcode: 40125, errmsg: 'invalid appsecret' });
+    }
+
+    const grant = this.redeemCode('wechat', params.code);
+    if (!grant) {
+      return reply(200, { errcode: 40029, errmsg: 'invalid code' });
+    }
+
+    const response = {
+      access_token: grant.accessToken,
+      expires_in: 7200,
+      refresh_token: crypto.randomBytes(24).toString('hex'),
+      openid: grant.user.openid,
+      scope: 'snsapi_login'
+    };
+    if (grant.user.unionid) {
+      response.unionid = grant.user.unionid;
+    }
+
+    return reply(200, response);
+  }
+
+  /**
+   * WeChat: GET /sns/userinfo
+   */
+  handleWechatUserInfo(params, reply) {
+    const user = this.findTokenUser('wechat', params.access_token);
+    if (!user || user.openid !== params.openid) {
+      return reply(200, { errcode: 40001, errmsg: 'invalid credential, access_token is invalid or not latest' });
+    }
+
+    const response = {
+      openid: user.openid,
+      nickname: user.nickname,
+      sex: 0,
+      province: '',
+      city: '',
+      country: 'CN',
+      headimgurl: user.avatar,
+      privilege: []
+    };
+    if (user.unionid) {
+      response.unionid = user.unionid;
+    }
+
+    return reply(200, response);
+  }
+
+  /**
+   * QQ: GET /oauth2.0/token
+   */
+  handleQqToken(params, reply) {
+    const client = this.clients.qq;
+    if (params.client_id !== client.clientId || params.client_secret !== client.clientSecret) {
+      return reply(200, { error: 100016, error_description: 'access token check failed' });
+    }
+
+    const grant = this.redeemCode('qq', params.code, params.redirect_uri);
+    if (!grant) {
+      return reply(200, { error: 100019, error_description: 'code to access token error' });
+    }
+
+    return reply(200, {
+      access_token: grant.accessToken,
+      expires_in: '7776000',
+      refresh_token: crypto.randomBytes(24).toString('hex')
+    });
+  }
+
+  /**
+   * QQ: GET /oauth2.0/me
+   */
+  handleQqMe(params, reply) {
+    const user = this.findTokenUser('qq', params.access_token);
+    if (!user) {
+      return reply(200, { error: 100016, error_description: 'access token check failed' });
+    }
+
+    const response = { client_id: this.clients.qq.clientId, openid: user.openid };
+    if (params.unionid === '1' && user.unionid) {
+      response.unionid = user.unionid;
+    }
+
+    return reply(200, response);
+  }
+
+  /**
+   * QQ: GET /user/get_user_info
+   */
+  handleQqUserInfo(params, reply) {
+    const user = this.findTokenUser('qq', params.access_token);
+    if (!user || user.openid !== params.openid || params.oauth_consumer_key !== this.clients.qq.clientId) {
+      return reply(200, { ret: 100030, msg: 'this api without user authorization' });
+    }
+
+    return reply(200, {
+      ret: 0,
+      msg: '',
+      nickname: user.nickname,
+      figureurl_qq_1: user.avatar,
+      figureurl_qq_2: user.avatar,
+      gender: '男'
+    });
+  }
+
+  /**
+   * Weibo: POST /oauth2/access_token
+   */
+  handleWeiboToken(params, reply) {
+    const client = this.clients.weibo;
+    if (params.client_id !== client.clientId || params.client_secret !== client.clientSecret) {
+      return reply(401, { error: 'invalid_client', error_code: 21324, error_description: 'client id or client secret is invalid' });
+    }
+
+    const grant = this.redeemCode('weibo', params.code, params.redirect_uri);
+    if (!grant) {
+      return reply(400, { error: 'invalid_grant', error_code: 21325, error_description: 'invalid authorization code' });
+    }
+
+    return reply(200, {
+      access_token: grant.accessToken,
+      expires_in: 157679999,
+      remind_in: '157679999',
+      uid: grant.user.uid
+    });
+  }
+
+  /**
+   * Weibo: GET /2/users/show.json
+   */
+  handleWeiboUserShow(params, reply) {
+    const user = this.findTokenUser('weibo', params.access_token);
+    if (!user || user.uid !== params.uid) {
+      return reply(401, { error: 'expired_token', error_code: 21327, request: '/2/users/show.json' });
+    }
+
+    return reply(200, {
+      id: Number(user.uid),
+      idstr: user.uid,
+      screen_name: user.nickname,
+      name: user.nickname,
+      profile_image_url: user.avatar,
+      avatar_large: user.avatar
+    });
+  }
+}
+
+module.exports = FakeOAuthServer;
+
+if (require.main === module) {
+  const server = new FakeOAuthServer({
+    clients: {
+      wechat: { clientId: process.env.WECHAT_APP_ID || 'fake-wechat-app-id', clientSecret: process.env.WECHAT_APP_SECRET || 'fake-wechat-secret' },
+      qq: { clientId: process.env.QQ_APP_ID || 'fake-qq-app-id', clientSecret: process.env.QQ_APP_KEY || 'fake-qq-app-key' },
+      weibo: { clientId: process.env.WEIBO_APP_KEY || 'fake-weibo-app-key', clientSecret: process.env.WEIBO_APP_SECRET || 'fake-weibo-secret' }
+    },
+    port: parseInt(process.env.FAKE_OAUTH_PORT) || 8090
+  });
+
+  server.start().then(baseUrl => {
+    logger.info('Fake OAuth server listening', { baseUrl });
+  });
+}
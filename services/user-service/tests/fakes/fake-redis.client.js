@@ -0,0 +1,98 @@
+/**
+ * Fake Redis Client
+ * In-memory stand-in for shared/libraries/cache/redis.client with the same
+ * JSON serialization and TTL semantics. Set `failing` to simulate an outage.
+ */
+class FakeRedisClient {
+  constructor() {
+    this.isConnected = true;
+    this.failing = false;
+    this.store = new Map();
+  }
+
+  isReady() {
+    return this.isConnected && !this.failing;
+  }
+
+  async connect() {
+    this.isConnected = true;
+  }
+
+  async quit() {
+    this.isConnected = false;
+  }
+
+  async set(key, value, ttl = null) {
+    this.assertAvailable();
+    this.store.set(key, { value: JSON.stringify(value), expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+  }
+
+  async get(key) {
+    this.assertAvailable();
+    const entry = this.read(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async del(key) {
+    this.assertAvailable();
+    const existed = Boolean(this.read(key));
+    this.store.delete(key);
+    return existed ? 1 : 0;
+  }
+
+  async exists(key) {
+    this.assertAvailable();
+    return Boolean(this.read(key));
+  }
+
+  async expire(key, ttl) {
+    this.assertAvailable();
+    const entry = this.read(key);
+    if (!entry) {
+      return false;
+    }
+    entry.expiresAt = Date.now() + ttl * 1000;
+    return true;
+  }
+
+  async mget(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async incr(key) {
+    this.assertAvailable();
+    const entry = this.read(key);
+    const value = (entry ? parseInt(JSON.parse(entry.value)) : 0) + 1;
+    this.store.set(key, { value: JSON.stringify(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  }
+
+  async flushdb() {
+    this.store.clear();
+  }
+
+  /**
+   * Live entry for a key, dropping it once expired
+   */
+  read(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  assertAvailable() {
+    if (this.failing) {
+      throw new Error('Redis connection lost');
+    }
+  }
+
+  reset() {
+    this.failing = false;
+    this.store.clear();
+  }
+}
+
+module.exports = FakeRedisClient;
@@ -0,0 +1,189 @@
+const net = require('net');
+const logger = require('../../src/utils/logger.util');
+
+/**
+ * Fake SMTP Server
+ * Local plain-text SMTP relay (RFC 5321) that accepts EHLO, AUTH PLAIN and
+ * LOGIN, MAIL, RCPT and DATA and keeps every message it receives, so the SMTP
+ * provider can be exercised over a real socket. STARTTLS is never offered.
+ *
+ * Point SMTP_HOST and SMTP_PORT at it (with SMTP_REQUIRE_TLS=false), or run directly:
+ *   node tests/fakes/fake-smtp.server.js
+ */
+class FakeSmtpServer {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.username = options.username || 'mailer';
+    this.password = options.password || 'mailer-password';
+    this.messages = []; // { from, to, auth, data }
+    this.rejectRecipients = []; // Addresses answered with 550
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Start listening; resolves with the port
+   */
+  start() {
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Run the SMTP dialogue for one client connection
+   */
+  handleConnection(socket) {
+    const session = { auth: null, from: null, to: [], data: null, pending: null };
+    let buffer = '';
+
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.setEncoding('utf8');
+
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        this.handleLine(session, line, reply, socket);
+      }
+    });
+
+    reply('220 fake-smtp.local ESMTP ready');
+  }
+
+  /**
+   * Answer one line of client input
+   */
+  handleLine(session, line, reply, socket) {
+    if (session.data !== null) {
+      if (line === '.') {
+        this.messages.push({
+          from: session.from,
+          to: session.to,
+          auth: session.auth,
+          data: session.data.join('\r\n')
+        });
+        session.data = null;
+        return reply('250 2.0.0 Message accepted');
+      }
+      session.data.push(line.startsWith('..') ? line.slice(1) : line);
+      return undefined;
+    }
+
+    if (session.pending) {
+      return session.pending(line);
+    }
+
+    const [verb, ...rest] = line.split(' ');
+    const argument = rest.join(' ');
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply('250-fake-smtp.local');
+        reply('250-8BITMIME');
+        return reply('250 AUTH PLAIN LOGIN');
+      case 'HELO':
+        return reply('250 fake-smtp.local');
+      case 'AUTH':
+        return this.handleAuth(session, argument, reply);
+      case 'MAIL':
+        session.from = argument.replace(/^FROM:<([^>]*)>.*$/i, '$1');
+        session.to = [];
+        return reply('250 2.1.0 Sender OK');
+      case 'RCPT': {
+        const recipient = argument.replace(/^TO:<([^>]*)>.*$/i, '$1');
+        if (this.rejectRecipients.includes(recipient)) {
+          return reply('550 5.1.1 Mailbox unavailable');
+        }
+        session.to.push(recipient);
+        return reply('250 2.1.5 Recipient OK');
+      }
+      case 'DATA':
+        if (!session.from || session.to.length === 0) {
+          return reply('503 5.5.1 Need MAIL and RCPT first');
+        }
+        session.data = [];
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        session.from = null;
+        session.to = [];
+        return reply('250 2.0.0 OK');
+      case 'NOOP':
+        return reply('250 2.0.0 OK');
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        return socket.end();
+      default:
+        return reply('502 5.5.2 Command not recognized');
+    }
+  }
+
+  /**
+   * AUTH PLAIN (inline or on the next line) and AUTH LOGIN
+   */
+  handleAuth(session, argument, reply) {
+    const [mechanism, initial] = argument.split(' ');
+    const decode = value => Buffer.from(value, 'base64').toString('utf8');
+    const finish = (username, password) => {
+      session.pending = null;
+      if (username !== this.username || password !== this.password) {
+        return reply('535 5.7.8 Authentication credentials invalid');
+      }
+      session.auth = { mechanism: mechanism.toUpperCase(), username };
+      return reply('235 2.7.0 Authentication successful');
+    };
+
+    if (mechanism.toUpperCase() === 'PLAIN') {
+      const plain = value => {
+        const [, username, password] = decode(value).split('\0');
+        return finish(username, password);
+      };
+      if (initial) {
+        return plain(initial);
+      }
+      session.pending = plain;
+      return reply('334 ');
+    }
+
+    if (mechanism.toUpperCase() === 'LOGIN') {
+      session.pending = username => {
+        session.pending = password => finish(decode(username), decode(password));
+        reply(`334 ${Buffer.from('Password:').toString('base64')}`);
+      };
+      return reply(`334 ${Buffer.from('Username:').toString('base64')}`);
+    }
+
+    return reply('504 5.5.4 Unrecognized authentication type');
+  }
+}
+
+module.exports = FakeSmtpServer;
+
+if (require.main === module) {
+  const server = new FakeSmtpServer({ port: parseInt(process.env.FAKE_SMTP_PORT) || 2525 });
+  server.start().then(port => {
+    logger.info('Fake SMTP server listening', { port });
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Jest setup: the shared libraries are mounted next to this service in
+ * deployments. Unit tests load the dependency-free response helpers from the
+ * repository and replace the Redis client and token denylist with fakes.
+ * Shared modules loaded from the repository resolve their packages from this
+ * service's node_modules (jest `modulePaths`), as they do under /app/shared.
+ */
+jest.mock('../../shared/libraries/cache/redis.client', () => {
+  const FakeRedisClient = require('./fakes/fake-redis.client');
+  return new FakeRedisClient();
+}, { virtual: true });
+
+jest.mock('../../shared/libraries/auth/token.denylist', () => ({
+  revoke: jest.fn(async () => true),
+  isRevoked: jest.fn(async () => false)
+}), { virtual: true });
+
+jest.mock('../../shared/utils/api.response', () => (
+  jest.requireActual(require('path').resolve(__dirname, '../../../shared/utils/api.response'))
+), { virtual: true });
@@ -0,0 +1,162 @@
+const authMiddleware = require('../../../src/middleware/auth.middleware');
+const sessionService = require('../../../src/services/session.service');
+const sessionBindingService = require('../../../src/services/session-binding.service');
+const jwtUtil = require('../../../src/utils/jwt.util');
+const { AuditLog } = require('../../../src/models');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const mockRequest = (headers = {}, props = {}) => ({
+  get: name => headers[name],
+  ip: '203.0.113.5',
+  requestId: 'request-1',
+  ...props
+});
+
+describe('requireRecentAuth', () => {
+  const middleware = authMiddleware.requireRecentAuth(300);
+  const user = { userId: 7, sessionId: 'session-1' };
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const run = async headers => {
+    const req = mockRequest(headers, { user: { ...user } });
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { req, res, next };
+  };
+
+  const expectReauthentication = ({ res, next }, message) => {
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: { code: 'REAUTHENTICATION_REQUIRED', message: expect.stringContaining(message), details: { max_age: 300 } }
+    }));
+  };
+
+  it('asks for re-authentication without an X-Recent-Auth header', async () => {
+    expectReauthentication(await run({}), 'confirm your identity');
+  });
+
+  it('passes with a fresh token for the same session', async () => {
+    const authTime = now() - 60;
+    const token = jwtUtil.generateRecentAuthToken(7, 'session-1', { method: 'password', authTime });
+
+    const { req, res, next } = await run({ 'X-Recent-Auth': token });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.user.authTime).toBe(authTime);
+  });
+
+  it('rejects a token issued to another session', async () => {
+    const token = jwtUtil.generateRecentAuthToken(7, 'session-2', { method: 'password', authTime: now() });
+
+    expectReauthentication(await run({ 'X-Recent-Auth': token }), 'another session');
+  });
+
+  it('rejects a token whose re-authentication is older than the route allows', async () => {
+    const token = jwtUtil.generateRecentAuthToken(7, 'session-1', { method: 'password', authTime: now() - 301 });
+
+    expectReauthentication(await run({ 'X-Recent-Auth': token }), 'too old');
+  });
+
+  it('rejects an access token in place of a re-authentication token', async () => {
+    const { access_token } = jwtUtil.generateTokenPair({ userId: 7, sessionId: 'session-1' });
+
+    expectReauthentication(await run({ 'X-Recent-Auth': access_token }), 'Invalid re-authentication token');
+  });
+});
+
+describe('authenticate session binding', () => {
+  const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const config = sessionBindingService.config;
+  const saved = {};
+  let updateSessionActivity;
+
+  beforeEach(() => {
+    redisClient.reset();
+    Object.assign(saved, {
+      validateIP: config.validateIP,
+      validateUserAgent: config.validateUserAgent,
+      ipMismatchAction: config.ipMismatchAction,
+      ipAsnDatabase: config.ipAsnDatabase
+    });
+    Object.assign(config, { validateIP: true, validateUserAgent: true, ipMismatchAction: 'step_up', ipAsnDatabase: null });
+
+    jest.spyOn(sessionService, 'getSession').mockResolvedValue({
+      session_id: 'session-1',
+      user_id: 7,
+      ip_address: '203.0.113.5',
+      user_agent: chrome,
+      isValid: () => true
+    });
+    updateSessionActivity = jest.spyOn(sessionService, 'updateSessionActivity').mockResolvedValue();
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+    jest.restoreAllMocks();
+  });
+
+  const run = async (ip, { stepUpRoute = false } = {}) => {
+    const token = jwtUtil.generateAccessToken({ userId: 7, sessionId: 'session-1', deviceId: 'web-1' });
+    const req = mockRequest({ Authorization: `Bearer ${token}`, 'User-Agent': chrome }, { ip });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    if (stepUpRoute) {
+      authMiddleware.allowSessionStepUp(req, res, () => {});
+    }
+    await authMiddleware.authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  const errorCode = res => res.json.mock.calls[0][0].error.code;
+
+  it('accepts and re-binds a request from the same network', async () => {
+    const { next } = await run('203.0.113.77');
+
+    expect(next).toHaveBeenCalledWith();
+    expect(updateSessionActivity).toHaveBeenCalledWith('session-1', '203.0.113.77', chrome);
+    expect(AuditLog.logAction).not.toHaveBeenCalled();
+  });
+
+  it('asks for re-authentication when the session moves to another network', async () => {
+    const { res, next } = await run('198.51.100.4');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(errorCode(res)).toBe('REAUTHENTICATION_REQUIRED');
+    expect(updateSessionActivity).not.toHaveBeenCalled();
+    expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'session_binding_mismatch',
+      newValues: { reaction: 'step_up', mismatches: ['ip_address'] }
+    }));
+  });
+
+  it('lets the re-authentication routes through without re-binding the session', async () => {
+    const { req, next } = await run('198.51.100.4', { stepUpRoute: true });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toMatchObject({ userId: 7, sessionId: 'session-1' });
+    // The old binding stays until re-authentication confirms the new client
+    expect(updateSessionActivity).toHaveBeenCalledWith('session-1', null, null);
+  });
+
+  it('rejects a mismatch configured to reject even on the re-authentication routes', async () => {
+    config.ipMismatchAction = 'reject';
+
+    const { res, next } = await run('198.51.100.4', { stepUpRoute: true });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(errorCode(res)).toBe('SESSION_BINDING_MISMATCH');
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('rate-limit-redis', () => jest.fn(), { virtual: true });
+
+const rateLimitMiddleware = require('../../../src/middleware/rate-limit.middleware');
+const challengeService = require('../../../src/services/challenge.service');
+const securityConfig = require('../../../src/config/security.config');
+const StubCaptchaProvider = require('../../../src/providers/captcha/stub-captcha.provider');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('requireChallenge', () => {
+  const { ipThreshold } = securityConfig.abuseChallenge;
+
+  const run = async (middleware, body = {}) => {
+    const req = { body: { phone: '+8613800138000', ...body }, ip: '203.0.113.5', path: '/login' };
+    const next = jest.fn();
+    await middleware(req, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  beforeEach(() => {
+    redisClient.reset();
+    challengeService.localCounters.clear();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('challenges requests past the threshold', async () => {
+    const middleware = rateLimitMiddleware.requireChallenge('login');
+
+    for (let i = 0; i < ipThreshold; i++) {
+      expect(await run(middleware, { phone: `+86138000000${i}` })).toBeUndefined();
+    }
+
+    expect(await run(middleware, { phone: '+8613800000099' })).toMatchObject({ errorCode: 'CHALLENGE_REQUIRED' });
+  });
+
+  it('keeps counting in memory while Redis is unavailable', async () => {
+    const middleware = rateLimitMiddleware.requireChallenge('login');
+    redisClient.failing = true;
+
+    for (let i = 0; i < ipThreshold; i++) {
+      expect(await run(middleware, { phone: `+86138000000${i}` })).toBeUndefined();
+    }
+
+    // Past the threshold the challenge cannot be stored, so the request is refused
+    expect(await run(middleware, { phone: '+8613800000099' })).toMatchObject({ statusCode: 503 });
+  });
+
+  it('fails closed when the request cannot be counted', async () => {
+    jest.spyOn(challengeService, 'recordRequest').mockRejectedValue(new Error('unexpected'));
+
+    expect(await run(rateLimitMiddleware.requireChallenge('otp'))).toMatchObject({ statusCode: 503 });
+  });
+});
+
+describe('StubCaptchaProvider', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  it('is refused in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(() => new StubCaptchaProvider({ stubPassToken: 'secret' })).toThrow(/production/);
+  });
+
+  it('accepts nothing without a configured pass token', async () => {
+    const provider = new StubCaptchaProvider({ stubPassToken: null });
+
+    expect(await provider.verify('stub-captcha-pass')).toBe(false);
+  });
+
+  it('accepts only the configured pass token', async () => {
+    const provider = new StubCaptchaProvider({ stubPassToken: 'local-pass' });
+
+    expect(await provider.verify('local-pass')).toBe(true);
+    expect(await provider.verify('local-pas')).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+const alibabaSmsConfig = require('../../../src/config/alibaba-sms.config');
+const alibabaRpcUtil = require('../../../src/utils/alibaba-rpc.util');
+const AlibabaSmsProvider = require('../../../src/providers/sms/alibaba-sms.provider');
+const MockSmsProvider = require('../../../src/providers/sms/mock-sms.provider');
+const FakeDysmsapiServer = require('../../fakes/fake-dysmsapi.server');
+
+describe('AlibabaSmsProvider', () => {
+  let server;
+  let provider;
+
+  beforeAll(async () => {
+    server = new FakeDysmsapiServer();
+    const endpoint = await server.start();
+
+    provider = new AlibabaSmsProvider({
+      ...alibabaSmsConfig.sms,
+      endpoint,
+      accessKeyId: server.accessKeyId,
+      accessKeySecret: server.accessKeySecret,
+      retry: { enabled: true, maxAttempts: 2, retryDelay: 1, backoffMultiplier: 1 }
+    });
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.messages = [];
+    server.failures = [];
+  });
+
+  it('sends a signed SendSms request', async () => {
+    const result = await provider.send({
+      phone: '+86-138-0013-8000',
+      templateKey: 'login',
+      templateParams: { code: '123456' },
+      outId: 'dispatch-1'
+    });
+
+    expect(result.provider).toBe('alibaba');
+    expect(result.message_id).toBe(server.messages[0].bizId);
+    expect(server.messages[0]).toMatchObject({
+      phoneNumbers: '13800138000',
+      templateCode: alibabaSmsConfig.sms.templates.login,
+      templateParams: { code: '123456' },
+      outId: 'dispatch-1'
+    });
+  });
+
+  it('retries retryable provider errors', async () => {
+    server.failNext('isp.SYSTEM_ERROR');
+
+    await provider.send({ phone: '13800138000', templateKey: 'login', templateParams: { code: '1' } });
+
+    expect(server.messages).toHaveLength(1);
+  });
+
+  it.each(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET'])('does not resend after %s, the SMS may have gone out', async code => {
+    const call = jest.spyOn(alibabaRpcUtil, 'call').mockRejectedValue(Object.assign(new Error('timeout'), { code }));
+
+    try {
+      await expect(provider.send({ phone: '13800138000', templateKey: 'login' })).rejects.toMatchObject({ code });
+      expect(call).toHaveBeenCalledTimes(1);
+    } finally {
+      call.mockRestore();
+    }
+  });
+
+  it('retries a connection that was refused before sending', async () => {
+    const call = jest.spyOn(alibabaRpcUtil, 'call')
+      .mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    try {
+      await provider.send({ phone: '13800138000', templateKey: 'login' });
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(server.messages).toHaveLength(1);
+    } finally {
+      call.mockRestore();
+    }
+  });
+
+  it('does not retry rejected requests', async () => {
+    server.failNext('isv.MOBILE_NUMBER_ILLEGAL');
+
+    await expect(provider.send({ phone: '1', templateKey: 'login' }))
+      .rejects.toMatchObject({ errorCode: 'SMS_PROVIDER_ERROR', details: { providerCode: 'isv.MOBILE_NUMBER_ILLEGAL' } });
+    expect(server.messages).toHaveLength(0);
+  });
+
+  it('fails when the signature does not match', async () => {
+    const unsigned = new AlibabaSmsProvider({ ...provider.config, accessKeySecret: 'wrong-secret' });
+
+    await expect(unsigned.send({ phone: '13800138000', templateKey: 'login' }))
+      .rejects.toMatchObject({ details: { providerCode: 'SignatureDoesNotMatch' } });
+  });
+
+  it('reports delivery through QuerySendDetails', async () => {
+    const { message_id: messageId } = await provider.send({ phone: '13800138000', templateKey: 'login' });
+    server.deliver(messageId);
+
+    const status = await provider.queryDeliveryStatus({ phone: '13800138000', messageId, sentAt: new Date() });
+
+    expect(status).toMatchObject({ messageId, status: 'delivered', providerStatus: 'DELIVERED' });
+  });
+});
+
+describe('FakeDysmsapiServer', () => {
+  it('rejects TemplateParam that is not JSON', () => {
+    const server = new FakeDysmsapiServer();
+    const reply = jest.fn();
+
+    server.handleSendSms({ PhoneNumbers: '13800138000', SignName: 'Lianxin', TemplateCode: 'SMS_002', TemplateParam: '{' }, reply);
+
+    expect(reply).toHaveBeenCalledWith(200, expect.objectContaining({ Code: 'isv.INVALID_JSON_PARAM' }));
+    expect(server.messages).toHaveLength(0);
+  });
+});
+
+describe('MockSmsProvider', () => {
+  it('sends every message without delay by default', async () => {
+    const mock = new MockSmsProvider(alibabaSmsConfig.sms, alibabaSmsConfig.development);
+
+    for (let i = 0; i < 50; i++) {
+      await mock.send({ phone: '13800138000', templateKey: 'login', templateParams: { code: String(i) } });
+    }
+
+    expect(mock.sentMessages).toHaveLength(50);
+    expect(mock.responseDelay).toBe(0);
+  });
+});
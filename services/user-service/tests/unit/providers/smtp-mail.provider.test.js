@@ -0,0 +1,77 @@
+const SmtpMailProvider = require('../../../src/providers/mail/smtp-mail.provider');
+const FakeSmtpServer = require('../../fakes/fake-smtp.server');
+
+describe('SmtpMailProvider', () => {
+  let server;
+  let port;
+
+  const createProvider = (smtp = {}) => new SmtpMailProvider({
+    from: 'Lianxin <no-reply@lianxin.com>',
+    smtp: {
+      host: '127.0.0.1',
+      port,
+      secure: false,
+      requireTls: false,
+      username: 'mailer',
+      password: 'mailer-password',
+      clientName: 'lianxin-user-service',
+      timeout: 2000,
+      ...smtp
+    }
+  });
+
+  const message = { to: '张三 <zhangsan@example.com>', subject: '验证您的邮箱', text: 'Line one\n.\nLine three' };
+
+  beforeAll(async () => {
+    server = new FakeSmtpServer();
+    port = await server.start();
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.messages = [];
+    server.rejectRecipients = [];
+  });
+
+  it('authenticates and submits the message to the envelope recipient', async () => {
+    const result = await createProvider().send(message);
+
+    expect(server.messages).toHaveLength(1);
+    const [received] = server.messages;
+    expect(received).toMatchObject({
+      from: 'no-reply@lianxin.com',
+      to: ['zhangsan@example.com'],
+      auth: { username: 'mailer' }
+    });
+    expect(received.data).toContain(`Message-ID: <${result.message_id}>`);
+    expect(received.data).toContain('Subject: =?UTF-8?B?');
+
+    const body = received.data.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+    expect(Buffer.from(body, 'base64').toString('utf8')).toBe('Line one\r\n.\r\nLine three');
+    expect(result.transport).toBe('smtp');
+  });
+
+  it('sends without AUTH when no username is configured', async () => {
+    await createProvider({ username: undefined }).send(message);
+
+    expect(server.messages[0].auth).toBeNull();
+  });
+
+  it.each([
+    ['rejected credentials', () => createProvider({ password: 'wrong' })],
+    ['a relay without STARTTLS while TLS is required', () => createProvider({ requireTls: true })],
+    ['an unreachable relay', () => createProvider({ port: 1 })]
+  ])('reports %s as a transport error', async (_, provider) => {
+    await expect(provider().send(message))
+      .rejects.toMatchObject({ statusCode: 502, errorCode: 'MAIL_TRANSPORT_ERROR' });
+    expect(server.messages).toHaveLength(0);
+  });
+
+  it('reports a rejected recipient as a transport error', async () => {
+    server.rejectRecipients = ['zhangsan@example.com'];
+
+    await expect(createProvider().send(message))
+      .rejects.toMatchObject({ errorCode: 'MAIL_TRANSPORT_ERROR' });
+  });
+});
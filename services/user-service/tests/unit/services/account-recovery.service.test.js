@@ -0,0 +1,184 @@
+const accountRecoveryService = require('../../../src/services/account-recovery.service');
+const settingsService = require('../../../src/services/settings.service');
+const sessionService = require('../../../src/services/session.service');
+const lockoutService = require('../../../src/services/lockout.service');
+const mfaService = require('../../../src/services/mfa.service');
+const encryptionService = require('../../../src/services/encryption.service');
+const phoneUtil = require('../../../src/utils/phone.util');
+const { sequelize, User, UserSession, AccountRecoveryCase, AuditLog } = require('../../../src/models');
+
+describe('AccountRecoveryService', () => {
+  const HOUR = 60 * 60 * 1000;
+  const lostPhone = phoneUtil.validatePhoneNumber('+8613800138000').formatted;
+  const newPhone = phoneUtil.validatePhoneNumber('+8613900139000').formatted;
+  const enabled = accountRecoveryService.config.enabled;
+  let cases;
+  let user;
+  let sendSms;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    accountRecoveryService.config.enabled = true;
+
+    user = {
+      id: 7,
+      status: 'active',
+      email_verified_at: null,
+      toJSON: () => ({ id: 7, phone: lostPhone, first_name: 'Wei', last_name: 'Zhang', birth_date: '1990-05-01' })
+    };
+    jest.spyOn(User, 'findByPhone').mockImplementation(async phone => (phone === lostPhone ? user : null));
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(encryptionService, 'decryptUserData').mockImplementation(async data => data);
+
+    cases = [];
+    jest.spyOn(AccountRecoveryCase, 'create').mockImplementation(async values => {
+      const recoveryCase = AccountRecoveryCase.build({ status: 'pending_review', created_at: new Date(), ...values });
+      recoveryCase.update = jest.fn(async changes => Object.assign(recoveryCase, changes));
+      cases.push(recoveryCase);
+      return recoveryCase;
+    });
+    jest.spyOn(AccountRecoveryCase, 'findByCaseId').mockImplementation(async caseId => (
+      cases.find(recoveryCase => recoveryCase.case_id === caseId) || null
+    ));
+    jest.spyOn(AccountRecoveryCase, 'findOpenByUserId').mockImplementation(async userId => (
+      cases.find(recoveryCase => recoveryCase.user_id === userId && recoveryCase.isOpen()) || null
+    ));
+
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+    sendSms = jest.spyOn(accountRecoveryService, 'sendSms').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    accountRecoveryService.config.enabled = enabled;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const submit = (evidence = {}) => accountRecoveryService.submitCase({
+    phone: '+8613800138000',
+    new_phone: '+8613900139000',
+    description: 'Lost my SIM card',
+    ...evidence
+  }, { ipAddress: '198.51.100.7' });
+
+  describe('submitting a case', () => {
+    it('scores the evidence and tells the lost number', async () => {
+      jest.spyOn(mfaService, 'verifyMfaCode').mockResolvedValue({ method: 'backup_code' });
+      jest.spyOn(UserSession, 'findAll').mockResolvedValue([
+        { device_info: { device_id: 'old-phone' }, created_at: new Date('2026-02-01T00:00:00Z') }
+      ]);
+
+      const submitted = await submit({
+        backup_code: 'ABCD-1234',
+        device_id: 'old-phone',
+        real_name: { first_name: 'wei', last_name: 'Zhang ', birth_date: '1990-05-01T00:00:00Z' }
+      });
+
+      expect(submitted).toMatchObject({ status: 'pending_review', case_token: expect.any(String) });
+      expect(cases[0]).toMatchObject({ user_id: 7, evidence_score: 3, ip_address: '198.51.100.7' });
+      expect(cases[0].evidence).toMatchObject({
+        backup_code: { provided: true, valid: true },
+        device: { provided: true, recognized: true },
+        real_name: { matched: ['first_name', 'last_name', 'birth_date'] },
+        description: 'Lost my SIM card'
+      });
+      expect(cases[0].new_phone).not.toContain('0013 9000');
+      await expect(encryptionService.decryptValue(cases[0].new_phone)).resolves.toBe(newPhone);
+      expect(sendSms).toHaveBeenCalledWith(lostPhone, expect.objectContaining({ event: 'Account recovery requested' }));
+    });
+
+    it('gives no credit for evidence that does not match', async () => {
+      jest.spyOn(mfaService, 'verifyMfaCode').mockRejectedValue(new Error('Invalid code'));
+
+      await submit({ backup_code: 'WRONG-CODE', real_name: { first_name: 'Li', last_name: 'Zhang' } });
+
+      expect(cases[0].evidence_score).toBe(0);
+      expect(cases[0].evidence.real_name).toEqual({
+        provided: ['first_name', 'last_name'],
+        checked: ['first_name', 'last_name'],
+        matched: ['last_name']
+      });
+    });
+
+    it('allows one open case per account', async () => {
+      await submit();
+
+      await expect(submit()).rejects.toMatchObject({ statusCode: 409 });
+      expect(cases).toHaveLength(1);
+    });
+
+    it('is refused while account recovery is disabled', async () => {
+      accountRecoveryService.config.enabled = false;
+
+      await expect(submit()).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('completing a case', () => {
+    const otp = { verification_id: 'verification-1', otp_code: '123456' };
+    let bindPhoneNumber;
+    let revokeAllUserSessions;
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue({ commit: jest.fn(), rollback: jest.fn() });
+      bindPhoneNumber = jest.spyOn(settingsService, 'bindPhoneNumber').mockResolvedValue(newPhone);
+      revokeAllUserSessions = jest.spyOn(sessionService, 'revokeAllUserSessions').mockResolvedValue(2);
+      jest.spyOn(lockoutService, 'unlockAll').mockResolvedValue();
+    });
+
+    it('only binds the new phone after approval and the cooling-off period', async () => {
+      const { case_id, case_token } = await submit();
+
+      await expect(accountRecoveryService.completeCase(case_id, case_token, otp))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'RECOVERY_CASE_NOT_APPROVED' });
+
+      await accountRecoveryService.approveCase(case_id, 1, 'Device and backup code match');
+      await expect(accountRecoveryService.completeCase(case_id, case_token, otp))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'RECOVERY_COOLING_OFF' });
+      expect(bindPhoneNumber).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(72 * HOUR);
+      const completed = await accountRecoveryService.completeCase(case_id, case_token, otp);
+
+      expect(completed).toMatchObject({ status: 'completed', phone: newPhone });
+      expect(bindPhoneNumber).toHaveBeenCalledWith(user, { new_phone: newPhone, ...otp }, expect.anything());
+      expect(revokeAllUserSessions).toHaveBeenCalledWith(7);
+      expect(lockoutService.unlockAll).toHaveBeenCalledWith(7);
+      expect(sendSms).toHaveBeenLastCalledWith(lostPhone,
+        expect.objectContaining({ event: 'Phone number replaced by account recovery' }));
+    });
+
+    it('rejects a requester without the case token', async () => {
+      const { case_id } = await submit();
+
+      await expect(accountRecoveryService.getCaseStatus(case_id, 'guessed-token'))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('lets the owner stop an approved case during cooling-off', async () => {
+      const { case_id, case_token } = await submit();
+      await accountRecoveryService.approveCase(case_id, 1);
+
+      await expect(accountRecoveryService.cancelByOwner(7, { sessionId: 'owner-session' }))
+        .resolves.toMatchObject({ status: 'cancelled' });
+      jest.advanceTimersByTime(72 * HOUR);
+
+      await expect(accountRecoveryService.completeCase(case_id, case_token, otp))
+        .rejects.toMatchObject({ errorCode: 'RECOVERY_CASE_NOT_APPROVED' });
+      expect(cases[0].cancelled_by).toBe('owner');
+      expect(bindPhoneNumber).not.toHaveBeenCalled();
+    });
+
+    it('expires an approval that is not completed in time', async () => {
+      const { case_id, case_token } = await submit();
+      await accountRecoveryService.approveCase(case_id, 1);
+
+      jest.advanceTimersByTime((72 + 7 * 24) * HOUR + 1);
+
+      await expect(accountRecoveryService.completeCase(case_id, case_token, otp))
+        .rejects.toMatchObject({ errorCode: 'RECOVERY_CASE_NOT_APPROVED' });
+      expect(cases[0].status).toBe('expired');
+      await expect(accountRecoveryService.getOwnerCase(7)).resolves.toBeNull();
+    });
+  });
+});
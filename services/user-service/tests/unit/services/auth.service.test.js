@@ -0,0 +1,110 @@
+const authService = require('../../../src/services/auth.service');
+const sessionService = require('../../../src/services/session.service');
+const lockoutService = require('../../../src/services/lockout.service');
+const { UserSession, RefreshToken } = require('../../../src/models');
+
+describe('AuthService.completeLogin', () => {
+  const loginContext = { device_id: 'device-1', ipAddress: '203.0.113.5', userAgent: 'jest' };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each(['password', 'otp', 'passkey', 'biometric', 'social', 'qr_code'])(
+    'refuses a %s login while a password reset is required',
+    async loginMethod => {
+      const user = { id: 7, password_reset_required: true, failed_login_attempts: 0, update: jest.fn() };
+      const createSession = jest.spyOn(sessionService, 'createSession');
+
+      await expect(authService.completeLogin(user, { phone: '+8613800138000' }, { ...loginContext, loginMethod }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'PASSWORD_CHANGE_REQUIRED' });
+      expect(user.update).not.toHaveBeenCalled();
+      expect(createSession).not.toHaveBeenCalled();
+    }
+  );
+});
+
+describe('AuthService refresh token rotation', () => {
+  let sessions;
+  let refreshTokens;
+
+  const user = { id: 7, failed_login_attempts: 0, login_count: 3, update: jest.fn() };
+  const loginContext = { device_id: 'device-1', device_type: 'mobile', ipAddress: '203.0.113.5', userAgent: 'jest', loginMethod: 'password' };
+
+  beforeEach(() => {
+    sessions = [];
+    refreshTokens = [];
+
+    jest.spyOn(lockoutService, 'clearFailures').mockResolvedValue();
+    jest.spyOn(sessionService, 'isDeviceTrusted').mockResolvedValue(true);
+    jest.spyOn(sessionService, 'enforceSessionLimit').mockResolvedValue([]);
+
+    jest.spyOn(UserSession, 'create').mockImplementation(async values => {
+      const session = {
+        ...values,
+        session_id: `session-${sessions.length + 1}`,
+        is_active: true,
+        created_at: new Date(),
+        save: jest.fn(),
+        isValid() { return this.is_active; },
+        isExpired: () => false,
+        isRevoked() { return !this.is_active; },
+        revoke: jest.fn(async function() { this.is_active = false; })
+      };
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(UserSession, 'findByRefreshToken').mockImplementation(async token => (
+      sessions.find(session => session.refresh_token === token && session.is_active) || null
+    ));
+    jest.spyOn(UserSession, 'findOne').mockImplementation(async ({ where }) => (
+      sessions.find(session => session.session_id === where.session_id && !where.revoke_reason) || null
+    ));
+
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async values => {
+      const record = { ...values, isRotated() { return this.status === 'rotated'; } };
+      refreshTokens.push(record);
+      return record;
+    });
+    jest.spyOn(RefreshToken, 'findByJti').mockImplementation(async jti => refreshTokens.find(record => record.jti === jti) || null);
+    jest.spyOn(RefreshToken, 'markRotated').mockImplementation(async jti => {
+      const record = refreshTokens.find(entry => entry.jti === jti && entry.status === 'active');
+      if (record) {
+        record.status = 'rotated';
+      }
+      return Boolean(record);
+    });
+    jest.spyOn(RefreshToken, 'revokeFamily').mockImplementation(async sessionId => {
+      const family = refreshTokens.filter(record => record.session_id === sessionId && record.status !== 'revoked');
+      family.forEach(record => { record.status = 'revoked'; });
+      return family.length;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns the refresh token recorded for the new session', async () => {
+    const { tokens } = await authService.completeLogin(user, { phone: '+8613800138000' }, loginContext);
+
+    expect(sessions[0].refresh_token).toBe(tokens.refresh_token);
+    expect(refreshTokens).toEqual([expect.objectContaining({
+      session_id: 'session-1',
+      jti: tokens.refresh_token_jti,
+      parent_jti: null,
+      status: 'active'
+    })]);
+  });
+
+  it('refreshes with the login token and revokes the session when it is replayed', async () => {
+    const { tokens: loginTokens } = await authService.completeLogin(user, { phone: '+8613800138000' }, loginContext);
+
+    const { tokens: refreshed } = await authService.refreshTokens(loginTokens.refresh_token);
+    expect(refreshed.refresh_token).not.toBe(loginTokens.refresh_token);
+    expect(sessions[0].refresh_token).toBe(refreshed.refresh_token);
+
+    await expect(authService.refreshTokens(loginTokens.refresh_token))
+      .rejects.toMatchObject({ errorCode: 'REFRESH_TOKEN_REUSED' });
+
+    expect(sessions[0].is_active).toBe(false);
+    expect(refreshTokens.map(record => record.status)).toEqual(['revoked', 'revoked']);
+    await expect(authService.refreshTokens(refreshed.refresh_token)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
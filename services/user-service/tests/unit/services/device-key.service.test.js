@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const deviceKeyService = require('../../../src/services/device-key.service');
+const authService = require('../../../src/services/auth.service');
+const encryptionService = require('../../../src/services/encryption.service');
+const securityConfig = require('../../../src/config/security.config');
+const { User, DeviceKey, AuditLog } = require('../../../src/models');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('DeviceKeyService', () => {
+  const { features } = securityConfig.app;
+  const biometricAuth = features.biometricAuth;
+  const deviceKeyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const otherKeyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const login = { tokens: { access_token: 'access-token' } };
+  let keys;
+  let completeLogin;
+
+  beforeEach(() => {
+    redisClient.reset();
+    features.biometricAuth = true;
+
+    keys = [];
+    jest.spyOn(DeviceKey, 'update').mockImplementation(async ({ revoked_at }, { where }) => {
+      const replaced = keys.filter(key => key.user_id === where.user_id && key.device_id === where.device_id && !key.revoked_at);
+      replaced.forEach(key => { key.revoked_at = revoked_at; });
+      return [replaced.length];
+    });
+    jest.spyOn(DeviceKey, 'create').mockImplementation(async values => {
+      const deviceKey = DeviceKey.build({ id: keys.length + 1, ...values });
+      deviceKey.update = jest.fn(async changes => Object.assign(deviceKey, changes));
+      keys.push(deviceKey);
+      return deviceKey;
+    });
+    jest.spyOn(DeviceKey, 'findActiveByKeyId').mockImplementation(async keyId => (
+      keys.find(key => key.key_id === keyId && !key.revoked_at) || null
+    ));
+
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 7, toJSON: () => ({ id: 7 }) });
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+    jest.spyOn(authService, 'ensureCanLogin').mockResolvedValue();
+    jest.spyOn(encryptionService, 'decryptUserData').mockImplementation(async user => user);
+    completeLogin = jest.spyOn(authService, 'completeLogin').mockResolvedValue(login);
+  });
+
+  afterEach(() => {
+    features.biometricAuth = biometricAuth;
+    jest.restoreAllMocks();
+  });
+
+  const sign = (challenge, privateKey = deviceKeyPair.privateKey) => (
+    crypto.sign('sha256', Buffer.from(challenge, 'utf8'), privateKey).toString('base64')
+  );
+
+  const exportKey = publicKey => publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+  const register = async (deviceId = 'phone-1', keyPair = deviceKeyPair) => {
+    const { challenge } = await deviceKeyService.generateRegistrationChallenge(7, deviceId);
+    return await deviceKeyService.registerKey(7, deviceId, {
+      public_key: exportKey(keyPair.publicKey),
+      algorithm: 'ES256',
+      signature: sign(challenge, keyPair.privateKey),
+      device_name: 'iPhone'
+    });
+  };
+
+  const biometricLogin = async (keyId, { privateKey, device_id = 'phone-1' } = {}) => {
+    const { challenge_id, challenge } = await deviceKeyService.generateLoginChallenge({ key_id: keyId });
+    return {
+      challenge_id,
+      key_id: keyId,
+      signature: sign(challenge, privateKey),
+      device_id,
+      ipAddress: '203.0.113.5'
+    };
+  };
+
+  it('signs the user in with a nonce signed by the registered device key', async () => {
+    const { key_id } = await register();
+
+    await expect(deviceKeyService.verifyLogin(await biometricLogin(key_id))).resolves.toBe(login);
+    expect(completeLogin).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 7 }),
+      { id: 7 },
+      expect.objectContaining({ device_id: 'phone-1', loginMethod: 'biometric' })
+    );
+    expect(keys[0].update).toHaveBeenCalledWith({ last_used_at: expect.any(Date) });
+  });
+
+  it('answers each login challenge once', async () => {
+    const { key_id } = await register();
+    const attempt = await biometricLogin(key_id);
+
+    await deviceKeyService.verifyLogin(attempt);
+
+    await expect(deviceKeyService.verifyLogin(attempt)).rejects.toMatchObject({ statusCode: 401 });
+    expect(completeLogin).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a signature from another key or a login from another device', async () => {
+    const { key_id } = await register();
+
+    await expect(deviceKeyService.verifyLogin(await biometricLogin(key_id, { privateKey: otherKeyPair.privateKey })))
+      .rejects.toThrow('Invalid device key signature');
+    await expect(deviceKeyService.verifyLogin(await biometricLogin(key_id, { device_id: 'phone-2' })))
+      .rejects.toThrow('Device key is not registered');
+    expect(completeLogin).not.toHaveBeenCalled();
+  });
+
+  it('replaces the previous key when a device registers again', async () => {
+    const { key_id: oldKeyId } = await register();
+    await register('phone-1', otherKeyPair);
+
+    await expect(deviceKeyService.verifyLogin(await biometricLogin(oldKeyId)))
+      .rejects.toThrow('Device key is not registered');
+    expect(keys.filter(key => !key.revoked_at)).toHaveLength(1);
+  });
+
+  it('refuses to register a key without proof of the private key', async () => {
+    const { challenge } = await deviceKeyService.generateRegistrationChallenge(7, 'phone-1');
+
+    await expect(deviceKeyService.registerKey(7, 'phone-1', {
+      public_key: exportKey(deviceKeyPair.publicKey),
+      algorithm: 'ES256',
+      signature: sign(challenge, otherKeyPair.privateKey)
+    })).rejects.toThrow('Invalid device key signature');
+    expect(DeviceKey.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses keys that do not fit the algorithm', () => {
+    const { publicKey: rsaKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+
+    expect(() => deviceKeyService.parsePublicKey(exportKey(rsaKey), 'ES256')).toThrow('does not match ES256');
+    expect(() => deviceKeyService.parsePublicKey(exportKey(rsaKey), 'RS256')).toThrow('does not match RS256');
+    expect(() => deviceKeyService.parsePublicKey(exportKey(deviceKeyPair.publicKey), 'HS256'))
+      .toThrow('Unsupported device key algorithm');
+  });
+
+  it('is unavailable while the biometricAuth feature is off', async () => {
+    features.biometricAuth = false;
+
+    await expect(deviceKeyService.generateLoginChallenge({ key_id: 'key-1' }))
+      .rejects.toMatchObject({ statusCode: 403, errorCode: 'FEATURE_DISABLED' });
+  });
+});
@@ -0,0 +1,64 @@
+const encryptionService = require('../../../src/services/encryption.service');
+const encryptionUtil = require('../../../src/utils/encryption.util');
+const { User } = require('../../../src/models');
+
+describe('phone blind index', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('finds a user by the hash stored when the phone was encrypted', async () => {
+    const encrypted = await encryptionService.encryptUserData({ phone: '+8613800138000' });
+    expect(encrypted.phone).not.toContain('13800138000');
+    expect(encrypted.phone_hash).toMatch(/^[0-9a-f]{64}$/);
+
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    await User.findByPhone('+8613800138000 ');
+
+    expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { phone_hash: encrypted.phone_hash } }));
+  });
+
+  it('depends on the blind index key', () => {
+    const original = encryptionUtil.blindIndexKey;
+    const hash = encryptionUtil.blindIndex('+8613800138000');
+
+    try {
+      encryptionUtil.blindIndexKey = 'another-blind-index-key';
+      expect(encryptionUtil.blindIndex('+8613800138000')).not.toBe(hash);
+    } finally {
+      encryptionUtil.blindIndexKey = original;
+    }
+  });
+});
+
+describe('blind index key configuration', () => {
+  const loadEncryptionConfig = env => {
+    const saved = { ...process.env };
+    delete process.env.ENCRYPTION_BLIND_INDEX_KEY;
+    Object.assign(process.env, env);
+    try {
+      let config;
+      jest.isolateModules(() => {
+        config = require('../../../src/config/security.config').encryption;
+      });
+      return config;
+    } finally {
+      process.env = saved;
+    }
+  };
+
+  it('refuses to start in production without ENCRYPTION_BLIND_INDEX_KEY', () => {
+    expect(() => loadEncryptionConfig({ NODE_ENV: 'production', ENCRYPTION_PRIMARY_KEY: 'primary-key' }))
+      .toThrow('ENCRYPTION_BLIND_INDEX_KEY must be set in production');
+  });
+
+  it('uses the configured key in production', () => {
+    const config = loadEncryptionConfig({ NODE_ENV: 'production', ENCRYPTION_BLIND_INDEX_KEY: 'blind-index-key' });
+
+    expect(config.blindIndexKey).toBe('blind-index-key');
+  });
+
+  it('falls back to the primary key outside production', () => {
+    const config = loadEncryptionConfig({ NODE_ENV: 'development', ENCRYPTION_PRIMARY_KEY: 'primary-key' });
+
+    expect(config.blindIndexKey).toBe('primary-key');
+  });
+});
@@ -0,0 +1,89 @@
+const { EncryptionKeyRotation } = require('../../../src/models');
+const encryptionUtil = require('../../../src/utils/encryption.util');
+const keyRotationService = require('../../../src/services/key-rotation.service');
+
+function buildRotation(fields = {}) {
+  const rotation = {
+    id: 1,
+    key_version: encryptionUtil.activeKeyVersion,
+    status: 'running',
+    progress: {},
+    error_count: 0,
+    last_error: null,
+    reload: jest.fn().mockResolvedValue(),
+    update: jest.fn(async changes => Object.assign(rotation, changes)),
+    ...fields
+  };
+  return rotation;
+}
+
+describe('KeyRotationService', () => {
+  let rotation;
+
+  beforeEach(() => {
+    rotation = buildRotation();
+    jest.spyOn(EncryptionKeyRotation, 'findActive').mockResolvedValue(rotation);
+    keyRotationService.retryDelay = 1;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('retries a batch that fails transiently', async () => {
+    jest.spyOn(keyRotationService, 'processBatch')
+      .mockRejectedValueOnce(new Error('Deadlock found'))
+      .mockResolvedValue(true);
+
+    const result = await keyRotationService.processActiveRotation();
+
+    expect(result.status).toBe('completed');
+    expect(result.error_count).toBe(0);
+  });
+
+  it('keeps the rotation running when a run exhausts its retries', async () => {
+    const processBatch = jest.spyOn(keyRotationService, 'processBatch')
+      .mockRejectedValue(new Error('Connection lost'));
+
+    const result = await keyRotationService.processActiveRotation();
+
+    expect(processBatch).toHaveBeenCalledTimes(keyRotationService.maxBatchAttempts);
+    expect(result).toMatchObject({ status: 'running', error_count: 1, last_error: 'Connection lost' });
+  });
+
+  it('fails after the configured number of runs without progress', async () => {
+    rotation.error_count = keyRotationService.maxFailedRuns - 1;
+    jest.spyOn(keyRotationService, 'processBatch').mockRejectedValue(new Error('Connection lost'));
+
+    const result = await keyRotationService.processActiveRotation();
+
+    expect(result.status).toBe('failed');
+    expect(result.error_count).toBe(keyRotationService.maxFailedRuns);
+  });
+
+  it('resets the failure count when a run makes progress', async () => {
+    rotation.error_count = keyRotationService.maxFailedRuns - 1;
+    jest.spyOn(keyRotationService, 'processBatch')
+      .mockResolvedValueOnce(true)
+      .mockRejectedValue(new Error('Connection lost'));
+
+    const result = await keyRotationService.processActiveRotation();
+
+    expect(result).toMatchObject({ status: 'running', error_count: 1 });
+  });
+
+  it('resumes a failed rotation', async () => {
+    const failed = buildRotation({ status: 'failed', error_count: 6, completed_at: new Date() });
+    jest.spyOn(EncryptionKeyRotation, 'findByPk').mockResolvedValue(failed);
+    EncryptionKeyRotation.findActive.mockResolvedValue(null);
+    jest.spyOn(require('../../../src/models').AuditLog, 'logAction').mockResolvedValue();
+
+    const result = await keyRotationService.resumeRotation(1, 42);
+
+    expect(result).toMatchObject({ status: 'running', error_count: 0, completed_at: null });
+  });
+
+  it('refuses to resume a rotation that is not failed', async () => {
+    jest.spyOn(EncryptionKeyRotation, 'findByPk').mockResolvedValue(buildRotation());
+
+    await expect(keyRotationService.resumeRotation(1, 42)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const securityConfig = require('../../../src/config/security.config');
+const { getKmsProvider, LocalKmsProvider } = require('../../../src/providers/kms');
+const kmsService = require('../../../src/services/kms.service');
+const encryptionService = require('../../../src/services/encryption.service');
+const encryptionUtil = require('../../../src/utils/encryption.util');
+
+describe('envelope encryption', () => {
+  const hsmConfig = securityConfig.encryption.hsmConfig;
+  const saved = { ...hsmConfig };
+  const enabled = kmsService.enabled;
+  let keyDir;
+  let provider;
+
+  beforeAll(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-kms-'));
+    Object.assign(hsmConfig, { provider: 'local', localKeyFile: path.join(keyDir, 'keys.json') });
+    provider = getKmsProvider();
+  });
+
+  afterAll(() => {
+    Object.assign(hsmConfig, saved);
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    kmsService.enabled = true;
+    kmsService.cacheTtl = 60000;
+    kmsService.cacheMaxEntries = 100;
+    kmsService.clearCache();
+  });
+
+  afterEach(() => {
+    kmsService.enabled = enabled;
+    jest.restoreAllMocks();
+  });
+
+  describe('LocalKmsProvider', () => {
+    it('unwraps a data key with the master key persisted in the key file', async () => {
+      const { keyId, plaintext, ciphertextBlob } = await provider.generateDataKey('test-key');
+
+      expect(keyId).toBe('test-key');
+      expect(plaintext).toHaveLength(32);
+      expect(ciphertextBlob).not.toContain(plaintext.toString('base64'));
+
+      // A new process reads the same master key from disk
+      const restarted = new LocalKmsProvider(hsmConfig);
+      await expect(restarted.decryptDataKey(ciphertextBlob)).resolves.toEqual(plaintext);
+    });
+
+    it('refuses a blob wrapped under an unknown key', async () => {
+      const { ciphertextBlob } = await provider.generateDataKey('test-key');
+      const blob = JSON.parse(Buffer.from(ciphertextBlob, 'base64').toString('utf8'));
+      const foreign = Buffer.from(JSON.stringify({ ...blob, keyId: 'missing-key' })).toString('base64');
+
+      await expect(provider.decryptDataKey(foreign)).rejects.toMatchObject({ errorCode: 'KMS_KEY_NOT_FOUND' });
+    });
+  });
+
+  describe('KmsService data key cache', () => {
+    it('unwraps each data key once while it is cached', async () => {
+      const { ciphertextBlob, plaintext } = await provider.generateDataKey('test-key');
+      const unwrap = jest.spyOn(provider, 'decryptDataKey');
+
+      const keys = await Promise.all([kmsService.getDataKey(ciphertextBlob), kmsService.getDataKey(ciphertextBlob)]);
+      await kmsService.getDataKey(ciphertextBlob);
+
+      expect(keys).toEqual([plaintext, plaintext]);
+      expect(unwrap).toHaveBeenCalledTimes(1);
+    });
+
+    it('unwraps again once the cached key expires', async () => {
+      const { ciphertextBlob } = await provider.generateDataKey('test-key');
+      const unwrap = jest.spyOn(provider, 'decryptDataKey');
+
+      await kmsService.getDataKey(ciphertextBlob);
+      kmsService.cache.get(ciphertextBlob).expiresAt = Date.now() - 1;
+      await kmsService.getDataKey(ciphertextBlob);
+
+      expect(unwrap).toHaveBeenCalledTimes(2);
+    });
+
+    it('evicts the oldest data keys when the cache is full', () => {
+      kmsService.cacheMaxEntries = 2;
+
+      kmsService.cacheDataKey('first', Buffer.alloc(32));
+      kmsService.cacheDataKey('second', Buffer.alloc(32));
+      kmsService.cacheDataKey('third', Buffer.alloc(32));
+
+      expect([...kmsService.cache.keys()]).toEqual(['second', 'third']);
+    });
+  });
+
+  describe('EncryptionService', () => {
+    it('encrypts each record under its own wrapped data key', async () => {
+      const [first, second] = await Promise.all([
+        encryptionService.encryptUserData({ first_name: 'Wei' }),
+        encryptionService.encryptUserData({ first_name: 'Wei' })
+      ]);
+
+      const firstKey = encryptionUtil.getWrappedKey(first.first_name);
+      expect(firstKey).toBeTruthy();
+      expect(encryptionUtil.getWrappedKey(second.first_name)).not.toBe(firstKey);
+    });
+
+    it('prefetches every wrapped key before a bulk decrypt', async () => {
+      const users = await Promise.all(['Wei', 'Li', 'Ming'].map(first_name =>
+        encryptionService.encryptUserData({ first_name })
+      ));
+      kmsService.clearCache();
+      const unwrap = jest.spyOn(provider, 'decryptDataKey');
+      const prefetch = jest.spyOn(kmsService, 'prefetchDataKeys');
+
+      const decrypted = await encryptionService.bulkDecryptUsers(users);
+
+      expect(decrypted.map(user => user.first_name)).toEqual(['Wei', 'Li', 'Ming']);
+      expect(prefetch).toHaveBeenCalledTimes(1);
+      expect(unwrap).toHaveBeenCalledTimes(3);
+    });
+  });
+});
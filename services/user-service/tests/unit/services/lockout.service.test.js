@@ -0,0 +1,94 @@
+const { AuditLog } = require('../../../src/models');
+const lockoutService = require('../../../src/services/lockout.service');
+const sessionService = require('../../../src/services/session.service');
+const securityConfig = require('../../../src/config/security.config');
+const jwtUtil = require('../../../src/utils/jwt.util');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('LockoutService', () => {
+  const { maxFailedAttempts } = securityConfig.password;
+  const ipAddress = '203.0.113.5';
+  let user;
+
+  const lockOut = async () => {
+    for (let i = 0; i < maxFailedAttempts; i++) {
+      await lockoutService.recordFailure(user, { ipAddress });
+    }
+  };
+
+  beforeEach(() => {
+    redisClient.reset();
+    user = { id: 7, failed_login_attempts: 0, last_failed_login: null };
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+    jest.spyOn(sessionService, 'isDeviceTrusted').mockResolvedValue(true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts concurrent failures without losing any', async () => {
+    await Promise.all(Array.from({ length: maxFailedAttempts }, () => (
+      lockoutService.recordFailure(user, { ipAddress })
+    )));
+
+    const lockout = await lockoutService.getLockout(user, ipAddress);
+    expect(lockout).toMatchObject({ failures: maxFailedAttempts, locked: true });
+  });
+
+  it('falls back to the account failure count while Redis is unavailable', async () => {
+    redisClient.failing = true;
+    user.failed_login_attempts = maxFailedAttempts;
+    user.last_failed_login = new Date();
+
+    await expect(lockoutService.assertNotLocked(user, { ipAddress }))
+      .rejects.toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+  });
+
+  it('lets the attempt through on Redis failure when the account has few failures', async () => {
+    redisClient.failing = true;
+    user.failed_login_attempts = maxFailedAttempts - 1;
+    user.last_failed_login = new Date();
+
+    await expect(lockoutService.assertNotLocked(user, { ipAddress })).resolves.toBeUndefined();
+  });
+
+  describe('trusted devices', () => {
+    beforeEach(lockOut);
+
+    it('keeps a copied device ID locked out', async () => {
+      await expect(lockoutService.assertNotLocked(user, { ipAddress, deviceId: 'owner-phone' }))
+        .rejects.toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+    });
+
+    it('lets the device that holds its device token through', async () => {
+      const deviceToken = jwtUtil.generateDeviceTrustToken(user.id, 'owner-phone');
+
+      await expect(lockoutService.assertNotLocked(user, { ipAddress, deviceId: 'owner-phone', deviceToken }))
+        .resolves.toBeUndefined();
+    });
+
+    it.each([
+      ['another device', 7, 'other-phone'],
+      ['another user', 8, 'owner-phone']
+    ])('rejects a device token issued to %s', async (_, userId, deviceId) => {
+      const deviceToken = jwtUtil.generateDeviceTrustToken(userId, deviceId);
+
+      await expect(lockoutService.assertNotLocked(user, { ipAddress, deviceId: 'owner-phone', deviceToken }))
+        .rejects.toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+    });
+
+    it('rejects a device token once the device has no recent session', async () => {
+      sessionService.isDeviceTrusted.mockResolvedValue(false);
+      const deviceToken = jwtUtil.generateDeviceTrustToken(user.id, 'owner-phone');
+
+      await expect(lockoutService.assertNotLocked(user, { ipAddress, deviceId: 'owner-phone', deviceToken }))
+        .rejects.toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+    });
+  });
+
+  it('lifts every lockout of an account', async () => {
+    await lockOut();
+
+    expect(await lockoutService.unlockAll(user.id)).toEqual([ipAddress]);
+    expect((await lockoutService.getLockout(user, ipAddress)).locked).toBe(false);
+  });
+});
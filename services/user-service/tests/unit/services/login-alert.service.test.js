@@ -0,0 +1,59 @@
+const { User, UserSession, DeviceKey, WebauthnCredential, AuditLog } = require('../../../src/models');
+const loginAlertService = require('../../../src/services/login-alert.service');
+const sessionService = require('../../../src/services/session.service');
+const jwtUtil = require('../../../src/utils/jwt.util');
+
+describe('LoginAlertService.revokeFromAlert', () => {
+  let user;
+
+  beforeEach(() => {
+    user = { id: 7, update: jest.fn().mockResolvedValue() };
+
+    jest.spyOn(jwtUtil, 'verifyLoginAlertToken').mockReturnValue({ userId: 7, sessionId: 'session-1' });
+    jest.spyOn(UserSession, 'findBySessionId').mockResolvedValue({
+      session_id: 'session-1',
+      user_id: 7,
+      ip_address: '203.0.113.5',
+      device_info: { device_id: 'attacker-device' }
+    });
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(sessionService, 'revokeTokenFamily').mockResolvedValue(1);
+    jest.spyOn(DeviceKey, 'revokeByDevice').mockResolvedValue(1);
+    jest.spyOn(WebauthnCredential, 'destroyByDevice').mockResolvedValue(2);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('revokes the session, the keys registered from its device and the password', async () => {
+    const result = await loginAlertService.revokeFromAlert('token');
+
+    expect(sessionService.revokeTokenFamily).toHaveBeenCalledWith('session-1', 'login_alert_reported');
+    expect(DeviceKey.revokeByDevice).toHaveBeenCalledWith(7, 'attacker-device');
+    expect(WebauthnCredential.destroyByDevice).toHaveBeenCalledWith(7, 'attacker-device');
+    expect(user.update).toHaveBeenCalledWith({ password_reset_required: true });
+    expect(result).toEqual({
+      session_revoked: true,
+      revoked_device_keys: 1,
+      removed_passkeys: 2,
+      password_reset_required: true
+    });
+  });
+
+  it('leaves keys alone when the session has no device', async () => {
+    UserSession.findBySessionId.mockResolvedValue({ session_id: 'session-1', user_id: 7, device_info: {} });
+
+    const result = await loginAlertService.revokeFromAlert('token');
+
+    expect(DeviceKey.revokeByDevice).not.toHaveBeenCalled();
+    expect(WebauthnCredential.destroyByDevice).not.toHaveBeenCalled();
+    expect(result.password_reset_required).toBe(true);
+  });
+
+  it('rejects a token for a session of another user', async () => {
+    UserSession.findBySessionId.mockResolvedValue({ session_id: 'session-1', user_id: 8, device_info: {} });
+
+    await expect(loginAlertService.revokeFromAlert('token')).rejects.toMatchObject({ statusCode: 401 });
+    expect(sessionService.revokeTokenFamily).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+const mfaService = require('../../../src/services/mfa.service');
+const authService = require('../../../src/services/auth.service');
+const lockoutService = require('../../../src/services/lockout.service');
+const encryptionService = require('../../../src/services/encryption.service');
+const totpUtil = require('../../../src/utils/totp.util');
+const encryptionUtil = require('../../../src/utils/encryption.util');
+const jwtUtil = require('../../../src/utils/jwt.util');
+const { User, UserMfa } = require('../../../src/models');
+const { AuthError } = require('../../../src/errors/authError');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('MfaService.verifyMfaCode', () => {
+  const secret = totpUtil.generateSecret();
+
+  const enrollment = (overrides = {}) => ({
+    id: 11,
+    user_id: 7,
+    totp_secret: encryptionUtil.encrypt(secret),
+    last_used_step: null,
+    backup_codes: [],
+    ...overrides
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the TOTP step before accepting the code', async () => {
+    jest.spyOn(UserMfa, 'findEnabledByUserId').mockResolvedValue(enrollment());
+    const claim = jest.spyOn(UserMfa, 'claimTotpStep').mockResolvedValue(true);
+    const step = totpUtil.getTimeStep();
+
+    await expect(mfaService.verifyMfaCode(7, totpUtil.generateCode(secret, step))).resolves.toBe('totp');
+    expect(claim).toHaveBeenCalledWith(11, step);
+  });
+
+  it('rejects a TOTP code whose step another request claimed first', async () => {
+    jest.spyOn(UserMfa, 'findEnabledByUserId').mockResolvedValue(enrollment());
+    jest.spyOn(UserMfa, 'claimTotpStep').mockResolvedValue(false);
+
+    await expect(mfaService.verifyMfaCode(7, totpUtil.generateCode(secret)))
+      .rejects.toMatchObject({ errorCode: 'INVALID_OTP' });
+  });
+
+  it('uses a backup code once', async () => {
+    const hashedCode = mfaService.hashBackupCode('ABCDE-FGHJK');
+    jest.spyOn(UserMfa, 'findEnabledByUserId').mockResolvedValue(enrollment({ backup_codes: [hashedCode] }));
+    const consume = jest.spyOn(UserMfa, 'consumeBackupCode')
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+
+    await expect(mfaService.verifyMfaCode(7, 'ABCDE-FGHJK')).resolves.toBe('backup_code');
+    await expect(mfaService.verifyMfaCode(7, 'ABCDE-FGHJK')).rejects.toMatchObject({ errorCode: 'INVALID_OTP' });
+    expect(consume).toHaveBeenCalledWith(11, hashedCode);
+  });
+});
+
+describe('AuthService.completeMfaLogin', () => {
+  const user = {
+    id: 7,
+    isSuspended: () => false,
+    toJSON: () => ({ id: 7 })
+  };
+
+  beforeEach(() => {
+    redisClient.reset();
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(lockoutService, 'assertNotLocked').mockResolvedValue();
+    jest.spyOn(encryptionService, 'decryptUserData').mockResolvedValue({ id: 7 });
+    jest.spyOn(authService, 'handleFailedLogin').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const challengeToken = () => jwtUtil.generateMfaChallengeToken(7, {
+    loginMethod: 'password',
+    device: { device_id: 'device-1' }
+  });
+
+  it('signs in once per challenge token', async () => {
+    jest.spyOn(mfaService, 'verifyMfaCode').mockResolvedValue('totp');
+    const completeLogin = jest.spyOn(authService, 'completeLogin').mockResolvedValue({ access_token: 'token' });
+    const mfa_token = challengeToken();
+
+    await authService.completeMfaLogin({ mfa_token, code: '123456', ipAddress: '203.0.113.5' });
+
+    await expect(authService.completeMfaLogin({ mfa_token, code: '654321', ipAddress: '203.0.113.5' }))
+      .rejects.toMatchObject({ statusCode: 401 });
+    expect(completeLogin).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets the user retry the same challenge after a wrong code', async () => {
+    jest.spyOn(mfaService, 'verifyMfaCode')
+      .mockRejectedValueOnce(AuthError.invalidOTP('Invalid authentication code'))
+      .mockResolvedValueOnce('totp');
+    const completeLogin = jest.spyOn(authService, 'completeLogin').mockResolvedValue({ access_token: 'token' });
+    const mfa_token = challengeToken();
+
+    await expect(authService.completeMfaLogin({ mfa_token, code: '000000', ipAddress: '203.0.113.5' }))
+      .rejects.toMatchObject({ errorCode: 'INVALID_OTP' });
+    expect(authService.handleFailedLogin).toHaveBeenCalledTimes(1);
+
+    await expect(authService.completeMfaLogin({ mfa_token, code: '123456', ipAddress: '203.0.113.5' }))
+      .resolves.toEqual({ access_token: 'token' });
+    expect(completeLogin).toHaveBeenCalledWith(user, { id: 7 }, expect.objectContaining({ mfaMethod: 'totp' }));
+  });
+});
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oauthService = require('../../../src/services/oauth.service');
+const signingKeyService = require('../../../src/services/signing-key.service');
+const jwtUtil = require('../../../src/utils/jwt.util');
+const { User, UserSession, OAuthClient, OAuthConsent, OAuthToken, AuditLog, JwtSigningKey } = require('../../../src/models');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('OAuthService', () => {
+  const redirectUri = 'https://partner.example.com/callback';
+  const secret = 'partner-client-secret';
+  const client = OAuthClient.build({
+    id: 3,
+    client_id: 'lx_partner',
+    client_secret_hash: oauthService.hashSecret(secret),
+    client_type: 'confidential',
+    name: 'Partner',
+    redirect_uris: [redirectUri],
+    allowed_scopes: ['openid', 'profile', 'offline_access'],
+    status: 'active'
+  });
+  const credentials = { clientId: 'lx_partner', clientSecret: secret };
+  const saved = {};
+  let tokens;
+
+  beforeEach(async () => {
+    redisClient.reset();
+
+    Object.assign(saved, {
+      jwt: { algorithm: jwtUtil.algorithm, isAsymmetric: jwtUtil.isAsymmetric },
+      signing: { algorithm: signingKeyService.algorithm, keys: signingKeyService.keys },
+      oidcEnabled: oauthService.oidcEnabled
+    });
+    Object.assign(jwtUtil, { algorithm: 'ES256', isAsymmetric: true });
+    Object.assign(signingKeyService, { algorithm: 'ES256', keys: new Map() });
+    oauthService.oidcEnabled = true;
+
+    const keys = [];
+    jest.spyOn(JwtSigningKey, 'create').mockImplementation(async values => { keys.push(values); });
+    jest.spyOn(JwtSigningKey, 'findVerificationKeys').mockImplementation(async () => keys);
+    jest.spyOn(JwtSigningKey, 'supersedeAll').mockResolvedValue(0);
+    await signingKeyService.initialize();
+
+    tokens = [];
+    jest.spyOn(OAuthToken, 'create').mockImplementation(async values => { tokens.push(values); });
+    jest.spyOn(OAuthClient, 'findByClientId').mockImplementation(async clientId => (
+      clientId === client.client_id ? client : null
+    ));
+    jest.spyOn(OAuthConsent, 'findByUserAndClient').mockResolvedValue(null);
+    jest.spyOn(OAuthConsent, 'create').mockResolvedValue({});
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+    jest.spyOn(UserSession, 'findBySessionId').mockResolvedValue({ created_at: '2026-03-01T00:00:00Z' });
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 7, uuid: 'user-uuid-7', canLogin: () => true });
+  });
+
+  afterEach(() => {
+    Object.assign(jwtUtil, saved.jwt);
+    Object.assign(signingKeyService, saved.signing);
+    oauthService.oidcEnabled = saved.oidcEnabled;
+    jest.restoreAllMocks();
+  });
+
+  const pkce = () => {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    return { verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url') };
+  };
+
+  const authorize = async (challenge, scope = 'openid profile') => {
+    const { redirect_to } = await oauthService.decideAuthorization(7, {
+      client_id: client.client_id,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope,
+      state: 'xyz',
+      nonce: 'nonce-1',
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    }, true, { sessionId: 'session-1' });
+
+    const url = new URL(redirect_to);
+    expect(url.origin + url.pathname).toBe(redirectUri);
+    expect(url.searchParams.get('state')).toBe('xyz');
+    return url.searchParams.get('code');
+  };
+
+  const exchange = (code, verifier, params = {}) => oauthService.exchangeToken({
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: verifier,
+    redirect_uri: redirectUri,
+    ...params
+  }, credentials);
+
+  const verifyWithJwks = token => {
+    const { kid } = jwt.decode(token, { complete: true }).header;
+    const jwk = signingKeyService.getJwks().keys.find(key => key.kid === kid);
+    return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: [jwk.alg],
+      issuer: oauthService.config.issuer,
+      audience: client.client_id
+    });
+  };
+
+  describe('authorization code exchange', () => {
+    it('issues tokens and an ID token partners can verify through the JWKS', async () => {
+      const { verifier, challenge } = pkce();
+      const code = await authorize(challenge);
+
+      const response = await exchange(code, verifier);
+
+      expect(response).toMatchObject({ token_type: 'Bearer', scope: 'openid profile' });
+      expect(response.refresh_token).toBeUndefined();
+      expect(tokens).toEqual([expect.objectContaining({
+        token_type: 'access',
+        token_hash: oauthService.hashToken(response.access_token),
+        user_id: 7,
+        client_id: 3
+      })]);
+      expect(verifyWithJwks(response.id_token)).toMatchObject({
+        sub: 'user-uuid-7',
+        nonce: 'nonce-1',
+        at_hash: oauthService.hashAccessTokenForIdToken(response.access_token),
+        auth_time: Math.floor(new Date('2026-03-01T00:00:00Z').getTime() / 1000)
+      });
+    });
+
+    it('rejects a code_verifier that does not match the challenge', async () => {
+      const { challenge } = pkce();
+      const code = await authorize(challenge);
+
+      await expect(exchange(code, pkce().verifier)).rejects.toMatchObject({ oauthCode: 'invalid_grant' });
+      expect(tokens).toHaveLength(0);
+    });
+
+    it('redeems a code only once', async () => {
+      const { verifier, challenge } = pkce();
+      const code = await authorize(challenge);
+
+      const results = await Promise.allSettled([exchange(code, verifier), exchange(code, verifier)]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      await expect(exchange(code, verifier)).rejects.toMatchObject({ oauthCode: 'invalid_grant' });
+    });
+
+    it('rejects a redirect_uri that differs from the authorization request', async () => {
+      const { verifier, challenge } = pkce();
+      const code = await authorize(challenge);
+
+      await expect(exchange(code, verifier, { redirect_uri: 'https://partner.example.com/other' }))
+        .rejects.toMatchObject({ oauthCode: 'invalid_grant' });
+    });
+
+    it('refuses authorization requests without S256 PKCE', async () => {
+      await expect(oauthService.decideAuthorization(7, {
+        client_id: client.client_id,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        scope: 'profile',
+        code_challenge: pkce().verifier,
+        code_challenge_method: 'plain'
+      }, true)).rejects.toMatchObject({ oauthCode: 'invalid_request' });
+    });
+  });
+
+  describe('OpenID Connect with HS256', () => {
+    beforeEach(() => {
+      Object.assign(jwtUtil, { algorithm: 'HS256', isAsymmetric: false });
+      oauthService.oidcEnabled = false;
+    });
+
+    it('rejects the openid scope and hides discovery', async () => {
+      await expect(authorize(pkce().challenge)).rejects.toMatchObject({ oauthCode: 'invalid_scope' });
+      expect(oauthService.getDiscoveryDocument()).toBeNull();
+    });
+
+    it('never signs an ID token with the access token secret', async () => {
+      await expect(oauthService.issueTokens(client, { id: 7, uuid: 'user-uuid-7' }, ['openid'], { grantId: 'grant-1' }))
+        .rejects.toMatchObject({ oauthCode: 'invalid_scope' });
+      expect(() => jwtUtil.generateIdToken({}, { audience: client.client_id })).toThrow('RS256 or ES256');
+    });
+
+    it('still runs the plain OAuth2 flow', async () => {
+      const { verifier, challenge } = pkce();
+      const code = await authorize(challenge, 'profile');
+
+      const response = await exchange(code, verifier);
+
+      expect(response.access_token).toBeTruthy();
+      expect(response.id_token).toBeUndefined();
+    });
+  });
+
+  it('advertises the algorithm ID tokens are signed with', () => {
+    expect(oauthService.getDiscoveryDocument()).toMatchObject({
+      id_token_signing_alg_values_supported: ['ES256'],
+      scopes_supported: expect.arrayContaining(['openid']),
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const passkeyService = require('../../../src/services/passkey.service');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('PasskeyService', () => {
+  describe('coseToPublicKey', () => {
+    const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+
+    const es256Key = (overrides = {}) => new Map(Object.entries({
+      1: 2,
+      3: -7,
+      '-1': 1,
+      '-2': Buffer.from(jwk.x, 'base64url'),
+      '-3': Buffer.from(jwk.y, 'base64url'),
+      ...overrides
+    }).map(([label, value]) => [Number(label), value]));
+
+    it('imports an ES256 key', () => {
+      const result = passkeyService.coseToPublicKey(es256Key());
+
+      expect(result.algorithm).toBe(-7);
+      expect(result.publicKey.export({ format: 'jwk' })).toMatchObject({ x: jwk.x, y: jwk.y });
+    });
+
+    it.each([
+      ['a missing coordinate', { '-3': undefined }],
+      ['a text coordinate', { '-2': 'not-bytes' }],
+      ['an integer coordinate', { '-3': 7 }]
+    ])('rejects %s as a client error', (_, overrides) => {
+      expect(() => passkeyService.coseToPublicKey(es256Key(overrides)))
+        .toThrow(expect.objectContaining({ statusCode: 401, errorCode: 'PASSKEY_VERIFICATION_FAILED' }));
+    });
+
+    it('rejects an RSA key without a modulus', () => {
+      const coseKey = new Map([[1, 3], [3, -257], [-2, Buffer.from([1, 0, 1])]]);
+
+      expect(() => passkeyService.coseToPublicKey(coseKey))
+        .toThrow(expect.objectContaining({ errorCode: 'PASSKEY_VERIFICATION_FAILED' }));
+    });
+  });
+
+  it('stores challenges in the Redis client the app connects', async () => {
+    const options = await passkeyService.generateAuthenticationOptions();
+
+    expect(await redisClient.exists(`webauthn:authentication:${options.challenge_id}`)).toBe(true);
+  });
+});
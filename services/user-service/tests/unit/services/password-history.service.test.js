@@ -0,0 +1,64 @@
+const passwordHistoryService = require('../../../src/services/password-history.service');
+const settingsService = require('../../../src/services/settings.service');
+const encryptionService = require('../../../src/services/encryption.service');
+const passwordUtil = require('../../../src/utils/password.util');
+const { User, PasswordHistory } = require('../../../src/models');
+
+describe('PasswordHistoryService', () => {
+  const saltRounds = passwordUtil.saltRounds;
+  let hashes;
+
+  beforeAll(async () => {
+    passwordUtil.saltRounds = 4;
+    hashes = {};
+    for (const password of ['Current#Pass1', 'Previous#Pass2', 'Older#Pass3']) {
+      hashes[password] = await passwordUtil.hashPassword(password);
+    }
+  });
+
+  afterAll(() => {
+    passwordUtil.saltRounds = saltRounds;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const user = () => ({ id: 7, password_hash: hashes['Current#Pass1'] });
+
+  it('rejects a password from the recent history', async () => {
+    const findRecentHashes = jest.spyOn(PasswordHistory, 'findRecentHashes')
+      .mockResolvedValue([hashes['Current#Pass1'], hashes['Previous#Pass2']]);
+
+    await expect(passwordHistoryService.validateNotReused(user(), 'Previous#Pass2')).rejects.toMatchObject({
+      errorCode: 'VALIDATION_ERROR',
+      validationErrors: [expect.objectContaining({ field: 'password', constraint: 'password_history' })]
+    });
+    expect(findRecentHashes).toHaveBeenCalledWith(7, passwordHistoryService.historyCount, {});
+  });
+
+  it('rejects the current password of an account without recorded history', async () => {
+    jest.spyOn(PasswordHistory, 'findRecentHashes').mockResolvedValue([]);
+
+    await expect(passwordHistoryService.validateNotReused(user(), 'Current#Pass1'))
+      .rejects.toMatchObject({ errorCode: 'VALIDATION_ERROR' });
+  });
+
+  it('accepts a password that has dropped out of the history', async () => {
+    jest.spyOn(PasswordHistory, 'findRecentHashes')
+      .mockResolvedValue([hashes['Current#Pass1'], hashes['Previous#Pass2']]);
+
+    await expect(passwordHistoryService.validateNotReused(user(), 'Older#Pass3')).resolves.toBe(true);
+  });
+
+  it('keeps a reused password from being set on password change', async () => {
+    const account = { ...user(), toJSON: () => ({ id: 7 }), update: jest.fn() };
+    jest.spyOn(User, 'findByPk').mockResolvedValue(account);
+    jest.spyOn(encryptionService, 'decryptUserData').mockResolvedValue({ id: 7 });
+    jest.spyOn(PasswordHistory, 'findRecentHashes').mockResolvedValue([hashes['Previous#Pass2']]);
+    const recordPassword = jest.spyOn(passwordHistoryService, 'recordPassword');
+
+    await expect(settingsService.changePassword(7, { new_password: 'Previous#Pass2' }, 'session-1'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(account.update).not.toHaveBeenCalled();
+    expect(recordPassword).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+const qrLoginService = require('../../../src/services/qr-login.service');
+const authService = require('../../../src/services/auth.service');
+const encryptionService = require('../../../src/services/encryption.service');
+const { User, AuditLog } = require('../../../src/models');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('QrLoginService', () => {
+  const webDevice = {
+    device_id: 'web-1',
+    device_type: 'desktop',
+    device_name: 'Chrome on Mac',
+    ipAddress: '198.51.100.7',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Chrome/120.0.0.0'
+  };
+  const phone = { userId: 7, sessionId: 'phone-session', deviceId: 'phone-1' };
+  const login = { tokens: { access_token: 'web-access-token' }, session: { id: 'web-session' } };
+
+  let completeLogin;
+
+  beforeEach(() => {
+    redisClient.reset();
+    jest.spyOn(User, 'findByPk').mockImplementation(async userId => ({
+      id: userId,
+      display_name: `User ${userId}`,
+      avatar_url: null,
+      canLogin: () => true,
+      toJSON: () => ({ id: userId })
+    }));
+    jest.spyOn(encryptionService, 'decryptUserData').mockImplementation(async user => user);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+    completeLogin = jest.spyOn(authService, 'completeLogin').mockResolvedValue(login);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('signs the web client in after the phone scans and confirms', async () => {
+    const ticket = await qrLoginService.createTicket(webDevice);
+    expect(ticket.qr_content).toContain(ticket.ticket_id);
+    expect(ticket.qr_content).not.toContain(ticket.poll_token);
+
+    await expect(qrLoginService.pollTicket(ticket.ticket_id, ticket.poll_token))
+      .resolves.toMatchObject({ status: 'pending', profile: null });
+
+    const scanned = await qrLoginService.scanTicket(ticket.ticket_id, phone);
+    expect(scanned).toMatchObject({ status: 'scanned', ip_address: '198.51.100.7', device: { browser: 'Chrome' } });
+    await expect(qrLoginService.pollTicket(ticket.ticket_id, ticket.poll_token))
+      .resolves.toMatchObject({ status: 'scanned', profile: { display_name: 'User 7' } });
+
+    await expect(qrLoginService.confirmTicket(ticket.ticket_id, phone))
+      .resolves.toMatchObject({ status: 'confirmed', session: { id: 'web-session' } });
+    expect(completeLogin).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 7 }),
+      { id: 7 },
+      expect.objectContaining({ device_id: 'web-1', ipAddress: '198.51.100.7', loginMethod: 'qr_code' })
+    );
+
+    // The web client collects the session exactly once
+    await expect(qrLoginService.pollTicket(ticket.ticket_id, ticket.poll_token))
+      .resolves.toMatchObject({ status: 'confirmed', tokens: { access_token: 'web-access-token' } });
+    await expect(qrLoginService.pollTicket(ticket.ticket_id, ticket.poll_token))
+      .resolves.toEqual({ ticket_id: ticket.ticket_id, status: 'expired' });
+  });
+
+  it('refuses to report a ticket to a client without its poll token', async () => {
+    const ticket = await qrLoginService.createTicket(webDevice);
+
+    await expect(qrLoginService.pollTicket(ticket.ticket_id, 'guessed-token'))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('keeps another account from taking over a scanned ticket', async () => {
+    const ticket = await qrLoginService.createTicket(webDevice);
+    await qrLoginService.scanTicket(ticket.ticket_id, phone);
+    const other = { userId: 8, sessionId: 'other-session', deviceId: 'phone-2' };
+
+    await expect(qrLoginService.scanTicket(ticket.ticket_id, other)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(qrLoginService.confirmTicket(ticket.ticket_id, other)).rejects.toMatchObject({ statusCode: 409 });
+    expect(completeLogin).not.toHaveBeenCalled();
+  });
+
+  it('creates one session when a ticket is confirmed twice at once', async () => {
+    const ticket = await qrLoginService.createTicket(webDevice);
+    await qrLoginService.scanTicket(ticket.ticket_id, phone);
+
+    const results = await Promise.allSettled([
+      qrLoginService.confirmTicket(ticket.ticket_id, phone),
+      qrLoginService.confirmTicket(ticket.ticket_id, phone)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(completeLogin).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats a ticket past its lifetime as expired', async () => {
+    const ticket = await qrLoginService.createTicket(webDevice);
+    await redisClient.del(qrLoginService.getTicketKey(ticket.ticket_id));
+
+    await expect(qrLoginService.scanTicket(ticket.ticket_id, phone)).rejects.toMatchObject({ statusCode: 410 });
+    await expect(qrLoginService.pollTicket(ticket.ticket_id, ticket.poll_token))
+      .resolves.toEqual({ ticket_id: ticket.ticket_id, status: 'expired' });
+  });
+});
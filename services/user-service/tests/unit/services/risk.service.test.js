@@ -0,0 +1,104 @@
+const riskService = require('../../../src/services/risk.service');
+const sessionService = require('../../../src/services/session.service');
+const { UserSession } = require('../../../src/models');
+const redisClient = require('../../../../shared/libraries/cache/redis.client');
+
+describe('RiskService', () => {
+  // 10:00 and 03:00 in Asia/Shanghai
+  const morning = new Date('2026-03-02T02:00:00Z');
+  const night = new Date('2026-03-01T19:00:00Z');
+  const enabled = riskService.config.enabled;
+  const user = { id: 7, last_ip: '203.0.113.9', failed_login_attempts: 0 };
+  let history;
+
+  beforeEach(() => {
+    redisClient.reset();
+    riskService.config.enabled = true;
+    history = [];
+    jest.spyOn(sessionService, 'isDeviceTrusted').mockImplementation(async (userId, deviceId) => deviceId === 'phone-1');
+    jest.spyOn(UserSession, 'findAll').mockImplementation(async () => history);
+  });
+
+  afterEach(() => {
+    riskService.config.enabled = enabled;
+    jest.restoreAllMocks();
+  });
+
+  const assess = (overrides = {}, context = {}) => riskService.assessLogin(
+    { ...user, ...overrides },
+    { deviceId: 'phone-1', ipAddress: '203.0.113.50', loginMethod: 'password', now: morning, ...context }
+  );
+
+  it('allows a login from a trusted device and a known network', async () => {
+    history = [{ ip_address: '203.0.113.20', created_at: morning }];
+
+    await expect(assess()).resolves.toEqual({ score: 0, level: 'low', decision: 'allow', factors: [] });
+  });
+
+  it('steps up a login from an unknown device on a new network', async () => {
+    const assessment = await assess({}, { deviceId: 'laptop-1', ipAddress: '198.51.100.4' });
+
+    expect(assessment).toMatchObject({ score: 55, level: 'high', decision: 'step_up' });
+    expect(assessment.factors).toEqual([
+      { factor: 'unknown_device', score: 30 },
+      { factor: 'new_ip_range', score: 25, detail: { ip_range: '198.51.100.0/24' } }
+    ]);
+  });
+
+  it('treats night hours as unusual until the user has a login baseline', async () => {
+    await expect(assess({}, { now: night })).resolves.toMatchObject({
+      score: 15,
+      level: 'low',
+      factors: [{ factor: 'unusual_hour', score: 15, detail: { hour: 3 } }]
+    });
+
+    history = Array.from({ length: 5 }, () => ({ ip_address: '203.0.113.20', created_at: night }));
+    await expect(assess({}, { now: night })).resolves.toMatchObject({ score: 0 });
+    await expect(assess()).resolves.toMatchObject({
+      factors: [expect.objectContaining({ factor: 'unusual_hour', detail: { hour: 10 } })]
+    });
+  });
+
+  it('caps the score added for recent failed attempts', async () => {
+    await expect(assess({ failed_login_attempts: 2 })).resolves.toMatchObject({ score: 20, level: 'low' });
+    await expect(assess({ failed_login_attempts: 8 })).resolves.toMatchObject({
+      score: 30,
+      level: 'medium',
+      decision: 'allow',
+      factors: [{ factor: 'recent_failures', score: 30, detail: { attempts: 8 } }]
+    });
+  });
+
+  it('adds velocity factors once an account or IP exceeds its attempt limit', async () => {
+    for (let attempt = 0; attempt < 6; attempt++) {
+      await riskService.recordLoginAttempt(user.id, '203.0.113.50');
+    }
+
+    const assessment = await assess();
+
+    expect(assessment.factors).toEqual([{ factor: 'user_velocity', score: 20, detail: { attempts: 6 } }]);
+    expect(await redisClient.get('risk:velocity:ip:203.0.113.50')).toBe(6);
+  });
+
+  it('scores without velocity when Redis is unavailable', async () => {
+    redisClient.failing = true;
+
+    await expect(riskService.recordLoginAttempt(user.id, '203.0.113.50')).resolves.toBeUndefined();
+    await expect(assess()).resolves.toMatchObject({ score: 0, decision: 'allow' });
+  });
+
+  it('allows every login when risk scoring is disabled', async () => {
+    riskService.config.enabled = false;
+
+    await expect(assess({ failed_login_attempts: 5 }, { deviceId: 'laptop-1' }))
+      .resolves.toEqual({ score: 0, level: 'low', decision: 'allow', factors: [] });
+    expect(sessionService.isDeviceTrusted).not.toHaveBeenCalled();
+  });
+
+  it('groups addresses into /24 and /48 ranges', () => {
+    expect(riskService.getIpRange('::ffff:198.51.100.4')).toBe('198.51.100.0/24');
+    expect(riskService.getIpRange('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+    expect(riskService.getIpRange('2001:db8::1')).toBe('2001:db8:0::/48');
+    expect(riskService.getIpRange('not-an-ip')).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+const sessionService = require('../../../src/services/session.service');
+const { UserSession, RefreshToken } = require('../../../src/models');
+
+describe('SessionService idle timeout', () => {
+  const HOUR = 3600000;
+  const saved = {};
+
+  const session = (deviceType, idleFor) => ({
+    device_info: { device_type: deviceType },
+    created_at: new Date(Date.now() - 2 * idleFor),
+    last_activity_at: new Date(Date.now() - idleFor)
+  });
+
+  beforeEach(() => {
+    Object.assign(saved, {
+      sessionTimeout: sessionService.sessionTimeout,
+      deviceTypeTimeouts: sessionService.deviceTypeTimeouts,
+      sessionLifetime: sessionService.sessionLifetime
+    });
+    sessionService.sessionTimeout = HOUR;
+    sessionService.deviceTypeTimeouts = { mobile: 24 * HOUR, tablet: 24 * HOUR, desktop: null };
+  });
+
+  afterEach(() => Object.assign(sessionService, saved));
+
+  it('uses the general timeout for desktops without an override', () => {
+    expect(sessionService.getIdleTimeout(session('desktop', 0))).toBe(HOUR);
+    expect(sessionService.isIdle(session('desktop', 2 * HOUR))).toBe(true);
+    expect(sessionService.isIdle(session('mobile', 2 * HOUR))).toBe(false);
+  });
+
+  it('never times out a session whose idle timeout is 0', () => {
+    sessionService.deviceTypeTimeouts.mobile = 0;
+
+    expect(sessionService.isIdle(session('mobile', 365 * 24 * HOUR))).toBe(false);
+    expect(sessionService.getIdleTimeRemaining(session('mobile', 0))).toBeNull();
+  });
+
+  it('lets a session lifetime of 0 run to the absolute lifetime', () => {
+    sessionService.sessionLifetime = 0;
+
+    expect(sessionService.getLifetime()).toBe(sessionService.absoluteLifetime);
+  });
+});
+
+describe('SessionService session limit', () => {
+  const HOUR = 3600000;
+  const saved = {};
+  let sessions;
+
+  // Created in order a, b, c; b is the least recently active
+  const session = (id, deviceType, createdHoursAgo, activeHoursAgo) => ({
+    session_id: id,
+    user_id: 7,
+    device_info: { device_type: deviceType, device_id: `${id}-device` },
+    created_at: new Date(Date.now() - createdHoursAgo * HOUR),
+    last_activity_at: new Date(Date.now() - activeHoursAgo * HOUR),
+    isValid: () => true,
+    revoke: jest.fn(async function(reason) { this.revoke_reason = reason; })
+  });
+
+  beforeEach(() => {
+    Object.assign(saved, {
+      maxActiveSessionsPerUser: sessionService.maxActiveSessionsPerUser,
+      allowConcurrentSessions: sessionService.allowConcurrentSessions,
+      oneSessionPerDeviceType: sessionService.oneSessionPerDeviceType,
+      sessionConflictResolution: sessionService.sessionConflictResolution
+    });
+    Object.assign(sessionService, {
+      maxActiveSessionsPerUser: 3,
+      allowConcurrentSessions: true,
+      oneSessionPerDeviceType: false,
+      sessionConflictResolution: 'lru'
+    });
+
+    sessions = [session('a', 'mobile', 30, 0.1), session('b', 'desktop', 20, 0.4), session('c', 'tablet', 10, 0.2)];
+    jest.spyOn(UserSession, 'findActiveByUserId').mockImplementation(async () => sessions);
+    jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    Object.assign(sessionService, saved);
+    jest.restoreAllMocks();
+  });
+
+  const evictedIds = async (deviceInfo = { device_type: 'desktop' }) => (
+    (await sessionService.enforceSessionLimit(7, deviceInfo)).map(evicted => evicted.id)
+  );
+
+  it.each([
+    ['lru', 'b'],
+    ['oldest', 'a'],
+    ['newest', 'c']
+  ])('evicts by the %s strategy when a login would exceed the limit', async (strategy, evicted) => {
+    sessionService.sessionConflictResolution = strategy;
+
+    await expect(evictedIds()).resolves.toEqual([evicted]);
+    expect(sessions.find(item => item.session_id === evicted).revoke).toHaveBeenCalledWith('evicted');
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(evicted, 'evicted');
+  });
+
+  it('leaves sessions alone below the limit', async () => {
+    sessionService.maxActiveSessionsPerUser = 4;
+
+    await expect(evictedIds()).resolves.toEqual([]);
+    expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('replaces the session of the same device type before applying the limit', async () => {
+    sessionService.oneSessionPerDeviceType = true;
+
+    const evicted = await sessionService.enforceSessionLimit(7, { device_type: 'tablet' });
+
+    expect(evicted).toEqual([expect.objectContaining({ id: 'c', device_type: 'tablet', reason: 'device_type' })]);
+  });
+
+  it('signs out every session when concurrent sessions are off', async () => {
+    sessionService.allowConcurrentSessions = false;
+
+    await expect(evictedIds()).resolves.toEqual(['a', 'b', 'c']);
+  });
+
+  it('tells an evicted session why it was signed out', async () => {
+    jest.spyOn(UserSession, 'findOne').mockResolvedValue({ revoke_reason: 'evicted' });
+
+    await expect(sessionService.assertNotSignedOut('b')).rejects.toMatchObject({ errorCode: 'SESSION_EVICTED' });
+  });
+});
+
+describe('session timeout configuration', () => {
+  const loadSessionConfig = env => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      let config;
+      jest.isolateModules(() => {
+        config = require('../../../src/config/security.config').session;
+      });
+      return config;
+    } finally {
+      process.env = saved;
+    }
+  };
+
+  it('keeps an explicit 0', () => {
+    const config = loadSessionConfig({ SESSION_TIMEOUT: '0', SESSION_TIMEOUT_MOBILE: '0', SESSION_LIFETIME: '0' });
+
+    expect(config.sessionTimeout).toBe(0);
+    expect(config.deviceTypeTimeouts.mobile).toBe(0);
+    expect(config.lifetime).toBe(0);
+  });
+
+  it('uses the defaults for unset or empty variables', () => {
+    const config = loadSessionConfig({ SESSION_TIMEOUT: '', SESSION_TIMEOUT_DESKTOP: '' });
+
+    expect(config.sessionTimeout).toBe(1800000);
+    expect(config.deviceTypeTimeouts.desktop).toBeNull();
+  });
+});
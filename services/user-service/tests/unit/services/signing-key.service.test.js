@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JwtSigningKey } = require('../../../src/models');
+const signingKeyService = require('../../../src/services/signing-key.service');
+
+describe('SigningKeyService', () => {
+  const MINUTE = 60000;
+  const saved = {};
+  let records;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    Object.assign(saved, {
+      algorithm: signingKeyService.algorithm,
+      publishDelay: signingKeyService.publishDelay,
+      retentionPeriod: signingKeyService.retentionPeriod,
+      keys: signingKeyService.keys
+    });
+    signingKeyService.algorithm = 'ES256';
+    signingKeyService.publishDelay = 10 * MINUTE;
+    signingKeyService.retentionPeriod = 60 * MINUTE;
+    signingKeyService.keys = new Map();
+
+    records = [];
+    jest.spyOn(JwtSigningKey, 'create').mockImplementation(async values => {
+      records.push({ ...values });
+    });
+    jest.spyOn(JwtSigningKey, 'findVerificationKeys').mockImplementation(async algorithm => (
+      records.filter(record => record.algorithm === algorithm && (!record.expires_at || record.expires_at > new Date()))
+    ));
+    jest.spyOn(JwtSigningKey, 'supersedeAll').mockImplementation(async (algorithm, expiresAt, excludeKid) => {
+      const superseded = records.filter(record => record.kid !== excludeKid && !record.expires_at);
+      superseded.forEach(record => { record.expires_at = expiresAt; });
+      return superseded.length;
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(signingKeyService, saved);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const verifyWithJwks = token => {
+    const { kid } = jwt.decode(token, { complete: true }).header;
+    const jwk = signingKeyService.getJwks().keys.find(key => key.kid === kid);
+    if (!jwk) {
+      throw new Error(`kid ${kid} is not published`);
+    }
+    return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: [jwk.alg] });
+  };
+
+  const sign = () => {
+    const { privateKey, kid } = signingKeyService.getSigningKey();
+    return jwt.sign({ sub: '7' }, privateKey, { algorithm: 'ES256', keyid: kid });
+  };
+
+  it('creates a signing key on first start and publishes it with its thumbprint kid', async () => {
+    await signingKeyService.initialize();
+
+    const { keys } = signingKeyService.getJwks();
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+    expect(keys[0].d).toBeUndefined();
+    expect(keys[0].kid).toBe(signingKeyService.computeKid(crypto.createPublicKey({ key: keys[0], format: 'jwk' })));
+    expect(verifyWithJwks(sign())).toMatchObject({ sub: '7' });
+  });
+
+  it('publishes a rotated key before it signs and keeps the old key until retention ends', async () => {
+    await signingKeyService.initialize();
+    const oldKid = signingKeyService.getSigningKey().kid;
+    const oldToken = sign();
+
+    const { kid: newKid } = await signingKeyService.rotateKeys();
+
+    // Published ahead of use, so verifiers can cache it first
+    expect(signingKeyService.getJwks().keys.map(key => key.kid)).toEqual(expect.arrayContaining([oldKid, newKid]));
+    expect(signingKeyService.getSigningKey().kid).toBe(oldKid);
+
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(signingKeyService.getSigningKey().kid).toBe(newKid);
+    expect(verifyWithJwks(oldToken)).toMatchObject({ sub: '7' });
+    expect(verifyWithJwks(sign())).toMatchObject({ sub: '7' });
+
+    jest.advanceTimersByTime(60 * MINUTE + 1);
+    expect(signingKeyService.getJwks().keys.map(key => key.kid)).toEqual([newKid]);
+    expect(signingKeyService.getVerificationKey(oldKid)).toBeNull();
+    expect(() => verifyWithJwks(oldToken)).toThrow('is not published');
+  });
+});
@@ -0,0 +1,91 @@
+const { SmsDispatch } = require('../../../src/models');
+const smsDispatchService = require('../../../src/services/sms-dispatch.service');
+const { AppError } = require('../../../src/errors/AppError');
+
+function buildDispatch(fields = {}) {
+  const dispatch = {
+    id: 1,
+    status: 'sent',
+    message_id: null,
+    isFinal: () => dispatch.status !== 'sent',
+    update: jest.fn(async changes => Object.assign(dispatch, changes)),
+    ...fields
+  };
+  return dispatch;
+}
+
+describe('SmsDispatchService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('recordDispatch', () => {
+    it('stores a blind index of the phone number, never the number', async () => {
+      const create = jest.spyOn(SmsDispatch, 'create').mockImplementation(async fields => fields);
+
+      await smsDispatchService.recordDispatch({
+        verificationId: 'otp-1',
+        phone: '+8613800138000',
+        provider: 'alibaba',
+        templateKey: 'login',
+        result: { message_id: 'biz-1', request_id: 'req-1' }
+      });
+
+      const stored = create.mock.calls[0][0];
+      expect(stored).toMatchObject({ message_id: 'biz-1', status: 'sent', country_code: '+86' });
+      expect(stored.phone_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(stored)).not.toContain('13800138000');
+    });
+
+    it('records the provider error code of a failed send', async () => {
+      jest.spyOn(SmsDispatch, 'create').mockImplementation(async fields => fields);
+      const error = new AppError('rejected', 502, 'SMS_PROVIDER_ERROR', { providerCode: 'isv.MOBILE_NUMBER_ILLEGAL', requestId: 'req-2' });
+
+      const stored = await smsDispatchService.recordDispatch({
+        phone: '+8613800138000', provider: 'alibaba', templateKey: 'login', error
+      });
+
+      expect(stored).toMatchObject({ status: 'failed', error_code: 'isv.MOBILE_NUMBER_ILLEGAL', request_id: 'req-2' });
+    });
+
+    it('never fails the send when tracking fails', async () => {
+      jest.spyOn(SmsDispatch, 'create').mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(smsDispatchService.recordDispatch({ phone: '+8613800138000', provider: 'mock', templateKey: 'login' }))
+        .resolves.toBeNull();
+    });
+  });
+
+  describe('ingestDeliveryReports', () => {
+    it('applies reports matched by message ID or OutId and counts the rest', async () => {
+      const byMessageId = buildDispatch({ message_id: 'biz-1' });
+      const byOutId = buildDispatch({ id: 2 });
+      jest.spyOn(SmsDispatch, 'findByMessageId').mockImplementation(async (provider, messageId) => (
+        messageId === 'biz-1' ? byMessageId : null
+      ));
+      jest.spyOn(SmsDispatch, 'findByVerificationId').mockImplementation(async outId => (
+        outId === 'otp-2' ? byOutId : null
+      ));
+
+      const result = await smsDispatchService.ingestDeliveryReports([
+        { biz_id: 'biz-1', success: true, sms_size: '2', report_time: '2025-01-20 12:00:05' },
+        { biz_id: 'biz-2', out_id: 'otp-2', success: 'false', err_code: 'MOBILE_NOT_ON_SERVICE', err_msg: 'Stopped' },
+        { biz_id: 'biz-3', success: true }
+      ]);
+
+      expect(result).toEqual({ received: 3, updated: 2, unmatched: 1 });
+      expect(byMessageId).toMatchObject({ status: 'delivered', segments: 2 });
+      expect(byMessageId.delivered_at.toISOString()).toBe('2025-01-20T04:00:05.000Z');
+      expect(Number(byMessageId.cost)).toBeGreaterThan(0);
+      expect(byOutId).toMatchObject({ status: 'failed', message_id: 'biz-2', error_code: 'MOBILE_NOT_ON_SERVICE' });
+    });
+
+    it('leaves a dispatch that already has its final status alone', async () => {
+      const delivered = buildDispatch({ status: 'delivered', message_id: 'biz-1' });
+      jest.spyOn(SmsDispatch, 'findByMessageId').mockResolvedValue(delivered);
+
+      const result = await smsDispatchService.ingestDeliveryReports({ biz_id: 'biz-1', success: 'false', err_code: 'LATE' });
+
+      expect(result.updated).toBe(0);
+      expect(delivered.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,320 @@
+const axios = require('axios');
+const { User, SocialIdentity, AuditLog, sequelize } = require('../../../src/models');
+const authService = require('../../../src/services/auth.service');
+const mfaService = require('../../../src/services/mfa.service');
+const lockoutService = require('../../../src/services/lockout.service');
+const riskService = require('../../../src/services/risk.service');
+const otpService = require('../../../src/services/otp.service');
+const { AuthError } = require('../../../src/errors/authError');
+const securityConfig = require('../../../src/config/security.config');
+const socialLoginConfig = require('../../../src/config/social-login.config');
+const FakeOAuthServer = require('../../fakes/fake-oauth.server');
+
+const REDIRECT_URI = 'https://lianxin.example/social/callback';
+
+describe('Social login', () => {
+  let server;
+  let identities;
+
+  /**
+   * Run the consent step against the fake provider and return the callback parameters
+   */
+  async function authorize(provider, options = {}, userKey = 'alice') {
+    const { authorization_url: authorizationUrl } = await authService.getSocialAuthorizationUrl(provider, options);
+    const url = new URL(authorizationUrl.replace('#wechat_redirect', ''));
+    url.searchParams.set('login_hint', userKey);
+
+    const response = await axios.get(url.toString(), { maxRedirects: 0, validateStatus: () => true });
+    expect(response.status).toBe(302);
+
+    const callback = new URL(response.headers.location);
+    return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+  }
+
+  function buildIdentity(fields) {
+    const identity = {
+      created_at: new Date(),
+      update: jest.fn(async changes => Object.assign(identity, changes)),
+      destroy: jest.fn(async () => {
+        identities = identities.filter(other => other !== identity);
+      }),
+      toSafeObject: () => ({ provider: identity.provider, nickname: identity.nickname }),
+      ...fields
+    };
+    return identity;
+  }
+
+  beforeAll(async () => {
+    server = new FakeOAuthServer();
+    const baseUrl = await server.start();
+
+    securityConfig.app.features.socialLogin = true;
+    for (const [name, client] of Object.entries(server.clients)) {
+      Object.assign(socialLoginConfig.social.providers[name], {
+        enabled: true,
+        clientId: client.clientId,
+        clientSecret: client.clientSecret,
+        redirectUri: REDIRECT_URI,
+        apiBaseUrl: baseUrl
+      });
+    }
+    socialLoginConfig.social.providers.wechat.authorizeUrl = `${baseUrl}/connect/qrconnect`;
+    socialLoginConfig.social.providers.qq.authorizeUrl = `${baseUrl}/oauth2.0/authorize`;
+    socialLoginConfig.social.providers.weibo.authorizeUrl = `${baseUrl}/oauth2/authorize`;
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    identities = [];
+    server.failures = [];
+
+    const matches = where => identity => Object.entries(where).every(([field, value]) => identity[field] === value);
+
+    jest.spyOn(SocialIdentity, 'findByProviderSubject').mockImplementation(async (provider, subject) => (
+      identities.find(matches({ provider, provider_subject: subject })) || null
+    ));
+    jest.spyOn(SocialIdentity, 'findOne').mockImplementation(async ({ where }) => identities.find(matches(where)) || null);
+    jest.spyOn(SocialIdentity, 'create').mockImplementation(async fields => {
+      const identity = buildIdentity(fields);
+      identities.push(identity);
+      return identity;
+    });
+    jest.spyOn(User, 'findByPk').mockImplementation(async id => ({ id, toJSON: () => ({ id }) }));
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+    jest.spyOn(mfaService, 'isMfaEnabled').mockResolvedValue(false);
+    jest.spyOn(authService, 'ensureCanLogin').mockResolvedValue();
+    jest.spyOn(lockoutService, 'assertNotLocked').mockResolvedValue();
+    jest.spyOn(riskService, 'assessLogin').mockResolvedValue({ score: 0, level: 'low', decision: 'allow' });
+    jest.spyOn(riskService, 'recordAssessment').mockResolvedValue();
+    jest.spyOn(authService, 'completeLogin').mockImplementation(async user => ({ user: { id: user.id }, tokens: {} }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const loginData = (provider, callback) => ({
+    provider,
+    ...callback,
+    device_id: 'device-1',
+    device_type: 'desktop',
+    device_name: 'Chrome',
+    ipAddress: '203.0.113.5'
+  });
+
+  describe('authorize', () => {
+    it.each(['wechat', 'qq', 'weibo'])('redirects back from %s with a code and the issued state', async provider => {
+      const { authorization_url: authorizationUrl, state } = await authService.getSocialAuthorizationUrl(provider);
+      const callback = await authorize(provider);
+
+      expect(authorizationUrl).toContain(`state=${state}`);
+      expect(callback.code).toMatch(/^[0-9a-f]{32}$/);
+      expect(callback.state).toBeTruthy();
+    });
+
+    it('refuses providers while the feature flag is off', async () => {
+      securityConfig.app.features.socialLogin = false;
+      try {
+        await expect(authService.getSocialAuthorizationUrl('wechat')).rejects.toMatchObject({ errorCode: 'FEATURE_DISABLED' });
+      } finally {
+        securityConfig.app.features.socialLogin = true;
+      }
+    });
+  });
+
+  describe('callback', () => {
+    it('asks an unknown provider account to bind a phone number', async () => {
+      const result = await authService.socialLogin(loginData('weibo', await authorize('weibo')));
+
+      expect(result).toMatchObject({ binding_required: true, provider: 'weibo' });
+      expect(authService.completeLogin).not.toHaveBeenCalled();
+    });
+
+    it('signs in a linked provider account', async () => {
+      const user = server.addUser('qq', 'alice');
+      identities.push(buildIdentity({ user_id: 7, provider: 'qq', provider_subject: user.openid }));
+
+      const result = await authService.socialLogin(loginData('qq', await authorize('qq')));
+
+      expect(result.user.id).toBe(7);
+      expect(authService.completeLogin).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 7 }), expect.anything(), expect.objectContaining({ loginMethod: 'social' })
+      );
+    });
+
+    it('matches a WeChat account by openid whether or not unionid is returned', async () => {
+      const user = server.addUser('wechat', 'alice', { unionid: null });
+      identities.push(buildIdentity({ user_id: 7, provider: 'wechat', provider_subject: user.openid }));
+
+      await authService.socialLogin(loginData('wechat', await authorize('wechat')));
+
+      server.addUser('wechat', 'alice', { openid: user.openid, unionid: 'wechat-unionid-alice' });
+      const result = await authService.socialLogin(loginData('wechat', await authorize('wechat')));
+
+      expect(result.user.id).toBe(7);
+      expect(identities).toHaveLength(1);
+      expect(identities[0]).toMatchObject({ provider_subject: user.openid, union_id: 'wechat-unionid-alice' });
+    });
+
+    it('rejects a state issued for another provider', async () => {
+      const { code } = await authorize('wechat');
+      const { state } = await authService.getSocialAuthorizationUrl('qq');
+
+      await expect(authService.socialLogin(loginData('wechat', { code, state })))
+        .rejects.toMatchObject({ errorCode: 'VERIFICATION_FAILED' });
+    });
+
+    it('rejects a state that was already used', async () => {
+      const callback = await authorize('weibo');
+      await authService.socialLogin(loginData('weibo', callback));
+
+      await expect(authService.socialLogin(loginData('weibo', callback)))
+        .rejects.toMatchObject({ errorCode: 'VERIFICATION_FAILED' });
+    });
+
+    it('rejects a linking state on the login callback', async () => {
+      const callback = await authorize('wechat', { userId: 7 });
+
+      await expect(authService.socialLogin(loginData('wechat', callback)))
+        .rejects.toMatchObject({ errorCode: 'VERIFICATION_FAILED' });
+    });
+
+    it('surfaces provider errors', async () => {
+      const callback = await authorize('wechat');
+      server.failNext({ errcode: 40029, errmsg: 'invalid code' });
+
+      await expect(authService.socialLogin(loginData('wechat', callback)))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: 'SOCIAL_LOGIN_FAILED', details: { providerCode: 40029 } });
+    });
+
+    it('surfaces an unreachable provider', async () => {
+      const callback = await authorize('weibo');
+      const { apiBaseUrl } = socialLoginConfig.social.providers.weibo;
+      socialLoginConfig.social.providers.weibo.apiBaseUrl = 'http://127.0.0.1:1';
+
+      try {
+        await expect(authService.socialLogin(loginData('weibo', callback)))
+          .rejects.toMatchObject({ statusCode: 502, errorCode: 'SOCIAL_PROVIDER_ERROR' });
+      } finally {
+        socialLoginConfig.social.providers.weibo.apiBaseUrl = apiBaseUrl;
+      }
+    });
+  });
+
+  describe('login gate', () => {
+    const linkedAccount = provider => {
+      const user = server.addUser(provider, 'alice');
+      identities.push(buildIdentity({ user_id: 7, provider, provider_subject: provider === 'weibo' ? user.uid : user.openid }));
+    };
+
+    it('refuses a locked account before touching the identity', async () => {
+      linkedAccount('qq');
+      lockoutService.assertNotLocked.mockRejectedValue(AuthError.accountLocked());
+
+      await expect(authService.socialLogin({ ...loginData('qq', await authorize('qq')), device_token: 'device-token' }))
+        .rejects.toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+      expect(lockoutService.assertNotLocked).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 7 }),
+        { ipAddress: '203.0.113.5', deviceId: 'device-1', deviceToken: 'device-token' }
+      );
+      expect(identities[0].update).not.toHaveBeenCalled();
+      expect(authService.completeLogin).not.toHaveBeenCalled();
+    });
+
+    it('steps up a risky social login with an SMS code', async () => {
+      linkedAccount('wechat');
+      riskService.assessLogin.mockResolvedValue({ score: 70, level: 'high', decision: 'step_up' });
+      const stepUp = jest.spyOn(authService, 'createStepUpChallenge').mockResolvedValue({ step_up_required: true });
+
+      const result = await authService.socialLogin(loginData('wechat', await authorize('wechat')));
+
+      expect(result).toEqual({ step_up_required: true });
+      expect(riskService.recordAssessment).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 7 }),
+        expect.objectContaining({ decision: 'step_up' }),
+        expect.objectContaining({ loginMethod: 'social', stepUpMethod: 'sms_otp' })
+      );
+      expect(stepUp).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }), expect.anything(),
+        expect.objectContaining({ loginMethod: 'social', device: expect.objectContaining({ device_id: 'device-1' }) }));
+      expect(authService.completeLogin).not.toHaveBeenCalled();
+    });
+
+    it('asks for the two-factor code after a risky login when MFA is on', async () => {
+      linkedAccount('weibo');
+      riskService.assessLogin.mockResolvedValue({ score: 70, level: 'high', decision: 'step_up' });
+      mfaService.isMfaEnabled.mockResolvedValue(true);
+
+      const result = await authService.socialLogin(loginData('weibo', await authorize('weibo')));
+
+      expect(result.mfa_required).toBe(true);
+      expect(riskService.recordAssessment).toHaveBeenCalledWith(expect.anything(), expect.anything(),
+        expect.objectContaining({ stepUpMethod: 'totp' }));
+    });
+
+    it('does not step up a phone binding again, since its OTP was just verified', async () => {
+      const callback = await authorize('weibo');
+      const { binding_token } = await authService.socialLogin(loginData('weibo', callback));
+      riskService.assessLogin.mockResolvedValue({ score: 70, level: 'high', decision: 'step_up' });
+      jest.spyOn(otpService, 'verifyOtp').mockResolvedValue({ otp_type: 'login' });
+      jest.spyOn(User, 'findByPhone').mockResolvedValue({ id: 7, toJSON: () => ({ id: 7 }) });
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue({ commit: jest.fn(), rollback: jest.fn() });
+      const stepUp = jest.spyOn(authService, 'createStepUpChallenge');
+
+      await authService.completeSocialBinding({
+        binding_token,
+        phone: '+8613800138000',
+        verification_id: '6f1c2b9e-5d4a-4f7b-9c3e-1a2b3c4d5e6f',
+        otp_code: '123456',
+        device_id: 'device-1',
+        device_type: 'desktop',
+        device_name: 'Chrome',
+        ipAddress: '203.0.113.5'
+      });
+
+      expect(lockoutService.assertNotLocked).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }), expect.anything());
+      expect(riskService.recordAssessment).toHaveBeenCalledWith(expect.anything(), expect.anything(),
+        expect.objectContaining({ loginMethod: 'social', stepUpMethod: 'otp_login' }));
+      expect(stepUp).not.toHaveBeenCalled();
+      expect(authService.completeLogin).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 7 }), expect.anything(), expect.objectContaining({ loginMethod: 'social' })
+      );
+    });
+  });
+
+  describe('link and unlink', () => {
+    it('links a provider account to the signed-in user', async () => {
+      const callback = await authorize('qq', { userId: 7 });
+
+      const linked = await authService.linkSocialAccount(7, { provider: 'qq', ...callback });
+
+      expect(linked.provider).toBe('qq');
+      expect(identities[0]).toMatchObject({ user_id: 7, provider: 'qq', provider_subject: server.users.get('qq:alice').openid });
+    });
+
+    it('rejects a linking state issued to another user', async () => {
+      const callback = await authorize('qq', { userId: 8 });
+
+      await expect(authService.linkSocialAccount(7, { provider: 'qq', ...callback }))
+        .rejects.toMatchObject({ errorCode: 'VERIFICATION_FAILED' });
+      expect(identities).toHaveLength(0);
+    });
+
+    it('refuses an account already linked to another user', async () => {
+      const user = server.addUser('weibo', 'alice');
+      identities.push(buildIdentity({ user_id: 8, provider: 'weibo', provider_subject: user.uid }));
+
+      const callback = await authorize('weibo', { userId: 7 });
+
+      await expect(authService.linkSocialAccount(7, { provider: 'weibo', ...callback }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('unlinks a provider account', async () => {
+      identities.push(buildIdentity({ user_id: 7, provider: 'wechat', provider_subject: 'openid' }));
+
+      await authService.unlinkSocialAccount(7, 'wechat');
+
+      expect(identities).toHaveLength(0);
+      await expect(authService.unlinkSocialAccount(7, 'wechat')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
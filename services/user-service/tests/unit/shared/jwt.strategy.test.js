@@ -0,0 +1,59 @@
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const sharedRoot = path.resolve(__dirname, '../../../../../shared/libraries');
+
+// The real shared modules, with the Redis client they load replaced by the fake
+jest.mock('../../../../../shared/libraries/cache/redis.client', () => {
+  const FakeRedisClient = require('../../fakes/fake-redis.client');
+  return new FakeRedisClient();
+});
+
+const redisClient = require(`${sharedRoot}/cache/redis.client`);
+const tokenDenylist = jest.requireActual(`${sharedRoot}/auth/token.denylist`);
+const jwtStrategy = jest.requireActual(`${sharedRoot}/auth/jwt.strategy`);
+
+describe('JWTStrategy.verifyAccessToken', () => {
+  const secret = 'strategy-test-secret';
+
+  const signAccessToken = jti => jwt.sign({ userId: 7, sessionId: 'session-1', jti }, secret, {
+    expiresIn: '5m',
+    issuer: jwtStrategy.issuer,
+    audience: jwtStrategy.audience
+  });
+
+  beforeEach(() => {
+    redisClient.reset();
+    tokenDenylist.localEntries.clear();
+    tokenDenylist.pendingSync.clear();
+    tokenDenylist.failClosed = true;
+    jwtStrategy.algorithm = 'HS256';
+    jwtStrategy.accessTokenSecret = secret;
+  });
+
+  afterEach(() => tokenDenylist.stopCleanupTimer());
+
+  it('accepts a token that has not been revoked', async () => {
+    await expect(jwtStrategy.verifyAccessToken(signAccessToken('jti-1')))
+      .resolves.toMatchObject({ userId: 7, jti: 'jti-1' });
+  });
+
+  it('rejects a token revoked on logout', async () => {
+    const token = signAccessToken('jti-1');
+
+    await jwtStrategy.revokeAccessToken(token);
+
+    await expect(jwtStrategy.verifyAccessToken(token)).rejects.toMatchObject({ name: 'TokenRevokedError' });
+    await expect(jwtStrategy.verifyAccessToken(signAccessToken('jti-2'))).resolves.toMatchObject({ jti: 'jti-2' });
+  });
+
+  it('rejects tokens while the denylist cannot be checked', async () => {
+    const token = signAccessToken('jti-1');
+    redisClient.failing = true;
+
+    await expect(jwtStrategy.verifyAccessToken(token)).rejects.toMatchObject({ name: 'TokenRevokedError' });
+
+    tokenDenylist.failClosed = false;
+    await expect(jwtStrategy.verifyAccessToken(token)).resolves.toMatchObject({ jti: 'jti-1' });
+  });
+});
@@ -0,0 +1,95 @@
+const path = require('path');
+
+const sharedRoot = path.resolve(__dirname, '../../../../../shared/libraries');
+
+// The real shared modules, with the Redis client they load replaced by the fake
+jest.mock('../../../../../shared/libraries/cache/redis.client', () => {
+  const FakeRedisClient = require('../../fakes/fake-redis.client');
+  return new FakeRedisClient();
+});
+
+const redisClient = require(`${sharedRoot}/cache/redis.client`);
+const tokenDenylist = jest.requireActual(`${sharedRoot}/auth/token.denylist`);
+
+describe('TokenDenylist', () => {
+  const expiresAt = () => new Date(Date.now() + 60000);
+
+  beforeEach(() => {
+    redisClient.reset();
+    tokenDenylist.localEntries.clear();
+    tokenDenylist.pendingSync.clear();
+    tokenDenylist.failClosed = true;
+  });
+
+  afterEach(() => tokenDenylist.stopCleanupTimer());
+
+  it('fails closed unless JWT_DENYLIST_FAIL_CLOSED=false', () => {
+    const TokenDenylist = tokenDenylist.constructor;
+    const original = process.env.JWT_DENYLIST_FAIL_CLOSED;
+
+    delete process.env.JWT_DENYLIST_FAIL_CLOSED;
+    expect(new TokenDenylist().failClosed).toBe(true);
+    process.env.JWT_DENYLIST_FAIL_CLOSED = 'false';
+    expect(new TokenDenylist().failClosed).toBe(false);
+
+    if (original === undefined) {
+      delete process.env.JWT_DENYLIST_FAIL_CLOSED;
+    } else {
+      process.env.JWT_DENYLIST_FAIL_CLOSED = original;
+    }
+  });
+
+  it('stores a revoked JTI in Redis until the token expires', async () => {
+    await expect(tokenDenylist.revoke('jti-1', expiresAt())).resolves.toBe(true);
+
+    const ttl = redisClient.store.get(tokenDenylist.getKey('jti-1')).expiresAt - Date.now();
+    expect(ttl).toBeGreaterThan(55000);
+    expect(ttl).toBeLessThanOrEqual(60000);
+
+    // Another instance only sees the Redis entry
+    tokenDenylist.localEntries.clear();
+    await expect(tokenDenylist.isRevoked('jti-1')).resolves.toBe(true);
+    await expect(tokenDenylist.isRevoked('jti-2')).resolves.toBe(false);
+  });
+
+  it('rejects every token while Redis cannot be checked', async () => {
+    redisClient.failing = true;
+
+    await expect(tokenDenylist.isRevoked('jti-1')).resolves.toBe(true);
+
+    tokenDenylist.failClosed = false;
+    await expect(tokenDenylist.isRevoked('jti-1')).resolves.toBe(false);
+  });
+
+  it('keeps a revocation made during an outage and writes it through in cleanup', async () => {
+    redisClient.failing = true;
+    tokenDenylist.failClosed = false;
+
+    await tokenDenylist.revoke('jti-1', expiresAt());
+    expect(tokenDenylist.pendingSync.has('jti-1')).toBe(true);
+    await expect(tokenDenylist.isRevoked('jti-1')).resolves.toBe(true);
+
+    await tokenDenylist.cleanup();
+    expect(tokenDenylist.pendingSync.has('jti-1')).toBe(true);
+
+    redisClient.failing = false;
+    await tokenDenylist.cleanup();
+
+    expect(tokenDenylist.pendingSync.size).toBe(0);
+    await expect(redisClient.exists(tokenDenylist.getKey('jti-1'))).resolves.toBe(true);
+  });
+
+  it('drops expired local entries without syncing them', async () => {
+    redisClient.failing = true;
+    await tokenDenylist.revoke('jti-1', expiresAt());
+    tokenDenylist.localEntries.set('jti-1', Date.now() - 1);
+
+    redisClient.failing = false;
+    await tokenDenylist.cleanup();
+
+    expect(tokenDenylist.localEntries.size).toBe(0);
+    expect(tokenDenylist.pendingSync.size).toBe(0);
+    expect(tokenDenylist.cleanupTimer).toBeNull();
+    await expect(redisClient.exists(tokenDenylist.getKey('jti-1'))).resolves.toBe(false);
+  });
+});
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const logger = require('../logging/logger');
+const tokenDenylist = require('./token.denylist');
 
 /**
  * JWT Strategy for Authentication
@@ -12,6 +14,102 @@ class JWTStrategy {
     this.algorithm = process.env.JWT_ALGORITHM || 'HS256';
     this.issuer = process.env.JWT_ISSUER || 'lianxin-platform';
     this.audience = process.env.JWT_AUDIENCE || 'lianxin-app';
+
+    // Asymmetric verification via the user service JWKS (RS256 / ES256)
+    this.jwksUri = process.env.JWT_JWKS_URI || null;
+    this.jwksCacheTtl = parseInt(process.env.JWT_JWKS_CACHE_TTL) || 300000; // 5 minutes
+    this.jwksMinRefetchInterval = parseInt(process.env.JWT_JWKS_MIN_REFETCH_INTERVAL) || 30000; // 30 seconds
+    this.jwksTimeout = parseInt(process.env.JWT_JWKS_TIMEOUT) || 5000;
+    this.jwksKeys = new Map();
+    this.jwksFetchedAt = 0;
+    this.jwksRequest = null;
+  }
+
+  /**
+   * Whether tokens are signed with key pairs
+   */
+  isAsymmetric() {
+    return ['RS256', 'ES256'].includes(this.algorithm);
+  }
+
+  /**
+   * Fetch and cache the JWKS, sharing one in-flight request
+   */
+  async fetchJwks() {
+    if (this.jwksRequest) {
+      return this.jwksRequest;
+    }
+
+    this.jwksRequest = (async () => {
+      try {
+        const response = await fetch(this.jwksUri, {
+          signal: AbortSignal.timeout(this.jwksTimeout)
+        });
+
+        if (!response.ok) {
+          throw new Error(`JWKS request failed with status ${response.status}`);
+        }
+
+        const { keys = [] } = await response.json();
+        const jwksKeys = new Map();
+
+        for (const jwk of keys) {
+          if (jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+            jwksKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          }
+        }
+
+        this.jwksKeys = jwksKeys;
+        this.jwksFetchedAt = Date.now();
+
+        logger.debug('JWKS refreshed', {
+          jwksUri: this.jwksUri,
+          kids: [...jwksKeys.keys()]
+        });
+      } finally {
+        this.jwksRequest = null;
+      }
+    })();
+
+    return this.jwksRequest;
+  }
+
+  /**
+   * Resolve the key that verifies an access token
+   */
+  async getAccessTokenVerificationKey(token) {
+    if (!this.isAsymmetric()) {
+      return this.accessTokenSecret;
+    }
+
+    if (!this.jwksUri) {
+      throw new Error('JWT_JWKS_URI is required for asymmetric token verification');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+    const age = Date.now() - this.jwksFetchedAt;
+
+    // Refetch when stale, or when an unknown kid appears (rate limited)
+    if (age > this.jwksCacheTtl || (!this.jwksKeys.has(kid) && age > this.jwksMinRefetchInterval)) {
+      try {
+        await this.fetchJwks();
+      } catch (error) {
+        logger.warn('JWKS refresh failed, using cached keys', {
+          jwksUri: this.jwksUri,
+          error: error.message
+        });
+      }
+    }
+
+    const publicKey = this.jwksKeys.get(kid);
+    if (!publicKey) {
+      const keyError = new Error('Unknown token signing key');
+      keyError.name = 'JsonWebTokenError';
+      throw keyError;
+    }
+
+    return publicKey;
   }
 
   /**
@@ -19,12 +117,22 @@ class JWTStrategy {
    */
   async verifyAccessToken(token) {
     try {
-      const decoded = jwt.verify(token, this.accessTokenSecret, {
+      const verificationKey = await this.getAccessTokenVerificationKey(token);
+
+      const decoded = jwt.verify(token, verificationKey, {
         algorithm: this.algorithm,
+        algorithms: [this.algorithm],
         issuer: this.issuer,
         audience: this.audience
       });
 
+      // Reject tokens revoked before their natural expiry (e.g. on logout)
+      if (await tokenDenylist.isRevoked(decoded.jti)) {
+        const revokedError = new Error('Access token has been revoked');
+        revokedError.name = 'TokenRevokedError';
+        throw revokedError;
+      }
+
       logger.debug('Access token verified', {
         userId: decoded.userId,
         sessionId: decoded.sessionId
@@ -66,6 +174,18 @@ class JWTStrategy {
     }
   }
 
+  /**
+   * Revoke an access token until it expires
+   */
+  async revokeAccessToken(token) {
+    const decoded = jwt.decode(token);
+    if (!decoded || !decoded.jti) {
+      return false;
+    }
+
+    return await tokenDenylist.revoke(decoded.jti, decoded.exp ? new Date(decoded.exp * 1000) : null);
+  }
+
   /**
    * Extract token from Authorization header
    */
@@ -0,0 +1,173 @@
+const redisClient = require('../cache/redis.client');
+const logger = require('../logging/logger');
+
+/**
+ * Token Denylist
+ * Redis-backed JTI denylist for revoked access tokens, shared by all services.
+ * Entries expire with the token they revoke. While Redis is unavailable,
+ * revocations are kept in process memory and written through once it recovers;
+ * until then only this process knows about them, so lookups that cannot reach
+ * Redis reject the token unless JWT_DENYLIST_FAIL_CLOSED=false.
+ */
+class TokenDenylist {
+  constructor() {
+    this.enabled = process.env.JWT_ENABLE_BLACKLIST !== 'false';
+    this.keyPrefix = process.env.JWT_DENYLIST_KEY_PREFIX || 'lianxin:jwt:denylist:';
+    this.defaultTtl = parseInt(process.env.REDIS_TOKEN_BLACKLIST_TTL) || 86400; // seconds
+    this.cleanupInterval = parseInt(process.env.JWT_BLACKLIST_CLEANUP_INTERVAL) || 3600000; // 1 hour
+    this.failClosed = process.env.JWT_DENYLIST_FAIL_CLOSED !== 'false';
+
+    // jti -> expiry timestamp (ms); this process's fallback and write-behind buffer
+    this.localEntries = new Map();
+    this.pendingSync = new Set();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Build the Redis key for a JTI
+   */
+  getKey(jti) {
+    return `${this.keyPrefix}${jti}`;
+  }
+
+  /**
+   * Seconds until the entry can be dropped (token expiry)
+   */
+  getTtl(expiresAt) {
+    if (!expiresAt) {
+      return this.defaultTtl;
+    }
+
+    const ttl = Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000);
+    return Math.max(ttl, 1);
+  }
+
+  /**
+   * Add a token JTI to the denylist until the token expires
+   */
+  async revoke(jti, expiresAt = null) {
+    if (!this.enabled || !jti) {
+      return false;
+    }
+
+    const ttl = this.getTtl(expiresAt);
+
+    // Always remember locally so this instance rejects the token even if Redis fails
+    this.localEntries.set(jti, Date.now() + ttl * 1000);
+    this.startCleanupTimer();
+
+    try {
+      if (!redisClient.isReady()) {
+        throw new Error('Redis client is not connected');
+      }
+
+      await redisClient.set(this.getKey(jti), 1, ttl);
+      this.pendingSync.delete(jti);
+    } catch (error) {
+      this.pendingSync.add(jti);
+
+      logger.warn('Token denylist write deferred, Redis unavailable', {
+        jti,
+        error: error.message
+      });
+    }
+
+    logger.debug('Token added to denylist', { jti, ttl });
+
+    return true;
+  }
+
+  /**
+   * Check whether a token JTI has been revoked
+   */
+  async isRevoked(jti) {
+    if (!this.enabled || !jti) {
+      return false;
+    }
+
+    const localExpiry = this.localEntries.get(jti);
+    if (localExpiry && localExpiry > Date.now()) {
+      return true;
+    }
+
+    try {
+      if (!redisClient.isReady()) {
+        throw new Error('Redis client is not connected');
+      }
+
+      return await redisClient.exists(this.getKey(jti));
+    } catch (error) {
+      logger.warn('Token denylist lookup failed', {
+        jti,
+        failClosed: this.failClosed,
+        error: error.message
+      });
+
+      return this.failClosed;
+    }
+  }
+
+  /**
+   * Drop expired local entries and flush deferred writes to Redis
+   */
+  async cleanup() {
+    const now = Date.now();
+
+    for (const [jti, expiresAt] of this.localEntries.entries()) {
+      if (expiresAt <= now) {
+        this.localEntries.delete(jti);
+        this.pendingSync.delete(jti);
+      }
+    }
+
+    if (this.pendingSync.size > 0 && redisClient.isReady()) {
+      for (const jti of [...this.pendingSync]) {
+        try {
+          await redisClient.set(this.getKey(jti), 1, this.getTtl(this.localEntries.get(jti)));
+          this.pendingSync.delete(jti);
+        } catch (error) {
+          logger.warn('Token denylist sync failed', {
+            jti,
+            error: error.message
+          });
+          break;
+        }
+      }
+    }
+
+    if (this.localEntries.size === 0) {
+      this.stopCleanupTimer();
+    }
+  }
+
+  /**
+   * Start the periodic local cleanup
+   */
+  startCleanupTimer() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup().catch(error => {
+        logger.error('Token denylist cleanup failed', { error: error.message });
+      });
+    }, this.cleanupInterval);
+
+    // Do not keep the process alive just for denylist housekeeping
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Stop the periodic local cleanup
+   */
+  stopCleanupTimer() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenDenylist();